@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+// ==========================================
+// InsulCtrl 本地网关 (Node)
+// ==========================================
+// 把 InsulCtrl 设备接入楼宇/家庭自动化：每台设备一个 src/controller.js 控制器，
+// 指令事务、认证、离线队列与 PWA 完全相同，对外提供:
+//   MQTT  状态主题 + 命令主题 + Home Assistant 自动发现 (见 mqtt.js)
+//   WebSocket  原始帧转发，PWA 可作为传输方式连接 (见 ws.js / src/gateway.js)
+//
+// 网关是单独的 npm 包 (gateway/package.json)，MQTT / 串口 / WebSocket 依赖不进入 PWA。
+// 用法 (首次先安装网关依赖: npm install --prefix gateway):
+//   npm run gateway -- --emulate 2 --mqtt mqtt://localhost:1883
+//   npm run gateway -- --serial /dev/ttyUSB0 --serial /dev/ttyUSB1 --ws-host 0.0.0.0 --ws-token <token> \
+//     --ws-origin https://insulctrl.example
+// 参数:
+//   --serial <path>       USB 串口设备，可多次指定 (网关无法使用蓝牙)
+//   --emulate <n>         添加 n 台模拟设备 (见 src/emulator.js)，用于联调
+//   --mqtt <url>          MQTT 代理地址，省略则不启用 MQTT；--mqtt-username / --mqtt-password
+//   --prefix <topic>      MQTT 主题前缀 (默认 insulctrl)；--discovery-prefix (默认 homeassistant)
+//   --ws-port <port>      WebSocket 端口 (默认 8787，0 = 不启用)；--ws-host (默认仅本机)
+//   --ws-token <token>    WebSocket 访问 token，--ws-host 不是本机地址时必须指定
+//   --ws-origin <origin>  允许连接的网页来源 (PWA 的地址)，可多次指定；未列出的浏览器页面一律拒绝
+//   --secret <id>=<hex>   写入设备配对密钥 (与 PWA 中查看到的相同)，可多次指定
+//   --max-on <minutes>    手动吸合的最长时间，超过后自动断开 (见 src/safety.js)
+//   --activation <mode>   手动吸合方式 (tap | confirm | hold，默认 confirm)。不是 tap 时 MQTT 的吸合指令一律拒绝，
+//                         Home Assistant 中的继电器只显示状态；WebSocket 客户端 (PWA) 的吸合须已在客户端确认
+//   --data <file>         密钥与最后已知状态的保存位置 (默认 ./insulctrl-gateway.json)
+//   --locale <code>       日志语言 (zh-CN | en，默认 en)
+//   --verbose             同时记录每一帧收发 (默认只记录连接、继电器与错误)
+// 设备连接失败或重连用尽后每 RETRY_MS 再次尝试。
+
+import { parseArgs } from 'node:util';
+import { resolve } from 'node:path';
+import mqtt from 'mqtt';
+import { createDeviceController, CONNECTION_STATES } from '../src/controller.js';
+import { createEmulatedDevice, EMULATOR_DEFAULTS } from '../src/emulator.js';
+import { createBleTransport } from '../src/ble.js';
+import { normalizeSecret } from '../src/auth.js';
+import { translate } from '../src/i18n.js';
+import { EVENT_TYPES } from '../src/history.js';
+import { ACTIVATION_MODES, DEFAULT_SAFETY } from '../src/safety.js';
+import { createFileStore } from './store.js';
+import { createNodeSerialTransport } from './serial.js';
+import { createMqttBridge, MQTT_DEFAULTS, gatewayStatusTopic } from './mqtt.js';
+import { createWsServer, WS_DEFAULTS, isLoopbackHost } from './ws.js';
+
+const RETRY_MS = 30000;
+
+const { values: args } = parseArgs({
+  options: {
+    serial: { type: 'string', multiple: true, default: [] },
+    emulate: { type: 'string', default: '0' },
+    mqtt: { type: 'string' },
+    'mqtt-username': { type: 'string' },
+    'mqtt-password': { type: 'string' },
+    prefix: { type: 'string', default: MQTT_DEFAULTS.prefix },
+    'discovery-prefix': { type: 'string', default: MQTT_DEFAULTS.discoveryPrefix },
+    'ws-port': { type: 'string', default: String(WS_DEFAULTS.port) },
+    'ws-host': { type: 'string', default: WS_DEFAULTS.host },
+    'ws-token': { type: 'string' },
+    'ws-origin': { type: 'string', multiple: true, default: [] },
+    secret: { type: 'string', multiple: true, default: [] },
+    'max-on': { type: 'string', default: '0' },
+    activation: { type: 'string', default: DEFAULT_SAFETY.activation },
+    data: { type: 'string', default: 'insulctrl-gateway.json' },
+    locale: { type: 'string', default: 'en' },
+    verbose: { type: 'boolean', default: false },
+  },
+});
+
+const log = (msg) => console.log(`${new Date().toISOString()} ${msg}`);
+const t = (key, params) => translate(args.locale, key, params);
+
+// ==========================================
+// 设备
+// ==========================================
+const transports = [
+  ...args.serial.map(path => createNodeSerialTransport(path)),
+  ...Array.from({ length: Number(args.emulate) }, (_, i) => {
+    const device = createEmulatedDevice({ name: `${EMULATOR_DEFAULTS.name}-${i + 1}` });
+    device.addEventListener('commandrejected', ({ detail }) => (
+      log(t('log.emulatorRejected', { name: device.name, message: detail.message }))
+    ));
+    return createBleTransport(device);
+  }),
+];
+
+const wsPort = Number(args['ws-port']);
+if (wsPort && !args['ws-token'] && !isLoopbackHost(args['ws-host'])) {
+  console.error(`--ws-token is required when --ws-host is not a loopback address (${args['ws-host']})`);
+  process.exit(1);
+}
+
+if (!Object.values(ACTIVATION_MODES).includes(args.activation)) {
+  console.error(`Invalid --activation ${args.activation}`);
+  process.exit(1);
+}
+
+if (!transports.length) {
+  console.error('No devices: use --serial <path> and/or --emulate <n>');
+  process.exit(1);
+}
+
+const store = createFileStore(resolve(args.data));
+
+args.secret.forEach(entry => {
+  const [id, hex] = entry.split('=');
+  const secret = normalizeSecret(hex ?? '');
+  if (!secret) {
+    console.error(`Invalid --secret ${entry}`);
+    process.exit(1);
+  }
+  store.keyStore(id).save(secret);
+});
+
+const devices = transports.map(transport => {
+  const controller = createDeviceController(transport, {
+    keyStore: store.keyStore(transport.id),
+    offlineStore: store.offlineStore(transport.id),
+    maxManualMinutes: Number(args['max-on']),
+    activation: args.activation,
+  });
+  const name = transport.name ?? transport.id;
+
+  controller.addEventListener('log', ({ detail: { key, params, msg, type } }) => {
+    if (!args.verbose && (type === EVENT_TYPES.RX || type === EVENT_TYPES.TX)) return;
+    log(`[${name}] ${msg ?? t(key, params)}`);
+  });
+  // 网关无人值守：出错后定时重新连接
+  controller.addEventListener('connection', ({ detail: { state } }) => {
+    if (state === CONNECTION_STATES.ERROR) setTimeout(() => controller.connect(), RETRY_MS);
+  });
+  return { controller, name };
+});
+
+log(`Devices: ${devices.map(d => `${d.name} (${d.controller.id})`).join(', ')}`);
+devices.forEach(d => d.controller.connect());
+
+// ==========================================
+// MQTT / WebSocket
+// ==========================================
+let bridge = null;
+let client = null;
+if (args.mqtt) {
+  client = mqtt.connect(args.mqtt, {
+    username: args['mqtt-username'],
+    password: args['mqtt-password'],
+    will: { topic: gatewayStatusTopic(args.prefix), payload: 'offline', retain: true, qos: 1 },
+  });
+  client.on('connect', () => log(`MQTT: connected to ${args.mqtt}`));
+  client.on('error', (error) => log(`MQTT: ${error.message}`));
+  bridge = createMqttBridge(client, devices, {
+    prefix: args.prefix,
+    discoveryPrefix: args['discovery-prefix'],
+    activation: args.activation,
+    log,
+  });
+}
+
+const server = wsPort ? createWsServer(devices, {
+  port: wsPort,
+  host: args['ws-host'],
+  token: args['ws-token'] ?? null,
+  origins: args['ws-origin'],
+  log,
+}) : null;
+if (server) log(`WS: listening on ws://${args['ws-host']}:${wsPort}`);
+
+// ==========================================
+// 退出
+// ==========================================
+const shutdown = async () => {
+  log('Shutting down');
+  await bridge?.close();
+  await client?.endAsync();
+  await server?.close();
+  devices.forEach(d => d.controller.dispose());
+  transports.forEach(transport => transport.device?.destroy?.());
+  process.exit(0);
+};
+
+process.once('SIGINT', shutdown);
+process.once('SIGTERM', shutdown);
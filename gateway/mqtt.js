@@ -0,0 +1,211 @@
+// ==========================================
+// MQTT 桥接与 Home Assistant 自动发现
+// ==========================================
+// 每台设备 (base = <prefix>/<设备 id>):
+//   <base>/availability   online | offline     网关到设备的链路状态
+//   <base>/mode           IDLE | ARMED | ON
+//   <base>/armed          ON | OFF             模式开关 (运行中 ON 也视为已武装)
+//   <base>/relay          ON | OFF
+//   <base>/alarm          HH:MM                每日闹钟 (有周计划时为下一次启动时间)
+//   <base>/armed/set、<base>/relay/set、<base>/alarm/set   命令，载荷同上；保留的命令消息会被忽略
+//   relay/set ON 受网关 --activation 约束：MQTT 无法确认或按住，activation 不是 tap (默认 confirm) 时
+//   ON 一律拒绝，继电器在发现配置中只作为 binary_sensor 出现，不提供开关 (见 index.js、src/safety.js)
+// 网关自身: <prefix>/gateway/status  online | offline (遗嘱消息)
+// 状态均为保留消息，只在变化时发布。发现配置发布到
+//   <discoveryPrefix>/<component>/insulctrl_<id>/<object>/config
+// Home Assistant 重启 (<discoveryPrefix>/status 收到 online) 或重新连上代理时重新发布全部配置与状态。
+
+import { formatMinutes } from '../src/schedule.js';
+import { CONNECTION_STATES } from '../src/controller.js';
+import { ACTIVATION_MODES } from '../src/safety.js';
+
+export const MQTT_DEFAULTS = {
+  prefix: 'insulctrl',
+  discoveryPrefix: 'homeassistant',
+  activation: ACTIVATION_MODES.TAP, // 与控制器的 activation 一致
+};
+
+// MQTT 主题与 Home Assistant object id 只用安全字符
+export const topicId = (id) => id.replace(/[^A-Za-z0-9_-]/g, '_');
+
+export const gatewayStatusTopic = (prefix) => `${prefix}/gateway/status`;
+
+const onOff = (value) => (value ? 'ON' : 'OFF');
+
+// 由设备状态得到各主题的载荷
+export const stateMessages = (base, { connection, device }) => ({
+  [`${base}/availability`]: connection === CONNECTION_STATES.CONNECTED ? 'online' : 'offline',
+  // 尚未收到过状态包时不发布具体值
+  ...(device.lastUpdate ? {
+    [`${base}/mode`]: device.mode,
+    [`${base}/armed`]: onOff(device.mode !== 'IDLE'),
+    [`${base}/relay`]: onOff(device.relay),
+    [`${base}/alarm`]: formatMinutes(device.alarmH * 60 + device.alarmM),
+  } : {}),
+});
+
+// 返回 [{ topic, payload }]，payload 为 JSON 字符串；空载荷删除另一种形式的继电器实体 (切换 --activation 后)
+export const discoveryMessages = ({ prefix, discoveryPrefix, activation }, { id, name, info }) => {
+  const node = `insulctrl_${topicId(id)}`;
+  const base = `${prefix}/${topicId(id)}`;
+  const common = {
+    availability: [{ topic: `${base}/availability` }, { topic: gatewayStatusTopic(prefix) }],
+    availability_mode: 'all',
+    device: {
+      identifiers: [node],
+      name,
+      manufacturer: info?.manufacturer ?? 'InsulCtrl',
+      model: info?.model ?? undefined,
+      sw_version: info?.firmware ?? undefined,
+    },
+  };
+  const relaySwitch = activation === ACTIVATION_MODES.TAP;
+  const entities = [
+    relaySwitch
+      ? ['switch', 'relay', {
+        name: 'Relay',
+        icon: 'mdi:radiator',
+        state_topic: `${base}/relay`,
+        command_topic: `${base}/relay/set`,
+      }]
+      : ['binary_sensor', 'relay', {
+        name: 'Relay',
+        icon: 'mdi:radiator',
+        device_class: 'power',
+        state_topic: `${base}/relay`,
+      }],
+    ['switch', 'armed', {
+      name: 'Armed',
+      icon: 'mdi:shield-check',
+      state_topic: `${base}/armed`,
+      command_topic: `${base}/armed/set`,
+    }],
+    ['sensor', 'mode', {
+      name: 'Mode',
+      device_class: 'enum',
+      options: ['IDLE', 'ARMED', 'ON'],
+      state_topic: `${base}/mode`,
+    }],
+    ['text', 'alarm', {
+      name: 'Alarm',
+      icon: 'mdi:alarm',
+      pattern: '^([01]\\d|2[0-3]):[0-5]\\d$',
+      min: 5,
+      max: 5,
+      state_topic: `${base}/alarm`,
+      command_topic: `${base}/alarm/set`,
+    }],
+  ];
+  const configTopic = (component, object) => `${discoveryPrefix}/${component}/${node}/${object}/config`;
+  return [
+    ...entities.map(([component, object, config]) => ({
+      topic: configTopic(component, object),
+      payload: JSON.stringify({ ...common, ...config, unique_id: `${node}_${object}`, object_id: `${node}_${object}` }),
+    })),
+    { topic: configTopic(relaySwitch ? 'binary_sensor' : 'switch', 'relay'), payload: '' },
+  ];
+};
+
+// <base>/<field>/set 的载荷 -> 控制器调用，无法识别时返回 null
+export const parseCommand = (field, payload) => {
+  const value = payload.trim().toUpperCase();
+  if (field === 'relay' || field === 'armed') {
+    if (value !== 'ON' && value !== 'OFF') return null;
+    return field === 'relay'
+      ? (controller) => controller.setRelay(value === 'ON')
+      : (controller) => controller.arm(value === 'ON');
+  }
+  if (field === 'alarm') {
+    const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(value);
+    if (!match) return null;
+    return (controller) => controller.setAlarm(Number(match[1]), Number(match[2]));
+  }
+  return null;
+};
+
+// client 为已连接的 mqtt.js 客户端；devices 为 [{ controller, name }]
+export const createMqttBridge = (client, devices, { log, ...options } = {}) => {
+  const opts = { ...MQTT_DEFAULTS, ...options };
+  const published = new Map(); // 主题 -> 最后一次发布的载荷
+  const byTopicId = new Map(devices.map(d => [topicId(d.controller.id), d]));
+
+  const publish = (topic, payload) => {
+    if (published.get(topic) === payload) return;
+    published.set(topic, payload);
+    client.publish(topic, payload, { retain: true, qos: 1 });
+  };
+
+  const publishState = ({ controller }) => {
+    const messages = stateMessages(`${opts.prefix}/${topicId(controller.id)}`, controller.getState());
+    Object.entries(messages).forEach(([topic, payload]) => publish(topic, payload));
+  };
+
+  const publishDiscovery = ({ controller, name }) => {
+    const { info } = controller.getState();
+    discoveryMessages(opts, { id: controller.id, name, info }).forEach(({ topic, payload }) => publish(topic, payload));
+  };
+
+  const publishAll = () => {
+    published.clear();
+    publish(gatewayStatusTopic(opts.prefix), 'online');
+    devices.forEach(d => {
+      publishDiscovery(d);
+      publishState(d);
+    });
+  };
+
+  const handleMessage = async (topic, message, packet) => {
+    if (topic === `${opts.discoveryPrefix}/status`) {
+      if (message.toString() === 'online') publishAll();
+      return;
+    }
+    // 保留的命令每次订阅都会重新投递，照做会在网关重启后再次吸合继电器等
+    if (packet?.retain) {
+      log?.(`MQTT: ignored retained ${topic} = ${message}`);
+      return;
+    }
+    const [, id, field, set] = topic.slice(opts.prefix.length).split('/');
+    const device = byTopicId.get(id);
+    const command = set === 'set' && device ? parseCommand(field, message.toString()) : null;
+    if (!command) {
+      log?.(`MQTT: ignored ${topic} = ${message}`);
+      return;
+    }
+    log?.(`MQTT: ${topic} = ${message}`);
+    // 设备离线时 setAlarm / arm 进入离线队列；继电器指令离线时直接失败，在线时未确认会按事务重试 (见 commands.js)
+    if (!await command(device.controller)) log?.(`MQTT: ${topic} not confirmed by ${device.name}`);
+  };
+
+  // 设备信息 (型号、固件) 读到后更新发现配置
+  const listeners = devices.map(d => {
+    let lastInfo = d.controller.getState().info;
+    const onChange = () => {
+      publishState(d);
+      const { info } = d.controller.getState();
+      if (info === lastInfo) return;
+      lastInfo = info;
+      publishDiscovery(d);
+    };
+    d.controller.addEventListener('change', onChange);
+    return () => d.controller.removeEventListener('change', onChange);
+  });
+
+  const onConnect = () => {
+    client.subscribe([`${opts.prefix}/+/+/set`, `${opts.discoveryPrefix}/status`]);
+    publishAll();
+  };
+
+  client.on('connect', onConnect);
+  client.on('message', handleMessage);
+  if (client.connected) onConnect();
+
+  return {
+    // 退出前标记所有实体不可用
+    close: async () => {
+      listeners.forEach(remove => remove());
+      client.off('connect', onConnect);
+      client.off('message', handleMessage);
+      await client.publishAsync(gatewayStatusTopic(opts.prefix), 'offline', { retain: true, qos: 1 });
+    },
+  };
+};
@@ -0,0 +1,65 @@
+// ==========================================
+// Node 串口传输 (网关用，对应浏览器的 src/serial.js)
+// ==========================================
+// 与 Web Serial 版本相同的换行分帧与 transport 接口 (见 src/transport.js)，底层换成 serialport 包。
+
+import { basename } from 'node:path';
+import { SerialPort } from 'serialport';
+import { TRANSPORT_KINDS, dispatchFrame, dispatchDisconnect, dispatchError } from '../src/transport.js';
+import { SERIAL_DEFAULTS, createLineFramer } from '../src/serial.js';
+
+export const createNodeSerialTransport = (path, { id = `serial-${basename(path)}`, ...options } = {}) => {
+  const opts = { ...SERIAL_DEFAULTS, ...options };
+  let port = null;
+
+  const transport = Object.assign(new EventTarget(), {
+    kind: TRANSPORT_KINDS.SERIAL,
+    id,
+    name: path,
+    emulated: false,
+  });
+
+  const framer = createLineFramer((bytes) => dispatchFrame(transport, bytes), opts);
+
+  transport.connect = () => new Promise((resolve, reject) => {
+    const next = new SerialPort({ path, baudRate: opts.baudRate, autoOpen: false });
+    next.open((error) => {
+      if (error) {
+        reject(error);
+        return;
+      }
+      port = next;
+      // 拔线或主动关闭都会触发 close
+      port.on('data', framer);
+      port.on('close', () => {
+        port = null;
+        dispatchDisconnect(transport);
+      });
+      port.on('error', (error) => dispatchError(transport, error));
+      resolve();
+    });
+  });
+
+  transport.write = (str) => new Promise((resolve, reject) => {
+    if (!port) {
+      reject(new Error("Not connected"));
+      return;
+    }
+    port.write(`${str}\n`, (error) => (error ? reject(error) : resolve()));
+  });
+
+  transport.disconnect = () => port?.close();
+
+  transport.readInfo = async () => ({
+    manufacturer: null,
+    model: null,
+    hardware: null,
+    firmware: null,
+    serial: null,
+    battery: null,
+    rssi: null,
+    usb: path,
+  });
+
+  return transport;
+};
@@ -0,0 +1,43 @@
+// ==========================================
+// 网关本地存储 (JSON 文件，代替浏览器的 localStorage)
+// ==========================================
+// 按设备 id 保存: { secret(配对密钥), offline(最后已知状态与离线队列，见 src/offline.js) }
+// keyStore(id) / offlineStore(id) 的形状与 createDeviceController() 的同名参数一致。
+
+import { readFileSync, writeFileSync, mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+
+const EMPTY_OFFLINE = { snapshot: null, queue: [], conflicts: [] };
+
+export const createFileStore = (file) => {
+  let data = {};
+  try {
+    data = JSON.parse(readFileSync(file, 'utf8'));
+  } catch {
+    // 首次运行文件不存在，从空白开始
+  }
+
+  const flush = () => {
+    mkdirSync(dirname(file), { recursive: true });
+    writeFileSync(file, JSON.stringify(data, null, 2));
+  };
+
+  const get = (id) => data[id] ?? {};
+
+  const update = (id, patch) => {
+    data = { ...data, [id]: { ...get(id), ...patch } };
+    flush();
+  };
+
+  return {
+    keyStore: (id) => ({
+      load: () => get(id).secret ?? null,
+      save: (secret) => update(id, { secret }),
+      forget: () => update(id, { secret: null }),
+    }),
+    offlineStore: (id) => ({
+      load: () => ({ ...EMPTY_OFFLINE, ...get(id).offline }),
+      save: (patch) => update(id, { offline: { ...EMPTY_OFFLINE, ...get(id).offline, ...patch } }),
+    }),
+  };
+};
@@ -0,0 +1,139 @@
+// ==========================================
+// WebSocket API (PWA 的网关传输见 src/gateway.js，消息格式也在那里说明)
+// ==========================================
+// 设备上行帧原样转发给所有客户端；客户端的指令经网关的控制器发送 (已认证时自动签名)。
+// 访问控制:
+//   token    共享 token，客户端须在 URL 上带 ?token=...；监听非本机地址时必须设置 (见 isLoopbackHost)
+//   origins  允许的浏览器来源 (如 https://insulctrl.example)。浏览器会带 Origin 头，不在列表中的一律拒绝，
+//            防止任意网页借用户浏览器连到本机网关；非浏览器客户端不带 Origin，只受 token 约束
+
+import { timingSafeEqual } from 'node:crypto';
+import { WebSocketServer } from 'ws';
+import { GATEWAY_API_VERSION, GATEWAY_BLOCKED } from '../src/gateway.js';
+import { CONNECTION_STATES } from '../src/controller.js';
+import { INTERLOCK_REASONS } from '../src/safety.js';
+
+export const WS_DEFAULTS = {
+  port: 8787,
+  host: '127.0.0.1', // 默认只监听本机；局域网访问需显式指定
+  token: null,
+  origins: [],
+};
+
+const LOOPBACK_HOSTS = new Set(['127.0.0.1', '::1', 'localhost']);
+
+export const isLoopbackHost = (host) => LOOPBACK_HOSTS.has(host);
+
+// 定长比较，避免按字节提前返回泄露 token
+const tokenMatches = (expected, actual) => {
+  const a = Buffer.from(expected);
+  const b = Buffer.from(actual ?? '');
+  return a.length === b.length && timingSafeEqual(a, b);
+};
+
+const decoder = new TextDecoder();
+
+// 联锁拒绝原因 -> 回复给客户端的说明
+const INTERLOCK_MESSAGES = {
+  [INTERLOCK_REASONS.LOCKED]: 'Controls are locked at the gateway',
+  [INTERLOCK_REASONS.CONFIRM]: 'Switching on needs confirmation (gateway --activation is not tap)',
+};
+
+// devices 为 [{ controller, name }]
+export const createWsServer = (devices, { log, ...options } = {}) => {
+  const opts = { ...WS_DEFAULTS, ...options };
+  if (!opts.token && !isLoopbackHost(opts.host)) {
+    throw new Error(`A token is required when listening on ${opts.host}`);
+  }
+  const byId = new Map(devices.map(d => [d.controller.id, d]));
+
+  const wss = new WebSocketServer({
+    port: opts.port,
+    host: opts.host,
+    verifyClient: ({ origin, req }) => {
+      if (origin && !opts.origins.includes(origin)) {
+        log?.(`WS: rejected origin ${origin}`);
+        return false;
+      }
+      return !opts.token || tokenMatches(opts.token, new URL(req.url, 'http://gateway').searchParams.get('token'));
+    },
+  });
+
+  const describe = ({ controller, name }) => {
+    const { connection, info } = controller.getState();
+    return { id: controller.id, name, connection, info };
+  };
+
+  const broadcast = (message) => {
+    const text = JSON.stringify(message);
+    wss.clients.forEach(client => {
+      if (client.readyState === client.OPEN) client.send(text);
+    });
+  };
+
+  const handleWrite = async (socket, { id, ref, data, confirmed }) => {
+    const device = byId.get(id);
+    const reply = (message) => socket.send(JSON.stringify({ id, ref, ...message }));
+    const reject = (message, reason = null) => reply({ type: 'error', message, reason });
+    if (!device) return reject('Unknown device');
+    if (typeof data !== 'string' || !data) return reject('Empty command');
+    if (GATEWAY_BLOCKED.has(data[0])) return reject('Pairing and authentication are handled by the gateway');
+    if (device.controller.getState().connection !== CONNECTION_STATES.CONNECTED) return reject('Device offline');
+    // 客户端已确认的手动吸合带 confirmed，网关的 --activation 联锁据此放行 (见 src/safety.js)
+    const options = { confirmed: confirmed === true };
+    const reason = device.controller.checkInterlock(data, options);
+    if (reason) return reject(INTERLOCK_MESSAGES[reason], reason);
+    if (!await device.controller.sendRaw(data, options)) return reject('Write to the device failed');
+    reply({ type: 'ack' });
+  };
+
+  wss.on('connection', (socket, req) => {
+    log?.(`WS: client connected from ${req.socket.remoteAddress}`);
+    socket.send(JSON.stringify({ type: 'hello', version: GATEWAY_API_VERSION, devices: devices.map(describe) }));
+    socket.on('message', (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch {
+        return;
+      }
+      if (message?.type === 'write') handleWrite(socket, message);
+    });
+  });
+
+  const listeners = devices.map(d => {
+    const { controller } = d;
+    const onRaw = ({ detail }) => {
+      if (detail.dir === 'rx') broadcast({ type: 'frame', id: controller.id, data: decoder.decode(detail.bytes) });
+    };
+    const onDevice = () => broadcast({ type: 'device', device: describe(d) });
+    const onState = () => broadcast({ type: 'state', id: controller.id, device: controller.getState().device });
+    // 设备信息 (含电量) 在快照里更新，没有单独的事件
+    let lastInfo = controller.getState().info;
+    const onChange = () => {
+      const { info } = controller.getState();
+      if (info === lastInfo) return;
+      lastInfo = info;
+      onDevice();
+    };
+    controller.addEventListener('raw', onRaw);
+    controller.addEventListener('connection', onDevice);
+    controller.addEventListener('change', onChange);
+    controller.addEventListener('statuschange', onState);
+    return () => {
+      controller.removeEventListener('raw', onRaw);
+      controller.removeEventListener('connection', onDevice);
+      controller.removeEventListener('change', onChange);
+      controller.removeEventListener('statuschange', onState);
+    };
+  });
+
+  return {
+    wss,
+    close: () => new Promise(resolve => {
+      listeners.forEach(remove => remove());
+      wss.clients.forEach(client => client.terminate());
+      wss.close(() => resolve());
+    }),
+  };
+};
@@ -0,0 +1,11 @@
+// 由 workbox 生成的 Service Worker 通过 importScripts 引入 (见 vite.config.js)
+// 点击系统通知时回到已打开的页面，没有则新开一个
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const client = windows.find(c => c.url.startsWith(self.registration.scope));
+    if (client) return client.focus();
+    return self.clients.openWindow(self.registration.scope);
+  })());
+});
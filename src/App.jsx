@@ -1,83 +1,92 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { 
-  Bluetooth, Clock, Settings, Zap, ShieldCheck, 
-  RefreshCw, CheckCircle, AlertTriangle, Timer, XCircle, Info 
+import React, { useState, useEffect, useRef, useSyncExternalStore } from 'react';
+import {
+  Bluetooth, Settings, ShieldCheck, ShieldOff, Clock,
+  CheckCircle, AlertTriangle, XCircle, History, Pencil, Plus, Usb, Bell, BarChart3, Network, Sun, Moon, Monitor
 } from 'lucide-react';
-
-// ==========================================
-// BLE 协议常量定义
-// ==========================================
-const SERVICE_UUID = "0000aaaa-0000-1000-8000-00805f9b34fb";
-const CHAR_UUID_CMD = "0000bbbb-0000-1000-8000-00805f9b34fb"; 
-
-// ==========================================
-// 辅助工具函数
-// ==========================================
-const formatTime = (ts) => {
-  if (!ts) return "--:--:--";
-  const date = new Date(ts * 1000);
-  return date.toLocaleTimeString('en-GB', { hour12: false });
-};
-
-const formatShortTime = (h, m) => {
-  return `${String(h).padStart(2,'0')}:${String(m).padStart(2,'0')}`;
-};
-
-const calculateCountdown = (deviceTs, alarmH, alarmM) => {
-  if (!deviceTs) return "--:--:--";
-  const now = new Date(deviceTs * 1000);
-  let alarm = new Date(deviceTs * 1000);
-  alarm.setHours(alarmH, alarmM, 0, 0);
-  
-  if (alarm <= now) {
-    alarm.setDate(alarm.getDate() + 1);
-  }
-  
-  const diff = alarm - now;
-  const h = Math.floor(diff / 3600000);
-  const m = Math.floor((diff % 3600000) / 60000);
-  const s = Math.floor((diff % 60000) / 1000);
-  
-  return `${String(h).padStart(2,'0')}:${String(m).padStart(2,'0')}:${String(s).padStart(2,'0')}`;
+import DevicePanel from './components/DevicePanel.jsx';
+import HistoryView from './components/HistoryView.jsx';
+import UsageView from './components/UsageView.jsx';
+import DiagnosticsView from './components/DiagnosticsView.jsx';
+import PresetManager from './components/PresetManager.jsx';
+import { EVENT_TYPES, appendEvent } from './history.js';
+import { EMULATOR_DEFAULTS, createEmulatedDevice, parseEmulatorParams } from './emulator.js';
+import { loadSettings, saveSettings } from './settings.js';
+import { THEMES, THEME_ORDER, applyTheme, watchSystemTheme } from './theme.js';
+import { loadPresets, savePresets } from './presets.js';
+import { forgetSecret } from './auth.js';
+import { forgetOfflineState, getPendingCounts, subscribePendingCounts } from './offline.js';
+import { forgetSafety } from './safety.js';
+import {
+  loadFleet, saveFleet, upsertDevice, renameDevice, setRatedPower, removeDevice, displayName,
+} from './fleet.js';
+import { requestBleDevice, createBleTransport, getAuthorizedDevices } from './ble.js';
+import {
+  isSerialSupported, createSerialTransport, getAuthorizedPorts, requestSerialPort,
+} from './serial.js';
+import { TRANSPORT_KINDS } from './transport.js';
+import { GATEWAY_DEFAULTS, GATEWAY_ID_PREFIX, listGatewayDevices, createGatewayTransport } from './gateway.js';
+import { createDiagnosticsLog } from './diagnostics.js';
+import { notificationPermission, requestNotificationPermission } from './notify.js';
+import { LOCALES } from './i18n.js';
+import { useI18n } from './useI18n.js';
+
+const REMINDER_OPTIONS = [0, 5, 10, 15, 30, 60];
+
+// 长按版本号打开诊断控制台 (ms)
+const LONG_PRESS_MS = 800;
+
+const STATE_DOTS = {
+  connecting: 'bg-blue-400 animate-pulse',
+  connected: 'bg-green-500',
+  reconnecting: 'bg-amber-500 animate-pulse',
+  offline: 'bg-slate-300 dark:bg-slate-600',
 };
 
 export default function InsulCtrlApp() {
+  const { t, formatTime, preference, setPreference } = useI18n();
+
   // ==========================================
   // 应用状态
   // ==========================================
-  const [connState, setConnState] = useState('disconnected'); 
-  const [device, setDevice] = useState(null);
-  const [server, setServer] = useState(null);
-  const [characteristic, setCharacteristic] = useState(null);
-  
-  const [deviceData, setDeviceData] = useState({
-    mode: "IDLE", 
-    relay: false,
-    alarmH: 7,
-    alarmM: 30,
-    deviceTs: Math.floor(Date.now() / 1000), 
-    lastUpdate: 0,
-  });
+  // 已配对设备 (持久化) 与本次会话拿到的 transport { id: transport } (见 transport.js)
+  const [fleet, setFleet] = useState(loadFleet);
+  const [knownTransports, setKnownTransports] = useState({});
+  // 正在连接/已连接的设备，每台对应一个 DevicePanel: [{ transport, state }]
+  const [sessions, setSessions] = useState([]);
+  // 各设备排队与冲突的修改数 (见 offline.js)，变化时重新渲染设备列表
+  const pendingCounts = useSyncExternalStore(subscribePendingCounts, getPendingCounts);
+  const [expandedId, setExpandedId] = useState(null);
+  const [renaming, setRenaming] = useState(null); // { id, value }
+  const [scanning, setScanning] = useState(false);
+  const [bulkBusy, setBulkBusy] = useState(null);
 
   const [logs, setLogs] = useState([]);
-  const [isMockMode, setIsMockMode] = useState(false);
-  const [pendingAlarmH, setPendingAlarmH] = useState(7);
-  const [pendingAlarmM, setPendingAlarmM] = useState(30);
-  
-  const [isBluetoothSupported, setIsBluetoothSupported] = useState(true);
+  const [view, setView] = useState('main'); // main | history | usage | diagnostics
+  // 各设备的原始收发帧 (见 diagnostics.js)，诊断控制台关闭时同样记录
+  const [diagnostics] = useState(() => createDiagnosticsLog());
+  // URL 带 ?emulator 时可添加模拟设备 (见 emulator.js)
+  const [emulatorParams] = useState(() => parseEmulatorParams(window.location.search));
+
+  const [isBluetoothSupported] = useState(() => !!navigator.bluetooth);
+  const [serialSupported] = useState(isSerialSupported);
+  const [settings, setSettings] = useState(loadSettings);
+  const [notifyPermission, setNotifyPermission] = useState(notificationPermission);
+  const [presets, setPresets] = useState(loadPresets);
   const [toast, setToast] = useState({ show: false, msg: '', type: 'success' });
 
   // 版本标记，用于确认更新
   const APP_VERSION = "v3.0 Final";
 
-  const deviceDataRef = useRef(deviceData);
-  useEffect(() => { 
-    deviceDataRef.current = deviceData;
-    if (!navigator.bluetooth) {
-      setIsBluetoothSupported(false);
-      addLog("当前浏览器不支持 Web Bluetooth API", "error");
-    }
-  }, [deviceData]);
+  // 长按版本号切换隐藏的诊断控制台；键盘按住空格/回车同样生效
+  const pressTimerRef = useRef(null);
+  const startPress = () => {
+    clearTimeout(pressTimerRef.current);
+    pressTimerRef.current = setTimeout(() => setView(v => (v === 'diagnostics' ? 'main' : 'diagnostics')), LONG_PRESS_MS);
+  };
+  const cancelPress = () => clearTimeout(pressTimerRef.current);
+  const pressKeys = (e) => {
+    if ((e.key === ' ' || e.key === 'Enter') && !e.repeat) startPress();
+  };
 
   // 显示 Toast
   const showToast = (msg, type = 'success') => {
@@ -85,217 +94,283 @@ export default function InsulCtrlApp() {
     setTimeout(() => setToast(prev => ({ ...prev, show: false })), 3000);
   };
 
-  // ========================================== 
-  // 日志 (保留但默认隐藏)
-  // ========================================== 
-  const addLog = (msg, type = 'info') => { 
-    // console.log(`[${type}] ${msg}`); // 生产环境仅在控制台输出
-  };
-
   // ==========================================
-  // 核心：短协议解析逻辑 (New!)
+  // 日志 (内存保留最近 50 条，同时写入 IndexedDB 历史)
   // ==========================================
-  const handleNotifications = (event) => {
-    const value = event.target.value;
-    const decoder = new TextDecoder('utf-8');
-    try {
-      const rawStr = decoder.decode(value);
-      // 协议格式: S:模式Code,继电器(0/1),时,分
-      // 模式Code: 0=IDLE, 1=ARMED, 2=ON
-      
-      if (rawStr.startsWith("S:")) {
-        const parts = rawStr.substring(2).split(",");
-        if (parts.length >= 4) {
-          const modeCode = parseInt(parts[0]);
-          const relayVal = parseInt(parts[1]);
-          const hh = parseInt(parts[2]);
-          const mm = parseInt(parts[3]);
-
-          // 映射回 UI 需要的字符串状态
-          let modeStr = "IDLE";
-          if (modeCode === 1) modeStr = "ARMED";
-          if (modeCode === 2) modeStr = "ON"; // 实际上 ON 时 UI 也显示 ARMED 样式比较好，或者单独处理
-
-          setDeviceData(prev => ({
-            ...prev,
-            mode: modeStr,
-            relay: relayVal === 1,
-            alarmH: hh,
-            alarmM: mm,
-            deviceTs: Math.floor(Date.now() / 1000), // 使用手机时间校准显示
-            lastUpdate: Date.now()
-          }));
-        }
-      }
-    } catch (error) {
-      console.error("Parse Error", error);
+  // 历史写入失败 (如隐私模式下没有 IndexedDB) 只在界面日志提示一次，提示本身不写入历史
+  const historyFailedRef = useRef(false);
+
+  const addLog = (msg, type = EVENT_TYPES.INFO, data = null, device = null) => {
+    const event = { ts: Date.now(), type, msg, data, device };
+    setLogs(prev => [...prev.slice(-49), event]);
+    appendEvent(event).then(({ error }) => {
+      if (!error || historyFailedRef.current) return;
+      historyFailedRef.current = true;
+      const warning = { ts: Date.now(), type: EVENT_TYPES.ERROR, msg: t('log.historyFailed', { message: error.message }), data: null, device: null };
+      setLogs(prev => [...prev.slice(-49), warning]);
+    });
+  };
+
+  // 只在启动时记录一次，切换语言不重复写入
+  const supportLoggedRef = useRef(false);
+  useEffect(() => {
+    if (isBluetoothSupported || supportLoggedRef.current) return;
+    supportLoggedRef.current = true;
+    appendEvent({ type: EVENT_TYPES.ERROR, msg: t('support.log') });
+  }, [isBluetoothSupported, t]);
+
+  // 启动时找回已授权的蓝牙设备与串口，列表中的设备可一键连接
+  useEffect(() => {
+    Promise.all([getAuthorizedDevices(), getAuthorizedPorts()]).then(([devices, ports]) => {
+      const found = {};
+      Object.values(devices).forEach(d => { found[d.id] = createBleTransport(d); });
+      Object.entries(ports).forEach(([id, port]) => { found[id] = createSerialTransport(port, { id }); });
+      setKnownTransports(prev => ({ ...found, ...prev }));
+    });
+  }, []);
+
+  const updateFleet = (update) => {
+    setFleet(prev => {
+      const next = update(prev);
+      saveFleet(next);
+      return next;
+    });
+  };
+
+  const updateSettings = (patch) => {
+    setSettings(prev => {
+      const next = { ...prev, ...patch };
+      saveSettings(next);
+      return next;
+    });
+  };
+
+  // 主题：跟随系统时系统切换深浅色也立即生效
+  useEffect(() => {
+    applyTheme(settings.theme);
+    if (settings.theme !== THEMES.SYSTEM) return undefined;
+    return watchSystemTheme(() => applyTheme(THEMES.SYSTEM));
+  }, [settings.theme]);
+
+  const cycleTheme = () => {
+    updateSettings({ theme: THEME_ORDER[(THEME_ORDER.indexOf(settings.theme) + 1) % THEME_ORDER.length] });
+  };
+  const ThemeIcon = { [THEMES.SYSTEM]: Monitor, [THEMES.LIGHT]: Sun, [THEMES.DARK]: Moon }[settings.theme] ?? Monitor;
+
+  const updatePresets = (next) => {
+    setPresets(next);
+    savePresets(next);
+  };
+
+  // 开启系统通知前先申请权限 (须在点击事件中)
+  const toggleNotifications = async (enabled) => {
+    if (!enabled) {
+      updateSettings({ notifications: false });
+      return;
+    }
+    const permission = await requestNotificationPermission();
+    setNotifyPermission(permission);
+    if (permission === 'granted') {
+      updateSettings({ notifications: true });
+    } else {
+      showToast(t(permission === 'unsupported' ? 'notify.unsupported' : 'notify.denied'), "error");
     }
   };
 
+  const nameOf = (transport) => displayName(fleet.find(e => e.id === transport.id) ?? transport, t('fleet.unnamed'));
+
   // ==========================================
-  // BLE 连接逻辑
+  // 会话管理 (每台设备一个面板，面板自行连接/重连)
   // ==========================================
+  // 传给面板的回调需保持同一引用，避免面板 effect 反复执行
+  const actionsRef = useRef(new Map());
+  const [reportState] = useState(() => (id, state) => {
+    setSessions(prev => prev.map(s => (s.transport.id === id ? { ...s, state } : s)));
+  });
+  const [registerActions] = useState(() => (id, actions) => {
+    if (actions) actionsRef.current.set(id, actions);
+    else actionsRef.current.delete(id);
+  });
+
+  const openSession = (transport) => {
+    setKnownTransports(prev => ({ ...prev, [transport.id]: transport }));
+    updateFleet(prev => upsertDevice(prev, transport));
+    setExpandedId(transport.id);
+    const existing = sessions.find(s => s.transport.id === transport.id);
+    // 离线面板仍保留着 (显示最后已知状态)，由面板重新连接
+    if (existing?.state === 'offline') {
+      actionsRef.current.get(transport.id)?.reconnect();
+      return;
+    }
+    if (existing) {
+      showToast(t('fleet.alreadyConnected', { name: nameOf(transport) }));
+      return;
+    }
+    setSessions(prev => [...prev, { transport, state: 'connecting' }]);
+  };
+
+  const closeSession = (id) => {
+    setSessions(prev => prev.filter(s => s.transport.id !== id));
+  };
+
   const connectBLE = async () => {
+    setScanning(true);
     try {
-      addLog("正在扫描蓝牙设备...", "info");
-      setConnState('connecting');
-      setIsMockMode(false);
-
-      // 临时改为扫描所有设备，以排查 UUID 过滤问题 (保留，防止兼容性问题)
-      const device = await navigator.bluetooth.requestDevice({
-        acceptAllDevices: true,
-        optionalServices: [SERVICE_UUID]
-      });
+      addLog(t('log.scanning'), EVENT_TYPES.CONN);
 
-      addLog(`找到设备: ${device.name}`, "success");
-      setDevice(device);
-      device.addEventListener('gattserverdisconnected', onDisconnected);
-
-      const server = await device.gatt.connect();
-      setServer(server);
-      const service = await server.getPrimaryService(SERVICE_UUID);
-      const char = await service.getCharacteristic(CHAR_UUID_CMD);
-      
-      // 开启通知监听 (关键)
-      await char.startNotifications();
-      char.addEventListener('characteristicvaluechanged', handleNotifications);
-      addLog("数据监听已开启", "info");
-
-      setCharacteristic(char);
-      setConnState('connected');
-      addLog("连接成功", "success");
-      showToast("蓝牙连接成功");
+      // 默认只列出 InsulCtrl 设备；广播不规范的老固件可勾选"显示所有蓝牙设备"
+      const device = await requestBleDevice({ acceptAll: settings.scanAllDevices });
 
+      // 同一设备复用已有 transport (断线监听注册在设备对象上)
+      openSession(knownTransports[device.id] ?? createBleTransport(device));
     } catch (error) {
-      console.error(error);
-      addLog(`连接失败: ${error.message}`, "error");
-      setConnState('disconnected');
-      alert(`连接失败:\n${error.message}`);
+      addLog(t('log.connectFailed', { message: error.message }), EVENT_TYPES.ERROR);
+      alert(t('scan.failed', { message: error.message }));
+    } finally {
+      setScanning(false);
     }
   };
 
-  const onDisconnected = () => {
-    addLog("设备已断开", "warn");
-    setConnState('disconnected');
-    setDevice(null);
-    setServer(null);
-    setCharacteristic(null);
-    showToast("设备已断开连接", "error");
+  // USB 串口 (桌面 Chrome / Edge)：实验台无蓝牙时使用
+  const connectSerial = async () => {
+    setScanning(true);
+    try {
+      addLog(t('log.serialRequest'), EVENT_TYPES.CONN);
+      const { id, port } = await requestSerialPort();
+      openSession(knownTransports[id] ?? createSerialTransport(port, { id }));
+    } catch (error) {
+      addLog(t('log.connectFailed', { message: error.message }), EVENT_TYPES.ERROR);
+      // 用户关闭端口选择框不算错误
+      if (error.name !== 'NotFoundError') alert(t('scan.failed', { message: error.message }));
+    } finally {
+      setScanning(false);
+    }
   };
 
-  // ==========================================
-  // Mock 逻辑 (适配短协议)
-  // ==========================================
-  const connectMock = () => {
-    setIsMockMode(true);
-    setConnState('connecting');
-    setTimeout(() => {
-      setConnState('connected');
-      addLog("Mock 设备已连接", "success");
-      showToast("虚拟设备已连接");
-      startMockHeartbeat();
-    }, 600);
+  // 本地网关 (gateway/index.js)：列出网关上的全部设备并逐个打开
+  const connectGateway = async () => {
+    const url = prompt(t('gateway.urlPrompt'), settings.gatewayUrl || GATEWAY_DEFAULTS.url)?.trim();
+    if (!url) return;
+    updateSettings({ gatewayUrl: url });
+    setScanning(true);
+    try {
+      addLog(t('log.gatewayRequest', { url }), EVENT_TYPES.CONN);
+      const devices = await listGatewayDevices(url);
+      if (!devices.length) {
+        showToast(t('gateway.empty'), "error");
+        return;
+      }
+      devices.forEach(device => {
+        openSession(knownTransports[`${GATEWAY_ID_PREFIX}${device.id}`] ?? createGatewayTransport(url, device));
+      });
+    } catch (error) {
+      addLog(t('log.connectFailed', { message: error.message }), EVENT_TYPES.ERROR);
+      alert(t('scan.failed', { message: error.message }));
+    } finally {
+      setScanning(false);
+    }
   };
 
-  const mockIntervalRef = useRef(null);
-  const startMockHeartbeat = () => {
-    if (mockIntervalRef.current) clearInterval(mockIntervalRef.current);
-    mockIntervalRef.current = setInterval(() => {
-      setDeviceData(prev => {
-        let nextTs = prev.deviceTs + 1;
-        let nextRelay = prev.relay;
-        let nextMode = prev.mode;
-        
-        if (prev.mode === 'ARMED') {
-           const now = new Date(nextTs * 1000);
-           if (now.getHours() === prev.alarmH && now.getMinutes() === prev.alarmM && now.getSeconds() === 0) {
-             nextRelay = true;
-             nextMode = 'ON'; // 模拟触发
-             addLog("Mock: 闹钟触发!", "warn");
-             showToast("闹钟触发！", "error"); 
-           }
-        }
-        return { ...prev, deviceTs: nextTs, relay: nextRelay, mode: nextMode };
-      });
-    }, 1000);
+  // 模拟设备按名称区分；同一台只创建一次，断开后再连接仍保持其内部状态 (时钟、计划等)
+  const createEmulator = (name) => {
+    const device = createEmulatedDevice({ ...emulatorParams, name });
+    device.addEventListener('commandrejected', ({ detail }) => (
+      addLog(t('log.emulatorRejected', { name, message: detail.message }), EVENT_TYPES.ERROR)
+    ));
+    window.__insulEmulators = { ...window.__insulEmulators, [device.id]: device };
+    window.__insulEmulator = device;
+    return createBleTransport(device);
   };
 
-  // ==========================================
-  // 指令发送 (升级为短协议)
-  // ==========================================
-  const sendCommand = async (cmdStr) => {
-    addLog(`TX: ${cmdStr}`, "tx");
-
-    if (isMockMode) {
-      // Mock 逻辑简单模拟回显
-      setTimeout(() => {
-        if (cmdStr.startsWith("T:")) {
-           showToast("时间同步成功");
-        } else if (cmdStr.startsWith("A:")) {
-           const [_, h, m] = cmdStr.split(":");
-           setDeviceData(p => ({...p, alarmH: parseInt(h), alarmM: parseInt(m)}));
-           showToast(`闹钟设为 ${h}:${m}`);
-        } else if (cmdStr.startsWith("R:")) {
-           const val = cmdStr.split(":")[1] === "1";
-           setDeviceData(p => ({...p, relay: val}));
-           showToast(val ? "继电器吸合" : "继电器断开");
-        } else if (cmdStr.startsWith("M:")) {
-           const val = cmdStr.split(":")[1] === "1";
-           setDeviceData(p => ({...p, mode: val ? "ARMED" : "IDLE", relay: false}));
-           showToast(val ? "已武装 (ARMED)" : "已取消 (IDLE)");
-        }
-      }, 100);
-      return;
-    }
+  const addEmulator = () => {
+    const names = new Set(fleet.map(e => e.name));
+    let n = 1;
+    while (names.has(`${EMULATOR_DEFAULTS.name}-${n}`)) n++;
+    openSession(createEmulator(`${EMULATOR_DEFAULTS.name}-${n}`));
+  };
 
-    if (!characteristic) return;
-    try {
-      const encoder = new TextEncoder();
-      // 直接发送短字符串，无需 JSON，无需 # 结束符(因为长度<20字节)
-      await characteristic.writeValue(encoder.encode(cmdStr));
-      // 注意：不立即弹Toast，等待设备回传 S:... 状态包来更新界面
-    } catch (error) {
-      addLog(`TX Fail: ${error.message}`, "error");
-      showToast("发送失败", "error");
+  const connectEntry = (entry) => {
+    let transport = knownTransports[entry.id];
+    if (!transport && entry.emulated) transport = createEmulator(entry.name);
+    if (!transport && entry.kind === TRANSPORT_KINDS.GATEWAY && entry.url) {
+      transport = createGatewayTransport(entry.url, { id: entry.id.slice(GATEWAY_ID_PREFIX.length), name: entry.name });
     }
+    if (!transport) {
+      showToast(t('fleet.needsRescan'), "error");
+      return;
+    }
+    openSession(transport);
   };
 
-  // ==========================================
-  // 功能处理 (构造短指令)
-  // ==========================================
-  const handleSyncTime = () => {
-    const ts = Math.floor(Date.now() / 1000);
-    sendCommand(`T:${ts}`);
+  const forgetEntry = (entry) => {
+    if (!confirm(t('fleet.forgetConfirm', { name: displayName(entry, t('fleet.unnamed')) }))) return;
+    const transport = knownTransports[entry.id];
+    if (transport?.emulated) transport.device.destroy();
+    forgetSecret(entry.id);
+    forgetOfflineState(entry.id);
+    forgetSafety(entry.id);
+    setKnownTransports(prev => {
+      const { [entry.id]: _removed, ...rest } = prev;
+      return rest;
+    });
+    updateFleet(prev => removeDevice(prev, entry.id));
   };
 
-  const handleSetAlarm = () => {
-    const h = String(pendingAlarmH).padStart(2, '0');
-    const m = String(pendingAlarmM).padStart(2, '0');
-    sendCommand(`A:${h}:${m}`);
+  const commitRename = () => {
+    if (renaming) updateFleet(prev => renameDevice(prev, renaming.id, renaming.value));
+    setRenaming(null);
   };
 
-  const toggleRelay = () => {
-    // 根据当前状态取反
-    const nextVal = deviceData.relay ? "0" : "1";
-    sendCommand(`R:${nextVal}`);
+  // ==========================================
+  // 批量操作：对所有在线设备并行发送，汇总确认结果
+  // ==========================================
+  // PIN 上锁的设备由控制器拒绝 (见 safety.js)，计入未确认
+  const connected = sessions.filter(s => s.state === 'connected');
+
+  const runBulk = async (label, action) => {
+    const targets = connected.map(s => actionsRef.current.get(s.transport.id)).filter(Boolean);
+    if (!targets.length) return;
+    setBulkBusy(label);
+    const results = await Promise.all(targets.map(action));
+    setBulkBusy(null);
+    const ok = results.filter(Boolean).length;
+    const params = { label, ok, total: targets.length };
+    addLog(t('bulk.log', params), EVENT_TYPES.INFO);
+    showToast(t('bulk.result', params), ok === targets.length ? 'success' : 'error');
   };
 
-  const toggleArm = () => {
-    // 根据当前状态取反
-    const nextVal = deviceData.mode === 'ARMED' ? "0" : "1";
-    sendCommand(`M:${nextVal}`);
-  };
+  const sessionState = (id) => sessions.find(s => s.transport.id === id)?.state ?? 'offline';
+  const visibleFleet = fleet.filter(e => !e.emulated || emulatorParams);
+  const reconnecting = sessions.some(s => s.state === 'reconnecting');
+
+  // 扫描过滤兜底开关 (连接页与设备列表共用)
+  const scanAllToggle = (
+    <label className="flex items-center justify-center gap-2 text-xs text-slate-400">
+      <input
+        type="checkbox"
+        checked={settings.scanAllDevices}
+        onChange={(e) => updateSettings({ scanAllDevices: e.target.checked })}
+      />
+      {t('scan.showAll')}
+    </label>
+  );
 
   // ==========================================
   // 渲染 (保持原版高颜值 UI)
   // ==========================================
   return (
-    <div className="min-h-screen bg-slate-100 font-sans text-slate-800 pb-10 relative select-none">
-      
+    <div className="min-h-screen bg-slate-100 dark:bg-slate-950 font-sans text-slate-800 dark:text-slate-100 pb-10 relative select-none">
+
       {/* --- Toast 通知 --- */}
-      <div className={`fixed top-4 left-1/2 -translate-x-1/2 z-50 transition-all duration-300 ${toast.show ? 'opacity-100 translate-y-0' : 'opacity-0 -translate-y-4 pointer-events-none'}`}>
+      {/* 始终挂载的 live region，内容变化时读屏朗读 (角色中途切换读屏不一定跟随，故固定为 status) */}
+      <div
+        role="status"
+        aria-live="polite"
+        aria-atomic="true"
+        className={`fixed top-4 left-1/2 -translate-x-1/2 z-50 transition-all duration-300 ${toast.show ? 'opacity-100 translate-y-0' : 'opacity-0 -translate-y-4 pointer-events-none'}`}
+      >
         <div className={`px-4 py-3 rounded-xl shadow-lg flex items-center gap-2 text-sm font-bold ${
-          toast.type === 'error' ? 'bg-red-500 text-white' : 'bg-slate-800 text-white'
+          toast.type === 'error' ? 'bg-red-500 text-white' : 'bg-slate-800 dark:bg-slate-700 text-white'
         }`}>
           {toast.type === 'success' && <CheckCircle className="w-4 h-4" />}
           {toast.type === 'error' && <AlertTriangle className="w-4 h-4" />}
@@ -304,230 +379,393 @@ export default function InsulCtrlApp() {
       </div>
 
       {/* 顶部栏 */}
-      <header className="bg-white shadow-sm sticky top-0 z-20">
+      <header className="bg-white dark:bg-slate-900 shadow-sm sticky top-0 z-20">
         <div className="max-w-md mx-auto px-4 h-16 flex items-center justify-between">
-          <h1 className="font-bold text-xl text-slate-800 flex items-center gap-2">
-            <Settings className="w-6 h-6 text-blue-600" />
-            InsulCtrl <span className="text-[10px] text-slate-400 font-mono bg-slate-100 px-1 rounded">{APP_VERSION}</span>
+          <h1 className="font-bold text-xl text-slate-800 dark:text-slate-100 flex items-center gap-2">
+            <Settings className="w-6 h-6 text-blue-600 dark:text-blue-400" />
+            InsulCtrl
+            <button
+              type="button"
+              onPointerDown={startPress}
+              onPointerUp={cancelPress}
+              onPointerLeave={cancelPress}
+              onKeyDown={pressKeys}
+              onKeyUp={cancelPress}
+              onBlur={cancelPress}
+              onContextMenu={(e) => e.preventDefault()}
+              className="text-2xs text-slate-400 font-mono bg-slate-100 dark:bg-slate-800 px-1 rounded"
+            >
+              {APP_VERSION}
+            </button>
           </h1>
-          <div className={`px-3 py-1 rounded-full text-xs font-bold flex items-center gap-1.5 ${
-            connState === 'connected' ? 'bg-green-100 text-green-700' : 'bg-slate-200 text-slate-500'
-          }`}>
-            <div className={`w-2 h-2 rounded-full ${connState === 'connected' ? 'bg-green-500 animate-pulse' : 'bg-slate-400'}`} />
-            {connState === 'connected' ? (isMockMode ? 'Mock' : 'Online') : 'Offline'}
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => setView(view === 'usage' ? 'main' : 'usage')}
+              aria-pressed={view === 'usage'}
+              className={`p-2 rounded-full ${view === 'usage' ? 'bg-blue-50 dark:bg-blue-950/40 text-blue-600 dark:text-blue-400' : 'text-slate-400 hover:text-slate-600 dark:hover:text-slate-300'}`}
+              title={t('header.usage')}
+              aria-label={t('header.usage')}
+            >
+              <BarChart3 className="w-5 h-5" />
+            </button>
+            <button
+              onClick={() => setView(view === 'history' ? 'main' : 'history')}
+              aria-pressed={view === 'history'}
+              className={`p-2 rounded-full ${view === 'history' ? 'bg-blue-50 dark:bg-blue-950/40 text-blue-600 dark:text-blue-400' : 'text-slate-400 hover:text-slate-600 dark:hover:text-slate-300'}`}
+              title={t('header.history')}
+              aria-label={t('header.history')}
+            >
+              <History className="w-5 h-5" />
+            </button>
+            <button
+              onClick={cycleTheme}
+              className="p-2 rounded-full text-slate-400 hover:text-slate-600 dark:hover:text-slate-300"
+              title={t('theme.label', { theme: t(`theme.${settings.theme}`) })}
+              aria-label={t('theme.label', { theme: t(`theme.${settings.theme}`) })}
+            >
+              <ThemeIcon className="w-5 h-5" />
+            </button>
+            <select
+              value={preference ?? ''}
+              onChange={(e) => setPreference(e.target.value || null)}
+              className="bg-slate-100 dark:bg-slate-800 text-slate-500 dark:text-slate-400 text-xs font-bold rounded-full px-2 py-1 outline-none"
+              title={t('locale.label')}
+              aria-label={t('locale.label')}
+            >
+              <option value="">{t('locale.auto')}</option>
+              {Object.entries(LOCALES).map(([code, { label }]) => (
+                <option key={code} value={code}>{label}</option>
+              ))}
+            </select>
+            <div className={`px-3 py-1 rounded-full text-xs font-bold flex items-center gap-1.5 ${
+              connected.length ? 'bg-green-100 dark:bg-green-900/40 text-green-700 dark:text-green-300'
+                : reconnecting ? 'bg-amber-100 dark:bg-amber-900/40 text-amber-700 dark:text-amber-300'
+                : 'bg-slate-200 dark:bg-slate-700 text-slate-500 dark:text-slate-400'
+            }`}>
+              <div className={`w-2 h-2 rounded-full ${
+                connected.length ? 'bg-green-500 animate-pulse'
+                  : reconnecting ? 'bg-amber-500 animate-pulse'
+                  : 'bg-slate-400'
+              }`} />
+              {connected.length ? t('header.online', { n: connected.length, total: sessions.length })
+                : reconnecting ? t('header.reconnecting')
+                : t('header.offline')}
+            </div>
           </div>
         </div>
       </header>
 
       <main className="max-w-md mx-auto p-4 space-y-5">
 
-        {/* 连接页 */}
-        {connState === 'disconnected' && (
-          <div className="bg-white rounded-3xl p-8 shadow-sm text-center space-y-6 mt-10">
-            <div className="w-20 h-20 bg-blue-50 rounded-full flex items-center justify-center mx-auto ring-8 ring-blue-50/50">
-              <Bluetooth className="w-10 h-10 text-blue-600" />
-            </div>
-            <div>
-              <h2 className="text-2xl font-bold text-slate-800">开始连接</h2>
-              <p className="text-slate-400 mt-2">控制您的 InsulCtrl 绝缘件设备</p>
-            </div>
-            
-            {!isBluetoothSupported && (
-              <div className="bg-red-50 border border-red-100 rounded-xl p-4 text-left text-sm text-red-600 space-y-2">
-                <div className="font-bold flex items-center gap-2">
-                  <AlertTriangle className="w-4 h-4" />
-                  当前浏览器不支持蓝牙
-                </div>
-                <p>iOS 用户：请使用 <span className="font-bold">Bluefy</span> 浏览器 APP。</p>
-                <p>Android 用户：请使用 <span className="font-bold">Chrome</span> 浏览器。</p>
+        {/* 历史记录 */}
+        {view === 'history' && <HistoryView onBack={() => setView('main')} />}
+
+        {/* 诊断控制台 */}
+        {view === 'diagnostics' && (
+          <DiagnosticsView
+            log={diagnostics}
+            sessions={sessions.map(s => ({ id: s.transport.id, name: nameOf(s.transport), state: s.state }))}
+            onSend={(id, cmd) => actionsRef.current.get(id)?.sendRaw(cmd) ?? false}
+            onBack={() => setView('main')}
+          />
+        )}
+
+        {/* 用量统计 */}
+        {view === 'usage' && (
+          <UsageView
+            fleet={visibleFleet}
+            onBack={() => setView('main')}
+            onSetRatedPower={(id, watts) => updateFleet(prev => setRatedPower(prev, id, watts))}
+          />
+        )}
+
+        {/* 设备面板需保持挂载 (连接归面板所有)，查看历史 / 用量时仅隐藏 */}
+        <div className={view === 'main' ? 'space-y-5' : 'hidden'}>
+
+          {!isBluetoothSupported && (
+            <div className="bg-red-50 dark:bg-red-950/40 border border-red-100 dark:border-red-900/50 rounded-xl p-4 text-left text-sm text-red-600 dark:text-red-400 space-y-2">
+              <div className="font-bold flex items-center gap-2">
+                <AlertTriangle className="w-4 h-4" />
+                {t('support.title')}
               </div>
-            )}
-
-            <div className="space-y-3">
-              <button 
-                onClick={connectBLE} 
-                disabled={!isBluetoothSupported}
-                className={`w-full font-bold py-4 rounded-xl shadow-lg transition-transform ${
-                  isBluetoothSupported 
-                    ? 'bg-blue-600 text-white shadow-blue-200 active:scale-95' 
-                    : 'bg-slate-300 text-slate-500 cursor-not-allowed'
-                }`}
-              > 
-                扫描蓝牙设备 
-              </button> 
-              {/* Mock 模式已隐藏，仅用于开发调试 */}
+              <p>{t('support.ios', { app: <span className="font-bold">Bluefy</span> })}</p>
+              <p>{t('support.android', { app: <span className="font-bold">Chrome</span> })}</p>
+              {serialSupported && <p>{t('support.serialHint')}</p>}
             </div>
-          </div>
-        )}
+          )}
 
-        {/* 控制面板 */}
-        {connState === 'connected' && (
-          <>
-            {/* 1. 顶部状态与控制 Dashboard */}
-            <section className="grid grid-cols-2 gap-4">
-              {/* 继电器控制 */}
-              <button 
-                onClick={toggleRelay}
-                className={`relative overflow-hidden rounded-3xl p-5 text-left transition-all duration-300 shadow-sm group active:scale-95 ${
-                  deviceData.relay 
-                    ? 'bg-gradient-to-br from-red-500 to-red-600 text-white shadow-red-200' 
-                    : 'bg-white text-slate-600 hover:border-slate-300 border border-transparent'
-                }`}
-              >
-                <div className="absolute top-4 right-4 opacity-20 group-hover:opacity-40 transition-opacity">
-                  <Zap className="w-12 h-12" />
-                </div>
-                <div className="relative z-10">
-                  <div className={`p-2 rounded-xl w-fit mb-3 ${deviceData.relay ? 'bg-white/20' : 'bg-slate-100'}`}>
-                    <Zap className="w-6 h-6" />
-                  </div>
-                  <div className="text-xs font-bold opacity-80 uppercase tracking-wider mb-1">RELAY</div>
-                  <div className="text-xl font-black tracking-tight">
-                    {deviceData.relay ? 'ON' : 'OFF'}
-                  </div>
-                </div>
-              </button>
-
-              {/* 模式切换 */}
-              <button 
-                onClick={toggleArm}
-                className={`relative overflow-hidden rounded-3xl p-5 text-left transition-all duration-300 shadow-sm group active:scale-95 ${
-                  deviceData.mode === 'ARMED' 
-                    ? 'bg-gradient-to-br from-green-500 to-green-600 text-white shadow-green-200' 
-                    : 'bg-white text-slate-600 hover:border-slate-300 border border-transparent'
-                }`}
-              >
-                <div className="absolute top-4 right-4 opacity-20 group-hover:opacity-40 transition-opacity">
-                  <ShieldCheck className="w-12 h-12" />
-                </div>
-                <div className="relative z-10">
-                  <div className={`p-2 rounded-xl w-fit mb-3 ${deviceData.mode === 'ARMED' ? 'bg-white/20' : 'bg-slate-100'}`}>
-                    <ShieldCheck className="w-6 h-6" />
-                  </div>
-                  <div className="text-xs font-bold opacity-80 uppercase tracking-wider mb-1">MODE</div>
-                  <div className="text-xl font-black tracking-tight">
-                    {deviceData.mode === 'ARMED' ? 'ARMED' : 'IDLE'}
-                  </div>
-                </div>
-              </button>
-            </section>
+          {/* 连接页 (尚无配对设备) */}
+          {visibleFleet.length === 0 && (
+            <div className="bg-white dark:bg-slate-900 rounded-3xl p-8 shadow-sm text-center space-y-6 mt-10">
+              <div className="w-20 h-20 bg-blue-50 dark:bg-blue-950/40 rounded-full flex items-center justify-center mx-auto ring-8 ring-blue-50/50 dark:ring-blue-900/50">
+                <Bluetooth className="w-10 h-10 text-blue-600 dark:text-blue-400" />
+              </div>
+              <div>
+                <h2 className="text-2xl font-bold text-slate-800 dark:text-slate-100">{t('scan.title')}</h2>
+                <p className="text-slate-400 mt-2">{t('scan.subtitle')}</p>
+              </div>
 
-            {/* 2. 倒计时卡片 */}
-            <section className="bg-white rounded-3xl p-6 shadow-sm border border-slate-100 relative overflow-hidden">
-              <div className="flex justify-between items-start mb-4 relative z-10">
-                <div>
-                  <h3 className="text-lg font-bold text-slate-800 flex items-center gap-2">
-                    <Timer className="w-5 h-5 text-orange-500" />
-                    倒计时
-                  </h3>
-                  <p className="text-xs text-slate-400 mt-1">
-                    {deviceData.mode === 'ARMED' ? '距离下一次自动启动' : '定时器未启动'}
-                  </p>
-                </div>
-                {deviceData.mode === 'ARMED' && (
-                  <span className="bg-orange-100 text-orange-600 text-xs font-bold px-2 py-1 rounded-lg">
-                    运行中
-                  </span>
+              <div className="space-y-3">
+                <button
+                  onClick={connectBLE}
+                  disabled={!isBluetoothSupported || scanning}
+                  className={`w-full font-bold py-4 rounded-xl shadow-lg transition-transform ${
+                    isBluetoothSupported
+                      ? 'bg-blue-600 text-white shadow-blue-200 dark:shadow-none active:scale-95'
+                      : 'bg-slate-300 dark:bg-slate-600 text-slate-500 dark:text-slate-400 cursor-not-allowed'
+                  }`}
+                >
+                  {t('scan.button')}
+                </button>
+                {serialSupported && (
+                  <button
+                    onClick={connectSerial}
+                    disabled={scanning}
+                    className="w-full font-bold py-3 rounded-xl bg-slate-800 dark:bg-slate-700 text-white flex items-center justify-center gap-2 active:scale-95 transition-transform"
+                  >
+                    <Usb className="w-5 h-5" /> {t('scan.serial')}
+                  </button>
                 )}
-              </div>
-              
-              <div className="relative z-10 text-center py-2">
-                <div className={`text-4xl font-mono font-black tracking-wider ${
-                  deviceData.mode === 'ARMED' ? 'text-slate-800' : 'text-slate-300'
-                }`}>
-                  {deviceData.mode === 'ARMED' 
-                    ? calculateCountdown(deviceData.deviceTs, deviceData.alarmH, deviceData.alarmM)
-                    : '--:--:--'
-                  }
-                </div>
-                {deviceData.mode !== 'ARMED' && (
-                  <div className="text-xs text-slate-400 mt-2">
-                    点击上方 <span className="font-bold text-slate-600">IDLE</span> 按钮以启动定时
-                  </div>
+                <button
+                  onClick={connectGateway}
+                  disabled={scanning}
+                  className="w-full font-bold py-3 rounded-xl bg-white dark:bg-slate-900 text-slate-700 dark:text-slate-200 border border-slate-200 dark:border-slate-700 flex items-center justify-center gap-2 active:scale-95 transition-transform"
+                >
+                  <Network className="w-5 h-5" /> {t('scan.gateway')}
+                </button>
+                {emulatorParams && (
+                  <button
+                    onClick={addEmulator}
+                    className="w-full font-bold py-3 rounded-xl bg-amber-50 dark:bg-amber-950/40 text-amber-700 dark:text-amber-300 border border-amber-200 dark:border-amber-900/50 active:scale-95 transition-transform"
+                  >
+                    {t('scan.emulator')}
+                  </button>
                 )}
+                {isBluetoothSupported && scanAllToggle}
               </div>
-            </section>
-
-            {/* 3. 参数配置区 */}
-            <section className="space-y-4">
-              <h3 className="text-sm font-bold text-slate-400 uppercase tracking-wider ml-2">Configuration</h3>
-              
-              {/* 闹钟设定 */}
-              <div className="bg-white rounded-2xl p-5 shadow-sm border border-slate-100 flex items-center justify-between">
-                <div className="flex items-center gap-4">
-                  <div className="bg-orange-50 p-3 rounded-xl text-orange-500">
-                    <AlertTriangle className="w-6 h-6" />
-                  </div>
-                  <div>
-                    <div className="text-xs font-bold text-slate-400 mb-1">定时时间</div>
-                    <div className="text-[10px] text-slate-400 font-mono mb-1">
-                      当前设备设定: <span className="text-orange-600 font-bold">{formatShortTime(deviceData.alarmH, deviceData.alarmM)}</span>
-                    </div>
-                    <div className="flex items-baseline gap-1">
-                      <select 
-                        value={pendingAlarmH} 
-                        onChange={(e) => setPendingAlarmH(e.target.value)}
-                        className="bg-transparent font-bold text-xl text-slate-800 outline-none p-0 cursor-pointer hover:text-orange-600 appearance-none"
-                      >
-                        {[...Array(24).keys()].map(h => <option key={h} value={h}>{String(h).padStart(2,'0')}</option>)}
-                      </select>
-                      <span className="text-slate-300">:</span>
-                      <select 
-                        value={pendingAlarmM} 
-                        onChange={(e) => setPendingAlarmM(e.target.value)}
-                        className="bg-transparent font-bold text-xl text-slate-800 outline-none p-0 cursor-pointer hover:text-orange-600 appearance-none"
+            </div>
+          )}
+
+          {/* 设备列表 */}
+          {visibleFleet.length > 0 && (
+            <section className="bg-white dark:bg-slate-900 rounded-3xl p-5 shadow-sm border border-slate-100 dark:border-slate-800 space-y-3">
+              <div className="flex items-center justify-between">
+                <h3 className="text-sm font-bold text-slate-400 uppercase tracking-wider">{t('fleet.title')}</h3>
+                <span className="text-2xs text-slate-400 font-mono">{t('fleet.onlineCount', { n: connected.length, total: visibleFleet.length })}</span>
+              </div>
+              <div className="divide-y divide-slate-50 dark:divide-slate-800">
+                {visibleFleet.map(entry => {
+                  const state = sessionState(entry.id);
+                  const pendingChanges = pendingCounts[entry.id] ?? 0;
+                  // 离线但面板仍在 (显示最后已知状态)
+                  const hasPanel = sessions.some(s => s.transport.id === entry.id);
+                  return (
+                    <div key={entry.id} className="py-2.5 flex items-center gap-3">
+                      <div className={`w-2 h-2 rounded-full shrink-0 ${STATE_DOTS[state]}`} aria-hidden="true" />
+                      <div className="flex-1 min-w-0">
+                        {renaming?.id === entry.id ? (
+                          <input
+                            autoFocus
+                            value={renaming.value}
+                            placeholder={entry.name || t('fleet.namePlaceholder')}
+                            aria-label={t('fleet.rename')}
+                            onChange={(e) => setRenaming({ id: entry.id, value: e.target.value })}
+                            onBlur={commitRename}
+                            onKeyDown={(e) => {
+                              if (e.key === 'Enter') commitRename();
+                              if (e.key === 'Escape') setRenaming(null);
+                            }}
+                            className="w-full bg-slate-50 dark:bg-slate-800/50 rounded px-2 py-1 text-sm font-bold outline-none"
+                          />
+                        ) : (
+                          <button
+                            onClick={() => hasPanel && setExpandedId(entry.id)}
+                            className="w-full text-left"
+                          >
+                            <div className="text-sm font-bold text-slate-700 dark:text-slate-200 truncate">{displayName(entry, t('fleet.unnamed'))}</div>
+                            <div className="text-2xs text-slate-400 font-mono truncate">
+                              {entry.kind === TRANSPORT_KINDS.SERIAL && 'USB · '}
+                              {entry.kind === TRANSPORT_KINDS.GATEWAY && 'GW · '}
+                              {entry.alias && entry.name ? `${entry.name} · ` : ''}{t(`fleet.states.${state}`)}
+                              {pendingChanges > 0 && <span className="text-amber-600 dark:text-amber-400 font-bold"> · {t('fleet.pending', { n: pendingChanges })}</span>}
+                            </div>
+                          </button>
+                        )}
+                      </div>
+                      <button
+                        onClick={() => setRenaming({ id: entry.id, value: entry.alias })}
+                        className="p-1.5 text-slate-300 dark:text-slate-600 hover:text-slate-600 dark:hover:text-slate-300"
+                        title={t('fleet.rename')}
+                        aria-label={t('fleet.rename')}
                       >
-                        {[...Array(60).keys()].map(m => <option key={m} value={m}>{String(m).padStart(2,'0')}</option>)}
-                      </select>
+                        <Pencil className="w-4 h-4" />
+                      </button>
+                      {state === 'offline' && (
+                        <>
+                          <button
+                            onClick={() => connectEntry(entry)}
+                            className="px-3 py-1.5 rounded-lg bg-slate-800 dark:bg-slate-700 text-white text-xs font-bold active:scale-95 transition-transform"
+                          >
+                            {t('fleet.connect')}
+                          </button>
+                          {!hasPanel && (
+                            <button
+                              onClick={() => forgetEntry(entry)}
+                              className="p-1.5 text-slate-300 dark:text-slate-600 hover:text-red-500"
+                              title={t('fleet.forget')}
+                              aria-label={t('fleet.forget')}
+                            >
+                              <XCircle className="w-4 h-4" />
+                            </button>
+                          )}
+                        </>
+                      )}
                     </div>
-                  </div>
-                </div>
-                <button 
-                  onClick={handleSetAlarm} 
-                  className="bg-slate-800 text-white p-3 rounded-xl active:scale-95 transition-transform shadow-lg shadow-slate-200"
-                  title="保存并发送"
+                  );
+                })}
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={connectBLE}
+                  disabled={!isBluetoothSupported || scanning}
+                  className="flex-1 py-2.5 rounded-xl bg-blue-600 text-white text-xs font-bold flex items-center justify-center gap-1 active:scale-95 transition-transform disabled:bg-slate-300 dark:disabled:bg-slate-600 disabled:text-slate-500 dark:disabled:text-slate-400"
                 >
-                  <CheckCircle className="w-5 h-5" />
+                  <Plus className="w-4 h-4" /> {t('fleet.scan')}
                 </button>
-              </div>
-
-              {/* 时间同步 */}
-              <div className="bg-white rounded-2xl p-5 shadow-sm border border-slate-100 flex items-center justify-between">
-                <div className="flex items-center gap-4">
-                  <div className="bg-blue-50 p-3 rounded-xl text-blue-500">
-                    <Clock className="w-6 h-6" />
-                  </div>
-                  <div>
-                    <div className="text-xs font-bold text-slate-400">设备时钟</div>
-                    <div className="font-mono text-lg font-bold text-slate-700">
-                      {formatTime(deviceData.deviceTs)}
-                    </div>
-                  </div>
-                </div>
-                <button 
-                  onClick={handleSyncTime} 
-                  className="bg-blue-50 text-blue-600 p-3 rounded-xl hover:bg-blue-100 active:scale-95 transition-colors"
-                  title="同步手机时间"
+                {serialSupported && (
+                  <button
+                    onClick={connectSerial}
+                    disabled={scanning}
+                    className="flex-1 py-2.5 rounded-xl bg-slate-800 dark:bg-slate-700 text-white text-xs font-bold flex items-center justify-center gap-1 active:scale-95 transition-transform"
+                  >
+                    <Usb className="w-4 h-4" /> {t('fleet.serial')}
+                  </button>
+                )}
+                <button
+                  onClick={connectGateway}
+                  disabled={scanning}
+                  className="flex-1 py-2.5 rounded-xl bg-white dark:bg-slate-900 text-slate-700 dark:text-slate-200 border border-slate-200 dark:border-slate-700 text-xs font-bold flex items-center justify-center gap-1 active:scale-95 transition-transform"
                 >
-                  <RefreshCw className="w-5 h-5" />
+                  <Network className="w-4 h-4" /> {t('fleet.gateway')}
                 </button>
+                {emulatorParams && (
+                  <button
+                    onClick={addEmulator}
+                    className="flex-1 py-2.5 rounded-xl bg-amber-50 dark:bg-amber-950/40 text-amber-700 dark:text-amber-300 border border-amber-200 dark:border-amber-900/50 text-xs font-bold flex items-center justify-center gap-1 active:scale-95 transition-transform"
+                  >
+                    <Plus className="w-4 h-4" /> {t('fleet.addEmulator')}
+                  </button>
+                )}
               </div>
+              {isBluetoothSupported && scanAllToggle}
             </section>
-
-            {/* 4. 底部断开 */}
-            <section className="pt-4">
-              <button onClick={() => { if(server) server.disconnect(); onDisconnected(); }} className="w-full py-3 text-red-400 text-sm font-medium hover:text-red-600 flex items-center justify-center gap-2">
-                <XCircle className="w-4 h-4" /> 断开设备连接
-              </button>
-              
-              <div className="mt-4 bg-slate-200 rounded-lg p-2 h-20 overflow-y-auto text-[10px] font-mono text-slate-500">
-                {logs.map((l,i) => <div key={i}>{l}</div>)}
+          )}
+
+          {/* 预设 */}
+          {visibleFleet.length > 0 && (
+            <PresetManager presets={presets} onChange={updatePresets} onToast={showToast} onLog={addLog} />
+          )}
+
+          {/* 后台通知 */}
+          {visibleFleet.length > 0 && (
+            <section className="bg-white dark:bg-slate-900 rounded-2xl p-4 shadow-sm border border-slate-100 dark:border-slate-800 space-y-3 text-xs text-slate-500 dark:text-slate-400">
+              <div className="flex items-center gap-2 font-bold text-slate-400 uppercase tracking-wider">
+                <Bell className="w-4 h-4" /> {t('notify.title')}
               </div>
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={settings.notifications && notifyPermission === 'granted'}
+                  disabled={notifyPermission === 'unsupported'}
+                  onChange={(e) => toggleNotifications(e.target.checked)}
+                />
+                {t('notify.enable')}
+              </label>
+              {settings.notifications && notifyPermission === 'granted' && (
+                <label className="flex items-center justify-between gap-2">
+                  {t('notify.remindBefore')}
+                  <select
+                    value={settings.reminderMinutes}
+                    onChange={(e) => updateSettings({ reminderMinutes: Number(e.target.value) })}
+                    className="bg-slate-50 dark:bg-slate-800/50 rounded px-1 py-0.5 font-bold outline-none"
+                  >
+                    {REMINDER_OPTIONS.map(min => (
+                      <option key={min} value={min}>{min ? t('units.minutes', { n: min }) : t('notify.reminderOff')}</option>
+                    ))}
+                  </select>
+                </label>
+              )}
+              {notifyPermission === 'denied' && <p className="text-red-500">{t('notify.denied')}</p>}
+              {notifyPermission === 'unsupported' && <p>{t('notify.unsupported')}</p>}
             </section>
-
-          </>
-        )}
+          )}
+
+          {/* 批量操作 */}
+          {sessions.length > 1 && (
+            <section className="grid grid-cols-3 gap-2">
+              {[
+                { label: t('bulk.armAll'), icon: ShieldCheck, action: (a) => a.setArmed(true) },
+                { label: t('bulk.disarmAll'), icon: ShieldOff, action: (a) => a.setArmed(false) },
+                { label: t('bulk.syncAll'), icon: Clock, action: (a) => a.syncTime() },
+              ].map(({ label, icon, action }) => {
+                const Icon = icon;
+                return (
+                  <button
+                    key={label}
+                    onClick={() => runBulk(label, action)}
+                    disabled={!connected.length || bulkBusy !== null}
+                    className="bg-white dark:bg-slate-900 rounded-2xl py-3 shadow-sm border border-slate-100 dark:border-slate-800 text-xs font-bold text-slate-600 dark:text-slate-300 flex flex-col items-center gap-1 active:scale-95 transition-transform disabled:opacity-50"
+                  >
+                    <Icon className={`w-5 h-5 ${bulkBusy === label ? 'animate-pulse text-blue-500' : ''}`} />
+                    {label}
+                  </button>
+                );
+              })}
+            </section>
+          )}
+
+          {/* 各设备面板 */}
+          {sessions.map(({ transport }) => (
+            <DevicePanel
+              key={transport.id}
+              transport={transport}
+              alias={nameOf(transport)}
+              expanded={expandedId === transport.id}
+              onToggleExpand={() => setExpandedId(expandedId === transport.id ? null : transport.id)}
+              settings={settings}
+              onUpdateSettings={updateSettings}
+              presets={presets}
+              onLog={addLog}
+              onToast={showToast}
+              onStateChange={reportState}
+              onClosed={closeSession}
+              registerActions={registerActions}
+              onRaw={diagnostics.push}
+              onRename={(value) => updateFleet(prev => renameDevice(prev, transport.id, value))}
+            />
+          ))}
+
+          {logs.length > 0 && (
+            <div
+              role="button"
+              tabIndex={0}
+              onClick={() => setView('history')}
+              onKeyDown={(e) => {
+                if (e.key !== 'Enter' && e.key !== ' ') return;
+                e.preventDefault();
+                setView('history');
+              }}
+              aria-label={t('log.viewHistory')}
+              className="bg-slate-200 dark:bg-slate-700 rounded-lg p-2 h-20 overflow-y-auto text-2xs font-mono text-slate-500 dark:text-slate-400 cursor-pointer flex flex-col-reverse"
+              title={t('log.viewHistory')}
+            >
+              {[...logs].reverse().map((l,i) => (
+                <div key={i}>{formatTime(new Date(l.ts))} [{l.type}] {l.device && `${l.device}: `}{l.msg}</div>
+              ))}
+            </div>
+          )}
+        </div>
       </main>
     </div>
   );
-}
\ No newline at end of file
+}
@@ -0,0 +1,145 @@
+// ==========================================
+// 认证：配对密钥、挑战应答与指令签名 (WebCrypto HMAC-SHA256)
+// ==========================================
+// 协议见 protocol.js 头部 P:/H:/C:/V: 与签名指令说明。
+// 密钥按设备 id 保存在 localStorage，可在面板上查看并分享给班组其他手机。
+
+import {
+  PACKET, SECRET_BYTES, NONCE_BYTES, MAC_BYTES, SIGN_SEPARATOR,
+  toBytes, encodeHello, encodeVerify, encodeSigned,
+} from './protocol.js';
+
+const SECRETS_KEY = 'insulctrl.secrets';
+
+// H:/V: 本身用于建立认证，不签名
+const UNSIGNED = new Set([PACKET.HELLO, PACKET.VERIFY]);
+
+export const AUTH_DEFAULTS = {
+  timeout: 3000, // 等待 C: 挑战的时间 (ms)
+};
+
+export const toHex = (bytes) => Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+
+const fromHex = (hex) => Uint8Array.from(hex.match(/../g), b => parseInt(b, 16));
+
+export const randomHex = (bytes) => toHex(crypto.getRandomValues(new Uint8Array(bytes)));
+
+export const generateSecret = () => randomHex(SECRET_BYTES);
+
+// 用户粘贴的密钥允许空格/大写，不合法返回 null
+export const normalizeSecret = (str) => {
+  const hex = String(str).replace(/\s+/g, '').toLowerCase();
+  return new RegExp(`^[0-9a-f]{${SECRET_BYTES * 2}}$`).test(hex) ? hex : null;
+};
+
+// ==========================================
+// 密钥存储 { 设备 id: hex }
+// ==========================================
+const loadSecrets = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SECRETS_KEY)) ?? {};
+  } catch {
+    return {};
+  }
+};
+
+const saveSecrets = (secrets) => {
+  try {
+    localStorage.setItem(SECRETS_KEY, JSON.stringify(secrets));
+  } catch {
+    // 隐私模式下 localStorage 可能不可用，忽略
+  }
+};
+
+export const loadSecret = (id) => loadSecrets()[id] ?? null;
+
+export const saveSecret = (id, secret) => saveSecrets({ ...loadSecrets(), [id]: secret });
+
+export const forgetSecret = (id) => {
+  const { [id]: _removed, ...rest } = loadSecrets();
+  saveSecrets(rest);
+};
+
+// ==========================================
+// HMAC
+// ==========================================
+export const importSecret = (secret) => crypto.subtle.importKey(
+  'raw', fromHex(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'],
+);
+
+const hmacHex = async (key, message) => {
+  const mac = await crypto.subtle.sign('HMAC', key, toBytes(message));
+  return toHex(new Uint8Array(mac).slice(0, MAC_BYTES));
+};
+
+export const challengeResponse = (key, nonce) => hmacHex(key, `${PACKET.VERIFY}:${nonce}`);
+
+export const commandMac = (key, nonce, counter, cmd) => (
+  hmacHex(key, [nonce, counter, cmd].join(SIGN_SEPARATOR))
+);
+
+export const createNonce = () => randomHex(NONCE_BYTES);
+
+// ==========================================
+// 单次连接的认证会话
+// ==========================================
+// 用法: prepare(secret, write) 取得挑战并返回 V: 应答指令 (由调用方经指令事务发送并确认)；
+// 之后经 write(cmd, rawWrite) 发出的指令自动签名。断线时 reset()。
+export const createAuthSession = ({ timeout = AUTH_DEFAULTS.timeout } = {}) => {
+  let key = null;
+  let nonce = null;
+  let counter = 0;
+  let waiter = null; // 等待 C: 挑战 { resolve, reject, timer }
+  let queue = Promise.resolve();
+
+  const settle = (fn, value) => {
+    if (!waiter) return;
+    clearTimeout(waiter.timer);
+    const current = waiter;
+    waiter = null;
+    current[fn](value);
+  };
+
+  const requestChallenge = (rawWrite) => new Promise((resolve, reject) => {
+    settle('reject', new Error('Superseded'));
+    waiter = { resolve, reject };
+    waiter.timer = setTimeout(() => settle('reject', new Error('Challenge timed out')), timeout);
+    Promise.resolve(rawWrite(encodeHello())).catch(error => settle('reject', error));
+  });
+
+  const prepare = async (secret, rawWrite) => {
+    const nextKey = await importSecret(secret);
+    const nextNonce = await requestChallenge(rawWrite);
+    key = nextKey;
+    nonce = nextNonce;
+    counter = 0;
+    return encodeVerify(await challengeResponse(key, nonce));
+  };
+
+  // 所有解析成功的包都交给这里，返回 true 表示已消费
+  const handlePacket = (packet) => {
+    if (packet.type !== PACKET.CHALLENGE || !waiter) return false;
+    settle('resolve', packet.nonce);
+    return true;
+  };
+
+  // 签名并写入；串行执行，保证计数按递增顺序到达设备
+  const write = (cmd, rawWrite) => {
+    if (!key || UNSIGNED.has(cmd[0])) return rawWrite(cmd);
+    const run = queue.then(async () => {
+      counter += 1;
+      return rawWrite(encodeSigned(cmd, counter, await commandMac(key, nonce, counter, cmd)));
+    });
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  const reset = () => {
+    settle('reject', new Error('Disconnected'));
+    key = null;
+    nonce = null;
+    counter = 0;
+  };
+
+  return { prepare, handlePacket, write, reset };
+};
@@ -0,0 +1,171 @@
+// ==========================================
+// BLE 传输 (GATT 连接 / 已授权设备)
+// ==========================================
+
+import { toBytes } from './protocol.js';
+import { TRANSPORT_KINDS, dispatchFrame, dispatchDisconnect, dispatchInfo } from './transport.js';
+
+export const SERVICE_UUID = "0000aaaa-0000-1000-8000-00805f9b34fb";
+export const CHAR_UUID_CMD = "0000bbbb-0000-1000-8000-00805f9b34fb";
+// 固件升级 (二进制消息，见 dfu.js)，老固件没有此特征值
+export const CHAR_UUID_DFU = "0000cccc-0000-1000-8000-00805f9b34fb";
+
+// 出厂广播名前缀，部分老固件广播中不带服务 UUID，按名称兜底匹配
+export const NAME_PREFIX = "InsulCtrl";
+
+// 标准 GATT 服务 (Device Information / Battery)，需在 optionalServices 中声明才能访问
+export const INFO_SERVICE = 'device_information';
+export const BATTERY_SERVICE = 'battery_service';
+
+// 设备信息字段 -> 特征值。serial_number_string 在 Chrome 的 GATT 黑名单中，读取会失败 (显示为不可用)
+export const INFO_CHARACTERISTICS = {
+  manufacturer: 'manufacturer_name_string',
+  model: 'model_number_string',
+  hardware: 'hardware_revision_string',
+  firmware: 'firmware_revision_string',
+  serial: 'serial_number_string',
+};
+
+// 弹出系统选择框。默认只列出 InsulCtrl 设备；acceptAll 为兜底选项 (找不到设备时)
+export const requestBleDevice = ({ acceptAll = false } = {}) => navigator.bluetooth.requestDevice({
+  ...(acceptAll
+    ? { acceptAllDevices: true }
+    : { filters: [{ services: [SERVICE_UUID] }, { namePrefix: NAME_PREFIX }] }),
+  optionalServices: [SERVICE_UUID, INFO_SERVICE, BATTERY_SERVICE],
+});
+
+// 建立 GATT 连接并开启通知，返回 { server, characteristic }
+export const openCharacteristic = async (device, onNotify) => {
+  const server = await device.gatt.connect();
+  const service = await server.getPrimaryService(SERVICE_UUID);
+  const characteristic = await service.getCharacteristic(CHAR_UUID_CMD);
+  await characteristic.startNotifications();
+  characteristic.addEventListener('characteristicvaluechanged', onNotify);
+  return { server, characteristic };
+};
+
+const textDecoder = new TextDecoder();
+
+// 逐项读取，单项失败 (服务不存在、黑名单) 记为 null，不影响其余字段
+const readInfoService = async (server) => {
+  const info = Object.fromEntries(Object.keys(INFO_CHARACTERISTICS).map(k => [k, null]));
+  let service;
+  try {
+    service = await server.getPrimaryService(INFO_SERVICE);
+  } catch {
+    return info;
+  }
+  for (const [key, uuid] of Object.entries(INFO_CHARACTERISTICS)) {
+    try {
+      const value = await (await service.getCharacteristic(uuid)).readValue();
+      info[key] = textDecoder.decode(value).replace(/\0+$/, '').trim() || null;
+    } catch {
+      // 该设备没有此特征值或浏览器禁止读取
+    }
+  }
+  return info;
+};
+
+// 包装 BluetoothDevice (或 emulator.js 的模拟设备) 为 transport，见 transport.js。
+// 同一设备应只包装一次：断线监听注册在 device 上。
+export const createBleTransport = (device) => {
+  let characteristic = null;
+  let batteryChar = null;
+
+  const transport = Object.assign(new EventTarget(), {
+    kind: TRANSPORT_KINDS.BLE,
+    id: device.id,
+    name: device.name,
+    emulated: !!device.emulated,
+    device,
+  });
+
+  // 每个通知就是一帧；重连后特征值对象可能更换，监听函数保持同一引用
+  const onNotify = (event) => dispatchFrame(transport, event.target.value);
+
+  const onBattery = (event) => dispatchInfo(transport, { battery: event.target.value.getUint8(0) });
+
+  // 信号强度只能从广播包获得 (实验性 API，连接后多数设备也会继续广播)
+  const onAdvertisement = (event) => {
+    if (event.rssi !== undefined && event.rssi !== null) dispatchInfo(transport, { rssi: event.rssi });
+  };
+  device.addEventListener('advertisementreceived', onAdvertisement);
+
+  device.addEventListener('gattserverdisconnected', () => {
+    characteristic = null;
+    batteryChar = null;
+    dispatchDisconnect(transport);
+  });
+
+  transport.connect = async () => {
+    ({ characteristic } = await openCharacteristic(device, onNotify));
+  };
+
+  transport.write = async (str) => {
+    if (!characteristic) throw new Error("Not connected");
+    // 直接发送短字符串，无需 JSON，无需 # 结束符 (签名指令超过 20 字节，依赖协商后的 MTU)
+    await characteristic.writeValue(toBytes(str));
+  };
+
+  transport.disconnect = () => {
+    if (device.gatt.connected) device.gatt.disconnect();
+  };
+
+  // 读取 Device Information / Battery，并订阅电量变化与广播 RSSI (见 transport.js 'info' 事件)
+  transport.readInfo = async () => {
+    const server = device.gatt;
+    const info = { ...await readInfoService(server), battery: null, rssi: null };
+    try {
+      const service = await server.getPrimaryService(BATTERY_SERVICE);
+      batteryChar = await service.getCharacteristic('battery_level');
+      info.battery = (await batteryChar.readValue()).getUint8(0);
+      if (batteryChar.properties?.notify) {
+        batteryChar.addEventListener('characteristicvaluechanged', onBattery);
+        await batteryChar.startNotifications();
+      }
+    } catch {
+      // 设备没有电池服务 (市电供电)
+    }
+    if (device.watchAdvertisements && !device.watchingAdvertisements) {
+      device.watchAdvertisements().catch(() => {});
+    }
+    return info;
+  };
+
+  // 打开固件升级通道 (见 dfu.js createDfuSession)，onMessage 收到每条通知的 DataView
+  transport.openDfu = async (onMessage) => {
+    if (!characteristic) throw new Error("Not connected");
+    const service = await device.gatt.getPrimaryService(SERVICE_UUID);
+    const dfuChar = await service.getCharacteristic(CHAR_UUID_DFU);
+    const listener = (event) => onMessage(event.target.value);
+    dfuChar.addEventListener('characteristicvaluechanged', listener);
+    await dfuChar.startNotifications();
+    return {
+      // 数据块不等应答，流控由设备的 PROGRESS 回报完成
+      write: (bytes) => {
+        if (!device.gatt.connected) return Promise.reject(new Error("Not connected"));
+        return dfuChar.writeValueWithoutResponse(bytes);
+      },
+      close: () => {
+        dfuChar.removeEventListener('characteristicvaluechanged', listener);
+        if (device.gatt.connected) dfuChar.stopNotifications().catch(() => {});
+      },
+    };
+  };
+
+  return transport;
+};
+
+// ==========================================
+// 已授权设备
+// ==========================================
+// 通过 getDevices() 找回此前授权过的设备 (Chrome 需开启对应 flag)，返回 { id: BluetoothDevice }
+export const getAuthorizedDevices = async () => {
+  if (!navigator.bluetooth?.getDevices) return {};
+  try {
+    const devices = await navigator.bluetooth.getDevices();
+    return Object.fromEntries(devices.map(d => [d.id, d]));
+  } catch {
+    return {};
+  }
+};
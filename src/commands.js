@@ -0,0 +1,155 @@
+// ==========================================
+// 指令事务 (发送 -> 等待状态包确认 -> 超时重试)
+// ==========================================
+// 每条 T/A/R/M 指令都登记为一个事务，附带"期望的设备状态"。
+// 收到满足期望的 S: 状态包时事务完成；超时则重发，重试用尽后以 CommandError 失败。
+// 写入失败 (链路已断) 立即失败而不重试：否则断线期间的指令会在链路恢复后才送达，
+// 例如重连中按下的吸合在几秒后意外生效。
+
+import { PACKET, decodePacket } from './protocol.js';
+
+export const COMMAND_DEFAULTS = {
+  timeout: 3000,
+  retries: 2,
+};
+
+export const COMMAND_ERROR_CODES = Object.freeze({
+  TIMEOUT: 'TIMEOUT',     // 重试用尽仍未收到匹配的状态包
+  CANCELLED: 'CANCELLED', // 断开连接等原因被主动取消
+  WRITE: 'WRITE',         // 写入传输层失败 (未连接、链路断开)
+});
+
+export class CommandError extends Error {
+  constructor(code, message, cmd, options) {
+    super(message, options);
+    this.name = 'CommandError';
+    this.code = code;
+    this.cmd = cmd;
+  }
+}
+
+// 设备回读时钟与写入值的允许误差 (秒)，覆盖写入到下一个状态包之间的时间
+export const CLOCK_TOLERANCE = 3;
+
+// 定时剩余秒数与设定值的允许误差，同上
+const near = (actual, expected) => Math.abs(actual - expected) <= CLOCK_TOLERANCE;
+
+// 根据指令推导出确认用的状态判定函数 (status => boolean)
+export const expectationFor = (cmdStr) => {
+  const cmd = decodePacket(cmdStr);
+  switch (cmd.type) {
+    case PACKET.TIME:
+      // v4 固件回报 RTC，按回读时间确认；老固件收到下一个状态包即视为已处理
+      return (s) => s.clock === undefined || Math.abs(s.clock - cmd.ts) <= CLOCK_TOLERANCE;
+    case PACKET.ALARM:
+      return (s) => s.alarmH === cmd.h && s.alarmM === cmd.m;
+    case PACKET.RELAY:
+      return (s) => s.relay === cmd.on;
+    case PACKET.MODE:
+      return (s) => (cmd.armed ? s.mode === 'ARMED' : s.mode === 'IDLE');
+    case PACKET.DURATION:
+      return (s) => s.runMinutes === cmd.minutes;
+    case PACKET.SCHED_COUNT:
+      return (s) => s.schedCount === cmd.count;
+    case PACKET.PAIR:
+      // 写入新密钥后设备要求重新认证
+      return (s) => s.auth === 'LOCKED';
+    case PACKET.VERIFY:
+      return (s) => s.auth === 'AUTHED';
+    case PACKET.TIMER:
+      if (cmd.cancel) return (s) => s.timerStart === 0 && s.timerEnd === 0;
+      // 延时 0 立即吸合；运行 0 表示不设断开时间
+      return (s) => (
+        (cmd.delay === 0 ? s.relay && s.timerStart === 0 : near(s.timerStart, cmd.delay * 60))
+        && (cmd.run === 0 ? s.timerEnd === 0 : near(s.timerEnd, (cmd.delay + cmd.run) * 60))
+      );
+    default:
+      // W: 状态包不含对应字段，收到下一个状态包即视为已处理 (周计划以 Q: 回读校验)
+      return () => true;
+  }
+};
+
+// onChange(pending) 在进行中的事务变化时回调，pending 形如 { R: true, A: true }
+// onRetry(cmd, n, max) 在第 n 次超时重发时回调 (日志由调用方记录)
+export const createCommandTracker = ({ onChange = () => {}, onRetry = () => {}, ...options } = {}) => {
+  const opts = { ...COMMAND_DEFAULTS, ...options };
+  const transactions = new Set();
+
+  const notify = () => {
+    const pending = {};
+    transactions.forEach(tx => { pending[tx.type] = true; });
+    onChange(pending);
+  };
+
+  const finish = (tx) => {
+    clearTimeout(tx.timer);
+    transactions.delete(tx);
+    notify();
+  };
+
+  const attempt = (tx) => {
+    tx.attempts += 1;
+    // 重发时可重新生成指令 (如 T: 需要带上最新时间)
+    if (tx.attempts > 1 && tx.rebuild) {
+      tx.cmd = tx.rebuild();
+      tx.expect = expectationFor(tx.cmd);
+    }
+    if (tx.attempts > 1) onRetry(tx.cmd, tx.attempts - 1, opts.retries);
+    Promise.resolve(tx.write(tx.cmd)).catch(error => {
+      if (!transactions.has(tx)) return;
+      finish(tx);
+      // 保留原始错误 (如网关拒绝的原因)，供界面给出具体提示
+      tx.reject(new CommandError(COMMAND_ERROR_CODES.WRITE, error.message, tx.cmd, { cause: error }));
+    });
+    tx.timer = setTimeout(() => {
+      if (tx.attempts <= opts.retries) {
+        attempt(tx);
+      } else {
+        finish(tx);
+        tx.reject(new CommandError(
+          COMMAND_ERROR_CODES.TIMEOUT,
+          `No confirmation for "${tx.cmd}" after ${tx.attempts} attempts`,
+          tx.cmd,
+        ));
+      }
+    }, opts.timeout);
+  };
+
+  // 发送指令，返回在设备确认后 resolve 的 Promise
+  // rebuild: 可选，重试时调用以生成新的指令字符串
+  const send = (cmd, write, { rebuild } = {}) => new Promise((resolve, reject) => {
+    const tx = {
+      cmd,
+      type: cmd[0],
+      expect: expectationFor(cmd),
+      write,
+      rebuild,
+      attempts: 0,
+      timer: null,
+      resolve,
+      reject,
+    };
+    transactions.add(tx);
+    notify();
+    attempt(tx);
+  });
+
+  // 每个解析成功的状态包都交给这里匹配
+  const handleStatus = (status) => {
+    transactions.forEach(tx => {
+      if (tx.expect(status)) {
+        finish(tx);
+        tx.resolve(status);
+      }
+    });
+  };
+
+  const cancelAll = (reason = 'Cancelled') => {
+    transactions.forEach(tx => {
+      finish(tx);
+      tx.reject(new CommandError(COMMAND_ERROR_CODES.CANCELLED, reason, tx.cmd));
+    });
+  };
+
+  return { send, handleStatus, cancelAll };
+};
@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import { AlarmClock, CheckCircle, RefreshCw } from 'lucide-react';
+import { formatMinutes } from '../schedule.js';
+import { useI18n } from '../useI18n.js';
+
+const HOURS = [...Array(24).keys()];
+const MINUTES = [...Array(60).keys()];
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+// ==========================================
+// 每日闹钟 (不支持周计划的 v1 固件)
+// ==========================================
+// value 为设备当前闹钟或离线队列中的目标值 (当天分钟数)；onSave(h, m) 返回是否已确认或已排队。
+// 离线时同样可以修改，由控制器排入离线队列 (见 offline.js)。
+export default function AlarmCard({ value, pending, onSave }) {
+  const { t } = useI18n();
+  const [draft, setDraft] = useState(null);
+  const minutes = draft ?? value;
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+
+  const save = async () => {
+    if (await onSave(h, m)) setDraft(null);
+  };
+
+  const selectClass = 'bg-transparent font-bold text-xl text-slate-800 dark:text-slate-100 outline-none p-0 cursor-pointer hover:text-orange-600 appearance-none';
+
+  return (
+    <div className="bg-white dark:bg-slate-900 rounded-2xl p-5 shadow-sm border border-slate-100 dark:border-slate-800 space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-4">
+          <div className="bg-orange-50 dark:bg-orange-950/40 p-3 rounded-xl text-orange-500">
+            <AlarmClock className="w-6 h-6" />
+          </div>
+          <div>
+            <div className="text-xs font-bold text-slate-400 mb-1">{t('alarm.title')}</div>
+            <div className="text-2xs text-slate-400 font-mono mb-1">
+              {t('alarm.current', { time: <span className="text-orange-600 dark:text-orange-400 font-bold">{formatMinutes(value)}</span> })}
+            </div>
+            <div className="flex items-baseline gap-1">
+              <select
+                value={h}
+                onChange={(e) => setDraft(Number(e.target.value) * 60 + m)}
+                aria-label={t('alarm.hour')}
+                className={selectClass}
+              >
+                {HOURS.map(n => <option key={n} value={n}>{pad2(n)}</option>)}
+              </select>
+              <span className="text-slate-300 dark:text-slate-600">:</span>
+              <select
+                value={m}
+                onChange={(e) => setDraft(h * 60 + Number(e.target.value))}
+                aria-label={t('alarm.minute')}
+                className={selectClass}
+              >
+                {MINUTES.map(n => <option key={n} value={n}>{pad2(n)}</option>)}
+              </select>
+            </div>
+          </div>
+        </div>
+        <button
+          onClick={save}
+          disabled={pending}
+          className="bg-slate-800 dark:bg-slate-700 text-white p-3 rounded-xl active:scale-95 transition-transform shadow-lg shadow-slate-200 dark:shadow-none disabled:bg-slate-400"
+          title={t(pending ? 'config.waiting' : 'config.save')}
+          aria-label={t(pending ? 'config.waiting' : 'config.save')}
+        >
+          {pending
+            ? <RefreshCw className="w-5 h-5 animate-spin" />
+            : <CheckCircle className="w-5 h-5" />}
+        </button>
+      </div>
+      <div className="text-2xs text-slate-400">{t('alarm.hint')}</div>
+    </div>
+  );
+}
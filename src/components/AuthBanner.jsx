@@ -0,0 +1,70 @@
+import React, { useState } from 'react';
+import { Lock, LockOpen, KeyRound, RefreshCw } from 'lucide-react';
+import { useI18n } from '../useI18n.js';
+
+// ==========================================
+// 认证提示：未配对警告、配对窗口、需要密钥 / 认证失败
+// ==========================================
+// auth 为状态包上报的认证状态 (见 protocol.js AUTH_STATES)，已认证或老固件时不显示。
+export default function AuthBanner({ auth, hasKey, busy, failed, onPair, onUseKey, onRetry }) {
+  const { t } = useI18n();
+  const [keyInput, setKeyInput] = useState('');
+
+  if (!auth || auth === 'AUTHED') return null;
+
+  if (auth === 'OPEN') {
+    return (
+      <div className="bg-amber-50 dark:bg-amber-950/40 border border-amber-100 dark:border-amber-900/50 rounded-2xl p-4 flex items-center gap-3 text-sm text-amber-700 dark:text-amber-300">
+        <LockOpen className="w-5 h-5 shrink-0" />
+        <div className="flex-1 text-xs">{t('auth.openWarning')}</div>
+        <button onClick={onPair} className="px-3 py-1.5 rounded-lg bg-amber-600 text-white text-xs font-bold">{t('auth.pair')}</button>
+      </div>
+    );
+  }
+
+  const submitKey = async () => {
+    if (await onUseKey(keyInput)) setKeyInput('');
+  };
+
+  return (
+    <div className="bg-red-50 dark:bg-red-950/40 border border-red-100 dark:border-red-900/50 rounded-2xl p-4 space-y-3 text-sm text-red-700 dark:text-red-300">
+      <div className="flex items-center gap-3">
+        {busy ? <RefreshCw className="w-5 h-5 animate-spin shrink-0" /> : <Lock className="w-5 h-5 shrink-0" />}
+        <div className="flex-1">
+          <div className="font-bold">
+            {busy ? t('auth.authenticating')
+              : auth === 'PAIRING' ? t('auth.pairingOpen')
+              : failed ? t('auth.rejected')
+              : t('auth.locked')}
+          </div>
+          {!busy && auth === 'LOCKED' && <div className="text-xs opacity-80">{t('auth.pairHint')}</div>}
+        </div>
+        {auth === 'PAIRING' && (
+          <button onClick={onPair} disabled={busy} className="px-3 py-1.5 rounded-lg bg-red-600 text-white text-xs font-bold">{t('auth.pair')}</button>
+        )}
+        {auth === 'LOCKED' && hasKey && !busy && (
+          <button onClick={onRetry} className="text-xs font-bold underline">{t('auth.retry')}</button>
+        )}
+      </div>
+      {auth === 'LOCKED' && !busy && (!hasKey || failed) && (
+        <div className="flex gap-2">
+          <input
+            value={keyInput}
+            placeholder={t('auth.keyPlaceholder')}
+            aria-label={t('auth.keyPlaceholder')}
+            onChange={(e) => setKeyInput(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && submitKey()}
+            className="flex-1 min-w-0 bg-white dark:bg-slate-900 rounded-lg px-2 py-1.5 text-xs font-mono text-slate-700 dark:text-slate-200 outline-none border border-red-100 dark:border-red-900/50"
+          />
+          <button
+            onClick={submitKey}
+            disabled={!keyInput.trim()}
+            className="px-3 py-1.5 rounded-lg bg-red-600 text-white text-xs font-bold flex items-center gap-1 disabled:opacity-50"
+          >
+            <KeyRound className="w-4 h-4" /> {t('auth.useKey')}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
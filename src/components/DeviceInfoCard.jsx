@@ -0,0 +1,79 @@
+import React, { useState } from 'react';
+import { Info, Pencil } from 'lucide-react';
+import { TRANSPORT_KINDS } from '../transport.js';
+import { useI18n } from '../useI18n.js';
+
+// 信号强度分级 (dBm)，仅用于提示文字
+const rssiLevel = (rssi) => (rssi >= -60 ? 'good' : rssi >= -75 ? 'fair' : 'weak');
+
+// ==========================================
+// 设备信息：名称 (本机保存)、型号 / 固件 / 序列号、电量与信号
+// ==========================================
+// info 为 transport.readInfo() 的结果 (见 transport.js)，读取前为 null。
+export default function DeviceInfoCard({ alias, transport, info, version, onRename }) {
+  const { t } = useI18n();
+  const [draft, setDraft] = useState(null);
+
+  const commit = () => {
+    if (draft !== null) onRename(draft);
+    setDraft(null);
+  };
+
+  const rows = [
+    ['model', info?.model],
+    ['manufacturer', info?.manufacturer],
+    ['hardware', info?.hardware],
+    ['firmware', info?.firmware],
+    ['serial', info?.serial],
+    ['protocol', version > 0 ? `v${version}` : null],
+    ['battery', info?.battery == null ? null : `${info.battery}%`],
+    ['rssi', info?.rssi == null ? null : `${info.rssi} dBm · ${t(`info.rssiLevels.${rssiLevel(info.rssi)}`)}`],
+    ['link', transport.kind === TRANSPORT_KINDS.SERIAL ? `USB${info?.usb ? ` ${info.usb}` : ''}`
+      : transport.kind === TRANSPORT_KINDS.GATEWAY ? `Gateway · ${info?.gateway ?? transport.url}`
+      : `Bluetooth · ${transport.name || '-'}`],
+    ['id', transport.id],
+  ];
+
+  return (
+    <div className="bg-white dark:bg-slate-900 rounded-2xl p-5 shadow-sm border border-slate-100 dark:border-slate-800 space-y-3">
+      <div className="flex items-center gap-4">
+        <div className="bg-slate-100 dark:bg-slate-800 p-3 rounded-xl text-slate-500 dark:text-slate-400">
+          <Info className="w-6 h-6" />
+        </div>
+        <div className="flex-1 min-w-0">
+          <div className="text-xs font-bold text-slate-400 mb-1">{t('info.name')}</div>
+          {draft === null ? (
+            <button onClick={() => setDraft(alias)} className="flex items-center gap-2 font-bold text-slate-700 dark:text-slate-200 max-w-full">
+              <span className="truncate">{alias}</span>
+              <Pencil className="w-3.5 h-3.5 text-slate-300 dark:text-slate-600 shrink-0" />
+            </button>
+          ) : (
+            <input
+              autoFocus
+              value={draft}
+              placeholder={transport.name || t('fleet.namePlaceholder')}
+              aria-label={t('info.name')}
+              onChange={(e) => setDraft(e.target.value)}
+              onBlur={commit}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') commit();
+                if (e.key === 'Escape') setDraft(null);
+              }}
+              className="w-full bg-slate-50 dark:bg-slate-800/50 rounded px-2 py-1 font-bold text-slate-700 dark:text-slate-200 outline-none"
+            />
+          )}
+        </div>
+      </div>
+      <dl className="border-t border-slate-50 dark:border-slate-800 pt-3 grid grid-cols-[auto,1fr] gap-x-4 gap-y-1.5 text-xs">
+        {rows.map(([key, value]) => (
+          <React.Fragment key={key}>
+            <dt className="text-slate-400">{t(`info.fields.${key}`)}</dt>
+            <dd className={`font-mono text-right truncate ${value ? 'text-slate-700 dark:text-slate-200' : 'text-slate-300 dark:text-slate-600'}`} title={value ?? t('info.unavailable')}>
+              {value ?? (info ? '—' : '…')}
+            </dd>
+          </React.Fragment>
+        ))}
+      </dl>
+    </div>
+  );
+}
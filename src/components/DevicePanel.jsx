@@ -0,0 +1,984 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Clock, Zap, ShieldCheck, RefreshCw, CheckCircle, Timer, XCircle,
+  Hourglass, ChevronDown, Bookmark, Lock, LockOpen, BatteryMedium, WifiOff, CloudUpload,
+  Power, PowerOff, ShieldOff, Flame, AlertTriangle,
+} from 'lucide-react';
+import { PACKET, MAX_RUN_MINUTES } from '../protocol.js';
+import { nextScheduleEvent, formatMinutes } from '../schedule.js';
+import { EVENT_TYPES } from '../history.js';
+import { useI18n } from '../useI18n.js';
+import { TRANSPORT_KINDS } from '../transport.js';
+import { showNotification } from '../notify.js';
+import { createUsageRecorder } from '../usage.js';
+import { createDeviceController, CONNECTION_STATES } from '../controller.js';
+import { queuedValue } from '../offline.js';
+import {
+  ACTIVATION_MODES, INTERLOCK_REASONS, HOLD_TO_ACTIVATE_MS, PIN_RELOCK_MS, loadSafety, saveSafety, hashPin, checkPin,
+} from '../safety.js';
+import { GatewayError } from '../gateway.js';
+import { useDeviceController, useControllerEvent } from '../useDeviceController.js';
+import ScheduleEditor from './ScheduleEditor.jsx';
+import AlarmCard from './AlarmCard.jsx';
+import RunningCard from './RunningCard.jsx';
+import AuthBanner from './AuthBanner.jsx';
+import SecurityCard from './SecurityCard.jsx';
+import DeviceInfoCard from './DeviceInfoCard.jsx';
+import FirmwareUpdateCard from './FirmwareUpdateCard.jsx';
+import PendingChangesCard from './PendingChangesCard.jsx';
+import TimerCard from './TimerCard.jsx';
+import TimerCountdownCard from './TimerCountdownCard.jsx';
+import TimerActions from './TimerActions.jsx';
+import SafetyCard from './SafetyCard.jsx';
+import PinLockBanner from './PinLockBanner.jsx';
+
+// ==========================================
+// 辅助工具函数
+// ==========================================
+// 设备时间不在今天 (如 RTC 掉电回到 1970) 时带上日期
+const formatDeviceClock = (ts, i18n) => {
+  const date = new Date(ts * 1000);
+  if (date.toDateString() === new Date().toDateString()) return i18n.formatTime(date);
+  return i18n.formatDateTime(date);
+};
+
+const formatDrift = (drift, t) => {
+  const abs = Math.abs(drift);
+  const sign = drift >= 0 ? '+' : '-';
+  if (abs < 60) return sign + t('units.seconds', { n: abs });
+  if (abs < 3600) return sign + t('units.minutes', { n: Math.round(abs / 60) });
+  if (abs < 86400) return sign + t('units.hours', { n: (abs / 3600).toFixed(1) });
+  return sign + t('units.days', { n: Math.round(abs / 86400) });
+};
+
+// 指令失败的提示：网关拒绝时说明原因 (见 gateway.js)，其余为设备未确认
+const GATEWAY_REFUSALS = {
+  [INTERLOCK_REASONS.CONFIRM]: 'toast.gatewayConfirm',
+  [INTERLOCK_REASONS.LOCKED]: 'toast.gatewayLocked',
+};
+
+const txFailedMessage = (error, t) => {
+  if (!(error.cause instanceof GatewayError)) return t('toast.notConfirmed');
+  return t(GATEWAY_REFUSALS[error.cause.reason] ?? 'toast.gatewayRejected', { message: error.message });
+};
+
+// 下一次定时事件：设备有周计划时按整周计算，否则沿用每日闹钟 (老固件)
+const nextEvent = (deviceTs, schedule, alarmH, alarmM) => {
+  if (!deviceTs) return null;
+  const now = new Date(deviceTs * 1000);
+  if (schedule.length) return nextScheduleEvent(schedule, now);
+  const alarm = new Date(now);
+  alarm.setHours(alarmH, alarmM, 0, 0);
+  if (alarm <= now) {
+    alarm.setDate(alarm.getDate() + 1);
+  }
+  return { kind: 'start', at: alarm, entry: null };
+};
+
+// 距离事件的毫秒数，按设备时钟计算
+const msUntil = (deviceTs, event) => event.at - deviceTs * 1000;
+
+const calculateCountdown = (deviceTs, event, t) => {
+  if (!deviceTs || !event) return "--:--:--";
+  const diff = msUntil(deviceTs, event);
+  const d = Math.floor(diff / 86400000);
+  const h = Math.floor((diff % 86400000) / 3600000);
+  const m = Math.floor((diff % 3600000) / 60000);
+  const s = Math.floor((diff % 60000) / 1000);
+
+  const hms = `${String(h).padStart(2,'0')}:${String(m).padStart(2,'0')}:${String(s).padStart(2,'0')}`;
+  return d > 0 ? t('countdown.days', { d, hms }) : hms;
+};
+
+// ==========================================
+// 单台设备面板：连接、状态、倒计时与控制
+// ==========================================
+// 连接与设备状态由控制器维护 (见 controller.js)，面板只负责展示、提示与系统通知。
+// 挂载时即连接 transport (见 transport.js)；主动断开或连接失败后调用 onClosed(id)，由父组件移除面板。
+// 重连失败且有最后已知状态时保留面板 (状态上报为 offline)，离线修改排队，重连后重放 (见 offline.js)。
+// 批量操作通过 registerActions(id, { setArmed, syncTime, reconnect, sendRaw }) 注册的函数调用，返回是否已确认。
+// 原始收发帧经 onRaw(entry) 交给诊断控制台 (见 diagnostics.js)。
+// 手动吸合的安全联锁 (确认/按住、PIN 锁、最长运行时间) 按设备保存 (见 safety.js)，由控制器统一执行。
+// presets 为全局预设列表 (见 presets.js)，在面板上一键应用；onRename(alias) 修改本机保存的设备名。
+export default function DevicePanel({
+  transport, alias, expanded, onToggleExpand,
+  settings, onUpdateSettings, presets, onLog, onToast,
+  onStateChange, onClosed, registerActions, onRename, onRaw,
+}) {
+  const i18n = useI18n();
+  const { t } = i18n;
+
+  const [safety, setSafety] = useState(() => loadSafety(transport.id));
+  const [controller] = useState(() => createDeviceController(transport, {
+    autoSyncClock: settings.autoSyncClock,
+    driftThreshold: settings.driftThreshold,
+    maxManualMinutes: safety.maxOnMinutes,
+    activation: safety.activation,
+    locked: !!safety.pinHash,
+  }));
+  const {
+    connection: connState, reconnect: reconnectAttempt,
+    device: deviceData, info: deviceInfo,
+    schedule, scheduleBusy, pending, secret, authBusy, authFailed,
+    stale, queue, conflicts,
+  } = useDeviceController(controller);
+  const online = connState === CONNECTION_STATES.CONNECTED;
+  // 连接出错但有最后已知状态：面板保留为离线仪表盘
+  const offline = connState === CONNECTION_STATES.ERROR;
+
+  useEffect(() => {
+    controller.configure({ autoSyncClock: settings.autoSyncClock, driftThreshold: settings.driftThreshold });
+  }, [controller, settings.autoSyncClock, settings.driftThreshold]);
+
+  useEffect(() => {
+    controller.configure({ maxManualMinutes: safety.maxOnMinutes, activation: safety.activation });
+  }, [controller, safety.maxOnMinutes, safety.activation]);
+
+  // 继电器吸合区间记录 (见 usage.js)
+  const [usage] = useState(() => createUsageRecorder(transport.id));
+
+  // 日志与提示都带上设备名，便于区分多台设备
+  const addLog = (msg, type = EVENT_TYPES.INFO, data = null) => onLog(msg, type, data, alias);
+  const showToast = (msg, type = 'success') => onToast(`${alias}: ${msg}`, type);
+  // 页面在后台时的系统通知，同一设备同类通知互相替换
+  const notify = (msg, tag) => {
+    if (!settings.notifications) return;
+    showNotification(alias, { body: msg, tag: `${transport.id}:${tag}` })
+      .catch(error => addLog(t('log.notifyFailed', { message: error.message }), EVENT_TYPES.ERROR));
+  };
+
+  // 主动断开后面板即被移除，不再上报
+  useEffect(() => {
+    if (connState === CONNECTION_STATES.DISCONNECTED) return;
+    onStateChange(transport.id, connState === CONNECTION_STATES.ERROR ? 'offline' : connState);
+  }, [transport.id, connState, onStateChange]);
+
+  // ==========================================
+  // 控制器事件 -> 日志、提示与通知
+  // ==========================================
+  useControllerEvent(controller, 'log', ({ key, params, msg, type, data }) => {
+    addLog(msg ?? t(key, params), type, data);
+  });
+
+  useControllerEvent(controller, 'status', (packet) => usage.handleStatus(packet));
+
+  useControllerEvent(usage, 'error', (error) => {
+    addLog(t('log.usageFailed', { message: error.message }), EVENT_TYPES.ERROR);
+  });
+
+  useControllerEvent(controller, 'raw', (entry) => onRaw({ ...entry, device: transport.id, name: alias }));
+
+  // ARMED -> ON 是定时 (闹钟/周计划) 触发，其余吸合为手动或其他客户端操作
+  useControllerEvent(controller, 'statuschange', ({ status, previous }) => {
+    if (previous?.mode === 'ARMED' && status.mode === 'ON') {
+      notify(t('notify.alarm'), 'relay');
+    } else if (previous && !previous.relay && status.relay) {
+      notify(t('notify.relayOn'), 'relay');
+    }
+  });
+
+  useControllerEvent(controller, 'connection', ({ state, previous }) => {
+    if (state !== CONNECTION_STATES.CONNECTED) usage.flush();
+    if (state === CONNECTION_STATES.CONNECTED && previous === CONNECTION_STATES.CONNECTING) {
+      showToast(t(transport.emulated ? 'toast.emulatorConnected'
+        : transport.kind === TRANSPORT_KINDS.SERIAL ? 'toast.serialConnected'
+        : transport.kind === TRANSPORT_KINDS.GATEWAY ? 'toast.gatewayConnected'
+        : 'toast.bleConnected'));
+    } else if (state === CONNECTION_STATES.CONNECTED) {
+      showToast(t('toast.reconnected'));
+    } else if (state === CONNECTION_STATES.RECONNECTING) {
+      showToast(t('toast.linkLost'), "error");
+      notify(t('notify.linkLost'), 'link');
+    } else if (state === CONNECTION_STATES.ERROR) {
+      if (previous === CONNECTION_STATES.RECONNECTING) {
+        showToast(t('toast.reconnectFailed'), "error");
+        notify(t('notify.reconnectFailed'), 'link');
+      } else {
+        showToast(t('toast.connectFailed'), "error");
+      }
+      // 从未收到过状态包时没有可显示的内容
+      if (!controller.getState().device.lastUpdate) onClosed(transport.id);
+    } else if (state === CONNECTION_STATES.DISCONNECTED) {
+      showToast(t('toast.disconnected'), "error");
+      onClosed(transport.id);
+    }
+  });
+
+  useControllerEvent(controller, 'txfailed', ({ error }) => showToast(txFailedMessage(error, t), "error"));
+
+  useControllerEvent(controller, 'queued', () => showToast(t('toast.queued')));
+
+  useControllerEvent(controller, 'reconciled', ({ replayed, failed, conflicts: n }) => {
+    if (n) {
+      showToast(t('toast.offlineConflicts', { n }), "error");
+      notify(t('toast.offlineConflicts', { n }), 'offline');
+    } else if (failed) {
+      showToast(t('toast.offlineFailed', { n: failed }), "error");
+    } else if (replayed) {
+      showToast(t('toast.offlineReplayed', { n: replayed }));
+    }
+  });
+
+  useControllerEvent(controller, 'watchdog', ({ limit, ok }) => {
+    const msg = t(ok ? 'toast.watchdog' : 'toast.watchdogFailed', { n: limit });
+    showToast(msg, "error");
+    notify(msg, 'relay');
+  });
+
+  useControllerEvent(controller, 'autosync', ({ drift, ok }) => {
+    addLog(t('log.autoSync', { drift: formatDrift(drift, t) }), EVENT_TYPES.INFO, { drift });
+    if (ok) showToast(t('toast.autoSynced', { drift: formatDrift(drift, t) }));
+  });
+
+  // StrictMode 下挂载 effect 会执行两次，连接只发起一次 (须在上面的事件订阅之后)
+  const startedRef = useRef(false);
+  useEffect(() => {
+    if (startedRef.current) return;
+    startedRef.current = true;
+    controller.connect();
+  }, [controller]);
+
+  useEffect(() => {
+    registerActions(transport.id, {
+      setArmed: (armed) => controller.arm(armed),
+      syncTime: () => controller.syncTime(),
+      reconnect: () => controller.connect(),
+      sendRaw: (cmd) => controller.sendRaw(cmd),
+    });
+    return () => registerActions(transport.id, null);
+  }, [transport.id, controller, registerActions]);
+
+  // ==========================================
+  // 操作
+  // ==========================================
+  // 设备确认后提示 successMsg；未确认的提示由 'txfailed' 事件统一处理
+  const confirmWith = async (sent, successMsg) => {
+    const ok = await sent;
+    if (ok && successMsg) showToast(successMsg);
+    return ok;
+  };
+
+  const handleSyncTime = () => confirmWith(controller.syncTime(), t('toast.timeSynced'));
+
+  // ==========================================
+  // 安全联锁
+  // ==========================================
+  const updateSafety = (patch) => setSafety(saveSafety(transport.id, patch));
+
+  const setPin = async (pin) => {
+    updateSafety({ pinHash: pin === null ? null : await hashPin(transport.id, pin) });
+    // 刚设置 PIN 时保持解锁，计时后自动上锁
+    setUnlockedAt(pin === null ? null : Date.now());
+    showToast(t(pin === null ? 'toast.pinRemoved' : 'toast.pinSet'));
+  };
+
+  // 设置了 PIN 时控制面板默认上锁；解锁后无操作 PIN_RELOCK_MS 重新上锁
+  const [unlockedAt, setUnlockedAt] = useState(null);
+  const locked = !!safety.pinHash && unlockedAt === null;
+  // 未认证或 PIN 上锁时控制区不可操作 (inert 同时屏蔽键盘与读屏)；PIN 上锁时停止按钮在锁定横幅上
+  const controlsBlocked = locked || (online && (deviceData.auth === 'LOCKED' || deviceData.auth === 'PAIRING'));
+
+  // 联锁由控制器执行：批量操作、诊断控制台发出的指令同样受 PIN 锁约束
+  useEffect(() => {
+    controller.configure({ locked });
+  }, [controller, locked]);
+
+  useEffect(() => {
+    if (unlockedAt === null) return;
+    const timer = setTimeout(() => setUnlockedAt(null), PIN_RELOCK_MS);
+    return () => clearTimeout(timer);
+  }, [unlockedAt]);
+
+  const unlock = async (pin) => {
+    if (!await checkPin(transport.id, safety, pin)) return false;
+    setUnlockedAt(Date.now());
+    return true;
+  };
+
+  const keepUnlocked = () => {
+    if (safety.pinHash && unlockedAt !== null) setUnlockedAt(Date.now());
+  };
+
+  // 只在完成确认或按住后调用
+  const energise = () => confirmWith(controller.setRelay(true, { confirmed: true }), t('toast.relayOn'));
+
+  // 按住继电器卡片 HOLD_TO_ACTIVATE_MS 后吸合，提前松开取消
+  const [holding, setHolding] = useState(false);
+  const holdTimerRef = useRef(null);
+  const holdFiredRef = useRef(false);
+  const holdToActivate = safety.activation === ACTIVATION_MODES.HOLD && !deviceData.relay;
+
+  useEffect(() => () => clearTimeout(holdTimerRef.current), []);
+
+  const startHold = () => {
+    if (!holdToActivate || pending[PACKET.RELAY] || holdTimerRef.current) return;
+    holdFiredRef.current = false;
+    setHolding(true);
+    holdTimerRef.current = setTimeout(() => {
+      holdTimerRef.current = null;
+      holdFiredRef.current = true;
+      setHolding(false);
+      energise();
+    }, HOLD_TO_ACTIVATE_MS);
+  };
+
+  const cancelHold = () => {
+    clearTimeout(holdTimerRef.current);
+    holdTimerRef.current = null;
+    setHolding(false);
+  };
+
+  // 键盘按住空格/回车同样生效
+  const holdKeys = (e) => {
+    if ((e.key === ' ' || e.key === 'Enter') && !e.repeat) startHold();
+  };
+
+  const toggleRelay = () => {
+    if (pending[PACKET.RELAY]) return;
+    // 断开不需要确认
+    if (deviceData.relay) {
+      confirmWith(controller.setRelay(false), t('toast.relayOff'));
+      return;
+    }
+    if (safety.activation === ACTIVATION_MODES.HOLD) {
+      // 按住完成后随之而来的 click 不再处理；按住过程中 (键盘) 也不提示
+      if (holdFiredRef.current) holdFiredRef.current = false;
+      else if (!holdTimerRef.current) showToast(t('safety.holdHint'), "error");
+      return;
+    }
+    if (safety.activation === ACTIVATION_MODES.CONFIRM && !confirm(t('safety.confirmOn'))) return;
+    energise();
+  };
+
+  // 离线时显示排队中的目标模式
+  const queuedArmed = queuedValue(queue, 'mode');
+  const displayMode = queuedArmed === undefined ? deviceData.mode : queuedArmed ? 'ARMED' : 'IDLE';
+  const ModeIcon = displayMode === 'ARMED' ? ShieldCheck : displayMode === 'ON' ? Flame : ShieldOff;
+
+  const toggleArm = () => {
+    if (pending[PACKET.MODE]) return;
+    // 根据当前状态取反 (运行中 ON 也视为已武装，点击即取消)
+    const next = displayMode === 'IDLE';
+    confirmWith(controller.arm(next), t(next ? 'toast.armed' : 'toast.disarmed'));
+  };
+
+  // 运行中立即停止：断开继电器，设备回到 ARMED 等待下一次计划
+  const stopRun = () => {
+    if (pending[PACKET.RELAY]) return;
+    confirmWith(controller.setRelay(false), t('toast.stopped'));
+  };
+
+  // 认证失败提示 (含连接后设备为 LOCKED 时的自动认证)
+  const authFailedRef = useRef(authFailed);
+  useEffect(() => {
+    if (authFailed && !authFailedRef.current) showToast(t('toast.authFailed'), "error");
+    authFailedRef.current = authFailed;
+  });
+
+  const applyKey = (input) => {
+    if (controller.applyKey(input)) return true;
+    showToast(t('auth.invalidKey'), "error");
+    return false;
+  };
+
+  const pair = async () => {
+    if (deviceData.auth === 'AUTHED' && !confirm(t('auth.rekeyConfirm'))) return;
+    if (await controller.pair()) showToast(t('toast.paired'));
+  };
+
+  const handleForgetKey = () => {
+    if (!confirm(t('auth.forgetConfirm'))) return;
+    controller.forgetKey();
+  };
+
+  const uploadSchedule = async (entries) => {
+    if (await controller.uploadSchedule(entries)) {
+      showToast(t('toast.scheduleUploaded', { n: entries.length }));
+    } else if (online) {
+      showToast(t('toast.scheduleMismatch'), "error");
+    }
+    // 离线时已排队，提示由 'queued' 事件给出
+  };
+
+  // 预设：按步骤显示进度
+  const [applyingPreset, setApplyingPreset] = useState(null); // { id, step, total }
+
+  const applyPreset = async (preset) => {
+    if (applyingPreset) return;
+    try {
+      const { ok, queued, step, total } = await controller.applyPreset(preset, (n, count) => {
+        setApplyingPreset({ id: preset.id, step: n, total: count });
+      });
+      if (ok) showToast(t('toast.presetApplied', { name: preset.name }));
+      else if (queued) showToast(t('toast.presetQueued', { name: preset.name }));
+      else showToast(t('toast.presetFailed', { name: preset.name, step, total }), "error");
+    } finally {
+      setApplyingPreset(null);
+    }
+  };
+
+  // 一次性定时 (v6)：等待中或设了断开时间时视为进行中
+  const timerSupported = deviceData.version >= 6;
+  const timerActive = deviceData.timerStart > 0 || deviceData.timerEnd > 0;
+
+  // 立即开始 (延时 0) 同样是手动吸合，除单击模式外都需确认
+  const startTimer = (delay, run) => {
+    if (!delay && safety.activation !== ACTIVATION_MODES.TAP && !confirm(t('safety.confirmOn'))) return false;
+    return confirmWith(
+      controller.setTimer(delay, run, { confirmed: true }),
+      delay ? t('toast.timerSet', { n: delay }) : t('toast.timerStarted', { n: run }),
+    );
+  };
+
+  // 延长按钮只在有定时进行中时显示；定时刚好结束时也不发送
+  const extendTimer = (minutes) => {
+    if (pending[PACKET.TIMER] || !timerActive) return;
+    confirmWith(controller.extendTimer(minutes), t('toast.timerExtended', { n: minutes }));
+  };
+
+  const cancelTimer = () => {
+    if (pending[PACKET.TIMER]) return;
+    confirmWith(controller.cancelTimer(), t('toast.timerCancelled'));
+  };
+
+  // PIN 锁横幅上的停止：取消定时并断开继电器。联锁对这两条指令始终放行 (见 safety.js)
+  const loadActive = online && (deviceData.relay || timerActive);
+  const stopLoad = async () => {
+    if (pending[PACKET.RELAY] || pending[PACKET.TIMER]) return;
+    if (timerActive && !await controller.cancelTimer()) return;
+    confirmWith(controller.setRelay(false), t('toast.stopped'));
+  };
+
+  // v1 固件没有周计划，沿用每日闹钟；离线时排队
+  const scheduleSupported = deviceData.version === 0 || deviceData.version >= 2;
+  const alarmValue = queuedValue(queue, 'alarm') ?? deviceData.alarmH * 60 + deviceData.alarmM;
+  const scheduleValue = queuedValue(queue, 'schedule') ?? schedule;
+
+  const handleSetAlarm = async (h, m) => (
+    await confirmWith(controller.setAlarm(h, m), t('toast.alarmSet', { time: formatMinutes(h * 60 + m) })) || !online
+  );
+
+  const [pendingRunMinutes, setPendingRunMinutes] = useState(null);
+  const runMinutesDraft = pendingRunMinutes ?? queuedValue(queue, 'duration') ?? deviceData.runMinutes;
+
+  const runDurationValid = /^\d+$/.test(String(runMinutesDraft)) && Number(runMinutesDraft) <= MAX_RUN_MINUTES;
+
+  const handleSetRunDuration = async () => {
+    const minutes = Number(runMinutesDraft);
+    const successMsg = minutes ? t('toast.runMinutes', { n: minutes }) : t('toast.runUnlimited');
+    // 离线时排队后同样清除草稿，输入框改为显示排队中的值
+    if (await confirmWith(controller.setRunDuration(minutes), successMsg) || !online) {
+      setPendingRunMinutes(null);
+    }
+  };
+
+  // 离线面板直接移除；其余状态先断开连接
+  const disconnect = () => {
+    if (offline) onClosed(transport.id);
+    else controller.disconnect();
+  };
+
+  // 只能在线执行的操作 (继电器、一次性定时、时间同步、配对) 离线时置灰；闹钟、周计划等设置离线时排队
+  const onlineOnly = online ? '' : 'opacity-50 pointer-events-none';
+  const driftExceeded = Math.abs(deviceData.clockDrift) > settings.driftThreshold;
+  const connLabel = t(`fleet.states.${
+    connState === CONNECTION_STATES.ERROR || connState === CONNECTION_STATES.DISCONNECTED ? 'offline' : connState
+  }`);
+
+  const upcoming = nextEvent(deviceData.deviceTs, schedule, deviceData.alarmH, deviceData.alarmM);
+
+  // 计划启动前提醒：状态包每秒驱动一次检查，每个启动时刻只提醒一次
+  const remindedRef = useRef(null);
+  useEffect(() => {
+    if (!settings.reminderMinutes || stale || deviceData.mode !== 'ARMED' || upcoming?.kind !== 'start') return;
+    const diff = msUntil(deviceData.deviceTs, upcoming);
+    if (diff > settings.reminderMinutes * 60000 || remindedRef.current === upcoming.at.getTime()) return;
+    remindedRef.current = upcoming.at.getTime();
+    notify(t('notify.reminder', { n: Math.ceil(diff / 60000), at: i18n.formatWeekdayTime(upcoming.at) }), 'reminder');
+  });
+
+  // ==========================================
+  // 渲染
+  // ==========================================
+  return (
+    <article className="space-y-4" onPointerDownCapture={keepUnlocked}>
+      {/* 设备标题栏 */}
+      <div className="bg-white dark:bg-slate-900 rounded-2xl px-4 py-3 shadow-sm border border-slate-100 dark:border-slate-800 flex items-center gap-3">
+        {/* 状态点只靠颜色区分，读屏另给文字 */}
+        <div role="img" aria-label={connLabel} title={connLabel} className={`w-2.5 h-2.5 rounded-full shrink-0 ${
+          connState === 'connected' ? 'bg-green-500 animate-pulse'
+            : connState === 'reconnecting' || connState === 'connecting' ? 'bg-amber-500 animate-pulse'
+            : 'bg-slate-300 dark:bg-slate-600'
+        }`} />
+        <button onClick={onToggleExpand} aria-expanded={expanded} className="flex-1 min-w-0 text-left">
+          <div className="font-bold text-slate-800 dark:text-slate-100 truncate">{alias}</div>
+          <div className="text-2xs text-slate-400 font-mono truncate">
+            {transport.emulated ? t('transport.emulator') : transport.name}
+            {deviceInfo?.serial && ` · SN ${deviceInfo.serial}`}
+            {deviceData.version > 0 && ` · v${deviceData.version}`}
+            {connState === 'connecting' && ` · ${t('panel.connecting')}`}
+          </div>
+        </button>
+        {deviceInfo?.battery != null && (
+          <span className="flex items-center gap-0.5 text-2xs font-bold text-slate-400" title={t('info.fields.battery')}>
+            <BatteryMedium className="w-3.5 h-3.5" />{deviceInfo.battery}%
+          </span>
+        )}
+        {deviceData.auth && (
+          <span
+            className={`flex items-center gap-1 text-2xs font-bold px-1.5 py-0.5 rounded ${
+              deviceData.auth === 'AUTHED' ? 'bg-green-50 dark:bg-green-950/40 text-green-600 dark:text-green-400'
+                : deviceData.auth === 'OPEN' ? 'bg-amber-50 dark:bg-amber-950/40 text-amber-600 dark:text-amber-400'
+                : 'bg-red-50 dark:bg-red-950/40 text-red-600 dark:text-red-400'
+            }`}
+            title={t(`auth.states.${deviceData.auth}`)}
+          >
+            {deviceData.auth === 'AUTHED' ? <Lock className="w-3 h-3" /> : <LockOpen className="w-3 h-3" />}
+            {t(`auth.states.${deviceData.auth}`)}
+          </span>
+        )}
+        <button
+          onClick={onToggleExpand}
+          aria-expanded={expanded}
+          className="p-2 text-slate-400 hover:text-slate-600 dark:hover:text-slate-300"
+          title={t(expanded ? 'panel.collapse' : 'panel.expand')}
+          aria-label={t(expanded ? 'panel.collapse' : 'panel.expand')}
+        >
+          <ChevronDown className={`w-5 h-5 transition-transform ${expanded ? 'rotate-180' : ''}`} />
+        </button>
+        <button onClick={disconnect} className="p-2 text-red-300 hover:text-red-500" title={t('panel.disconnect')} aria-label={t('panel.disconnect')}>
+          <XCircle className="w-5 h-5" />
+        </button>
+      </div>
+
+      {/* 重连提示：保留面板，修改暂存到离线队列 */}
+      {connState === 'reconnecting' && (
+        <div className="bg-amber-50 dark:bg-amber-950/40 border border-amber-100 dark:border-amber-900/50 rounded-2xl p-4 flex items-center gap-3 text-sm text-amber-700 dark:text-amber-300">
+          <RefreshCw className="w-5 h-5 animate-spin shrink-0" />
+          <div className="flex-1">
+            <div className="font-bold">{t('panel.reconnecting')}</div>
+            {reconnectAttempt.n > 0 && (
+              <div className="text-xs opacity-80">{t('panel.attempt', reconnectAttempt)}</div>
+            )}
+          </div>
+          <button onClick={disconnect} className="text-xs font-bold underline">{t('panel.giveUp')}</button>
+        </div>
+      )}
+
+      {/* 离线：显示最后已知状态 */}
+      {offline && (
+        <div className="bg-slate-200 dark:bg-slate-700 rounded-2xl p-4 flex items-center gap-3 text-sm text-slate-600 dark:text-slate-300">
+          <WifiOff className="w-5 h-5 shrink-0" />
+          <div className="flex-1">
+            <div className="font-bold">{t('panel.offline')}</div>
+            <div className="text-xs opacity-80">{t('panel.offlineHint')}</div>
+          </div>
+          <button onClick={() => controller.connect()} className="text-xs font-bold underline">{t('panel.reconnect')}</button>
+        </div>
+      )}
+
+      {/* 状态过期提示 (离线、重连中或刷新页面后正在连接) */}
+      {stale && deviceData.lastUpdate > 0 && (
+        <div className="text-2xs text-slate-400 text-center font-mono">
+          {t('panel.staleSince', { time: formatDeviceClock(Math.floor(deviceData.lastUpdate / 1000), i18n) })}
+        </div>
+      )}
+
+      {/* 认证提示 */}
+      {connState === 'connected' && (
+        <AuthBanner
+          auth={deviceData.auth}
+          hasKey={!!secret}
+          busy={authBusy}
+          failed={authFailed}
+          onPair={pair}
+          onUseKey={applyKey}
+          onRetry={controller.authenticate}
+        />
+      )}
+
+      {/* PIN 锁 */}
+      {locked && (
+        <PinLockBanner
+          onUnlock={unlock}
+          onStop={loadActive ? stopLoad : null}
+          stopBusy={pending[PACKET.RELAY] || pending[PACKET.TIMER]}
+        />
+      )}
+
+      {/* 控制面板：未认证或 PIN 上锁时操作暂不可用；离线时显示最后已知状态 */}
+      {(connState !== 'connecting' || deviceData.lastUpdate > 0) && (
+        <div
+          inert={controlsBlocked}
+          className={`space-y-5 ${controlsBlocked ? 'opacity-50 pointer-events-none' : ''}`}
+        >
+          {/* 1. 顶部状态与控制 Dashboard */}
+          <section className="grid grid-cols-2 gap-4">
+            {/* 继电器控制 */}
+            <button 
+              onClick={toggleRelay}
+              aria-pressed={deviceData.relay}
+              aria-busy={!!pending[PACKET.RELAY]}
+              onPointerDown={startHold}
+              onPointerUp={cancelHold}
+              onPointerLeave={cancelHold}
+              onPointerCancel={cancelHold}
+              onKeyDown={holdKeys}
+              onKeyUp={cancelHold}
+              onContextMenu={(e) => holdToActivate && e.preventDefault()}
+              disabled={pending[PACKET.RELAY] || !online}
+              className={`relative overflow-hidden rounded-3xl p-5 text-left transition-all duration-300 shadow-sm group active:scale-95 disabled:opacity-70 disabled:active:scale-100 ${
+                deviceData.relay 
+                  ? 'bg-gradient-to-br from-red-500 to-red-600 text-white shadow-red-200 dark:shadow-none' 
+                  : 'bg-white dark:bg-slate-900 text-slate-600 dark:text-slate-300 hover:border-slate-300 dark:hover:border-slate-600 border border-transparent'
+              }`}
+            >
+              <div className="absolute top-4 right-4 opacity-20 group-hover:opacity-40 transition-opacity">
+                <Zap className="w-12 h-12" />
+              </div>
+              <div className="relative z-10">
+                <div className={`p-2 rounded-xl w-fit mb-3 ${deviceData.relay ? 'bg-white/20' : 'bg-slate-100 dark:bg-slate-800'}`}>
+                  <Zap className="w-6 h-6" />
+                </div>
+                <div className="text-xs font-bold opacity-80 uppercase tracking-wider mb-1">{t('panel.relay')}</div>
+                {pending[PACKET.RELAY] && (
+                  <div className="absolute top-0 right-0 flex items-center gap-1 text-2xs font-bold opacity-80">
+                    <RefreshCw className="w-3 h-3 animate-spin" /> {t('panel.pending')}
+                  </div>
+                )}
+                <div className="text-xl font-black tracking-tight flex items-center gap-1.5">
+                  {deviceData.relay ? <Power className="w-5 h-5 shrink-0" /> : <PowerOff className="w-5 h-5 shrink-0" />}
+                  {t(deviceData.relay ? 'panel.relayOn' : 'panel.relayOff')}
+                </div>
+                {holdToActivate && (
+                  <div className="text-2xs font-bold opacity-60 mt-0.5">{t('safety.holdLabel')}</div>
+                )}
+              </div>
+              {/* 按住进度 */}
+              {holdToActivate && (
+                <div
+                  className={`absolute inset-x-0 bottom-0 h-1.5 bg-red-500 origin-left transition-transform ease-linear ${holding ? 'scale-x-100' : 'scale-x-0'}`}
+                  style={{ transitionDuration: holding ? `${HOLD_TO_ACTIVATE_MS}ms` : '0ms' }}
+                />
+              )}
+            </button>
+
+            {/* 模式切换 */}
+            <button 
+              onClick={toggleArm}
+              aria-pressed={displayMode !== 'IDLE'}
+              aria-busy={!!pending[PACKET.MODE]}
+              disabled={pending[PACKET.MODE]}
+              className={`relative overflow-hidden rounded-3xl p-5 text-left transition-all duration-300 shadow-sm group active:scale-95 disabled:opacity-70 disabled:active:scale-100 ${
+                displayMode === 'ARMED' 
+                  ? 'bg-gradient-to-br from-green-500 to-green-600 text-white shadow-green-200 dark:shadow-none' 
+                  : displayMode === 'ON'
+                  ? 'bg-gradient-to-br from-orange-500 to-orange-600 text-white shadow-orange-200 dark:shadow-none'
+                  : 'bg-white dark:bg-slate-900 text-slate-600 dark:text-slate-300 hover:border-slate-300 dark:hover:border-slate-600 border border-transparent'
+              }`}
+            >
+              <div className="absolute top-4 right-4 opacity-20 group-hover:opacity-40 transition-opacity">
+                <ShieldCheck className="w-12 h-12" />
+              </div>
+              <div className="relative z-10">
+                <div className={`p-2 rounded-xl w-fit mb-3 ${displayMode !== 'IDLE' ? 'bg-white/20' : 'bg-slate-100 dark:bg-slate-800'}`}>
+                  <ShieldCheck className="w-6 h-6" />
+                </div>
+                <div className="text-xs font-bold opacity-80 uppercase tracking-wider mb-1">{t('panel.mode')}</div>
+                {pending[PACKET.MODE] && (
+                  <div className="absolute top-0 right-0 flex items-center gap-1 text-2xs font-bold opacity-80">
+                    <RefreshCw className="w-3 h-3 animate-spin" /> {t('panel.pending')}
+                  </div>
+                )}
+                {queuedArmed !== undefined && (
+                  <div className="absolute top-0 right-0 flex items-center gap-1 text-2xs font-bold opacity-80">
+                    <CloudUpload className="w-3 h-3" /> {t('panel.queued')}
+                  </div>
+                )}
+                <div className="text-xl font-black tracking-tight flex items-center gap-1.5">
+                  <ModeIcon className="w-5 h-5 shrink-0" />
+                  {t(`panel.modes.${displayMode}`)}
+                </div>
+              </div>
+            </button>
+          </section>
+
+          {/* 离线修改与冲突 */}
+          <PendingChangesCard
+            queue={queue}
+            conflicts={conflicts}
+            online={online}
+            onDiscard={controller.discardChange}
+            onResolve={controller.resolveConflict}
+          />
+
+          {/* 预设：一键应用 */}
+          {presets.length > 0 && (
+            <section className="flex gap-2 overflow-x-auto pb-1">
+              {presets.map(preset => {
+                const applying = applyingPreset?.id === preset.id;
+                return (
+                  <button
+                    key={preset.id}
+                    onClick={() => applyPreset(preset)}
+                    disabled={applyingPreset !== null}
+                    className={`shrink-0 px-3 py-2 rounded-xl text-xs font-bold flex items-center gap-1.5 shadow-sm border active:scale-95 transition-transform disabled:active:scale-100 ${
+                      applying ? 'bg-blue-600 text-white border-blue-600' : 'bg-white dark:bg-slate-900 text-slate-600 dark:text-slate-300 border-slate-100 dark:border-slate-800 disabled:opacity-50'
+                    }`}
+                    title={t('presets.apply', { name: preset.name })}
+                    aria-label={t('presets.apply', { name: preset.name })}
+                  >
+                    {applying ? <RefreshCw className="w-3.5 h-3.5 animate-spin" /> : <Bookmark className="w-3.5 h-3.5" />}
+                    {preset.name}
+                    {applying && <span className="font-mono opacity-80">{applyingPreset.step}/{applyingPreset.total}</span>}
+                  </button>
+                );
+              })}
+            </section>
+          )}
+
+          {/* 2. 运行中视图 / 一次性定时倒计时 / 计划倒计时卡片 */}
+          {deviceData.relay ? (
+            <div className={onlineOnly} inert={!online}>
+            <RunningCard
+              onSecs={deviceData.onSecs}
+              runMinutes={deviceData.runMinutes}
+              planEndSecs={upcoming?.kind === 'end' ? Math.floor(upcoming.at / 1000) - deviceData.deviceTs : null}
+              timerEndSecs={deviceData.timerEnd}
+              stopping={pending[PACKET.RELAY]}
+              onStop={stopRun}
+            >
+              {deviceData.timerEnd > 0 && (
+                <TimerActions busy={pending[PACKET.TIMER]} onExtend={extendTimer} inverted />
+              )}
+            </RunningCard>
+            </div>
+          ) : deviceData.timerStart > 0 ? (
+            <div className={onlineOnly} inert={!online}>
+              <TimerCountdownCard
+                startSecs={deviceData.timerStart}
+                endSecs={deviceData.timerEnd}
+                startsAt={new Date(deviceData.lastUpdate + deviceData.timerStart * 1000)}
+                busy={pending[PACKET.TIMER]}
+                onExtend={extendTimer}
+                onCancel={cancelTimer}
+              />
+            </div>
+          ) : (
+          <section className="bg-white dark:bg-slate-900 rounded-3xl p-6 shadow-sm border border-slate-100 dark:border-slate-800 relative overflow-hidden">
+            <div className="flex justify-between items-start mb-4 relative z-10">
+              <div>
+                <h3 className="text-lg font-bold text-slate-800 dark:text-slate-100 flex items-center gap-2">
+                  <Timer className="w-5 h-5 text-orange-500" />
+                  {t('countdown.title')}
+                </h3>
+                <p className="text-xs text-slate-400 mt-1">
+                  {deviceData.mode !== 'ARMED' ? t('countdown.idle')
+                    : !upcoming ? t('countdown.noSlots')
+                    : t(upcoming.kind === 'end' ? 'countdown.untilEnd' : 'countdown.untilStart', { at: i18n.formatWeekdayTime(upcoming.at) })}
+                </p>
+              </div>
+              {deviceData.mode === 'ARMED' && (
+                <span className="bg-orange-100 dark:bg-orange-900/40 text-orange-600 dark:text-orange-400 text-xs font-bold px-2 py-1 rounded-lg">
+                  {t('countdown.active')}
+                </span>
+              )}
+            </div>
+            
+            <div className="relative z-10 text-center py-2">
+              <div className={`text-4xl font-mono font-black tracking-wider ${
+                deviceData.mode === 'ARMED' ? 'text-slate-800 dark:text-slate-100' : 'text-slate-300 dark:text-slate-600'
+              }`}>
+                {deviceData.mode === 'ARMED' 
+                  ? calculateCountdown(deviceData.deviceTs, upcoming, t)
+                  : '--:--:--'
+                }
+              </div>
+              {deviceData.mode !== 'ARMED' && (
+                <div className="text-xs text-slate-400 mt-2">
+                  {t('countdown.hint', { mode: <span className="font-bold text-slate-600 dark:text-slate-300">{t('panel.modes.IDLE')}</span> })}
+                </div>
+              )}
+            </div>
+          </section>
+          )}
+
+          {/* 一次性定时：进行中时在上方卡片里延长或取消 */}
+          {timerSupported && !timerActive && (
+            <div className={onlineOnly} inert={!online}>
+              <TimerCard busy={pending[PACKET.TIMER]} onStart={startTimer} />
+            </div>
+          )}
+
+          {/* 3. 参数配置区 (展开时显示) */}
+          {expanded && (
+            <section className="space-y-4">
+              <h3 className="text-sm font-bold text-slate-400 uppercase tracking-wider ml-2">{t('config.title')}</h3>
+              
+              {/* 周计划；旧固件为每日闹钟 */}
+              {scheduleSupported ? (
+                <ScheduleEditor
+                  key={JSON.stringify(scheduleValue)}
+                  schedule={scheduleValue}
+                  busy={scheduleBusy}
+                  onUpload={uploadSchedule}
+                  onReload={online ? controller.loadSchedule : null}
+                />
+              ) : (
+                <AlarmCard value={alarmValue} pending={pending[PACKET.ALARM]} onSave={handleSetAlarm} />
+              )}
+
+              {/* 运行时长 */}
+              <div className="bg-white dark:bg-slate-900 rounded-2xl p-5 shadow-sm border border-slate-100 dark:border-slate-800 space-y-3">
+                <div className="flex items-center justify-between">
+                  <div className="flex items-center gap-4">
+                    <div className="bg-red-50 dark:bg-red-950/40 p-3 rounded-xl text-red-500">
+                      <Hourglass className="w-6 h-6" />
+                    </div>
+                    <div>
+                      <div className="text-xs font-bold text-slate-400 mb-1">{t('config.runDuration')}</div>
+                      <div className="flex items-baseline gap-1">
+                        <input
+                          type="number"
+                          min={0}
+                          max={MAX_RUN_MINUTES}
+                          value={runMinutesDraft}
+                          onChange={(e) => setPendingRunMinutes(e.target.value)}
+                          aria-label={t('config.runDuration')}
+                          className="w-20 bg-transparent font-bold text-xl text-slate-800 dark:text-slate-100 outline-none"
+                        />
+                        <span className="text-xs text-slate-400">{t('config.minutes')}{Number(runMinutesDraft) === 0 && t('config.unlimitedSuffix')}</span>
+                      </div>
+                    </div>
+                  </div>
+                  <button 
+                    onClick={handleSetRunDuration} 
+                    disabled={pending[PACKET.DURATION] || !runDurationValid}
+                    className="bg-slate-800 dark:bg-slate-700 text-white p-3 rounded-xl active:scale-95 transition-transform shadow-lg shadow-slate-200 dark:shadow-none disabled:bg-slate-400"
+                    title={t(pending[PACKET.DURATION] ? 'config.waiting' : 'config.save')}
+                    aria-label={t(pending[PACKET.DURATION] ? 'config.waiting' : 'config.save')}
+                  >
+                    {pending[PACKET.DURATION]
+                      ? <RefreshCw className="w-5 h-5 animate-spin" />
+                      : <CheckCircle className="w-5 h-5" />}
+                  </button>
+                </div>
+                <div className="flex gap-2 text-2xs font-bold">
+                  {[0, 30, 60, 120, 240].map(min => (
+                    <button
+                      key={min}
+                      onClick={() => setPendingRunMinutes(min)}
+                      aria-pressed={Number(runMinutesDraft) === min}
+                      className={`px-2 py-1 rounded ${Number(runMinutesDraft) === min ? 'bg-red-500 text-white' : 'bg-slate-100 dark:bg-slate-800 text-slate-500 dark:text-slate-400'}`}
+                    >
+                      {min === 0 ? t('config.presetUnlimited') : t('config.presetMinutes', { n: min })}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              {/* 设备信息 */}
+              <DeviceInfoCard
+                alias={alias}
+                transport={transport}
+                info={deviceInfo}
+                version={deviceData.version}
+                onRename={onRename}
+              />
+
+              {/* 安全 (经网关时配对与认证由网关负责) */}
+              {transport.kind !== TRANSPORT_KINDS.GATEWAY && (
+                <SecurityCard
+                  auth={deviceData.auth}
+                  secret={secret}
+                  busy={authBusy || pending[PACKET.PAIR] || !online}
+                  onPair={pair}
+                  onForget={handleForgetKey}
+                  onToast={showToast}
+                />
+              )}
+
+              {/* 安全联锁 */}
+              <SafetyCard
+                safety={safety}
+                onChange={updateSafety}
+                onSetPin={setPin}
+                onLock={() => setUnlockedAt(null)}
+              />
+
+              {/* 时间同步 */}
+              <div className="bg-white dark:bg-slate-900 rounded-2xl p-5 shadow-sm border border-slate-100 dark:border-slate-800 space-y-3">
+                <div className="flex items-center justify-between">
+                  <div className="flex items-center gap-4">
+                    <div className="bg-blue-50 dark:bg-blue-950/40 p-3 rounded-xl text-blue-500">
+                      <Clock className="w-6 h-6" />
+                    </div>
+                    <div>
+                      <div className="text-xs font-bold text-slate-400">{t('config.clock')}</div>
+                      <div className="font-mono text-lg font-bold text-slate-700 dark:text-slate-200">
+                        {deviceData.clockDrift === null ? i18n.formatTime(new Date(deviceData.deviceTs * 1000)) : formatDeviceClock(deviceData.deviceTs, i18n)}
+                      </div>
+                      {deviceData.clockDrift === null ? (
+                        <div className="text-2xs text-slate-400">{t('config.noClock')}</div>
+                      ) : (
+                        <div className={`text-2xs font-bold flex items-center gap-1 ${
+                          driftExceeded ? 'text-red-500' : 'text-green-600 dark:text-green-400'
+                        }`}>
+                          {driftExceeded ? <AlertTriangle className="w-3 h-3" /> : <CheckCircle className="w-3 h-3" />}
+                          {t('config.drift', { drift: formatDrift(deviceData.clockDrift, t) })}
+                        </div>
+                      )}
+                    </div>
+                  </div>
+                  <button 
+                    onClick={handleSyncTime} 
+                    disabled={pending[PACKET.TIME] || !online}
+                    className="bg-blue-50 dark:bg-blue-950/40 text-blue-600 dark:text-blue-400 p-3 rounded-xl hover:bg-blue-100 dark:hover:bg-blue-900/40 active:scale-95 transition-colors disabled:opacity-50"
+                    title={t('config.syncPhone')}
+                    aria-label={t('config.syncPhone')}
+                  >
+                    <RefreshCw className={`w-5 h-5 ${pending[PACKET.TIME] ? 'animate-spin' : ''}`} />
+                  </button>
+                </div>
+                <div className="flex items-center justify-between text-xs text-slate-500 dark:text-slate-400 border-t border-slate-50 dark:border-slate-800 pt-3">
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={settings.autoSyncClock}
+                      onChange={(e) => onUpdateSettings({ autoSyncClock: e.target.checked })}
+                    />
+                    {t('config.autoSync')}
+                  </label>
+                  <label className="flex items-center gap-1">
+                    <input
+                      type="number"
+                      min={1}
+                      value={settings.driftThreshold}
+                      onChange={(e) => onUpdateSettings({ driftThreshold: Math.max(1, Number(e.target.value) || 1) })}
+                      aria-label={t('config.driftThreshold')}
+                      className="w-14 bg-slate-50 dark:bg-slate-800/50 rounded px-1 py-0.5 text-right font-mono outline-none"
+                    />
+                    {t('config.seconds')}
+                  </label>
+                </div>
+              </div>
+            </section>
+          )}
+
+          {/* 固件升级：传输与重启期间需保持挂载，折叠时仅隐藏 */}
+          <FirmwareUpdateCard
+            transport={transport}
+            connState={connState}
+            auth={deviceData.auth}
+            relay={deviceData.relay}
+            info={deviceInfo}
+            visible={expanded}
+            onReloadInfo={controller.loadInfo}
+            onLog={addLog}
+            onToast={showToast}
+          />
+        </div>
+      )}
+    </article>
+  );
+}
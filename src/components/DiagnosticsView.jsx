@@ -0,0 +1,246 @@
+import React, { useState, useEffect, useRef, useSyncExternalStore } from 'react';
+import { ArrowLeft, Trash2, Send, Circle, Square, Play } from 'lucide-react';
+import {
+  frameText, frameHex, linkStats, recordingToJSON, parseRecordingJSON, replayRecording,
+} from '../diagnostics.js';
+import { downloadFile } from '../history.js';
+import { useI18n } from '../useI18n.js';
+
+const MAX_ROWS = 300;
+const REPLAY_SPEEDS = [1, 10, Infinity];
+
+// HH:MM:SS.mmm，排查时序需要毫秒
+const timestamp = (ts) => {
+  const date = new Date(ts);
+  return `${date.toTimeString().slice(0, 8)}.${String(date.getMilliseconds()).padStart(3, '0')}`;
+};
+
+// 解析结果只显示字段值，省略类型
+const describePacket = ({ type, ...fields }) => `${type} ${JSON.stringify(fields)}`;
+
+// ==========================================
+// 诊断控制台 (长按版本号打开)：原始收发流、收包速率、手动指令、录制与回放
+// ==========================================
+// log 为 diagnostics.js createDiagnosticsLog()；sessions 为 [{ id, name, state }]，
+// onSend(id, cmd) 经对应设备原样发送指令 (见 controller.sendRaw)。
+export default function DiagnosticsView({ log, sessions, onSend, onBack }) {
+  const { t } = useI18n();
+  const { entries, recording } = useSyncExternalStore(
+    (onChange) => {
+      log.addEventListener('change', onChange);
+      return () => log.removeEventListener('change', onChange);
+    },
+    log.getSnapshot,
+  );
+
+  const [dir, setDir] = useState('all'); // all | rx | tx
+  const [device, setDevice] = useState(''); // '' = 全部设备
+  const [target, setTarget] = useState('');
+  const [cmd, setCmd] = useState('');
+  const [speed, setSpeed] = useState(1);
+  const [replay, setReplay] = useState(null); // { n, total }
+  const [error, setError] = useState(null);
+  const cancelReplayRef = useRef(false);
+  const fileRef = useRef(null);
+
+  // 每秒刷新速率与最后收包时间
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const online = sessions.filter(s => s.state === 'connected');
+  const sendTo = online.some(s => s.id === target) ? target : online[0]?.id ?? '';
+  const stats = linkStats(entries, now);
+
+  const rows = entries
+    .filter(e => (dir === 'all' || e.dir === dir) && (!device || e.device === device))
+    .slice(-MAX_ROWS)
+    .reverse();
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    if (!sendTo || !cmd.trim()) return;
+    if (await onSend(sendTo, cmd.trim())) setCmd('');
+  };
+
+  const toggleRecording = () => {
+    if (!recording) {
+      log.startRecording();
+      return;
+    }
+    const result = log.stopRecording();
+    if (!result.frames.length) return;
+    const stamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+    downloadFile(`insulctrl-recording-${stamp}.json`, recordingToJSON(result), 'application/json');
+  };
+
+  const handleReplay = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    let parsed;
+    try {
+      parsed = parseRecordingJSON(await file.text());
+    } catch (err) {
+      setError(t(`diag.errors.${err.code}`, { message: err.message }));
+      return;
+    }
+    setError(null);
+    cancelReplayRef.current = false;
+    const total = parsed.frames.length;
+    setReplay({ n: 0, total });
+    await replayRecording(parsed, {
+      speed,
+      isCancelled: () => cancelReplayRef.current,
+      onFrame: (entry) => {
+        log.push(entry);
+        setReplay(prev => prev && { ...prev, n: prev.n + 1 });
+      },
+    });
+    setReplay(null);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <button onClick={onBack} className="flex items-center gap-1 text-sm font-bold text-slate-500 dark:text-slate-400 hover:text-slate-800 dark:hover:text-slate-100">
+          <ArrowLeft className="w-4 h-4" /> {t('history.back')}
+        </button>
+        <h2 className="text-lg font-bold text-slate-800 dark:text-slate-100">{t('diag.title')}</h2>
+        <button onClick={log.clear} className="p-2 text-slate-300 dark:text-slate-600 hover:text-red-500" title={t('diag.clear')} aria-label={t('diag.clear')}>
+          <Trash2 className="w-4 h-4" />
+        </button>
+      </div>
+
+      {/* 链路统计 */}
+      <section className="bg-white dark:bg-slate-900 rounded-2xl p-4 shadow-sm border border-slate-100 dark:border-slate-800 space-y-1 text-xs font-mono">
+        {sessions.length === 0 && <div className="text-slate-400 font-sans">{t('diag.noDevice')}</div>}
+        {sessions.map(s => {
+          const stat = stats[s.id];
+          return (
+            <div key={s.id} className="flex items-center justify-between gap-2">
+              <span className="truncate font-sans font-bold text-slate-600 dark:text-slate-300">{s.name}</span>
+              <span className="text-slate-500 dark:text-slate-400 shrink-0">
+                {t('diag.rate', { n: (stat?.rate ?? 0).toFixed(1) })}
+                {' · '}
+                {stat ? t('diag.lastRx', { s: ((now - stat.lastRx) / 1000).toFixed(1) }) : t('diag.never')}
+              </span>
+            </div>
+          );
+        })}
+      </section>
+
+      {/* 手动指令 */}
+      <form onSubmit={handleSend} className="flex gap-2 text-xs">
+        <select
+          value={sendTo}
+          onChange={(e) => setTarget(e.target.value)}
+          disabled={!online.length}
+          aria-label={t('diag.target')}
+          className="w-28 bg-white dark:bg-slate-900 rounded-lg px-2 py-1.5 outline-none border border-slate-100 dark:border-slate-800"
+        >
+          {online.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+        </select>
+        <input
+          value={cmd}
+          onChange={(e) => setCmd(e.target.value)}
+          placeholder={t('diag.sendPlaceholder')}
+          aria-label={t('diag.sendPlaceholder')}
+          disabled={!online.length}
+          className="flex-1 min-w-0 bg-white dark:bg-slate-900 rounded-lg px-2 py-1.5 font-mono outline-none border border-slate-100 dark:border-slate-800"
+        />
+        <button
+          type="submit"
+          disabled={!online.length || !cmd.trim()}
+          className="px-3 rounded-lg bg-slate-800 dark:bg-slate-700 text-white font-bold flex items-center gap-1 disabled:bg-slate-300 dark:disabled:bg-slate-600"
+          title={t('diag.send')}
+          aria-label={t('diag.send')}
+        >
+          <Send className="w-3.5 h-3.5" />
+        </button>
+      </form>
+
+      {/* 录制与回放 */}
+      <div className="flex flex-wrap items-center gap-2 text-xs font-bold">
+        <button
+          onClick={toggleRecording}
+          className={`px-3 py-1.5 rounded-lg flex items-center gap-1 ${recording ? 'bg-red-500 text-white' : 'bg-white dark:bg-slate-900 text-slate-600 dark:text-slate-300 border border-slate-100 dark:border-slate-800'}`}
+        >
+          {recording
+            ? <><Square className="w-3 h-3 fill-current" /> {t('diag.stopRecording', { n: recording.frames.length })}</>
+            : <><Circle className="w-3 h-3 fill-red-500 text-red-500" /> {t('diag.record')}</>}
+        </button>
+        {replay ? (
+          <button onClick={() => { cancelReplayRef.current = true; }} className="px-3 py-1.5 rounded-lg bg-blue-600 text-white flex items-center gap-1">
+            <Square className="w-3 h-3 fill-current" /> {t('diag.replaying', replay)}
+          </button>
+        ) : (
+          <button onClick={() => fileRef.current.click()} className="px-3 py-1.5 rounded-lg bg-white dark:bg-slate-900 text-slate-600 dark:text-slate-300 border border-slate-100 dark:border-slate-800 flex items-center gap-1">
+            <Play className="w-3 h-3" /> {t('diag.replay')}
+          </button>
+        )}
+        <select
+          value={speed}
+          onChange={(e) => setSpeed(Number(e.target.value))}
+          disabled={!!replay}
+          className="bg-white dark:bg-slate-900 rounded-lg px-2 py-1.5 outline-none border border-slate-100 dark:border-slate-800"
+          title={t('diag.speed')}
+          aria-label={t('diag.speed')}
+        >
+          {REPLAY_SPEEDS.map(v => <option key={v} value={v}>{Number.isFinite(v) ? `${v}×` : t('diag.instant')}</option>)}
+        </select>
+        <input ref={fileRef} type="file" accept="application/json,.json" onChange={handleReplay} className="hidden" />
+      </div>
+      {error && <div className="text-xs text-red-500">{error}</div>}
+
+      {/* 筛选 */}
+      <div className="flex gap-2 text-xs">
+        <div className="flex bg-white dark:bg-slate-900 rounded-lg p-0.5 font-bold border border-slate-100 dark:border-slate-800">
+          {['all', 'rx', 'tx'].map(d => (
+            <button
+              key={d}
+              onClick={() => setDir(d)}
+              aria-pressed={dir === d}
+              className={`px-2 py-1 rounded-md ${dir === d ? 'bg-slate-800 dark:bg-slate-700 text-white' : 'text-slate-400'}`}
+            >
+              {t(`diag.${d}`)}
+            </button>
+          ))}
+        </div>
+        <select
+          value={device}
+          onChange={(e) => setDevice(e.target.value)}
+          aria-label={t('diag.deviceFilter')}
+          className="flex-1 min-w-0 bg-white dark:bg-slate-900 rounded-lg px-2 py-1.5 outline-none border border-slate-100 dark:border-slate-800"
+        >
+          <option value="">{t('usage.allDevices')}</option>
+          {[...new Map(entries.map(e => [e.device, e.name])).entries()].map(([id, name]) => (
+            <option key={id} value={id}>{name}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* 原始收发流 (新的在上) */}
+      <section className="bg-slate-900 dark:bg-slate-950 rounded-2xl p-3 text-2xs font-mono text-slate-300 space-y-1.5 max-h-[60vh] overflow-y-auto select-text">
+        {rows.length === 0 && <div className="text-slate-500 font-sans">{t('diag.empty')}</div>}
+        {rows.map((e, i) => (
+          <div key={`${e.ts}-${i}`} className="border-b border-slate-800 pb-1.5">
+            <div className="flex items-center gap-2">
+              <span className="text-slate-500">{timestamp(e.ts)}</span>
+              <span className={`font-bold ${e.dir === 'rx' ? 'text-green-400' : 'text-sky-400'}`}>
+                {e.dir.toUpperCase()}{e.replay && ' ↺'}
+              </span>
+              <span className="text-slate-500 truncate">{e.name}</span>
+            </div>
+            <div className="text-slate-100 break-all">{frameText(e.bytes)}</div>
+            <div className="text-slate-500 break-all">{frameHex(e.bytes)}</div>
+            {e.packet && <div className="text-green-300 break-all">✓ {describePacket(e.packet)}</div>}
+            {e.error && <div className="text-red-400 break-all">✗ {e.error.code}: {e.error.message}</div>}
+          </div>
+        ))}
+      </section>
+    </div>
+  );
+}
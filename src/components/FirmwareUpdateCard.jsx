@@ -0,0 +1,297 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Cpu, Upload, FlaskConical, Play, Pause, X, RefreshCw, CheckCircle, AlertTriangle } from 'lucide-react';
+import { parseFirmwareImage, createDfuSession, DfuError, DFU_ERROR_CODES, DFU_STATUS } from '../dfu.js';
+import { buildEmulatorFirmware } from '../emulator.js';
+import { EVENT_TYPES } from '../history.js';
+import { useI18n } from '../useI18n.js';
+
+const STATUS_NAMES = Object.fromEntries(Object.entries(DFU_STATUS).map(([name, code]) => [code, name]));
+
+// 传输完成后等待设备重启断线的时间；超时仍未断线 (可能没收到 FINISH) 则直接回读版本
+const REBOOT_TIMEOUT = 20000;
+
+// 这些阶段即使面板折叠也保持显示
+const ACTIVE_PHASES = ['transferring', 'interrupted', 'rebooting', 'verifying'];
+
+const formatBytes = (n) => (n < 1024 ? `${Math.round(n)} B` : `${(n / 1024).toFixed(1)} KB`);
+
+// ==========================================
+// 固件升级：选择镜像、校验头、分块传输 (断线续传)、重启后确认版本
+// ==========================================
+// 传输期间组件需保持挂载，面板折叠时由 visible 控制隐藏。
+// onReloadInfo() 重新读取设备信息并返回结果 (见 DevicePanel loadInfo)。
+export default function FirmwareUpdateCard({
+  transport, connState, auth, relay, info, visible, onReloadInfo, onLog, onToast,
+}) {
+  const { t } = useI18n();
+  const fileRef = useRef(null);
+  const [image, setImage] = useState(null); // parseFirmwareImage() 的结果 + fileName
+  // idle | transferring | paused | interrupted | rebooting | verifying | done | failed
+  const [phase, setPhase] = useState('idle');
+  const [progress, setProgress] = useState({ offset: 0, rate: 0 });
+  const [error, setError] = useState(null);
+
+  const sessionRef = useRef(null);
+  const markRef = useRef(null);       // 本轮传输起点 { time, offset }，用于计算速率
+  const droppedRef = useRef(false);   // 重启阶段是否已看到断线
+
+  const failWith = (message, detail) => {
+    setPhase('failed');
+    setError(message);
+    onLog(t('log.dfuFailed', { message: detail }), EVENT_TYPES.ERROR);
+  };
+
+  const loadImage = (buffer, fileName) => {
+    try {
+      const parsed = parseFirmwareImage(buffer);
+      sessionRef.current = null;
+      setImage({ ...parsed, fileName });
+      setPhase('idle');
+      setError(null);
+      setProgress({ offset: 0, rate: 0 });
+    } catch (err) {
+      onLog(t('log.dfuImageInvalid', { message: err.message }), EVENT_TYPES.ERROR);
+      onToast(t(`dfu.errors.${err.code ?? DFU_ERROR_CODES.IMAGE_MAGIC}`), "error");
+    }
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // 允许再次选择同一文件
+    if (!file) return;
+    loadImage(await file.arrayBuffer(), file.name);
+  };
+
+  const handleTestImage = () => {
+    const bytes = buildEmulatorFirmware({ current: info?.firmware, model: info?.model ?? '' });
+    loadImage(bytes.buffer, 'emulator.icfw');
+  };
+
+  const onProgress = (offset) => {
+    if (!markRef.current) markRef.current = { time: Date.now(), offset };
+    const elapsed = (Date.now() - markRef.current.time) / 1000;
+    setProgress({ offset, rate: elapsed > 0 ? (offset - markRef.current.offset) / elapsed : 0 });
+  };
+
+  // 开始或续传：同一镜像复用会话，设备从已接收处继续
+  const transfer = async () => {
+    if (!sessionRef.current) {
+      sessionRef.current = createDfuSession(transport.openDfu, image, { onProgress });
+    }
+    markRef.current = null;
+    setPhase('transferring');
+    setError(null);
+    onLog(t('log.dfuStart', { version: image.version, file: image.fileName }), EVENT_TYPES.INFO);
+    try {
+      const { confirmed } = await sessionRef.current.transfer();
+      sessionRef.current = null;
+      droppedRef.current = false;
+      setPhase('rebooting');
+      onLog(t(confirmed ? 'log.dfuSent' : 'log.dfuUnconfirmed'), EVENT_TYPES.INFO);
+    } catch (err) {
+      if (err instanceof DfuError) {
+        if (err.code === DFU_ERROR_CODES.CANCELLED) {
+          setPhase('paused');
+        } else if (err.status === DFU_STATUS.UNAUTHORIZED) {
+          setPhase('interrupted'); // 重连后尚未认证，认证完成后自动续传
+        } else if (err.code === DFU_ERROR_CODES.REJECTED) {
+          failWith(t(`dfu.status.${STATUS_NAMES[err.status] ?? 'INVALID'}`), err.message);
+        } else {
+          failWith(t(`dfu.errors.${err.code}`), err.message);
+        }
+      } else if (err.name === 'NotFoundError') {
+        failWith(t('dfu.errors.UNSUPPORTED'), err.message);
+      } else {
+        // 写入失败 = 链路断开，重连后自动续传
+        setPhase('interrupted');
+        onLog(t('log.dfuInterrupted', { message: err.message }), EVENT_TYPES.ERROR);
+      }
+    }
+  };
+
+  const start = () => {
+    if (phase === 'idle' && !window.confirm(t('dfu.confirm'))) return;
+    transfer();
+  };
+
+  const pause = () => sessionRef.current?.cancel();
+
+  const remove = () => {
+    sessionRef.current?.cancel();
+    sessionRef.current = null;
+    setImage(null);
+    setPhase('idle');
+    setError(null);
+  };
+
+  // 重启后回读固件版本，与镜像头中的版本比对
+  const verify = async () => {
+    if (connState !== 'connected') return;
+    setPhase('verifying');
+    const fresh = await onReloadInfo();
+    if (fresh?.firmware === image.version) {
+      setPhase('done');
+      onLog(t('log.dfuDone', { version: image.version }), EVENT_TYPES.INFO);
+      onToast(t('toast.dfuDone', { version: image.version }));
+    } else {
+      const version = fresh?.firmware ?? '?';
+      failWith(t('dfu.errors.VERIFY', { version }), `firmware revision ${version}, expected ${image.version}`);
+      onToast(t('toast.dfuFailed'), "error");
+    }
+  };
+
+  const phaseRef = useRef(phase);
+  const transferRef = useRef(transfer);
+  const verifyRef = useRef(verify);
+  useEffect(() => {
+    phaseRef.current = phase;
+    transferRef.current = transfer;
+    verifyRef.current = verify;
+  });
+
+  // 断线续传：重连 (已配对设备还需认证完成) 后自动继续
+  useEffect(() => {
+    if (phaseRef.current !== 'interrupted' || connState !== 'connected') return;
+    if (auth === 'OPEN' || auth === 'AUTHED') transferRef.current();
+  }, [connState, auth]);
+
+  // 设备重启：先断线，重连后确认版本
+  useEffect(() => {
+    if (phase !== 'rebooting') return;
+    if (connState !== 'connected') {
+      droppedRef.current = true;
+    } else if (droppedRef.current) {
+      verifyRef.current();
+    }
+  }, [phase, connState]);
+
+  useEffect(() => {
+    if (phase !== 'rebooting') return;
+    const timer = setTimeout(() => verifyRef.current(), REBOOT_TIMEOUT);
+    return () => clearTimeout(timer);
+  }, [phase]);
+
+  // 面板关闭时停止传输 (设备保留已接收部分，下次可续传)
+  useEffect(() => () => sessionRef.current?.cancel(), []);
+
+  const hidden = !visible && !ACTIVE_PHASES.includes(phase);
+
+  if (!transport.openDfu) {
+    return (
+      <div className={`bg-white dark:bg-slate-900 rounded-2xl p-5 shadow-sm border border-slate-100 dark:border-slate-800 text-sm text-slate-400 ${hidden ? 'hidden' : ''}`}>
+        {t('dfu.bleOnly')}
+      </div>
+    );
+  }
+
+  const wrongModel = image && image.model && info?.model && image.model !== info.model;
+  const busy = phase === 'transferring' || phase === 'rebooting' || phase === 'verifying';
+  const canStart = image && !wrongModel && !relay && connState === 'connected' && !busy && phase !== 'done';
+  const percent = image ? Math.floor((progress.offset / image.length) * 100) : 0;
+
+  return (
+    <div className={`bg-white dark:bg-slate-900 rounded-2xl p-5 shadow-sm border border-slate-100 dark:border-slate-800 space-y-3 ${hidden ? 'hidden' : ''}`}>
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-4">
+          <div className="bg-violet-50 dark:bg-violet-950/40 p-3 rounded-xl text-violet-500">
+            <Cpu className="w-6 h-6" />
+          </div>
+          <div>
+            <div className="text-xs font-bold text-slate-400">{t('dfu.title')}</div>
+            <div className="font-mono font-bold text-slate-700 dark:text-slate-200">{info?.firmware ?? '—'}</div>
+          </div>
+        </div>
+        <div className="flex items-center gap-1">
+          {transport.emulated && (
+            <button onClick={handleTestImage} disabled={busy} className="p-1.5 text-slate-400 hover:text-slate-600 dark:hover:text-slate-300 disabled:opacity-50" title={t('dfu.testImage')} aria-label={t('dfu.testImage')}>
+              <FlaskConical className="w-4 h-4" />
+            </button>
+          )}
+          <button onClick={() => fileRef.current.click()} disabled={busy} className="p-1.5 text-slate-400 hover:text-slate-600 dark:hover:text-slate-300 disabled:opacity-50" title={t('dfu.chooseFile')} aria-label={t('dfu.chooseFile')}>
+            <Upload className="w-4 h-4" />
+          </button>
+          <input ref={fileRef} type="file" accept=".icfw,.bin,application/octet-stream" onChange={handleFile} className="hidden" />
+        </div>
+      </div>
+
+      {!image ? (
+        <div className="border-t border-slate-50 dark:border-slate-800 pt-3 text-xs text-slate-400">{t('dfu.empty')}</div>
+      ) : (
+        <div className="border-t border-slate-50 dark:border-slate-800 pt-3 space-y-3 text-xs text-slate-500 dark:text-slate-400">
+          <div className="flex items-center gap-2">
+            <div className="flex-1 min-w-0">
+              <div className="font-bold text-slate-700 dark:text-slate-200 truncate">{image.fileName}</div>
+              <div className="font-mono">
+                {info?.firmware ?? '?'} → {image.version} · {image.model || '—'} · {formatBytes(image.length)}
+              </div>
+            </div>
+            {!busy && (
+              <button onClick={remove} className="p-1.5 text-slate-300 dark:text-slate-600 hover:text-red-500" title={t('dfu.remove')} aria-label={t('dfu.remove')}>
+                <X className="w-4 h-4" />
+              </button>
+            )}
+          </div>
+
+          {wrongModel && (
+            <div className="flex items-center gap-2 text-red-600 dark:text-red-400">
+              <AlertTriangle className="w-4 h-4 shrink-0" /> {t('dfu.wrongModel', { image: image.model, device: info.model })}
+            </div>
+          )}
+          {!wrongModel && phase === 'idle' && info?.firmware === image.version && (
+            <div className="flex items-center gap-2 text-amber-600 dark:text-amber-400">
+              <AlertTriangle className="w-4 h-4 shrink-0" /> {t('dfu.sameVersion')}
+            </div>
+          )}
+          {relay && !busy && phase !== 'done' && (
+            <div className="flex items-center gap-2 text-amber-600 dark:text-amber-400">
+              <AlertTriangle className="w-4 h-4 shrink-0" /> {t('dfu.relayOn')}
+            </div>
+          )}
+
+          {phase !== 'idle' && (
+            <div className="space-y-1">
+              <div className="h-2 bg-slate-100 dark:bg-slate-800 rounded-full overflow-hidden">
+                <div
+                  className={`h-full transition-all ${phase === 'failed' ? 'bg-red-400' : phase === 'done' ? 'bg-green-500' : 'bg-violet-500'}`}
+                  style={{ width: `${phase === 'done' ? 100 : percent}%` }}
+                />
+              </div>
+              <div className="flex justify-between font-mono text-2xs">
+                <span>{formatBytes(progress.offset)} / {formatBytes(image.length)} · {percent}%</span>
+                {phase === 'transferring' && progress.rate > 0 && <span>{formatBytes(progress.rate)}/s</span>}
+              </div>
+            </div>
+          )}
+
+          {phase !== 'idle' && (
+            <div className={`flex items-center gap-2 font-bold ${
+              phase === 'failed' ? 'text-red-600 dark:text-red-400' : phase === 'done' ? 'text-green-600 dark:text-green-400' : 'text-slate-600 dark:text-slate-300'
+            }`}>
+              {phase === 'done' ? <CheckCircle className="w-4 h-4 shrink-0" />
+                : phase === 'failed' ? <AlertTriangle className="w-4 h-4 shrink-0" />
+                : busy || phase === 'interrupted' ? <RefreshCw className="w-4 h-4 shrink-0 animate-spin" />
+                : <Pause className="w-4 h-4 shrink-0" />}
+              <span>{phase === 'failed' ? error : t(`dfu.phases.${phase}`, { version: image.version })}</span>
+            </div>
+          )}
+
+          <div className="flex gap-2">
+            {phase === 'transferring' ? (
+              <button onClick={pause} className="flex-1 py-2 rounded-xl bg-slate-100 dark:bg-slate-800 text-slate-600 dark:text-slate-300 font-bold flex items-center justify-center gap-1">
+                <Pause className="w-4 h-4" /> {t('dfu.pause')}
+              </button>
+            ) : (
+              <button
+                onClick={start}
+                disabled={!canStart}
+                className="flex-1 py-2 rounded-xl bg-slate-800 dark:bg-slate-700 text-white font-bold flex items-center justify-center gap-1 active:scale-95 transition-transform disabled:bg-slate-300 dark:disabled:bg-slate-600"
+              >
+                <Play className="w-4 h-4" /> {t(phase === 'idle' ? 'dfu.start' : 'dfu.resume')}
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
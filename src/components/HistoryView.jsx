@@ -0,0 +1,141 @@
+import React, { useState, useEffect } from 'react';
+import { ArrowLeft, Search, FileSpreadsheet, FileJson, Trash2 } from 'lucide-react';
+import {
+  EVENT_TYPES, queryEvents, clearEvents,
+  eventsToCSV, eventsToJSON, downloadFile,
+} from '../history.js';
+import { useI18n } from '../useI18n.js';
+
+const TYPE_COLORS = {
+  [EVENT_TYPES.CONN]: 'bg-blue-100 dark:bg-blue-900/40 text-blue-700 dark:text-blue-300',
+  [EVENT_TYPES.TX]: 'bg-slate-200 dark:bg-slate-700 text-slate-700 dark:text-slate-200',
+  [EVENT_TYPES.RX]: 'bg-green-100 dark:bg-green-900/40 text-green-700 dark:text-green-300',
+  [EVENT_TYPES.RELAY]: 'bg-red-100 dark:bg-red-900/40 text-red-700 dark:text-red-300',
+  [EVENT_TYPES.ERROR]: 'bg-red-500 text-white',
+  [EVENT_TYPES.INFO]: 'bg-slate-100 dark:bg-slate-800 text-slate-500 dark:text-slate-400',
+};
+
+// <input type="date"> 的值按本地时区解析为当天 0 点 / 24 点
+const dayStart = (str) => (str ? new Date(`${str}T00:00:00`).getTime() : 0);
+const dayEnd = (str) => (str ? new Date(`${str}T00:00:00`).getTime() + 86400000 - 1 : Infinity);
+
+// ==========================================
+// 历史记录页面
+// ==========================================
+export default function HistoryView({ onBack }) {
+  const { t, formatDateTime } = useI18n();
+  const [types, setTypes] = useState([]);
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [search, setSearch] = useState('');
+  const [events, setEvents] = useState([]);
+  const [error, setError] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  const filter = { types, from: dayStart(from), to: dayEnd(to), search };
+
+  useEffect(() => {
+    let cancelled = false;
+    queryEvents({ types, from: dayStart(from), to: dayEnd(to), search })
+      .then(list => { if (!cancelled) { setEvents(list); setError(null); } })
+      .catch(err => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
+  }, [types, from, to, search, reloadKey]);
+
+  const toggleType = (type) => {
+    setTypes(prev => (prev.includes(type) ? prev.filter(t => t !== type) : [...prev, type]));
+  };
+
+  // 导出当前筛选条件下的全部记录 (不受列表条数限制)
+  const exportAs = async (format) => {
+    const all = await queryEvents({ ...filter, limit: Infinity });
+    const stamp = new Date().toISOString().slice(0, 10);
+    if (format === 'csv') {
+      downloadFile(`insulctrl-history-${stamp}.csv`, eventsToCSV(all), 'text/csv');
+    } else {
+      downloadFile(`insulctrl-history-${stamp}.json`, eventsToJSON(all), 'application/json');
+    }
+  };
+
+  const handleClear = async () => {
+    if (!confirm(t('history.clearConfirm'))) return;
+    await clearEvents();
+    setReloadKey(k => k + 1);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <button onClick={onBack} className="flex items-center gap-1 text-sm font-bold text-slate-500 dark:text-slate-400 hover:text-slate-800 dark:hover:text-slate-100">
+          <ArrowLeft className="w-4 h-4" /> {t('history.back')}
+        </button>
+        <h2 className="text-lg font-bold text-slate-800 dark:text-slate-100">{t('history.title')}</h2>
+        <button onClick={handleClear} className="p-2 text-slate-300 dark:text-slate-600 hover:text-red-500" title={t('history.clear')} aria-label={t('history.clear')}>
+          <Trash2 className="w-4 h-4" />
+        </button>
+      </div>
+
+      {/* 筛选 */}
+      <section className="bg-white dark:bg-slate-900 rounded-2xl p-4 shadow-sm border border-slate-100 dark:border-slate-800 space-y-3">
+        <div className="flex flex-wrap gap-2">
+          {Object.values(EVENT_TYPES).map(type => (
+            <button
+              key={type}
+              onClick={() => toggleType(type)}
+              aria-pressed={types.includes(type)}
+              className={`px-2 py-1 rounded-lg text-xs font-bold transition-colors ${
+                types.includes(type) ? TYPE_COLORS[type] : 'bg-slate-50 dark:bg-slate-800/50 text-slate-400'
+              }`}
+            >
+              {t(`history.types.${type}`)}
+            </button>
+          ))}
+        </div>
+        <div className="flex gap-2 text-xs">
+          <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} aria-label={t('history.fromDate')} className="flex-1 bg-slate-50 dark:bg-slate-800/50 rounded-lg px-2 py-1.5 outline-none" />
+          <span className="self-center text-slate-300 dark:text-slate-600">{t('history.to')}</span>
+          <input type="date" value={to} onChange={(e) => setTo(e.target.value)} aria-label={t('history.toDate')} className="flex-1 bg-slate-50 dark:bg-slate-800/50 rounded-lg px-2 py-1.5 outline-none" />
+        </div>
+        <div className="flex items-center gap-2 bg-slate-50 dark:bg-slate-800/50 rounded-lg px-2">
+          <Search className="w-4 h-4 text-slate-300 dark:text-slate-600" />
+          <input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder={t('history.search')}
+            aria-label={t('history.search')}
+            className="flex-1 bg-transparent py-1.5 text-xs outline-none"
+          />
+        </div>
+        <div className="flex gap-2">
+          <button onClick={() => exportAs('csv')} className="flex-1 py-2 rounded-xl bg-slate-800 dark:bg-slate-700 text-white text-xs font-bold flex items-center justify-center gap-1">
+            <FileSpreadsheet className="w-4 h-4" /> {t('history.exportCsv')}
+          </button>
+          <button onClick={() => exportAs('json')} className="flex-1 py-2 rounded-xl bg-slate-100 dark:bg-slate-800 text-slate-600 dark:text-slate-300 text-xs font-bold flex items-center justify-center gap-1">
+            <FileJson className="w-4 h-4" /> {t('history.exportJson')}
+          </button>
+        </div>
+      </section>
+
+      {/* 列表 */}
+      <section className="bg-white dark:bg-slate-900 rounded-2xl shadow-sm border border-slate-100 dark:border-slate-800 divide-y divide-slate-50 dark:divide-slate-800">
+        {error && <div className="p-4 text-xs text-red-500">{t('history.loadFailed', { message: error })}</div>}
+        {!error && events.length === 0 && (
+          <div className="p-6 text-center text-xs text-slate-400">{t('history.empty')}</div>
+        )}
+        {events.map(ev => (
+          <div key={ev.id} className="px-4 py-2.5 flex items-start gap-2 text-xs">
+            <span className={`shrink-0 px-1.5 py-0.5 rounded font-bold text-2xs ${TYPE_COLORS[ev.type] || TYPE_COLORS[EVENT_TYPES.INFO]}`}>
+              {ev.type in TYPE_COLORS ? t(`history.types.${ev.type}`) : ev.type}
+            </span>
+            <div className="flex-1 min-w-0">
+              <div className="text-slate-700 dark:text-slate-200 break-all">{ev.msg}</div>
+              <div className="text-2xs text-slate-400 font-mono">
+                {formatDateTime(new Date(ev.ts))}{ev.device && ` · ${ev.device}`}
+              </div>
+            </div>
+          </div>
+        ))}
+      </section>
+    </div>
+  );
+}
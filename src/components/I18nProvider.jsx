@@ -0,0 +1,27 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { detectLocale, loadLocalePreference, saveLocalePreference } from '../i18n.js';
+import { I18nContext, createReactI18n } from '../useI18n.js';
+
+// ==========================================
+// 语言上下文：手动选择优先，否则跟随浏览器语言
+// ==========================================
+export default function I18nProvider({ children }) {
+  const [preference, setPreferenceState] = useState(loadLocalePreference);
+  const [detected] = useState(() => detectLocale());
+  const locale = preference ?? detected;
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  const value = useMemo(() => ({
+    ...createReactI18n(locale),
+    preference,
+    setPreference: (next) => {
+      saveLocalePreference(next);
+      setPreferenceState(next);
+    },
+  }), [locale, preference]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
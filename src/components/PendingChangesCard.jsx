@@ -0,0 +1,77 @@
+import React from 'react';
+import { CloudUpload, AlertTriangle, X } from 'lucide-react';
+import { formatMinutes } from '../schedule.js';
+import { useI18n } from '../useI18n.js';
+
+// ==========================================
+// 离线修改：排队中的修改与重连后的冲突
+// ==========================================
+// queue / conflicts 见 offline.js；onDiscard(id) 撤销排队的修改，onResolve(id, keepMine) 处理冲突。
+export default function PendingChangesCard({ queue, conflicts, online, onDiscard, onResolve }) {
+  const { t } = useI18n();
+
+  if (!queue.length && !conflicts.length) return null;
+
+  // 各类修改的值按界面习惯显示
+  const describe = (kind, value) => (
+    kind === 'alarm' ? formatMinutes(value)
+      : kind === 'schedule' ? t('offline.slots', { n: value.length })
+      : kind === 'mode' ? t(`panel.modes.${value ? 'ARMED' : 'IDLE'}`)
+      : value ? t('config.presetMinutes', { n: value }) : t('config.presetUnlimited')
+  );
+
+  return (
+    <section className="bg-white dark:bg-slate-900 rounded-2xl p-4 shadow-sm border border-slate-100 dark:border-slate-800 space-y-3 text-xs">
+      {conflicts.length > 0 && (
+        <div className="space-y-2">
+          <div className="flex items-center gap-2 font-bold text-red-500">
+            <AlertTriangle className="w-4 h-4" /> {t('offline.conflicts')}
+          </div>
+          {conflicts.map(c => (
+            <div key={c.id} className="bg-red-50 dark:bg-red-950/40 rounded-xl p-3 space-y-2">
+              <div className="text-slate-600 dark:text-slate-300">
+                <span className="font-bold">{t(`offline.kinds.${c.kind}`)}</span>
+                {' · '}
+                {t('offline.conflict', {
+                  mine: describe(c.kind, c.value),
+                  current: describe(c.kind, c.current),
+                  base: describe(c.kind, c.base),
+                })}
+              </div>
+              <div className="flex gap-2 justify-end font-bold">
+                <button onClick={() => onResolve(c.id, false)} className="px-2 py-1 rounded-lg bg-white dark:bg-slate-900 text-slate-600 dark:text-slate-300">
+                  {t('offline.keepDevice')}
+                </button>
+                <button onClick={() => onResolve(c.id, true)} className="px-2 py-1 rounded-lg bg-red-500 text-white">
+                  {t('offline.applyMine')}
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+      {queue.length > 0 && (
+        <div className="space-y-2">
+          <div className="flex items-center gap-2 font-bold text-slate-400">
+            <CloudUpload className="w-4 h-4" /> {t('offline.title')}
+          </div>
+          <ol className="space-y-1">
+            {queue.map(c => (
+              <li key={c.id} className="flex items-center gap-2 bg-slate-50 dark:bg-slate-800/50 rounded-lg px-2 py-1.5">
+                <span className="flex-1 text-slate-600 dark:text-slate-300">
+                  <span className="font-bold">{t(`offline.kinds.${c.kind}`)}</span>
+                  {' '}
+                  <span className="font-mono">{describe(c.kind, c.base)} → {describe(c.kind, c.value)}</span>
+                </span>
+                <button onClick={() => onDiscard(c.id)} className="p-1 text-slate-300 dark:text-slate-600 hover:text-red-500" title={t('offline.discard')} aria-label={t('offline.discard')}>
+                  <X className="w-3.5 h-3.5" />
+                </button>
+              </li>
+            ))}
+          </ol>
+          <div className="text-2xs text-slate-400">{t(online ? 'offline.replaying' : 'offline.hint')}</div>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,57 @@
+import React, { useState } from 'react';
+import { Lock, Power } from 'lucide-react';
+import { useI18n } from '../useI18n.js';
+
+// ==========================================
+// 面板 PIN 锁提示：输入 PIN 解锁控制
+// ==========================================
+// onUnlock(pin) 返回 PIN 是否正确 (可为 Promise)。
+// 停止负载永远不需要 PIN：负载吸合或定时进行中时传入 onStop，锁定状态下也显示停止按钮。
+export default function PinLockBanner({ onUnlock, onStop = null, stopBusy = false }) {
+  const { t } = useI18n();
+  const [pin, setPin] = useState('');
+  const [wrong, setWrong] = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (!pin) return;
+    const ok = await onUnlock(pin);
+    setWrong(!ok);
+    setPin('');
+  };
+
+  return (
+    <form onSubmit={submit} className="bg-slate-800 dark:bg-slate-700 text-white rounded-2xl p-4 space-y-2 text-sm">
+      <div className="flex items-center gap-2 font-bold">
+        <Lock className="w-4 h-4" /> {t('safety.locked')}
+      </div>
+      <div className="flex gap-2">
+        <input
+          type="password"
+          inputMode="numeric"
+          autoComplete="off"
+          value={pin}
+          onChange={(e) => { setPin(e.target.value.replace(/\D/g, '')); setWrong(false); }}
+          placeholder={t('safety.pinPlaceholder')}
+          aria-label={t('safety.pin')}
+          maxLength={8}
+          className="flex-1 min-w-0 bg-white/10 rounded-lg px-3 py-2 font-mono tracking-widest outline-none placeholder:text-white/40"
+        />
+        <button type="submit" disabled={!pin} className="px-4 rounded-lg bg-white text-slate-800 font-bold disabled:opacity-50">
+          {t('safety.unlock')}
+        </button>
+      </div>
+      {wrong && <div role="alert" className="text-xs text-red-300">{t('safety.wrongPin')}</div>}
+      {onStop && (
+        <button
+          type="button"
+          onClick={onStop}
+          disabled={stopBusy}
+          className="w-full flex items-center justify-center gap-2 py-2 rounded-lg bg-red-500 text-white font-bold active:scale-95 transition-transform disabled:opacity-50"
+        >
+          <Power className="w-4 h-4" /> {t('safety.stopLocked')}
+        </button>
+      )}
+    </form>
+  );
+}
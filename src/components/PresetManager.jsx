@@ -0,0 +1,175 @@
+import React, { useState, useRef } from 'react';
+import { Bookmark, Plus, Pencil, Trash2, Download, Upload, Check, X } from 'lucide-react';
+import { MAX_RUN_MINUTES } from '../protocol.js';
+import { formatMinutes, parseMinutes } from '../schedule.js';
+import {
+  newPresetId, upsertPreset, removePreset,
+  presetsToJSON, parsePresetsJSON, mergePresets,
+} from '../presets.js';
+import { EVENT_TYPES, downloadFile } from '../history.js';
+import { useI18n } from '../useI18n.js';
+
+const NEW_PRESET = { name: '', alarmH: 7, alarmM: 30, armed: true, runMinutes: null };
+
+// ==========================================
+// 预设管理：新建 / 编辑 / 删除，导入导出 JSON 与班组共享
+// ==========================================
+// 预设在各设备面板上一键应用 (见 DevicePanel)，此处只维护列表。
+export default function PresetManager({ presets, onChange, onToast, onLog }) {
+  const { t } = useI18n();
+  const [draft, setDraft] = useState(null); // 正在编辑的预设 (新建时 id 为 null)
+  const fileRef = useRef(null);
+
+  const draftValid = draft && draft.name.trim()
+    && (draft.runMinutes === null || (Number.isInteger(draft.runMinutes) && draft.runMinutes <= MAX_RUN_MINUTES));
+
+  const commitDraft = () => {
+    if (!draftValid) return;
+    onChange(upsertPreset(presets, { ...draft, id: draft.id ?? newPresetId(), name: draft.name.trim() }));
+    setDraft(null);
+  };
+
+  const handleRemove = (preset) => {
+    if (!confirm(t('presets.removeConfirm', { name: preset.name }))) return;
+    onChange(removePreset(presets, preset.id));
+  };
+
+  const handleExport = () => {
+    const stamp = new Date().toISOString().slice(0, 10);
+    downloadFile(`insulctrl-presets-${stamp}.json`, presetsToJSON(presets), 'application/json');
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // 允许再次选择同一文件
+    if (!file) return;
+    try {
+      const imported = parsePresetsJSON(await file.text());
+      onChange(mergePresets(presets, imported));
+      onLog(t('presets.imported', { n: imported.length, file: file.name }), EVENT_TYPES.INFO);
+      onToast(t('presets.imported', { n: imported.length, file: file.name }));
+    } catch (error) {
+      onLog(t('presets.importFailed', { message: error.message }), EVENT_TYPES.ERROR);
+      onToast(t(`presets.errors.${error.code ?? 'JSON'}`), "error");
+    }
+  };
+
+  return (
+    <section className="bg-white dark:bg-slate-900 rounded-2xl p-4 shadow-sm border border-slate-100 dark:border-slate-800 space-y-3 text-xs text-slate-500 dark:text-slate-400">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2 font-bold text-slate-400 uppercase tracking-wider">
+          <Bookmark className="w-4 h-4" /> {t('presets.title')}
+        </div>
+        <div className="flex items-center gap-1">
+          <button onClick={() => fileRef.current.click()} className="p-1.5 text-slate-400 hover:text-slate-600 dark:hover:text-slate-300" title={t('presets.import')} aria-label={t('presets.import')}>
+            <Upload className="w-4 h-4" />
+          </button>
+          <button onClick={handleExport} disabled={!presets.length} className="p-1.5 text-slate-400 hover:text-slate-600 dark:hover:text-slate-300 disabled:opacity-40" title={t('presets.export')} aria-label={t('presets.export')}>
+            <Download className="w-4 h-4" />
+          </button>
+          <input ref={fileRef} type="file" accept="application/json,.json" onChange={handleImport} className="hidden" />
+        </div>
+      </div>
+
+      {presets.length === 0 && !draft && (
+        <div className="text-slate-400 text-center py-1">{t('presets.empty')}</div>
+      )}
+
+      <div className="divide-y divide-slate-50 dark:divide-slate-800">
+        {presets.map(preset => (
+          <div key={preset.id} className="py-2 flex items-center gap-2">
+            <div className="flex-1 min-w-0">
+              <div className="text-sm font-bold text-slate-700 dark:text-slate-200 truncate">{preset.name}</div>
+              <div className="text-2xs text-slate-400 font-mono">
+                {formatMinutes(preset.alarmH * 60 + preset.alarmM)}
+                {' · '}{t(`panel.modes.${preset.armed ? 'ARMED' : 'IDLE'}`)}
+                {preset.runMinutes !== null && ` · ${preset.runMinutes ? t('units.minutes', { n: preset.runMinutes }) : t('running.unlimited')}`}
+              </div>
+            </div>
+            <button onClick={() => setDraft(preset)} className="p-1.5 text-slate-300 dark:text-slate-600 hover:text-slate-600 dark:hover:text-slate-300" title={t('presets.edit')} aria-label={t('presets.edit')}>
+              <Pencil className="w-4 h-4" />
+            </button>
+            <button onClick={() => handleRemove(preset)} className="p-1.5 text-slate-300 dark:text-slate-600 hover:text-red-500" title={t('presets.remove')} aria-label={t('presets.remove')}>
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+        ))}
+      </div>
+
+      {draft ? (
+        <div className="border border-slate-100 dark:border-slate-800 rounded-xl p-3 space-y-3">
+          <input
+            autoFocus
+            value={draft.name}
+            placeholder={t('presets.namePlaceholder')}
+            aria-label={t('presets.namePlaceholder')}
+            onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+            className="w-full bg-slate-50 dark:bg-slate-800/50 rounded px-2 py-1 text-sm font-bold text-slate-700 dark:text-slate-200 outline-none"
+          />
+          <div className="flex items-center gap-3">
+            <label className="flex-1 text-2xs text-slate-400 font-bold">
+              {t('presets.alarm')}
+              <input
+                type="time"
+                value={formatMinutes(draft.alarmH * 60 + draft.alarmM)}
+                onChange={(e) => {
+                  const minutes = parseMinutes(e.target.value);
+                  if (minutes !== null) setDraft({ ...draft, alarmH: Math.floor(minutes / 60), alarmM: minutes % 60 });
+                }}
+                className="block w-full font-bold text-lg text-slate-800 dark:text-slate-100 bg-transparent outline-none"
+              />
+            </label>
+            <label className="flex-1 text-2xs text-slate-400 font-bold">
+              {t('presets.runMinutes')}
+              <input
+                type="number"
+                min={0}
+                max={MAX_RUN_MINUTES}
+                value={draft.runMinutes ?? ''}
+                placeholder={t('presets.keep')}
+                onChange={(e) => setDraft({ ...draft, runMinutes: e.target.value === '' ? null : Number(e.target.value) })}
+                className="block w-full font-bold text-lg text-slate-800 dark:text-slate-100 bg-transparent outline-none"
+              />
+            </label>
+          </div>
+          <div className="flex gap-2 font-bold">
+            {[true, false].map(armed => (
+              <button
+                key={String(armed)}
+                onClick={() => setDraft({ ...draft, armed })}
+                className={`flex-1 py-1.5 rounded-lg ${
+                  draft.armed !== armed ? 'bg-slate-100 dark:bg-slate-800 text-slate-500 dark:text-slate-400'
+                    : armed ? 'bg-green-500 text-white' : 'bg-slate-600 text-white'
+                }`}
+              >
+                {t(`panel.modes.${armed ? 'ARMED' : 'IDLE'}`)}
+              </button>
+            ))}
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={() => setDraft(null)}
+              className="flex-1 py-2 rounded-xl bg-slate-100 dark:bg-slate-800 text-slate-600 dark:text-slate-300 font-bold flex items-center justify-center gap-1"
+            >
+              <X className="w-4 h-4" /> {t('presets.cancel')}
+            </button>
+            <button
+              onClick={commitDraft}
+              disabled={!draftValid}
+              className="flex-1 py-2 rounded-xl bg-slate-800 dark:bg-slate-700 text-white font-bold flex items-center justify-center gap-1 disabled:bg-slate-300 dark:disabled:bg-slate-600"
+            >
+              <Check className="w-4 h-4" /> {t('presets.save')}
+            </button>
+          </div>
+        </div>
+      ) : (
+        <button
+          onClick={() => setDraft({ ...NEW_PRESET, id: null })}
+          className="w-full py-2 rounded-xl bg-slate-100 dark:bg-slate-800 text-slate-600 dark:text-slate-300 font-bold flex items-center justify-center gap-1"
+        >
+          <Plus className="w-4 h-4" /> {t('presets.add')}
+        </button>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,68 @@
+import React from 'react';
+import { Flame, Square, RefreshCw } from 'lucide-react';
+import { formatDuration } from '../schedule.js';
+import { useI18n } from '../useI18n.js';
+
+// ==========================================
+// 运行中 (继电器吸合) 状态卡片
+// ==========================================
+// 剩余时间取 "运行时长上限" 与 "周计划关闭时间" 中较早的一个；两者都没有时显示不限时。
+// 一次性定时设了断开时间 (timerEndSecs > 0) 时设备忽略运行时长上限，以定时为准。
+// children 显示在停止按钮上方 (如定时的延长按钮)。
+export default function RunningCard({ onSecs, runMinutes, planEndSecs, timerEndSecs = 0, stopping, onStop, children }) {
+  const { t } = useI18n();
+  const limits = [];
+  if (timerEndSecs > 0) limits.push(timerEndSecs);
+  else if (runMinutes > 0) limits.push(runMinutes * 60 - onSecs);
+  if (planEndSecs !== null) limits.push(planEndSecs);
+  const remaining = limits.length ? Math.max(0, Math.min(...limits)) : null;
+  const progress = remaining === null ? null : onSecs / Math.max(1, onSecs + remaining);
+
+  return (
+    <section className="bg-gradient-to-br from-orange-500 to-red-500 text-white rounded-3xl p-6 shadow-sm shadow-orange-200 dark:shadow-none relative overflow-hidden">
+      <div className="flex justify-between items-start mb-4">
+        <div>
+          <h3 className="text-lg font-bold flex items-center gap-2">
+            <Flame className="w-5 h-5" />
+            {t('running.title')}
+          </h3>
+          <p className="text-xs opacity-80 mt-1">
+            {timerEndSecs > 0 ? t('running.timer')
+              : runMinutes > 0 ? t('running.limit', { n: runMinutes }) : t('running.noLimit')}
+          </p>
+        </div>
+        <span className="bg-white/20 text-xs font-bold px-2 py-1 rounded-lg">{t('running.badge')}</span>
+      </div>
+
+      <div className="grid grid-cols-2 gap-4 text-center py-2">
+        <div>
+          <div className="text-2xs font-bold opacity-80 uppercase tracking-wider">{t('running.elapsed')}</div>
+          <div className="text-2xl font-mono font-black tracking-wider">{formatDuration(onSecs)}</div>
+        </div>
+        <div>
+          <div className="text-2xs font-bold opacity-80 uppercase tracking-wider">{t('running.remaining')}</div>
+          <div className="text-2xl font-mono font-black tracking-wider">
+            {remaining === null ? t('running.unlimited') : formatDuration(remaining)}
+          </div>
+        </div>
+      </div>
+
+      {progress !== null && (
+        <div className="h-2 bg-white/20 rounded-full overflow-hidden mt-3">
+          <div className="h-full bg-white rounded-full transition-all" style={{ width: `${Math.min(100, progress * 100)}%` }} />
+        </div>
+      )}
+
+      {children}
+
+      <button
+        onClick={onStop}
+        disabled={stopping}
+        className="mt-5 w-full bg-white text-red-600 font-bold py-3 rounded-xl flex items-center justify-center gap-2 active:scale-95 transition-transform disabled:opacity-70"
+      >
+        {stopping ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Square className="w-4 h-4 fill-current" />}
+        {t('running.stop')}
+      </button>
+    </section>
+  );
+}
@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import { ShieldAlert, Lock, Trash2 } from 'lucide-react';
+import { ACTIVATION_MODES, PIN_PATTERN, PIN_RELOCK_MS } from '../safety.js';
+import { MAX_RUN_MINUTES } from '../protocol.js';
+import { useI18n } from '../useI18n.js';
+
+const MAX_ON_OPTIONS = [0, 30, 60, 120];
+
+// ==========================================
+// 安全联锁设置：手动吸合方式、最长手动运行时间、面板 PIN 锁
+// ==========================================
+// safety 见 safety.js；onChange(patch) 保存普通字段，onSetPin(pin | null) 设置或移除 PIN，
+// onLock 立即上锁 (已设置 PIN 时)。
+export default function SafetyCard({ safety, onChange, onSetPin, onLock }) {
+  const { t } = useI18n();
+  const [maxDraft, setMaxDraft] = useState(null);
+  const [pin, setPin] = useState('');
+  const [editingPin, setEditingPin] = useState(false);
+
+  const maxOn = maxDraft ?? safety.maxOnMinutes;
+  const maxValid = /^\d+$/.test(String(maxOn)) && Number(maxOn) <= MAX_RUN_MINUTES;
+
+  const commitMax = (value) => {
+    setMaxDraft(null);
+    if (/^\d+$/.test(String(value)) && Number(value) <= MAX_RUN_MINUTES) onChange({ maxOnMinutes: Number(value) });
+  };
+
+  const savePin = async (e) => {
+    e.preventDefault();
+    if (!PIN_PATTERN.test(pin)) return;
+    await onSetPin(pin);
+    setPin('');
+    setEditingPin(false);
+  };
+
+  return (
+    <div className="bg-white dark:bg-slate-900 rounded-2xl p-5 shadow-sm border border-slate-100 dark:border-slate-800 space-y-4 text-xs">
+      <div className="flex items-center gap-4">
+        <div className="bg-orange-50 dark:bg-orange-950/40 p-3 rounded-xl text-orange-500">
+          <ShieldAlert className="w-6 h-6" />
+        </div>
+        <div>
+          <div className="font-bold text-slate-400">{t('safety.title')}</div>
+          <div className="text-2xs text-slate-400">{t('safety.hint')}</div>
+        </div>
+      </div>
+
+      {/* 手动吸合方式 */}
+      <div className="space-y-1.5">
+        <div className="font-bold text-slate-500 dark:text-slate-400">{t('safety.activation')}</div>
+        <div className="flex bg-slate-100 dark:bg-slate-800 rounded-lg p-0.5 font-bold" role="group" aria-label={t('safety.activation')}>
+          {Object.values(ACTIVATION_MODES).map(mode => (
+            <button
+              key={mode}
+              onClick={() => onChange({ activation: mode })}
+              aria-pressed={safety.activation === mode}
+              className={`flex-1 py-1.5 rounded-md ${safety.activation === mode ? 'bg-white dark:bg-slate-900 text-slate-800 dark:text-slate-100 shadow-sm' : 'text-slate-400'}`}
+            >
+              {t(`safety.modes.${mode}`)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* 最长手动运行时间 (客户端看门狗) */}
+      <div className="space-y-1.5">
+        <div className="font-bold text-slate-500 dark:text-slate-400">{t('safety.maxOn')}</div>
+        <div className="flex items-center gap-2">
+          <input
+            type="number"
+            min={0}
+            max={MAX_RUN_MINUTES}
+            value={maxOn}
+            onChange={(e) => setMaxDraft(e.target.value)}
+            onBlur={() => maxDraft !== null && commitMax(maxDraft)}
+            aria-label={t('safety.maxOn')}
+            className={`w-16 bg-slate-50 dark:bg-slate-800/50 rounded-lg px-2 py-1 font-bold outline-none ${maxValid ? 'text-slate-800 dark:text-slate-100' : 'text-red-500'}`}
+          />
+          <span className="flex-1 text-slate-400">
+            {t('config.minutes')}{Number(maxOn) === 0 && t('safety.noMax')}
+          </span>
+          {MAX_ON_OPTIONS.map(min => (
+            <button
+              key={min}
+              onClick={() => commitMax(min)}
+              aria-pressed={Number(maxOn) === min}
+              className={`px-2 py-1 rounded text-2xs font-bold ${Number(maxOn) === min ? 'bg-orange-500 text-white' : 'bg-slate-100 dark:bg-slate-800 text-slate-500 dark:text-slate-400'}`}
+            >
+              {min === 0 ? t('safety.off') : t('config.presetMinutes', { n: min })}
+            </button>
+          ))}
+        </div>
+        <div className="text-2xs text-slate-400">{t('safety.maxOnHint')}</div>
+      </div>
+
+      {/* 面板 PIN 锁 */}
+      <div className="space-y-1.5 border-t border-slate-50 dark:border-slate-800 pt-3">
+        <div className="font-bold text-slate-500 dark:text-slate-400">{t('safety.pin')}</div>
+        {safety.pinHash && !editingPin ? (
+          <div className="flex items-center gap-2">
+            <span className="flex-1 text-green-600 dark:text-green-400 font-bold">{t('safety.pinSet', { n: PIN_RELOCK_MS / 60000 })}</span>
+            <button onClick={onLock} className="px-2 py-1 rounded-lg bg-slate-800 dark:bg-slate-700 text-white font-bold flex items-center gap-1">
+              <Lock className="w-3 h-3" /> {t('safety.lockNow')}
+            </button>
+            <button onClick={() => setEditingPin(true)} className="px-2 py-1 rounded-lg bg-slate-100 dark:bg-slate-800 text-slate-600 dark:text-slate-300 font-bold">
+              {t('safety.changePin')}
+            </button>
+            <button onClick={() => onSetPin(null)} className="p-1.5 text-slate-300 dark:text-slate-600 hover:text-red-500" title={t('safety.removePin')} aria-label={t('safety.removePin')}>
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+        ) : (
+          <form onSubmit={savePin} className="flex items-center gap-2">
+            <input
+              type="password"
+              inputMode="numeric"
+              autoComplete="new-password"
+              value={pin}
+              onChange={(e) => setPin(e.target.value.replace(/\D/g, ''))}
+              placeholder={t('safety.pinPlaceholder')}
+              aria-label={t('safety.pin')}
+              maxLength={8}
+              className="flex-1 min-w-0 bg-slate-50 dark:bg-slate-800/50 rounded-lg px-2 py-1.5 font-mono tracking-widest outline-none"
+            />
+            <button
+              type="submit"
+              disabled={!PIN_PATTERN.test(pin)}
+              className="px-3 py-1.5 rounded-lg bg-slate-800 dark:bg-slate-700 text-white font-bold disabled:bg-slate-300 dark:disabled:bg-slate-600"
+            >
+              {t('safety.setPin')}
+            </button>
+            {editingPin && (
+              <button type="button" onClick={() => { setEditingPin(false); setPin(''); }} className="px-2 py-1.5 text-slate-400 font-bold">
+                {t('safety.cancel')}
+              </button>
+            )}
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
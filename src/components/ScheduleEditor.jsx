@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import { CalendarClock, Plus, Trash2, Upload, RefreshCw } from 'lucide-react';
+import { MAX_SCHEDULE_ENTRIES, ALL_DAYS } from '../protocol.js';
+import {
+  WEEKDAYS, WEEKEND,
+  hasDay, toggleDay, formatMinutes, parseMinutes, sameSchedule,
+} from '../schedule.js';
+import { useI18n } from '../useI18n.js';
+
+const NEW_ENTRY = { days: WEEKDAYS, start: 7 * 60 + 30, end: null };
+
+// ==========================================
+// 周计划编辑器
+// ==========================================
+// schedule 为设备回读的计划或离线队列中的目标计划；父组件以其内容作为 key，回读后草稿自动重置。
+// 离线时上传由控制器排入离线队列 (见 offline.js)；onReload 为 null 时不能回读。
+// 不支持周计划的 v1 固件由父组件改为显示每日闹钟 (见 AlarmCard.jsx)。
+export default function ScheduleEditor({ schedule, busy, onUpload, onReload }) {
+  const { t } = useI18n();
+  const [draft, setDraft] = useState(schedule);
+  const dirty = !sameSchedule(draft, schedule);
+
+  const updateEntry = (i, patch) => {
+    setDraft(prev => prev.map((e, idx) => (idx === i ? { ...e, ...patch } : e)));
+  };
+
+  const removeEntry = (i) => setDraft(prev => prev.filter((_, idx) => idx !== i));
+
+  const addEntry = () => setDraft(prev => [...prev, { ...NEW_ENTRY }]);
+
+  const invalid = draft.some(e => e.days === 0);
+
+  return (
+    <div className="bg-white dark:bg-slate-900 rounded-2xl p-5 shadow-sm border border-slate-100 dark:border-slate-800 space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-4">
+          <div className="bg-orange-50 dark:bg-orange-950/40 p-3 rounded-xl text-orange-500">
+            <CalendarClock className="w-6 h-6" />
+          </div>
+          <div>
+            <div className="text-xs font-bold text-slate-400 mb-1">{t('schedule.title')}</div>
+            <div className="text-2xs text-slate-400 font-mono">
+              {t('schedule.stored', { n: <span className="text-orange-600 dark:text-orange-400 font-bold">{schedule.length}</span> })}
+              {dirty && <span className="ml-2 text-orange-600 dark:text-orange-400 font-bold">{t('schedule.dirty')}</span>}
+            </div>
+          </div>
+        </div>
+        <button
+          onClick={onReload}
+          disabled={busy || !onReload}
+          className="bg-slate-100 dark:bg-slate-800 text-slate-500 dark:text-slate-400 p-3 rounded-xl hover:bg-slate-200 dark:hover:bg-slate-700 active:scale-95 transition-colors disabled:opacity-40"
+          title={t('schedule.reload')}
+          aria-label={t('schedule.reload')}
+        >
+          <RefreshCw className={`w-5 h-5 ${busy ? 'animate-spin' : ''}`} />
+        </button>
+      </div>
+
+      {draft.length === 0 && (
+        <div className="text-xs text-slate-400 text-center py-2">{t('schedule.empty')}</div>
+      )}
+
+      {draft.map((entry, i) => (
+        <div key={i} className="border border-slate-100 dark:border-slate-800 rounded-xl p-3 space-y-3">
+          <div className="flex items-center justify-between gap-1" role="group" aria-label={t('schedule.daysLabel')}>
+            {t('schedule.days').map((label, day) => (
+              <button
+                key={day}
+                onClick={() => updateEntry(i, { days: toggleDay(entry.days, day) })}
+                aria-pressed={hasDay(entry.days, day)}
+                aria-label={t('schedule.dayNames')[day]}
+                className={`w-8 h-8 rounded-full text-xs font-bold transition-colors border-2 ${
+                  hasDay(entry.days, day)
+                    ? 'bg-orange-500 border-orange-500 text-white'
+                    : 'border-dashed border-slate-200 dark:border-slate-700 text-slate-400'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <div className="flex gap-2 text-2xs font-bold">
+            <button onClick={() => updateEntry(i, { days: WEEKDAYS })} className="px-2 py-1 rounded bg-slate-100 dark:bg-slate-800 text-slate-500 dark:text-slate-400">{t('schedule.weekdays')}</button>
+            <button onClick={() => updateEntry(i, { days: WEEKEND })} className="px-2 py-1 rounded bg-slate-100 dark:bg-slate-800 text-slate-500 dark:text-slate-400">{t('schedule.weekend')}</button>
+            <button onClick={() => updateEntry(i, { days: ALL_DAYS })} className="px-2 py-1 rounded bg-slate-100 dark:bg-slate-800 text-slate-500 dark:text-slate-400">{t('schedule.everyday')}</button>
+          </div>
+          <div className="flex items-center gap-2">
+            <label className="flex-1 text-2xs text-slate-400 font-bold">
+              {t('schedule.start')}
+              <input
+                type="time"
+                value={formatMinutes(entry.start)}
+                onChange={(e) => e.target.value && updateEntry(i, { start: parseMinutes(e.target.value) })}
+                className="block w-full font-bold text-lg text-slate-800 dark:text-slate-100 bg-transparent outline-none"
+              />
+            </label>
+            <label className="flex-1 text-2xs text-slate-400 font-bold">
+              {t('schedule.end')}
+              <input
+                type="time"
+                value={entry.end === null ? '' : formatMinutes(entry.end)}
+                onChange={(e) => updateEntry(i, { end: parseMinutes(e.target.value) })}
+                className="block w-full font-bold text-lg text-slate-800 dark:text-slate-100 bg-transparent outline-none"
+              />
+            </label>
+            <button
+              onClick={() => removeEntry(i)}
+              className="p-2 rounded-lg text-slate-300 dark:text-slate-600 hover:text-red-500"
+              title={t('schedule.remove')}
+              aria-label={t('schedule.remove')}
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+          {entry.days === 0 && <div role="alert" className="text-2xs text-red-500">{t('schedule.noDay')}</div>}
+        </div>
+      ))}
+
+      <div className="flex gap-2">
+        <button
+          onClick={addEntry}
+          disabled={draft.length >= MAX_SCHEDULE_ENTRIES}
+          className="flex-1 py-3 rounded-xl bg-slate-100 dark:bg-slate-800 text-slate-600 dark:text-slate-300 text-sm font-bold flex items-center justify-center gap-1 disabled:opacity-40"
+        >
+          <Plus className="w-4 h-4" /> {t('schedule.add')}
+        </button>
+        <button
+          onClick={() => onUpload(draft)}
+          disabled={busy || !dirty || invalid}
+          className="flex-1 py-3 rounded-xl bg-slate-800 dark:bg-slate-700 text-white text-sm font-bold flex items-center justify-center gap-1 shadow-lg shadow-slate-200 dark:shadow-none active:scale-95 transition-transform disabled:bg-slate-300 dark:disabled:bg-slate-600 disabled:shadow-none"
+        >
+          {busy ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Upload className="w-4 h-4" />}
+          {t('schedule.upload')}
+        </button>
+      </div>
+    </div>
+  );
+}
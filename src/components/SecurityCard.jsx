@@ -0,0 +1,73 @@
+import React, { useState } from 'react';
+import { Lock, LockOpen, Eye, EyeOff, Copy, KeyRound, Trash2 } from 'lucide-react';
+import { useI18n } from '../useI18n.js';
+
+// ==========================================
+// 安全设置：认证状态、配对密钥 (查看/复制以分享给班组)、重新配对
+// ==========================================
+// auth 为 null 表示固件不支持认证 (v5 以下)。
+export default function SecurityCard({ auth, secret, busy, onPair, onForget, onToast }) {
+  const { t } = useI18n();
+  const [revealed, setRevealed] = useState(false);
+
+  if (!auth) {
+    return (
+      <div className="bg-white dark:bg-slate-900 rounded-2xl p-5 shadow-sm border border-slate-100 dark:border-slate-800 text-sm text-slate-400">
+        {t('auth.unsupported')}
+      </div>
+    );
+  }
+
+  const copyKey = async () => {
+    try {
+      await navigator.clipboard.writeText(secret);
+      onToast(t('auth.copied'));
+    } catch {
+      setRevealed(true); // 剪贴板不可用时显示出来手动复制
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-slate-900 rounded-2xl p-5 shadow-sm border border-slate-100 dark:border-slate-800 space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-4">
+          <div className={`p-3 rounded-xl ${auth === 'AUTHED' ? 'bg-green-50 dark:bg-green-950/40 text-green-600 dark:text-green-400' : 'bg-amber-50 dark:bg-amber-950/40 text-amber-600 dark:text-amber-400'}`}>
+            {auth === 'AUTHED' ? <Lock className="w-6 h-6" /> : <LockOpen className="w-6 h-6" />}
+          </div>
+          <div>
+            <div className="text-xs font-bold text-slate-400">{t('auth.title')}</div>
+            <div className="font-bold text-slate-700 dark:text-slate-200">{t(`auth.states.${auth}`)}</div>
+          </div>
+        </div>
+        <button
+          onClick={onPair}
+          disabled={busy || auth === 'LOCKED'}
+          className="bg-slate-800 dark:bg-slate-700 text-white px-3 py-2 rounded-xl text-xs font-bold flex items-center gap-1 active:scale-95 transition-transform disabled:bg-slate-300 dark:disabled:bg-slate-600"
+        >
+          <KeyRound className="w-4 h-4" /> {t(auth === 'AUTHED' ? 'auth.repair' : 'auth.pair')}
+        </button>
+      </div>
+      <div className="border-t border-slate-50 dark:border-slate-800 pt-3 text-xs text-slate-500 dark:text-slate-400">
+        <div className="font-bold text-slate-400 mb-1">{t('auth.key')}</div>
+        {secret ? (
+          <div className="flex items-center gap-2">
+            <code className="flex-1 min-w-0 truncate font-mono text-slate-700 dark:text-slate-200">
+              {revealed ? secret : '•'.repeat(secret.length)}
+            </code>
+            <button onClick={() => setRevealed(!revealed)} className="p-1.5 text-slate-400 hover:text-slate-600 dark:hover:text-slate-300" title={t(revealed ? 'auth.hideKey' : 'auth.showKey')} aria-label={t(revealed ? 'auth.hideKey' : 'auth.showKey')}>
+              {revealed ? <EyeOff className="w-4 h-4" /> : <Eye className="w-4 h-4" />}
+            </button>
+            <button onClick={copyKey} className="p-1.5 text-slate-400 hover:text-slate-600 dark:hover:text-slate-300" title={t('auth.copyKey')} aria-label={t('auth.copyKey')}>
+              <Copy className="w-4 h-4" />
+            </button>
+            <button onClick={onForget} className="p-1.5 text-slate-300 dark:text-slate-600 hover:text-red-500" title={t('auth.forgetKey')} aria-label={t('auth.forgetKey')}>
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+        ) : (
+          <div className="text-slate-400">{t('auth.noKey')}</div>
+        )}
+      </div>
+    </div>
+  );
+}
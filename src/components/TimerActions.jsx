@@ -0,0 +1,42 @@
+import React from 'react';
+import { Plus, X, RefreshCw } from 'lucide-react';
+import { useI18n } from '../useI18n.js';
+
+const EXTEND_MINUTES = [15, 30, 60];
+
+// ==========================================
+// 一次性定时的延长 / 取消按钮
+// ==========================================
+// onExtend(minutes) 推迟吸合或断开；onCancel 省略时不显示取消 (运行中用停止按钮代替)。
+// inverted 用于彩色背景的卡片 (运行中)。
+export default function TimerActions({ busy, onExtend, onCancel, inverted = false }) {
+  const { t } = useI18n();
+  const button = inverted ? 'bg-white/20 text-white' : 'bg-slate-100 dark:bg-slate-800 text-slate-600 dark:text-slate-300';
+
+  return (
+    <div className="flex items-center gap-2 text-xs font-bold mt-4">
+      {EXTEND_MINUTES.map(min => (
+        <button
+          key={min}
+          onClick={() => onExtend(min)}
+          disabled={busy}
+          className={`flex-1 py-2 rounded-xl flex items-center justify-center gap-0.5 active:scale-95 transition-transform disabled:opacity-50 disabled:active:scale-100 ${button}`}
+          title={t('timer.extend', { n: min })}
+          aria-label={t('timer.extend', { n: min })}
+        >
+          <Plus className="w-3 h-3" />{t('timer.quick', { n: min })}
+        </button>
+      ))}
+      {busy && <RefreshCw className={`w-4 h-4 animate-spin shrink-0 ${inverted ? 'text-white' : 'text-slate-400'}`} />}
+      {onCancel && (
+        <button
+          onClick={onCancel}
+          disabled={busy}
+          className="px-3 py-2 rounded-xl flex items-center gap-1 bg-red-50 dark:bg-red-950/40 text-red-500 disabled:opacity-50"
+        >
+          <X className="w-3.5 h-3.5" />{t('timer.cancel')}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import { AlarmClock, Play, RefreshCw, Plus } from 'lucide-react';
+import { MAX_TIMER_MINUTES, MAX_RUN_MINUTES } from '../protocol.js';
+import { useI18n } from '../useI18n.js';
+
+const QUICK_MINUTES = [15, 30, 60];
+
+const validMinutes = (value, max) => /^\d+$/.test(String(value)) && Number(value) <= max;
+
+// ==========================================
+// 一次性相对定时 ("45 分钟后开启"、"运行 2 小时")
+// ==========================================
+// 延时与运行时长都按分钟，快捷按钮在当前值上累加；两者都为 0 时不可启动。
+// 运行时长为 0 时不设断开时间，由设备的常规运行时长上限决定。
+// onStart(delay, run) 返回是否已被设备确认，确认后清空输入。
+export default function TimerCard({ busy, onStart }) {
+  const { t } = useI18n();
+  const [delay, setDelay] = useState(0);
+  const [run, setRun] = useState(0);
+
+  const valid = validMinutes(delay, MAX_TIMER_MINUTES) && validMinutes(run, MAX_RUN_MINUTES)
+    && (Number(delay) > 0 || Number(run) > 0);
+
+  const start = async () => {
+    if (!await onStart(Number(delay), Number(run))) return;
+    setDelay(0);
+    setRun(0);
+  };
+
+  const fields = [
+    { key: 'delay', value: delay, set: setDelay, max: MAX_TIMER_MINUTES },
+    { key: 'run', value: run, set: setRun, max: MAX_RUN_MINUTES },
+  ];
+
+  return (
+    <section className="bg-white dark:bg-slate-900 rounded-2xl p-5 shadow-sm border border-slate-100 dark:border-slate-800 space-y-3">
+      <div className="flex items-center gap-2 text-xs font-bold text-slate-400">
+        <AlarmClock className="w-4 h-4 text-blue-500" /> {t('timer.title')}
+      </div>
+      {fields.map(({ key, value, set, max }) => (
+        <div key={key} className="flex items-center gap-2">
+          <span className="w-14 text-xs font-bold text-slate-500 dark:text-slate-400">{t(`timer.${key}`)}</span>
+          <input
+            type="number"
+            min={0}
+            max={max}
+            value={value}
+            onChange={(e) => set(e.target.value)}
+            aria-label={t(`timer.${key}`)}
+            className="w-16 bg-slate-50 dark:bg-slate-800/50 rounded-lg px-2 py-1 font-bold text-slate-800 dark:text-slate-100 outline-none"
+          />
+          <span className="text-2xs text-slate-400 flex-1">
+            {t('config.minutes')}{key === 'run' && Number(value) === 0 && t('timer.defaultSuffix')}
+          </span>
+          {QUICK_MINUTES.map(min => (
+            <button
+              key={min}
+              onClick={() => set(Math.min(max, (Number(value) || 0) + min))}
+              className="px-2 py-1 rounded bg-slate-100 dark:bg-slate-800 text-slate-500 dark:text-slate-400 text-2xs font-bold flex items-center"
+            >
+              <Plus className="w-2.5 h-2.5" />{t('timer.quick', { n: min })}
+            </button>
+          ))}
+        </div>
+      ))}
+      <button
+        onClick={start}
+        disabled={busy || !valid}
+        className="w-full bg-blue-600 text-white font-bold py-2.5 rounded-xl flex items-center justify-center gap-2 text-sm active:scale-95 transition-transform disabled:bg-slate-300 dark:disabled:bg-slate-600 disabled:active:scale-100"
+      >
+        {busy ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Play className="w-4 h-4" />}
+        {Number(delay) > 0 ? t('timer.start', { n: Number(delay) }) : t('timer.startNow')}
+      </button>
+    </section>
+  );
+}
@@ -0,0 +1,43 @@
+import React from 'react';
+import { AlarmClock } from 'lucide-react';
+import { formatDuration } from '../schedule.js';
+import { useI18n } from '../useI18n.js';
+import TimerActions from './TimerActions.jsx';
+
+// ==========================================
+// 一次性定时等待吸合时的倒计时卡片 (代替计划倒计时)
+// ==========================================
+// startSecs / endSecs 为设备上报的剩余秒数 (endSecs 0 = 不自动断开)；
+// startsAt 为按手机时间推算的吸合时刻，仅用于显示。
+export default function TimerCountdownCard({ startSecs, endSecs, startsAt, busy, onExtend, onCancel }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const runMinutes = endSecs > 0 ? Math.round((endSecs - startSecs) / 60) : 0;
+
+  return (
+    <section className="bg-white dark:bg-slate-900 rounded-3xl p-6 shadow-sm border border-slate-100 dark:border-slate-800">
+      <div className="flex justify-between items-start mb-4">
+        <div>
+          <h3 className="text-lg font-bold text-slate-800 dark:text-slate-100 flex items-center gap-2">
+            <AlarmClock className="w-5 h-5 text-blue-500" />
+            {t('timer.title')}
+          </h3>
+          <p className="text-xs text-slate-400 mt-1">
+            {t('timer.untilStart', { at: i18n.formatTime(startsAt) })}
+            {' · '}
+            {runMinutes > 0 ? t('timer.runFor', { n: runMinutes }) : t('timer.runDefault')}
+          </p>
+        </div>
+        <span className="bg-blue-100 dark:bg-blue-900/40 text-blue-600 dark:text-blue-400 text-xs font-bold px-2 py-1 rounded-lg">
+          {t('timer.badge')}
+        </span>
+      </div>
+
+      <div className="text-center py-2 text-4xl font-mono font-black tracking-wider text-slate-800 dark:text-slate-100">
+        {formatDuration(startSecs)}
+      </div>
+
+      <TimerActions busy={busy} onExtend={onExtend} onCancel={onCancel} />
+    </section>
+  );
+}
@@ -0,0 +1,50 @@
+import React from 'react';
+
+// M/D，中英文通用且足够短
+const shortDate = (ts) => {
+  const date = new Date(ts);
+  return `${date.getMonth() + 1}/${date.getDate()}`;
+};
+
+// ==========================================
+// 用量柱状图 (每根柱子一个时间段)
+// ==========================================
+// buckets 为 usage.js bucketHours() 的结果，value(bucket) 取柱高 (小时或 kWh)，format 格式化数值。
+export default function UsageChart({ title, buckets, value, format, highlightLast = true }) {
+  const values = buckets.map(value);
+  const max = Math.max(...values, 0);
+  const total = values.reduce((sum, v) => sum + v, 0);
+
+  return (
+    <section className="bg-white dark:bg-slate-900 rounded-2xl p-4 shadow-sm border border-slate-100 dark:border-slate-800 space-y-3">
+      <div className="flex items-baseline justify-between">
+        <h3 className="text-xs font-bold text-slate-400 uppercase tracking-wider">{title}</h3>
+        <span className="font-mono text-sm font-bold text-slate-700 dark:text-slate-200">{format(total)}</span>
+      </div>
+      {/* 柱状图只有视觉含义，读屏改读下面的列表 */}
+      <ul className="sr-only">
+        {buckets.map((bucket, i) => (
+          <li key={bucket.start}>{shortDate(bucket.start)}: {format(values[i])}</li>
+        ))}
+      </ul>
+      <div className="flex items-end gap-1 h-32" aria-hidden="true">
+        {buckets.map((bucket, i) => (
+          <div key={bucket.start} className="flex-1 h-full flex flex-col justify-end" title={`${shortDate(bucket.start)} · ${format(values[i])}`}>
+            <div
+              className={`rounded-t ${highlightLast && i === buckets.length - 1 ? 'bg-red-400' : 'bg-red-200 dark:bg-red-900/60'}`}
+              style={{ height: max > 0 ? `${(values[i] / max) * 100}%` : 0, minHeight: values[i] > 0 ? 2 : 0 }}
+            />
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-1 text-2xs text-slate-400 font-mono" aria-hidden="true">
+        {buckets.map((bucket, i) => (
+          <div key={bucket.start} className="flex-1 text-center truncate">
+            {/* 柱子多时隔一个显示日期 */}
+            {buckets.length <= 8 || (buckets.length - 1 - i) % 2 === 0 ? shortDate(bucket.start) : ''}
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,162 @@
+import React, { useState, useEffect } from 'react';
+import { ArrowLeft, FileSpreadsheet, Trash2, Zap } from 'lucide-react';
+import {
+  queryIntervals, clearIntervals, dayBuckets, weekBuckets, bucketHours, estimateKWh,
+  intervalsToCSV, dailyUsageToCSV,
+} from '../usage.js';
+import { downloadFile } from '../history.js';
+import { displayName } from '../fleet.js';
+import { useI18n } from '../useI18n.js';
+import UsageChart from './UsageChart.jsx';
+
+const DAYS = 14;
+const WEEKS = 8;
+
+// ==========================================
+// 用量统计页面：每日 / 每周吸合时长、估算用电与导出
+// ==========================================
+// fleet 提供设备名与额定功率 (ratedWatts)；onSetRatedPower(id, watts) 修改额定功率。
+export default function UsageView({ fleet, onBack, onSetRatedPower }) {
+  const { t } = useI18n();
+  const [device, setDevice] = useState(''); // '' = 全部设备
+  const [metric, setMetric] = useState('hours'); // hours | kwh
+  const [data, setData] = useState(() => ({ intervals: [], loadedAt: Date.now() }));
+  const [error, setError] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  // 图表覆盖的最早时间 (周图起点) 之后的全部区间，切换设备时在内存中过滤
+  useEffect(() => {
+    let cancelled = false;
+    const now = Date.now();
+    queryIntervals({ from: weekBuckets(now, WEEKS)[0].start, to: now })
+      .then(intervals => { if (!cancelled) { setData({ intervals, loadedAt: now }); setError(null); } })
+      .catch(err => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
+  }, [reloadKey]);
+
+  const entryOf = (id) => fleet.find(e => e.id === id);
+  const nameOf = (id) => displayName(entryOf(id), id);
+  const wattsOf = (id) => entryOf(id)?.ratedWatts ?? null;
+
+  // 已从列表删除的设备仍保留用量，按 id 显示
+  const deviceIds = [...new Set([...fleet.map(e => e.id), ...data.intervals.map(r => r.device)])];
+  const intervals = device ? data.intervals.filter(r => r.device === device) : data.intervals;
+  const days = bucketHours(intervals, dayBuckets(data.loadedAt, DAYS));
+  const weeks = bucketHours(intervals, weekBuckets(data.loadedAt, WEEKS));
+
+  const hasPower = deviceIds.some(id => wattsOf(id));
+  const showKWh = hasPower && metric === 'kwh';
+  const value = showKWh ? (b) => estimateKWh(b.byDevice, wattsOf) ?? 0 : (b) => b.hours;
+  const format = showKWh ? (n) => t('usage.kwh', { n: n.toFixed(2) }) : (n) => t('usage.hours', { n: n.toFixed(1) });
+
+  const today = days[days.length - 1];
+  const thisWeek = weeks[weeks.length - 1];
+
+  const exportAs = (kind) => {
+    const stamp = new Date().toISOString().slice(0, 10);
+    if (kind === 'daily') {
+      const allDays = bucketHours(intervals, dayBuckets(data.loadedAt, WEEKS * 7));
+      downloadFile(`insulctrl-usage-daily-${stamp}.csv`, dailyUsageToCSV(allDays, { nameOf, wattsOf }), 'text/csv');
+    } else {
+      downloadFile(`insulctrl-usage-runs-${stamp}.csv`, intervalsToCSV(intervals, { nameOf, wattsOf }), 'text/csv');
+    }
+  };
+
+  const handleClear = async () => {
+    if (!confirm(t('usage.clearConfirm'))) return;
+    await clearIntervals();
+    setReloadKey(k => k + 1);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <button onClick={onBack} className="flex items-center gap-1 text-sm font-bold text-slate-500 dark:text-slate-400 hover:text-slate-800 dark:hover:text-slate-100">
+          <ArrowLeft className="w-4 h-4" /> {t('history.back')}
+        </button>
+        <h2 className="text-lg font-bold text-slate-800 dark:text-slate-100">{t('usage.title')}</h2>
+        <button onClick={handleClear} className="p-2 text-slate-300 dark:text-slate-600 hover:text-red-500" title={t('usage.clear')} aria-label={t('usage.clear')}>
+          <Trash2 className="w-4 h-4" />
+        </button>
+      </div>
+
+      {/* 筛选与汇总 */}
+      <section className="bg-white dark:bg-slate-900 rounded-2xl p-4 shadow-sm border border-slate-100 dark:border-slate-800 space-y-3">
+        <div className="flex gap-2 text-xs">
+          <select
+            value={device}
+            onChange={(e) => setDevice(e.target.value)}
+            aria-label={t('usage.device')}
+            className="flex-1 min-w-0 bg-slate-50 dark:bg-slate-800/50 rounded-lg px-2 py-1.5 outline-none"
+          >
+            <option value="">{t('usage.allDevices')}</option>
+            {deviceIds.map(id => <option key={id} value={id}>{nameOf(id)}</option>)}
+          </select>
+          {hasPower && (
+            <div className="flex bg-slate-50 dark:bg-slate-800/50 rounded-lg p-0.5 font-bold">
+              {['hours', 'kwh'].map(m => (
+                <button
+                  key={m}
+                  onClick={() => setMetric(m)}
+                  aria-pressed={metric === m}
+                  className={`px-2 py-1 rounded-md ${metric === m ? 'bg-white dark:bg-slate-900 text-slate-700 dark:text-slate-200 shadow-sm' : 'text-slate-400'}`}
+                >
+                  {t(`usage.metrics.${m}`)}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+        {error && <div className="text-xs text-red-500">{t('usage.loadFailed', { message: error })}</div>}
+        <div className="grid grid-cols-2 gap-3">
+          {[['today', today], ['thisWeek', thisWeek]].map(([key, bucket]) => (
+            <div key={key} className="bg-slate-50 dark:bg-slate-800/50 rounded-xl p-3">
+              <div className="text-2xs font-bold text-slate-400">{t(`usage.${key}`)}</div>
+              <div className="font-mono text-lg font-bold text-slate-700 dark:text-slate-200">{format(value(bucket))}</div>
+            </div>
+          ))}
+        </div>
+        <div className="text-2xs text-slate-400">{t('usage.note')}</div>
+      </section>
+
+      <UsageChart title={t('usage.daily', { n: DAYS })} buckets={days} value={value} format={format} />
+      <UsageChart title={t('usage.weekly', { n: WEEKS })} buckets={weeks} value={value} format={format} />
+
+      {/* 额定功率 */}
+      {fleet.length > 0 && (
+        <section className="bg-white dark:bg-slate-900 rounded-2xl p-4 shadow-sm border border-slate-100 dark:border-slate-800 space-y-2 text-xs">
+          <div className="flex items-center gap-2 font-bold text-slate-400">
+            <Zap className="w-4 h-4" /> {t('usage.ratedPower')}
+          </div>
+          {fleet.map(entry => (
+            <label key={entry.id} className="flex items-center justify-between gap-2">
+              <span className="truncate text-slate-600 dark:text-slate-300">{nameOf(entry.id)}</span>
+              <span className="flex items-center gap-1 shrink-0">
+                <input
+                  type="number"
+                  min={0}
+                  step={10}
+                  value={entry.ratedWatts ?? ''}
+                  placeholder="—"
+                  onChange={(e) => onSetRatedPower(entry.id, Number(e.target.value) || null)}
+                  className="w-20 bg-slate-50 dark:bg-slate-800/50 rounded px-1 py-0.5 text-right font-mono outline-none"
+                />
+                W
+              </span>
+            </label>
+          ))}
+        </section>
+      )}
+
+      {/* 导出 */}
+      <div className="flex gap-2">
+        <button onClick={() => exportAs('daily')} className="flex-1 py-2 rounded-xl bg-slate-800 dark:bg-slate-700 text-white text-xs font-bold flex items-center justify-center gap-1">
+          <FileSpreadsheet className="w-4 h-4" /> {t('usage.exportDaily')}
+        </button>
+        <button onClick={() => exportAs('runs')} className="flex-1 py-2 rounded-xl bg-slate-100 dark:bg-slate-800 text-slate-600 dark:text-slate-300 text-xs font-bold flex items-center justify-center gap-1">
+          <FileSpreadsheet className="w-4 h-4" /> {t('usage.exportRuns')}
+        </button>
+      </div>
+    </div>
+  );
+}
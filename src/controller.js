@@ -0,0 +1,727 @@
+// ==========================================
+// 设备控制器 (与界面框架无关)
+// ==========================================
+// 每台设备一个控制器，拥有连接状态机、设备状态、指令事务、认证会话与周计划读写。
+// 不依赖 React，脚本与测试可直接驱动设备:
+//   const ctl = createDeviceController(createBleTransport(createEmulatedDevice()));
+//   await ctl.connect();
+//   await ctl.setRelay(true); // 设备回传状态确认后 resolve true
+// 界面经 useDeviceController() 订阅快照 (见 useDeviceController.js)。
+//
+// 连接状态 (CONNECTION_STATES):
+//   disconnected -> connecting -> connected <-> reconnecting
+//   连接失败或重连用尽进入 error；主动 disconnect() 回到 disconnected。之后可再次 connect()。
+// 离线 (非 connected) 时:
+//   device / schedule 保留最后已知状态并标记 stale，刷新页面后从本机存储恢复；
+//   setAlarm / arm / setRunDuration / uploadSchedule 排入离线队列 (返回 false)，重连后按顺序重放，
+//   与设备当前值冲突的修改放入 conflicts，由 resolveConflict() 决定取舍。
+//   继电器与一次性定时 (setTimer / extendTimer / cancelTimer) 不排队。
+// 安全联锁 (见 safety.js):
+//   locked 为 true (PIN 上锁) 时只允许断开、取消定时与对时，其余指令直接返回 false；
+//   activation 不是 tap 时，手动吸合 (setRelay(true)、立即开始的 setTimer、sendRaw('R:1') 等)
+//   须由调用方完成确认后传入 { confirmed: true }。被拒绝的指令记录为 log.interlock* 日志。
+//   confirmed 随帧传给 transport.write(str, { confirmed })，经网关时由网关的联锁再检查一次。
+// 事件:
+//   'change'        快照变化，getState() 取最新快照 (每次变化都是新对象)
+//   'connection'    detail { state, previous }
+//   'status'        detail 为每个解析成功的状态包 (约每秒一个)
+//   'statuschange'  detail { status, previous }，仅在内容变化时 (onSecs / clock 每秒递增，不参与比较；
+//                   定时剩余秒数只比较有无)
+//   'autosync'      detail { drift, ok }，时钟偏差超过阈值后自动同步的结果
+//   'watchdog'      detail { onSecs, limit, ok }，手动吸合超过 maxManualMinutes 后自动断开的结果
+//   'txfailed'      detail { cmd, error }，指令重试用尽仍未确认
+//   'raw'           detail { ts, dir, bytes, packet, error }，每一帧原始收发 (诊断控制台，见 diagnostics.js)
+//   'queued'        detail 为离线时排队的修改 (见 offline.js)
+//   'reconciled'    detail { replayed, failed, conflicts }，重连后重放离线修改的结果
+//   'log'           detail { key, params, msg, type, data }：key/params 为文案 (locales/*.js)，
+//                   原始收发内容 (TX/RX) 直接给出 msg；type 见 history.js EVENT_TYPES
+
+import {
+  PACKET, decodePacket, encodeStatus, toBytes,
+  encodeSyncTime, encodeAlarm, encodeRelay, encodeMode, encodeRunDuration,
+  encodeScheduleEntry, encodeScheduleCount, encodePair, encodeTimer, encodeTimerCancel,
+  MAX_RUN_MINUTES, MAX_TIMER_MINUTES,
+} from './protocol.js';
+import { createCommandTracker, COMMAND_ERROR_CODES } from './commands.js';
+import { createScheduleReader, sameSchedule } from './schedule.js';
+import { reconnectWithBackoff } from './transport.js';
+import {
+  createAuthSession, generateSecret, normalizeSecret, loadSecret, saveSecret, forgetSecret,
+} from './auth.js';
+import { EVENT_TYPES } from './history.js';
+import { ACTIVATION_MODES, INTERLOCK_REASONS, interlockReason } from './safety.js';
+import { frameBytes } from './diagnostics.js';
+import {
+  CHANGE_KINDS, loadOfflineState, saveOfflineState, queueChange, queuedValue, reconcileChanges,
+} from './offline.js';
+
+export const CONNECTION_STATES = Object.freeze({
+  DISCONNECTED: 'disconnected',
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  RECONNECTING: 'reconnecting',
+  ERROR: 'error',
+});
+
+const { DISCONNECTED, CONNECTING, CONNECTED, RECONNECTING, ERROR } = CONNECTION_STATES;
+
+export const CONTROLLER_DEFAULTS = {
+  autoSyncClock: true,  // 时钟偏差超过阈值时自动同步
+  driftThreshold: 30,   // 秒
+  autoSyncCooldown: 60000, // 同一次偏差不重复触发 (ms)
+  maxManualMinutes: 0,  // 手动吸合超过该时长 (分钟) 时自动断开，0 = 不限制 (见 safety.js)
+  activation: ACTIVATION_MODES.TAP, // 手动吸合方式，tap 以外须确认 (见 safety.js)
+  locked: false,        // PIN 上锁
+};
+
+// 收到第一个状态包之前的设备状态
+export const INITIAL_DEVICE_STATE = Object.freeze({
+  mode: "IDLE",
+  relay: false,
+  alarmH: 7,
+  alarmM: 30,
+  schedCount: 0,
+  runMinutes: 0, // 单次运行时长 (分钟)，0 = 不限时
+  onSecs: 0,     // 本次已吸合秒数
+  version: 0,    // 设备上报的协议版本，0 表示尚未收到状态包
+  clockDrift: null, // 设备时钟 - 手机时间 (秒)，老固件为 null
+  auth: null,    // 认证状态 (见 protocol.js AUTH_STATES)，v5 以下固件为 null
+  timerStart: 0, // 一次性定时距离吸合的秒数，0 = 未在等待 (v6)
+  timerEnd: 0,   // 一次性定时距离断开的秒数，0 = 不自动断开 (v6)
+  deviceTs: 0,
+  lastUpdate: 0,
+});
+
+// keyStore: 配对密钥的存取，默认按设备 id 存在 localStorage (见 auth.js)；脚本中可传入 { load, save, forget }
+// offlineStore: 最后已知状态与离线队列的存取 (见 offline.js)，同样可替换为 { load, save }
+export const createDeviceController = (transport, {
+  keyStore = {
+    load: () => loadSecret(transport.id),
+    save: (secret) => saveSecret(transport.id, secret),
+    forget: () => forgetSecret(transport.id),
+  },
+  offlineStore = {
+    load: () => loadOfflineState(transport.id),
+    save: (patch) => saveOfflineState(transport.id, patch),
+  },
+  ...options
+} = {}) => {
+  const opts = { ...CONTROLLER_DEFAULTS, ...options };
+
+  const controller = Object.assign(new EventTarget(), {
+    id: transport.id,
+    transport,
+  });
+
+  const stored = offlineStore.load();
+
+  let state = {
+    connection: DISCONNECTED,
+    reconnect: { n: 0, max: 0 }, // 重连进度
+    error: null,                 // 进入 error 的原因
+    device: stored.snapshot?.device ?? { ...INITIAL_DEVICE_STATE, deviceTs: Math.floor(Date.now() / 1000) },
+    stale: true,                 // device / schedule 是最后已知状态，而非设备实时上报
+    info: null,                  // transport.readInfo() 结果，连接后读取并随 'info' 事件更新
+    schedule: stored.snapshot?.schedule ?? [], // 设备上的周计划 (回读结果)
+    queue: stored.queue,         // 离线修改队列
+    conflicts: stored.conflicts, // 重连时与设备状态冲突的离线修改
+    scheduleBusy: false,
+    pending: {},                 // 进行中的指令事务，按包类型标记 { R: true, M: true }
+    secret: keyStore.load(),
+    authBusy: false,
+    authFailed: false,
+  };
+
+  const emit = (type, detail) => controller.dispatchEvent(new CustomEvent(type, { detail }));
+
+  const set = (patch) => {
+    state = { ...state, ...(typeof patch === 'function' ? patch(state) : patch) };
+    emit('change', state);
+  };
+
+  const log = (key, params, type = EVENT_TYPES.INFO, data = null) => emit('log', { key, params, type, data });
+  const logRaw = (msg, type, data = null) => emit('log', { msg, type, data });
+
+  const setConnection = (next, patch = {}) => {
+    const previous = state.connection;
+    // 离开 connected 时记下最后已知状态
+    if (previous === CONNECTED && next !== CONNECTED) saveSnapshot();
+    set({ connection: next, ...patch, ...(next === CONNECTED ? {} : { stale: true }) });
+    if (previous !== next) emit('connection', { state: next, previous });
+  };
+
+  // 设备状态 device.lastUpdate 为 0 表示从未收到过状态包，不保存
+  const saveSnapshot = () => {
+    if (state.device.lastUpdate) offlineStore.save({ snapshot: { device: state.device, schedule: state.schedule } });
+  };
+
+  const setChanges = (patch) => {
+    set(patch);
+    offlineStore.save({ queue: state.queue, conflicts: state.conflicts });
+  };
+
+  const tracker = createCommandTracker({
+    onChange: (pending) => set({ pending }),
+    onRetry: (cmd, n, max) => log('log.txRetry', { cmd, n, max }, EVENT_TYPES.INFO),
+  });
+  const auth = createAuthSession();
+  const scheduleReader = createScheduleReader();
+
+  // ==========================================
+  // 接收
+  // ==========================================
+  let lastStatus = null;
+  let lastAuth = null;
+  let needsReconcile = false;
+  let scheduleLoad = Promise.resolve(null); // 连接后的周计划回读，重放排队的周计划前等待
+  let lastAutoSync = 0;
+  let manualSince = null;
+
+  const trackStatusChange = (packet) => {
+    const previous = lastStatus;
+    lastStatus = packet;
+    const keys = Object.keys(packet).filter(k => k !== 'onSecs' && k !== 'clock');
+    const same = (k) => (k === 'timerStart' || k === 'timerEnd' ? !previous[k] === !packet[k] : previous[k] === packet[k]);
+    if (previous && keys.every(same)) return;
+    saveSnapshot();
+    const { type: _type, ...fields } = packet;
+    logRaw(`RX: ${encodeStatus(packet, packet.version)}`, EVENT_TYPES.RX, fields);
+    if (previous && previous.relay !== packet.relay) {
+      log(packet.relay ? 'log.relayOn' : 'log.relayOff', {}, EVENT_TYPES.RELAY, { mode: packet.mode });
+    }
+    emit('statuschange', { status: packet, previous });
+  };
+
+  const checkClockDrift = async (drift) => {
+    if (drift === null || !opts.autoSyncClock) return;
+    if (Math.abs(drift) <= opts.driftThreshold) return;
+    if (state.pending[PACKET.TIME] || Date.now() - lastAutoSync < opts.autoSyncCooldown) return;
+    lastAutoSync = Date.now();
+    const ok = await syncTime();
+    emit('autosync', { drift, ok });
+  };
+
+  // 手动吸合看门狗：不是计划触发 (ON) 也不是一次性定时的吸合视为手动。
+  // 老固件没有 onSecs 时从本机第一次看到吸合算起；断开指令进行中不重复发送
+  const checkWatchdog = async (packet) => {
+    if (!packet.relay || packet.mode === 'ON' || packet.timerStart || packet.timerEnd) {
+      manualSince = null;
+      return;
+    }
+    manualSince ??= Date.now() - (packet.onSecs ?? 0) * 1000;
+    const onSecs = packet.onSecs ?? Math.floor((Date.now() - manualSince) / 1000);
+    const limit = opts.maxManualMinutes;
+    if (!limit || onSecs < limit * 60) return;
+    if (state.connection !== CONNECTED || state.pending[PACKET.RELAY]) return;
+    log('log.watchdog', { n: limit }, EVENT_TYPES.ERROR, { onSecs });
+    const ok = await setRelay(false);
+    emit('watchdog', { onSecs, limit, ok });
+  };
+
+  const handleFrame = (event) => {
+    const bytes = frameBytes(event.detail);
+    let packet;
+    try {
+      packet = decodePacket(bytes);
+    } catch (error) {
+      // 残缺/非法包直接丢弃，保留上一次的有效状态
+      emit('raw', { ts: Date.now(), dir: 'rx', bytes, error: { code: error.code ?? null, message: error.message } });
+      log('log.parseFailed', { code: error.code, message: error.message }, EVENT_TYPES.ERROR);
+      return;
+    }
+    emit('raw', { ts: Date.now(), dir: 'rx', bytes, packet });
+    if (auth.handlePacket(packet)) return;
+    if (scheduleReader.handlePacket(packet)) return;
+    if (packet.type !== PACKET.STATUS) return;
+
+    // v4 固件上报自己的 RTC；老固件没有该字段，只能用手机时间代替
+    const phoneTs = Math.floor(Date.now() / 1000);
+    const drift = packet.clock === undefined ? null : packet.clock - phoneTs;
+
+    tracker.handleStatus(packet);
+    set(s => ({
+      stale: false,
+      device: {
+        ...s.device,
+        mode: packet.mode,
+        relay: packet.relay,
+        alarmH: packet.alarmH,
+        alarmM: packet.alarmM,
+        schedCount: packet.schedCount ?? 0,
+        runMinutes: packet.runMinutes ?? 0,
+        onSecs: packet.onSecs ?? 0,
+        version: packet.version,
+        deviceTs: packet.clock ?? phoneTs,
+        clockDrift: drift,
+        auth: packet.auth ?? null,
+        timerStart: packet.timerStart ?? 0,
+        timerEnd: packet.timerEnd ?? 0,
+        lastUpdate: Date.now(),
+      },
+    }));
+    emit('status', packet);
+    trackStatusChange(packet);
+    checkClockDrift(drift);
+    checkWatchdog(packet);
+
+    // 连接 (或重连) 后设备进入 LOCKED 时自动认证，失败后不反复重试
+    if (state.connection === CONNECTED) {
+      const previousAuth = lastAuth;
+      lastAuth = packet.auth ?? null;
+      if (lastAuth === 'LOCKED' && previousAuth !== 'LOCKED') authenticate();
+    }
+
+    // 离线修改等到可以下发指令 (未上锁或已认证) 时再核对重放
+    if (needsReconcile && state.connection === CONNECTED && packet.auth !== 'LOCKED' && packet.auth !== 'PAIRING') {
+      needsReconcile = false;
+      replayChanges();
+    }
+  };
+
+  // ==========================================
+  // 连接
+  // ==========================================
+  // 注册到 transport 上的回调保持同一引用，重连时不会重复注册
+  const onFrame = (event) => handleFrame(event);
+  const onInfo = (event) => set(s => ({ info: { ...s.info, ...event.detail } }));
+  const onLinkDown = () => handleLinkDown();
+  const onLinkError = (event) => log('log.transportError', { message: event.detail.message }, EVENT_TYPES.ERROR);
+
+  let manualDisconnect = false;
+  let reconnectCancelled = false;
+
+  const attach = () => {
+    transport.addEventListener('frame', onFrame);
+    transport.addEventListener('disconnect', onLinkDown);
+    transport.addEventListener('info', onInfo);
+    transport.addEventListener('error', onLinkError);
+  };
+
+  const detach = () => {
+    transport.removeEventListener('frame', onFrame);
+    transport.removeEventListener('disconnect', onLinkDown);
+    transport.removeEventListener('info', onInfo);
+    transport.removeEventListener('error', onLinkError);
+  };
+
+  // 停止一切进行中的事务并注销监听 (同一 transport 之后可能由新的控制器接管)
+  const shutdown = () => {
+    reconnectCancelled = true;
+    tracker.cancelAll("Disconnected");
+    scheduleReader.cancel("Disconnected");
+    auth.reset();
+    detach();
+  };
+
+  // 连接 (或重连) 成功后读取设备上的周计划与设备信息
+  const onConnected = () => {
+    lastAuth = null;
+    needsReconcile = true;
+    setConnection(CONNECTED, { error: null });
+    scheduleLoad = loadSchedule();
+    loadInfo();
+  };
+
+  const connect = async () => {
+    if (state.connection === CONNECTED) return true;
+    if (state.connection === CONNECTING || state.connection === RECONNECTING) return false;
+    manualDisconnect = false;
+    reconnectCancelled = false;
+    log('log.found', { name: transport.name }, EVENT_TYPES.CONN);
+    attach();
+    setConnection(CONNECTING, { error: null });
+    try {
+      await transport.connect();
+    } catch (error) {
+      detach();
+      log('log.connectFailed', { message: error.message }, EVENT_TYPES.ERROR);
+      setConnection(ERROR, { error: error.message });
+      return false;
+    }
+    log('log.notifyOn', {}, EVENT_TYPES.CONN);
+    log('log.connected', {}, EVENT_TYPES.CONN);
+    onConnected();
+    return true;
+  };
+
+  // 断线后按指数退避重试 transport.connect()
+  const startReconnect = async () => {
+    reconnectCancelled = false;
+    setConnection(RECONNECTING, { reconnect: { n: 0, max: 0 } });
+    const ok = await reconnectWithBackoff(transport, {
+      onAttempt: (n, max) => set({ reconnect: { n, max } }),
+      onError: (n, error) => log('log.reconnectAttemptFailed', { n, message: error.message }, EVENT_TYPES.CONN),
+      isCancelled: () => reconnectCancelled,
+    });
+    set({ reconnect: { n: 0, max: 0 } });
+    if (reconnectCancelled) return;
+    if (ok) {
+      log('log.reconnected', {}, EVENT_TYPES.CONN);
+      onConnected();
+    } else {
+      log('log.reconnectFailed', {}, EVENT_TYPES.ERROR);
+      shutdown();
+      setConnection(ERROR, { error: 'Reconnect failed' });
+    }
+  };
+
+  const handleLinkDown = () => {
+    // 设备端认证随连接失效，重连后重新握手；断线前发出的周计划查询不会再有回复
+    auth.reset();
+    scheduleReader.cancel("Disconnected");
+    if (manualDisconnect) {
+      log('log.disconnected', {}, EVENT_TYPES.CONN);
+      return;
+    }
+    log('log.linkLost', {}, EVENT_TYPES.CONN);
+    startReconnect();
+  };
+
+  // 用户主动断开：停止重连，不再自动恢复
+  const disconnect = () => {
+    if (state.connection === DISCONNECTED || state.connection === ERROR) return;
+    log('log.manualDisconnect', {}, EVENT_TYPES.CONN);
+    manualDisconnect = true;
+    reconnectCancelled = true;
+    transport.disconnect();
+    shutdown();
+    setConnection(DISCONNECTED);
+  };
+
+  // ==========================================
+  // 指令
+  // ==========================================
+  // 所有发往设备的帧都经此处，便于诊断控制台记录
+  // meta.confirmed 随帧交给传输层：网关传输据此让网关的联锁放行已在本地确认的吸合 (见 gateway.js)
+  const writeFrame = (str, meta) => {
+    emit('raw', { ts: Date.now(), dir: 'tx', bytes: toBytes(str) });
+    return transport.write(str, meta);
+  };
+
+  // 设备已认证时自动加上计数与 MAC (见 auth.js)
+  const writeRaw = (cmd, meta = {}) => auth.write(cmd, (frame) => writeFrame(frame, meta));
+
+  // 安全联锁：返回 true 表示指令被拒绝 (已记录日志)
+  const refused = (cmd, confirmed = false) => {
+    const reason = interlockReason(opts, cmd, confirmed);
+    if (!reason) return false;
+    log(reason === INTERLOCK_REASONS.LOCKED ? 'log.interlockLocked' : 'log.interlockConfirm', { cmd }, EVENT_TYPES.ERROR, { cmd, reason });
+    return true;
+  };
+
+  // 诊断用：原样发送任意指令 (已认证时同样签名)，不等待确认
+  const sendRaw = async (cmd, { confirmed = false } = {}) => {
+    if (refused(cmd, confirmed)) return false;
+    logRaw(`TX: ${cmd}`, EVENT_TYPES.TX, { manual: true });
+    try {
+      await writeRaw(cmd, { confirmed });
+      return true;
+    } catch (error) {
+      log('log.txFailed', { code: error.code, message: error.message }, EVENT_TYPES.ERROR);
+      return false;
+    }
+  };
+
+  // 发送并等待设备回传匹配的状态包，超时自动重发。返回是否已确认
+  const send = async (cmd, { confirmed = false, ...options } = {}) => {
+    logRaw(`TX: ${cmd}`, EVENT_TYPES.TX);
+    try {
+      await tracker.send(cmd, (c) => writeRaw(c, { confirmed }), options);
+      return true;
+    } catch (error) {
+      if (error.code === COMMAND_ERROR_CODES.CANCELLED) return false;
+      log('log.txFailed', { code: error.code, message: error.message }, EVENT_TYPES.ERROR);
+      emit('txfailed', { cmd, error });
+      return false;
+    }
+  };
+
+  // 同步后按设备回读的时钟确认；重试时重新取当前时间
+  const syncTime = () => {
+    const build = () => encodeSyncTime(Math.floor(Date.now() / 1000));
+    return send(build(), { rebuild: build });
+  };
+
+  const isOnline = () => state.connection === CONNECTED;
+
+  // 离线时排队而不发送，返回 false (未确认)
+  const enqueue = (kind, value) => {
+    setChanges({ queue: queueChange(state.queue, state, kind, value) });
+    // 改回修改前的值时队列中不再有这一项
+    const change = state.queue.find(c => c.kind === kind);
+    if (change) log('log.offlineQueued', { cmd: CHANGE_KINDS[kind].encode(value) }, EVENT_TYPES.INFO, change);
+    emit('queued', change ?? { kind, value });
+    return false;
+  };
+
+  const setAlarm = async (h, m) => {
+    if (refused(encodeAlarm(h, m))) return false;
+    if (!isOnline()) return enqueue('alarm', h * 60 + m);
+    return send(encodeAlarm(h, m));
+  };
+
+  // 继电器与一次性定时是即时操作：离线时直接失败，不排队也不等链路恢复
+  const setRelay = async (on, { confirmed = false } = {}) => {
+    if (refused(encodeRelay(on), confirmed) || !isOnline()) return false;
+    return send(encodeRelay(on), { confirmed });
+  };
+
+  const setRunDuration = async (minutes) => {
+    if (refused(encodeRunDuration(minutes))) return false;
+    if (!isOnline()) return enqueue('duration', minutes);
+    return send(encodeRunDuration(minutes));
+  };
+
+  // 一次性相对定时 (v6)：delay 分钟后吸合，再运行 run 分钟 (0 = 不自动断开)。
+  // 依赖设备实时计时，不排入离线队列
+  const setTimer = async (delay, run, { confirmed = false } = {}) => {
+    if (refused(encodeTimer(delay, run), confirmed) || !isOnline()) return false;
+    return send(encodeTimer(delay, run), { confirmed });
+  };
+
+  const cancelTimer = async () => {
+    if (!isOnline()) return false;
+    return send(encodeTimerCancel());
+  };
+
+  // 等待中推迟吸合 (运行时长不变)，运行中推迟断开；按整分钟向上取整后加 minutes。
+  // 没有进行中的定时时拒绝：O:0,n 会立即吸合，"延长"不能打开负载
+  const extendTimer = async (minutes) => {
+    if (!isOnline()) return false;
+    const { timerStart, timerEnd, relay } = state.device;
+    if (timerStart === 0 && (timerEnd === 0 || !relay)) return false;
+    let cmd;
+    if (timerStart > 0) {
+      const delay = Math.ceil(timerStart / 60);
+      const run = timerEnd > 0 ? Math.max(1, Math.round((timerEnd - timerStart) / 60)) : 0;
+      cmd = encodeTimer(Math.min(delay + minutes, MAX_TIMER_MINUTES), run);
+    } else {
+      cmd = encodeTimer(0, Math.min(Math.ceil(timerEnd / 60) + minutes, MAX_RUN_MINUTES));
+    }
+    // 运行中延长的 O:0,n 不会新吸合，只受 PIN 锁约束
+    return !refused(cmd, true) && send(cmd, { confirmed: true });
+  };
+
+  // 已处于目标状态时不重复发送 (运行中 ON 也视为已武装)；离线时以排队中的目标值为准
+  const arm = async (armed = true) => {
+    if (refused(encodeMode(armed))) return false;
+    if (!isOnline()) {
+      const current = queuedValue(state.queue, 'mode') ?? CHANGE_KINDS.mode.field(state);
+      return current === armed ? false : enqueue('mode', armed);
+    }
+    if (state.pending[PACKET.MODE]) return false;
+    if ((state.device.mode !== 'IDLE') === armed) return true;
+    return send(encodeMode(armed));
+  };
+
+  // ==========================================
+  // 离线队列：重连后核对并按顺序重放
+  // ==========================================
+  // 重放或下发一条离线修改；周计划整份上传并回读校验
+  const applyChange = (change) => (
+    change.kind === 'schedule' ? uploadSchedule(change.value) : send(CHANGE_KINDS[change.kind].encode(change.value))
+  );
+
+  const replayChanges = async () => {
+    if (!state.queue.length) return;
+    // 周计划要与设备上的计划比较，先等连接后的回读；回读失败时这一项留到下次重连
+    const scheduleRead = state.queue.some(c => c.kind === 'schedule') ? await scheduleLoad : true;
+    const held = scheduleRead ? [] : state.queue.filter(c => c.kind === 'schedule');
+    const { replay, conflicts, applied } = reconcileChanges(state.queue.filter(c => !held.includes(c)), state);
+    setChanges({ queue: [...held, ...replay], conflicts: [...state.conflicts, ...conflicts] });
+    conflicts.forEach(c => log('log.offlineConflict', { cmd: CHANGE_KINDS[c.kind].encode(c.value) }, EVENT_TYPES.ERROR, c));
+    if (replay.length) log('log.offlineReplay', { n: replay.length }, EVENT_TYPES.INFO);
+
+    let replayed = applied.length;
+    for (const change of replay) {
+      // 中途断线或未确认：剩余修改留在队列，下次重连再试
+      if (!isOnline() || !await applyChange(change)) break;
+      setChanges({ queue: state.queue.filter(c => c.id !== change.id) });
+      replayed++;
+    }
+    emit('reconciled', { replayed, failed: state.queue.length, conflicts: conflicts.length });
+  };
+
+  // 撤销一条排队中的修改
+  const discardChange = (id) => setChanges({ queue: state.queue.filter(c => c.id !== id) });
+
+  // keepMine 为 true 时下发 (离线时重新排队) 离线修改，否则保留设备当前值
+  const resolveConflict = async (id, keepMine) => {
+    const conflict = state.conflicts.find(c => c.id === id);
+    if (!conflict) return false;
+    if (keepMine && refused(CHANGE_KINDS[conflict.kind].encode(conflict.value))) return false;
+    setChanges({ conflicts: state.conflicts.filter(c => c.id !== id) });
+    if (!keepMine) return true;
+    if (!isOnline()) return enqueue(conflict.kind, conflict.value);
+    return applyChange(conflict);
+  };
+
+  // ==========================================
+  // 认证：挑战应答 (H: -> C: -> V:)，配对 (P:)
+  // ==========================================
+  const authenticate = async () => {
+    const key = keyStore.load();
+    if (!key || state.authBusy) return false;
+    set({ authBusy: true, authFailed: false });
+    try {
+      const verify = await auth.prepare(key, writeFrame);
+      logRaw(`TX: ${verify}`, EVENT_TYPES.TX);
+      await tracker.send(verify, writeRaw);
+      log('log.authOk', {}, EVENT_TYPES.CONN);
+      set({ authBusy: false });
+      return true;
+    } catch (error) {
+      if (error.code === COMMAND_ERROR_CODES.CANCELLED) {
+        set({ authBusy: false });
+        return false;
+      }
+      log('log.authFailed', { message: error.message }, EVENT_TYPES.ERROR);
+      set({ authBusy: false, authFailed: true });
+      return false;
+    }
+  };
+
+  // 使用用户输入的密钥 (如班组分享)；格式不对返回 false
+  const applyKey = (input) => {
+    const key = normalizeSecret(input);
+    if (!key) return false;
+    keyStore.save(key);
+    set({ secret: key });
+    authenticate();
+    return true;
+  };
+
+  // 生成新密钥写入设备；设备只在未配对、配对窗口内或已认证时接受。
+  // 先写入存储：状态包随即变为 LOCKED 并触发认证；设备未确认则恢复旧密钥
+  const pair = async () => {
+    const previous = keyStore.load();
+    const next = generateSecret();
+    keyStore.save(next);
+    set({ secret: next });
+    if (await send(encodePair(next))) {
+      log('log.paired', {}, EVENT_TYPES.CONN);
+      return true;
+    }
+    if (previous) keyStore.save(previous);
+    else keyStore.forget();
+    set({ secret: previous });
+    return false;
+  };
+
+  const forgetKey = () => {
+    keyStore.forget();
+    set({ secret: null });
+  };
+
+  // ==========================================
+  // 周计划：逐条 W: 写入 -> N: 提交条数 -> Q: 回读校验
+  // ==========================================
+  const loadSchedule = async () => {
+    set({ scheduleBusy: true });
+    try {
+      const entries = await scheduleReader.request(writeRaw);
+      set({ schedule: entries });
+      saveSnapshot();
+      return entries;
+    } catch (error) {
+      if (error.code !== COMMAND_ERROR_CODES.CANCELLED) {
+        log('log.scheduleReadFailed', { message: error.message }, EVENT_TYPES.ERROR);
+      }
+      return null;
+    } finally {
+      set({ scheduleBusy: false });
+    }
+  };
+
+  // 返回回读结果是否与写入一致；中途有指令未确认返回 false。离线时整份计划排队
+  const uploadSchedule = async (entries) => {
+    if (refused(encodeScheduleCount(entries.length))) return false;
+    if (!isOnline()) return enqueue('schedule', entries);
+    set({ scheduleBusy: true });
+    try {
+      for (let i = 0; i < entries.length; i++) {
+        if (!await send(encodeScheduleEntry(i, entries[i]))) return false;
+      }
+      if (!await send(encodeScheduleCount(entries.length))) return false;
+    } finally {
+      set({ scheduleBusy: false });
+    }
+    const readBack = await loadSchedule();
+    return !!readBack && sameSchedule(readBack, entries);
+  };
+
+  // 返回本次读取的结果 (失败为 null)
+  const loadInfo = async () => {
+    try {
+      const info = await transport.readInfo();
+      set(s => ({ info: { ...s.info, ...info } }));
+      return info;
+    } catch (error) {
+      log('log.infoFailed', { message: error.message }, EVENT_TYPES.ERROR);
+      return null;
+    }
+  };
+
+  // ==========================================
+  // 预设：依次发送 T: -> A: -> D: -> M:，每条确认后再发下一条，任一步未确认即中止
+  // ==========================================
+  // onStep(step, total) 在每一步开始前回调；返回 { ok, step, total, queued }
+  const applyPreset = async (preset, onStep = () => {}) => {
+    // 有周计划的设备按计划启动，A: 闹钟不生效，只同步时间与模式
+    const skipAlarm = state.device.schedCount > 0;
+    const steps = [
+      () => syncTime(),
+      ...(skipAlarm ? [] : [() => setAlarm(preset.alarmH, preset.alarmM)]),
+      ...(preset.runMinutes === null ? [] : [() => setRunDuration(preset.runMinutes)]),
+      () => arm(preset.armed),
+    ];
+    // PIN 上锁时整个预设都不执行，不留下半套设置
+    if (refused(encodeMode(preset.armed))) return { ok: false, step: 0, total: steps.length };
+    log('log.presetApply', { name: preset.name }, EVENT_TYPES.INFO, { preset });
+    if (skipAlarm) log('log.presetAlarmSkipped', {}, EVENT_TYPES.INFO);
+    // 离线时各项修改直接排队 (时间在重连后自动同步)，返回 queued
+    if (!isOnline()) {
+      steps.slice(1).forEach(step => step());
+      return { ok: false, queued: true, step: 0, total: steps.length };
+    }
+    for (let i = 0; i < steps.length; i++) {
+      onStep(i + 1, steps.length);
+      if (!await steps[i]()) return { ok: false, step: i + 1, total: steps.length };
+    }
+    return { ok: true, step: steps.length, total: steps.length };
+  };
+
+  const configure = (patch) => Object.assign(opts, patch);
+
+  // 只检查不发送：返回联锁拒绝原因 (INTERLOCK_REASONS) 或 null，供网关向客户端说明拒绝原因
+  const checkInterlock = (cmd, { confirmed = false } = {}) => interlockReason(opts, cmd, confirmed);
+
+  return Object.assign(controller, {
+    getState: () => state,
+    configure,
+    checkInterlock,
+    connect,
+    disconnect,
+    dispose: shutdown,
+    send,
+    sendRaw,
+    syncTime,
+    setAlarm,
+    setRelay,
+    setRunDuration,
+    setTimer,
+    cancelTimer,
+    extendTimer,
+    arm,
+    discardChange,
+    resolveConflict,
+    authenticate,
+    applyKey,
+    pair,
+    forgetKey,
+    loadSchedule,
+    uploadSchedule,
+    loadInfo,
+    applyPreset,
+  });
+};
@@ -0,0 +1,157 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createDeviceController, CONNECTION_STATES } from './controller.js';
+import { createEmulatedDevice } from './emulator.js';
+import { createBleTransport } from './ble.js';
+import { ACTIVATION_MODES } from './safety.js';
+
+// 密钥与离线状态只保存在内存中
+const memoryStores = () => {
+  let secret = null;
+  let offline = { queue: [], conflicts: [] };
+  return {
+    keyStore: { load: () => secret, save: (next) => { secret = next; }, forget: () => { secret = null; } },
+    offlineStore: { load: () => offline, save: (patch) => { offline = { ...offline, ...patch }; } },
+  };
+};
+
+const nextEvent = (target, type) => new Promise(resolve => {
+  target.addEventListener(type, ({ detail }) => resolve(detail), { once: true });
+});
+
+let device;
+let controller;
+let logs;
+
+// wrap 可替换传输层的方法，用于观察写入
+const setup = async (options = {}, wrap = () => {}) => {
+  device = createEmulatedDevice({ faults: { delay: 10 } });
+  const transport = createBleTransport(device);
+  wrap(transport);
+  controller = createDeviceController(transport, { ...memoryStores(), ...options });
+  logs = [];
+  controller.addEventListener('log', ({ detail }) => logs.push(detail));
+  await controller.connect();
+};
+
+beforeEach(() => {
+  device = null;
+  controller = null;
+});
+
+afterEach(() => {
+  controller?.dispose();
+  device?.destroy();
+});
+
+// ==========================================
+// 连接与指令事务
+// ==========================================
+describe('controller driven by the emulator', () => {
+  it('connects and reports live device state', async () => {
+    await setup();
+    await nextEvent(controller, 'status');
+    const state = controller.getState();
+    expect(state.connection).toBe(CONNECTION_STATES.CONNECTED);
+    expect(state.stale).toBe(false);
+    expect(state.device.lastUpdate).toBeGreaterThan(0);
+  });
+
+  it('confirms relay and alarm commands against the echoed status', async () => {
+    await setup();
+    expect(await controller.setRelay(true)).toBe(true);
+    expect(device.state.relay).toBe(true);
+    expect(controller.getState().device.relay).toBe(true);
+    expect(await controller.setRelay(false)).toBe(true);
+    expect(device.state.relay).toBe(false);
+
+    expect(await controller.setAlarm(6, 45)).toBe(true);
+    expect(controller.getState().device).toMatchObject({ alarmH: 6, alarmM: 45 });
+  });
+
+  it('does not send relay commands while offline', async () => {
+    await setup();
+    controller.disconnect();
+    expect(await controller.setRelay(true)).toBe(false);
+    expect(await controller.setTimer(0, 10)).toBe(false);
+    expect(device.state.relay).toBe(false);
+  });
+
+  it('queues alarm changes while offline and replays them on reconnect', async () => {
+    await setup();
+    controller.disconnect();
+    expect(await controller.setAlarm(5, 15)).toBe(false);
+    expect(controller.getState().queue).toHaveLength(1);
+
+    const reconciled = nextEvent(controller, 'reconciled');
+    await controller.connect();
+    expect(await reconciled).toMatchObject({ replayed: 1, failed: 0, conflicts: 0 });
+    expect(controller.getState().queue).toHaveLength(0);
+    expect(controller.getState().device).toMatchObject({ alarmH: 5, alarmM: 15 });
+  });
+
+  it('queues schedule uploads while offline and replays them after the read-back', async () => {
+    await setup();
+    const entries = [{ days: 0x3e, start: 6 * 60, end: 7 * 60 }];
+    controller.disconnect();
+    expect(await controller.uploadSchedule(entries)).toBe(false);
+    expect(controller.getState().queue).toMatchObject([{ kind: 'schedule', value: entries }]);
+
+    const reconciled = nextEvent(controller, 'reconciled');
+    await controller.connect();
+    expect(await reconciled).toMatchObject({ replayed: 1, failed: 0, conflicts: 0 });
+    expect(controller.getState().queue).toHaveLength(0);
+    expect(controller.getState().schedule).toEqual(entries);
+  });
+
+  it('refuses to extend when no timer is active', async () => {
+    await setup();
+    expect(await controller.extendTimer(10)).toBe(false);
+    expect(device.state.relay).toBe(false);
+  });
+});
+
+// ==========================================
+// 安全联锁
+// ==========================================
+describe('interlocks', () => {
+  it('requires confirmation to switch on outside tap mode', async () => {
+    await setup({ activation: ACTIVATION_MODES.CONFIRM });
+    expect(await controller.setRelay(true)).toBe(false);
+    expect(await controller.sendRaw('R:1')).toBe(false);
+    expect(device.state.relay).toBe(false);
+    expect(logs.some(l => l.key === 'log.interlockConfirm')).toBe(true);
+
+    expect(await controller.setRelay(true, { confirmed: true })).toBe(true);
+    expect(device.state.relay).toBe(true);
+  });
+
+  it('passes the confirmation on to the transport', async () => {
+    const writes = [];
+    await setup({ activation: ACTIVATION_MODES.CONFIRM }, (transport) => {
+      const write = transport.write;
+      transport.write = (str, meta) => {
+        writes.push([str, meta]);
+        return write(str, meta);
+      };
+    });
+    expect(await controller.setRelay(true, { confirmed: true })).toBe(true);
+    expect(await controller.setRelay(false)).toBe(true);
+    expect(writes.filter(([str]) => str.startsWith('R:'))).toEqual([
+      ['R:1', { confirmed: true }],
+      ['R:0', { confirmed: false }],
+    ]);
+  });
+
+  it('only allows stopping the load while PIN-locked', async () => {
+    await setup();
+    expect(await controller.setRelay(true)).toBe(true);
+    controller.configure({ locked: true });
+
+    expect(await controller.arm(true)).toBe(false);
+    expect(await controller.setAlarm(8, 0)).toBe(false);
+    expect(logs.some(l => l.key === 'log.interlockLocked')).toBe(true);
+
+    expect(await controller.setRelay(false)).toBe(true);
+    expect(device.state.relay).toBe(false);
+  });
+});
@@ -0,0 +1,337 @@
+// ==========================================
+// 固件空中升级 (DFU，经独立的 BLE 特征值 CHAR_UUID_DFU)
+// ==========================================
+// 固件镜像 = 48 字节头 + 固件本体，多字节整数均为小端:
+//   0   4  魔数 "ICFW"
+//   4   1  头格式版本 (IMAGE_FORMAT)
+//   5   1  固件使用的协议版本 (见 protocol.js PROTOCOL_VERSION)
+//   6   2  保留 (0)
+//   8   4  固件本体长度
+//   12  4  固件本体 CRC-32
+//   16  16 固件版本字符串 (ASCII，\0 填充)，升级后设备信息服务的 firmware revision 应与之相同
+//   32  16 适用型号 (ASCII，\0 填充)，与设备信息服务的 model number 比对
+//
+// DFU 特征值上的二进制消息 (首字节为操作码):
+//   App -> 设备 (write without response)
+//     01 START   u32 长度, u32 CRC, u16 PRN, 16B 版本   开始或续传，设备回复 81
+//     02 DATA    u32 偏移, 数据...                      数据块，长度 = MTU - 3 - 5
+//     03 FINISH                                        全部发送完毕，设备校验后回复 83 并重启
+//     04 ABORT                                         放弃并清除已接收数据
+//   设备 -> App (notify)
+//     81 START_ACK  u8 状态, u32 已接收偏移, u16 MTU     相同镜像 (长度与 CRC 一致) 从已接收处续传
+//     82 PROGRESS   u32 已接收偏移                      每收到 PRN 个连续数据块 (或收齐) 回报一次；
+//                                                     偏移不连续时立即回报一次，App 回退重发
+//     83 FINISH_ACK u8 状态
+// 已配对设备只在本次连接已认证时接受 START (见 auth.js)。
+// CRC 只保证传输完整性；固件真伪由设备 bootloader 的签名校验负责。
+
+export const IMAGE_MAGIC = 'ICFW';
+export const IMAGE_FORMAT = 1;
+export const HEADER_SIZE = 48;
+const VERSION_FIELD = 16;
+const MODEL_FIELD = 16;
+
+export const DFU_OPS = Object.freeze({
+  START: 0x01,
+  DATA: 0x02,
+  FINISH: 0x03,
+  ABORT: 0x04,
+  START_ACK: 0x81,
+  PROGRESS: 0x82,
+  FINISH_ACK: 0x83,
+});
+
+export const DFU_STATUS = Object.freeze({
+  OK: 0,
+  INVALID: 1,        // 参数非法 (长度为 0、超出 flash 容量)
+  CRC: 2,            // 收齐后 CRC 不符
+  BUSY: 3,           // 设备正在运行负载，拒绝升级
+  UNAUTHORIZED: 4,   // 已配对但本次连接未认证
+});
+
+export const DFU_DEFAULTS = {
+  prn: 8,           // 每个流控窗口的数据块数
+  timeout: 3000,    // 等待设备回报的时间 (ms)
+  maxRetries: 5,    // 连续超时多少次后放弃
+};
+
+// ATT 头 3 字节 + DATA 头 5 字节
+const DATA_OVERHEAD = 3 + 5;
+
+export const DFU_ERROR_CODES = Object.freeze({
+  IMAGE_MAGIC: 'IMAGE_MAGIC',     // 不是 InsulCtrl 固件
+  IMAGE_FORMAT: 'IMAGE_FORMAT',   // 头格式版本不认识
+  IMAGE_SIZE: 'IMAGE_SIZE',       // 文件长度与头不符 (下载不完整)
+  IMAGE_CRC: 'IMAGE_CRC',         // 文件内容与头的 CRC 不符
+  REJECTED: 'REJECTED',           // 设备拒绝 (见 status)
+  TIMEOUT: 'TIMEOUT',             // 设备多次未回报
+  CANCELLED: 'CANCELLED',         // 用户取消
+});
+
+export class DfuError extends Error {
+  constructor(code, message, status) {
+    super(message);
+    this.name = 'DfuError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// ==========================================
+// CRC-32 (IEEE 802.3，与 zlib 相同)
+// ==========================================
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+export const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// ==========================================
+// 固件镜像
+// ==========================================
+const textDecoder = new TextDecoder();
+
+const readAscii = (bytes) => textDecoder.decode(bytes).replace(/\0+/g, '').trim();
+
+const writeAscii = (target, offset, str, size) => {
+  const bytes = new TextEncoder().encode(str).subarray(0, size);
+  target.set(bytes, offset);
+};
+
+// 解析并校验镜像，返回 { version, model, protocol, length, crc, payload }
+export const parseFirmwareImage = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  if (bytes.length < HEADER_SIZE || readAscii(bytes.subarray(0, 4)) !== IMAGE_MAGIC) {
+    throw new DfuError(DFU_ERROR_CODES.IMAGE_MAGIC, 'Not an InsulCtrl firmware image');
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const format = view.getUint8(4);
+  if (format !== IMAGE_FORMAT) {
+    throw new DfuError(DFU_ERROR_CODES.IMAGE_FORMAT, `Unsupported image format ${format}`);
+  }
+  const length = view.getUint32(8, true);
+  const crc = view.getUint32(12, true);
+  const payload = bytes.subarray(HEADER_SIZE);
+  if (payload.length !== length) {
+    throw new DfuError(DFU_ERROR_CODES.IMAGE_SIZE, `Image has ${payload.length} bytes, header says ${length}`);
+  }
+  if (crc32(payload) !== crc) {
+    throw new DfuError(DFU_ERROR_CODES.IMAGE_CRC, 'Image CRC mismatch');
+  }
+  return {
+    version: readAscii(bytes.subarray(16, 16 + VERSION_FIELD)),
+    model: readAscii(bytes.subarray(32, 32 + MODEL_FIELD)),
+    protocol: view.getUint8(5),
+    length,
+    crc,
+    payload,
+  };
+};
+
+// 生成镜像 (供模拟设备测试及打包工具使用)
+export const buildFirmwareImage = ({ version, model, protocol, payload }) => {
+  const bytes = new Uint8Array(HEADER_SIZE + payload.length);
+  const view = new DataView(bytes.buffer);
+  writeAscii(bytes, 0, IMAGE_MAGIC, 4);
+  view.setUint8(4, IMAGE_FORMAT);
+  view.setUint8(5, protocol);
+  view.setUint32(8, payload.length, true);
+  view.setUint32(12, crc32(payload), true);
+  writeAscii(bytes, 16, version, VERSION_FIELD);
+  writeAscii(bytes, 32, model, MODEL_FIELD);
+  bytes.set(payload, HEADER_SIZE);
+  return bytes;
+};
+
+// ==========================================
+// DFU 消息编解码
+// ==========================================
+export const encodeStart = ({ length, crc, version }, prn) => {
+  const bytes = new Uint8Array(1 + 4 + 4 + 2 + VERSION_FIELD);
+  const view = new DataView(bytes.buffer);
+  view.setUint8(0, DFU_OPS.START);
+  view.setUint32(1, length, true);
+  view.setUint32(5, crc, true);
+  view.setUint16(9, prn, true);
+  writeAscii(bytes, 11, version, VERSION_FIELD);
+  return bytes;
+};
+
+export const encodeData = (offset, chunk) => {
+  const bytes = new Uint8Array(5 + chunk.length);
+  const view = new DataView(bytes.buffer);
+  view.setUint8(0, DFU_OPS.DATA);
+  view.setUint32(1, offset, true);
+  bytes.set(chunk, 5);
+  return bytes;
+};
+
+export const encodeFinish = () => Uint8Array.of(DFU_OPS.FINISH);
+
+export const encodeAbort = () => Uint8Array.of(DFU_OPS.ABORT);
+
+// 设备侧 (模拟器) 使用
+export const encodeStartAck = (status, offset, mtu) => {
+  const bytes = new Uint8Array(8);
+  const view = new DataView(bytes.buffer);
+  view.setUint8(0, DFU_OPS.START_ACK);
+  view.setUint8(1, status);
+  view.setUint32(2, offset, true);
+  view.setUint16(6, mtu, true);
+  return bytes;
+};
+
+export const encodeProgress = (offset) => {
+  const bytes = new Uint8Array(5);
+  const view = new DataView(bytes.buffer);
+  view.setUint8(0, DFU_OPS.PROGRESS);
+  view.setUint32(1, offset, true);
+  return bytes;
+};
+
+export const encodeFinishAck = (status) => Uint8Array.of(DFU_OPS.FINISH_ACK, status);
+
+const toView = (input) => (
+  input instanceof DataView ? input : new DataView(input.buffer ?? input, input.byteOffset ?? 0, input.byteLength)
+);
+
+// 解析 DFU 消息 (两个方向)，不认识的操作码返回 { op }
+export const decodeDfuMessage = (input) => {
+  const view = toView(input);
+  const op = view.getUint8(0);
+  const bytes = new Uint8Array(view.buffer, view.byteOffset, view.byteLength);
+  switch (op) {
+    case DFU_OPS.START:
+      return {
+        op,
+        length: view.getUint32(1, true),
+        crc: view.getUint32(5, true),
+        prn: view.getUint16(9, true),
+        version: readAscii(bytes.subarray(11, 11 + VERSION_FIELD)),
+      };
+    case DFU_OPS.DATA:
+      return { op, offset: view.getUint32(1, true), chunk: bytes.subarray(5) };
+    case DFU_OPS.START_ACK:
+      return { op, status: view.getUint8(1), offset: view.getUint32(2, true), mtu: view.getUint16(6, true) };
+    case DFU_OPS.PROGRESS:
+      return { op, offset: view.getUint32(1, true) };
+    case DFU_OPS.FINISH_ACK:
+      return { op, status: view.getUint8(1) };
+    default:
+      return { op };
+  }
+};
+
+// ==========================================
+// 传输会话
+// ==========================================
+// channel 由 transport.openDfu(onMessage) 提供: { write(bytes), close() }。
+// transfer() 发送 FINISH 后 resolve { confirmed } (是否收到设备确认)；链路断开时 write 失败而 reject，
+// 之后用同一镜像再次 transfer() 即从设备已接收处续传。
+export const createDfuSession = (openChannel, image, {
+  onProgress = () => {},
+  ...options
+} = {}) => {
+  const opts = { ...DFU_DEFAULTS, ...options };
+  let queue = [];
+  let waiter = null;
+  let cancelled = false;
+
+  const onMessage = (value) => {
+    const msg = decodeDfuMessage(value);
+    if (waiter && waiter.op === msg.op) {
+      const { resolve, timer } = waiter;
+      clearTimeout(timer);
+      waiter = null;
+      resolve(msg);
+    } else {
+      queue.push(msg);
+    }
+  };
+
+  // 取下一条指定类型的消息，超时返回 null
+  const next = (op) => {
+    const index = queue.findIndex(m => m.op === op);
+    if (index >= 0) return Promise.resolve(queue.splice(index, 1)[0]);
+    return new Promise(resolve => {
+      waiter = { op, resolve, timer: setTimeout(() => { waiter = null; resolve(null); }, opts.timeout) };
+    });
+  };
+
+  const checkCancelled = () => {
+    if (cancelled) throw new DfuError(DFU_ERROR_CODES.CANCELLED, 'Cancelled');
+  };
+
+  // 发送 START 取得续传偏移与 MTU
+  const start = async (channel) => {
+    for (let attempt = 0; attempt < opts.maxRetries; attempt++) {
+      checkCancelled();
+      queue = [];
+      await channel.write(encodeStart(image, opts.prn));
+      const ack = await next(DFU_OPS.START_ACK);
+      if (!ack) continue;
+      if (ack.status !== DFU_STATUS.OK) {
+        throw new DfuError(DFU_ERROR_CODES.REJECTED, `Device rejected update (status ${ack.status})`, ack.status);
+      }
+      return ack;
+    }
+    throw new DfuError(DFU_ERROR_CODES.TIMEOUT, 'No response to START');
+  };
+
+  const transfer = async () => {
+    cancelled = false;
+    const channel = await openChannel(onMessage);
+    try {
+      let { offset, mtu } = await start(channel);
+      const chunkSize = Math.max(1, mtu - DATA_OVERHEAD);
+      onProgress(offset, image.length);
+      let timeouts = 0;
+      while (offset < image.length) {
+        checkCancelled();
+        queue = queue.filter(m => m.op !== DFU_OPS.PROGRESS);
+        // 发送一个窗口，然后等待设备回报实际收到的偏移 (丢块时会回退)
+        let sent = offset;
+        for (let i = 0; i < opts.prn && sent < image.length; i++) {
+          const chunk = image.payload.subarray(sent, sent + chunkSize);
+          await channel.write(encodeData(sent, chunk));
+          sent += chunk.length;
+        }
+        const progress = await next(DFU_OPS.PROGRESS);
+        if (progress) {
+          timeouts = 0;
+          offset = progress.offset;
+        } else {
+          // 回报丢失：重新 START 同步偏移
+          if (++timeouts >= opts.maxRetries) throw new DfuError(DFU_ERROR_CODES.TIMEOUT, 'No progress from device');
+          ({ offset } = await start(channel));
+        }
+        onProgress(offset, image.length);
+      }
+      await channel.write(encodeFinish());
+      // FINISH_ACK 丢失时不重发 (设备可能已在重启)，由重启后的版本校验确认结果
+      const done = await next(DFU_OPS.FINISH_ACK);
+      if (done && done.status !== DFU_STATUS.OK) {
+        throw new DfuError(DFU_ERROR_CODES.REJECTED, `Device rejected image (status ${done.status})`, done.status);
+      }
+      return { confirmed: !!done };
+    } finally {
+      channel.close();
+    }
+  };
+
+  const cancel = () => {
+    cancelled = true;
+  };
+
+  return { transfer, cancel };
+};
@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DFU_OPS, DFU_STATUS, buildFirmwareImage, parseFirmwareImage, createDfuSession,
+  decodeDfuMessage, encodeStartAck, encodeProgress, encodeFinishAck,
+} from './dfu.js';
+
+const PAYLOAD = Uint8Array.from({ length: 1000 }, (_, i) => (i * 7) & 0xff);
+const IMAGE = parseFirmwareImage(buildFirmwareImage({ version: '6.1.0', model: 'IC-1', protocol: 6, payload: PAYLOAD }).buffer);
+
+// 只实现流控的设备端：START 回复续传偏移与 MTU，每 prn 块 (或收齐) 回报一次偏移。
+// drop 为要丢弃一次的数据块偏移
+const fakeDevice = ({ image = IMAGE, mtu = 23, resumeAt = 0, drop = null } = {}) => {
+  const received = new Uint8Array(image.length);
+  const writes = [];
+  let offset = resumeAt;
+  let prn = 0;
+  let sinceReport = 0;
+  let dropped = false;
+
+  const openChannel = async (onMessage) => {
+    const reply = (bytes) => setTimeout(() => onMessage(bytes), 0);
+    return {
+      write: async (bytes) => {
+        const msg = decodeDfuMessage(bytes);
+        writes.push(msg);
+        if (msg.op === DFU_OPS.START) {
+          prn = msg.prn;
+          sinceReport = 0;
+          reply(encodeStartAck(DFU_STATUS.OK, offset, mtu));
+        } else if (msg.op === DFU_OPS.DATA) {
+          if (msg.offset === drop && !dropped) {
+            dropped = true;
+          } else if (msg.offset === offset) {
+            received.set(msg.chunk, msg.offset);
+            offset += msg.chunk.length;
+          }
+          sinceReport += 1;
+          if (sinceReport >= prn || offset === image.length) {
+            sinceReport = 0;
+            reply(encodeProgress(offset));
+          }
+        } else if (msg.op === DFU_OPS.FINISH) {
+          reply(encodeFinishAck(DFU_STATUS.OK));
+        }
+      },
+      close: () => {},
+    };
+  };
+
+  const data = () => writes.filter(m => m.op === DFU_OPS.DATA);
+  return { openChannel, received, writes, data };
+};
+
+// ==========================================
+// 分块
+// ==========================================
+describe('DFU chunking', () => {
+  it('splits the payload into MTU-sized chunks at contiguous offsets', async () => {
+    const device = fakeDevice({ mtu: 23 });
+    const progress = [];
+    const session = createDfuSession(device.openChannel, IMAGE, { prn: 4, onProgress: (offset) => progress.push(offset) });
+    expect(await session.transfer()).toEqual({ confirmed: true });
+
+    // ATT 3 字节 + DATA 头 5 字节之外的 15 字节为数据
+    const chunks = device.data();
+    expect(chunks.every(c => c.chunk.length === 15 || c === chunks.at(-1))).toBe(true);
+    expect(chunks.at(-1).chunk.length).toBe(1000 % 15);
+    expect(chunks.map(c => c.offset)).toEqual(chunks.map((_, i) => i * 15));
+    expect(device.received).toEqual(PAYLOAD);
+    // 每个窗口 4 块后等待回报
+    expect(progress.slice(0, 3)).toEqual([0, 60, 120]);
+    expect(progress.at(-1)).toBe(1000);
+    expect(device.writes.at(-1).op).toBe(DFU_OPS.FINISH);
+  });
+
+  it('resumes from the offset the device already has', async () => {
+    const device = fakeDevice({ mtu: 185, resumeAt: 531 });
+    await createDfuSession(device.openChannel, IMAGE).transfer();
+    expect(device.data()[0].offset).toBe(531);
+    expect(device.data()[0].chunk.length).toBe(177);
+    expect(device.received.subarray(531)).toEqual(PAYLOAD.subarray(531));
+  });
+
+  it('goes back to the reported offset after a lost chunk', async () => {
+    const device = fakeDevice({ mtu: 23, drop: 30 });
+    await createDfuSession(device.openChannel, IMAGE, { prn: 4 }).transfer();
+    const offsets = device.data().map(c => c.offset);
+    // 第一个窗口 0,15,30,45：30 丢失，设备回报 30，从 30 重发
+    expect(offsets.slice(0, 6)).toEqual([0, 15, 30, 45, 30, 45]);
+    expect(device.received).toEqual(PAYLOAD);
+  });
+
+  it('still sends one byte per chunk when the MTU leaves no room', async () => {
+    const small = parseFirmwareImage(buildFirmwareImage({ version: '1', model: '', protocol: 1, payload: PAYLOAD.subarray(0, 5) }).buffer);
+    const device = fakeDevice({ image: small, mtu: 8 });
+    await createDfuSession(device.openChannel, small, { prn: 2 }).transfer();
+    expect(device.data().map(c => c.chunk.length)).toEqual([1, 1, 1, 1, 1]);
+  });
+});
@@ -0,0 +1,176 @@
+// ==========================================
+// 诊断控制台数据：原始收发流、录制与回放
+// ==========================================
+// 控制器对每一帧收发触发 'raw' 事件 (见 controller.js)，面板转交给 App 持有的诊断日志:
+//   { ts, dir: 'rx' | 'tx', device(设备 id), name(设备名), bytes(Uint8Array),
+//     packet(解析结果，仅 rx), error({ code, message }，解析失败时), replay(回放产生的帧) }
+// 日志只在内存中保留最近 DIAG_CAPACITY 帧，不写入历史库。
+//
+// 录制文件 (JSON):
+//   { app: 'insulctrl', type: 'recording', version, startedAt, frames: [{ t(相对开始的毫秒), dir, device, hex }] }
+// 回放只把 rx 帧按原时间间隔送入解析器，结果显示在控制台，不影响设备面板。
+
+import { decodePacket } from './protocol.js';
+import { toHex } from './auth.js';
+
+export const DIAG_CAPACITY = 1000;
+
+export const RECORDING_FILE_VERSION = 1;
+
+export const RECORDING_ERROR_CODES = Object.freeze({
+  JSON: 'JSON',     // 文件不是合法 JSON
+  FORMAT: 'FORMAT', // 不是录制文件 (或版本不认识)，或帧数据损坏
+});
+
+export class RecordingError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'RecordingError';
+    this.code = code;
+  }
+}
+
+// 非 fatal：原始流里可能有任意二进制
+const decoder = new TextDecoder('utf-8');
+
+// 'frame' 事件的 detail 可能是 DataView (BLE) 或 Uint8Array (串口)，复制一份避免缓冲区被复用
+export const frameBytes = (data) => (
+  data instanceof Uint8Array ? data.slice() : new Uint8Array(data.buffer, data.byteOffset, data.byteLength).slice()
+);
+
+// 控制字符、DEL 与无法解码的字节 (U+FFFD) 显示为 ·
+const printable = (c) => {
+  const n = c.charCodeAt(0);
+  return n >= 0x20 && n !== 0x7f && n !== 0xfffd;
+};
+
+export const frameText = (bytes) => [...decoder.decode(bytes)].map(c => (printable(c) ? c : '·')).join('');
+
+export const frameHex = (bytes) => toHex(bytes).replace(/(..)(?!$)/g, '$1 ');
+
+const fromHex = (hex) => {
+  if (typeof hex !== 'string' || !/^([0-9a-f]{2})*$/i.test(hex)) return null;
+  return new Uint8Array(hex.match(/../g)?.map(b => parseInt(b, 16)) ?? []);
+};
+
+// 解析一帧，返回 { packet } 或 { error }
+export const decodeFrame = (bytes) => {
+  try {
+    return { packet: decodePacket(bytes) };
+  } catch (error) {
+    return { error: { code: error.code ?? null, message: error.message } };
+  }
+};
+
+// ==========================================
+// 诊断日志 (内存环形缓冲 + 录制)
+// ==========================================
+// 'change' 事件在每次变化后触发；entries / recording 每次变化都是新对象，可直接作为 React 快照。
+export const createDiagnosticsLog = ({ capacity = DIAG_CAPACITY } = {}) => {
+  const log = new EventTarget();
+  let snapshot = { entries: [], recording: null }; // recording: { startedAt, frames }
+
+  const update = (patch) => {
+    snapshot = { ...snapshot, ...patch };
+    log.dispatchEvent(new Event('change'));
+  };
+
+  const push = (entry) => {
+    const { recording } = snapshot;
+    update({
+      entries: [...snapshot.entries.slice(-(capacity - 1)), entry],
+      // 回放产生的帧不再录入
+      recording: recording && !entry.replay ? {
+        ...recording,
+        frames: [...recording.frames, { t: entry.ts - recording.startedAt, dir: entry.dir, device: entry.device, hex: toHex(entry.bytes) }],
+      } : recording,
+    });
+  };
+
+  const clear = () => update({ entries: [] });
+
+  const startRecording = (now = Date.now()) => update({ recording: { startedAt: now, frames: [] } });
+
+  // 返回录到的内容 (未在录制时为 null)
+  const stopRecording = () => {
+    const { recording } = snapshot;
+    update({ recording: null });
+    return recording;
+  };
+
+  return Object.assign(log, {
+    getSnapshot: () => snapshot,
+    push,
+    clear,
+    startRecording,
+    stopRecording,
+  });
+};
+
+// ==========================================
+// 录制文件
+// ==========================================
+export const recordingToJSON = ({ startedAt, frames }) => JSON.stringify({
+  app: 'insulctrl',
+  type: 'recording',
+  version: RECORDING_FILE_VERSION,
+  startedAt: new Date(startedAt).toISOString(),
+  frames,
+}, null, 2);
+
+// 返回 { startedAt, frames: [{ t, dir, device, bytes }] }，按时间排序
+export const parseRecordingJSON = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new RecordingError(RECORDING_ERROR_CODES.JSON, error.message);
+  }
+  if (data?.type !== 'recording' || data.version !== RECORDING_FILE_VERSION || !Array.isArray(data.frames)) {
+    throw new RecordingError(RECORDING_ERROR_CODES.FORMAT, 'Not a recording file');
+  }
+  const frames = data.frames.map((f, i) => {
+    const bytes = fromHex(f?.hex);
+    if (!bytes || !Number.isFinite(f.t) || (f.dir !== 'rx' && f.dir !== 'tx')) {
+      throw new RecordingError(RECORDING_ERROR_CODES.FORMAT, `Invalid frame #${i}`);
+    }
+    return { t: f.t, dir: f.dir, device: typeof f.device === 'string' ? f.device : null, bytes };
+  });
+  return { startedAt: Date.parse(data.startedAt) || 0, frames: frames.sort((a, b) => a.t - b.t) };
+};
+
+// 按录制时的间隔 (除以 speed，Infinity 为立即) 把帧送入解析器，每帧回调 onFrame(entry)。
+// isCancelled() 返回 true 时停止；返回已回放的帧数
+export const replayRecording = async ({ frames }, { speed = 1, onFrame, isCancelled = () => false }) => {
+  let last = frames[0]?.t ?? 0;
+  let count = 0;
+  for (const frame of frames) {
+    const wait = (frame.t - last) / speed;
+    last = frame.t;
+    if (wait > 0 && Number.isFinite(wait)) await new Promise(resolve => setTimeout(resolve, wait));
+    if (isCancelled()) break;
+    onFrame({
+      ts: Date.now(),
+      dir: frame.dir,
+      device: frame.device,
+      name: frame.device,
+      bytes: frame.bytes,
+      replay: true,
+      ...(frame.dir === 'rx' ? decodeFrame(frame.bytes) : {}),
+    });
+    count++;
+  }
+  return count;
+};
+
+// 最近 windowMs 内每台设备的收包速率 (包/秒) 与最后一包时间
+export const linkStats = (entries, now, windowMs = 10000) => {
+  const stats = {};
+  entries.forEach(e => {
+    if (e.dir !== 'rx' || e.replay) return;
+    const s = stats[e.device] ??= { rate: 0, lastRx: 0 };
+    if (now - e.ts <= windowMs) s.rate += 1000 / windowMs;
+    s.lastRx = Math.max(s.lastRx, e.ts);
+  });
+  return stats;
+};
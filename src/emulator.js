@@ -0,0 +1,610 @@
+// ==========================================
+// InsulCtrl 设备模拟器 (替代旧的 Mock 模式)
+// ==========================================
+// 对外提供与 Web Bluetooth 相同形状的对象:
+//   device.gatt.connect() -> server.getPrimaryService() -> service.getCharacteristic()
+//   characteristic.writeValue() / startNotifications() / 'characteristicvaluechanged'
+//   device 'gattserverdisconnected'
+//   Device Information / Battery 服务，watchAdvertisements() 与 'advertisementreceived' (RSSI)
+//   固件升级特征值 (见 dfu.js)，升级完成后重启并更新 firmware revision
+// 指令与状态全部经过 protocol.js 的真实字节编解码，可用于 QA 与集成测试。
+//
+// 通过 URL 开启: ?emulator
+// 可选故障注入参数: &drop=0.2 (丢包概率) &delay=500 (回复延迟毫秒)
+//                   &malformed=0.1 (畸形帧概率) &outage=5000 (断线后不可连接的时长)
+// 设备时钟参数: &skew=-3600 (RTC 比手机慢 1 小时) &clock=0 (RTC 掉电，从 1970 开始走)
+// 认证参数: &secret=<32 位 hex> (出厂即已配对，用于测试无密钥/密钥错误的情况)
+// 升级参数: &mtu=23 (协商 MTU，默认 185)
+// 拒绝的指令 (未认证、签名错误、无法解析) 没有回复，只在 device 上派发 'commandrejected' (detail { message })。
+// 运行时可通过 window.__insulEmulator (最近添加的一台；全部见 window.__insulEmulators)
+// 调整 faults、调用 simulateDisconnect() / injectFrame() / simulatePairButton()。
+
+import {
+  PACKET, PROTOCOL_VERSION, decodePacket, splitSigned, toBytes, encodeStatus,
+  encodeScheduleLength, encodeScheduleReply, encodeChallenge,
+} from './protocol.js';
+import {
+  SERVICE_UUID, CHAR_UUID_CMD, CHAR_UUID_DFU, INFO_SERVICE, BATTERY_SERVICE, INFO_CHARACTERISTICS,
+} from './ble.js';
+import {
+  normalizeSecret, importSecret, challengeResponse, commandMac, createNonce,
+} from './auth.js';
+import {
+  DFU_OPS, DFU_STATUS, crc32, buildFirmwareImage, decodeDfuMessage,
+  encodeStartAck, encodeProgress, encodeFinishAck,
+} from './dfu.js';
+
+export const EMULATOR_DEFAULTS = {
+  name: 'InsulCtrl-EMU',
+  faults: {
+    drop: 0,       // 指令/通知丢弃概率 0-1
+    delay: 50,     // 处理指令前的延迟 (ms)
+    malformed: 0,  // 状态包被替换为畸形帧的概率 0-1
+    outage: 0,     // simulateDisconnect() 后拒绝连接的时长 (ms)
+  },
+  pairingWindow: 60000, // simulatePairButton() 打开配对窗口的时长 (ms)
+  mtu: 185,             // 协商后的 ATT MTU，决定升级数据块大小
+  flashSize: 512 * 1024, // 可接收的最大固件
+  rebootTime: 3000,      // 升级完成后重启、不可连接的时长 (ms)
+};
+
+// 从 location.search 解析模拟器参数，未开启时返回 null
+export const parseEmulatorParams = (search) => {
+  const params = new URLSearchParams(search);
+  if (!params.has('emulator')) return null;
+  const num = (key) => {
+    const val = params.has(key) ? Number(params.get(key)) : NaN;
+    return Number.isNaN(val) ? undefined : val;
+  };
+  const faults = {};
+  ['drop', 'delay', 'malformed', 'outage'].forEach(key => {
+    if (num(key) !== undefined) faults[key] = num(key);
+  });
+  const result = { faults };
+  if (num('mtu') !== undefined) result.mtu = Math.max(23, num('mtu'));
+  const secret = params.has('secret') && normalizeSecret(params.get('secret'));
+  if (secret) result.secret = secret;
+  if (num('clock') !== undefined) {
+    result.clock = num('clock');
+  } else if (num('skew') !== undefined) {
+    result.clock = Math.floor(Date.now() / 1000) + num('skew');
+  }
+  return result;
+};
+
+// 生成一个供模拟设备升级测试的镜像：版本号在 current 的基础上 patch + 1，本体为随机字节
+export const buildEmulatorFirmware = ({ current, model, size = 48 * 1024 }) => {
+  const [, major = PROTOCOL_VERSION, minor = 0, patch = 0] = /^(\d+)\.(\d+)\.(\d+)/.exec(current ?? '') ?? [];
+  const payload = new Uint8Array(size);
+  for (let i = 0; i < size; i += 65536) crypto.getRandomValues(payload.subarray(i, i + 65536));
+  return buildFirmwareImage({
+    version: `${major}.${minor}.${Number(patch) + 1}-emu`,
+    model,
+    protocol: PROTOCOL_VERSION,
+    payload,
+  });
+};
+
+const chance = (p) => p > 0 && Math.random() < p;
+
+const domError = (name, message) => Object.assign(new Error(message), { name });
+
+// 畸形帧样本：截断、越界、非法 UTF-8
+const MALFORMED_FRAMES = [
+  () => toBytes('S:1,0'),
+  () => toBytes('S:9,0,7,30'),
+  () => toBytes('S:1,0,25,61'),
+  () => new Uint8Array([0x53, 0x3a, 0xff, 0xfe]),
+];
+
+export const createEmulatedDevice = (options = {}) => {
+  const opts = {
+    ...EMULATOR_DEFAULTS,
+    ...options,
+    faults: { ...EMULATOR_DEFAULTS.faults, ...options.faults },
+  };
+
+  // ------------------------------------------
+  // 设备内部状态 (模拟固件 RAM)
+  // ------------------------------------------
+  const state = {
+    mode: 'IDLE',
+    relay: false,
+    alarmH: 7,
+    alarmM: 30,
+    runMinutes: 0,
+    onSecs: 0,
+    timerStart: 0,  // 一次性定时: 距离吸合的秒数 (0 = 未在等待)
+    timerEnd: 0,    // 一次性定时: 距离断开的秒数 (0 = 不自动断开)
+    battery: 100,   // 电量百分比，每分钟下降 1%
+    schedule: [],   // 已提交的计划
+    staging: [],    // W: 写入但尚未 N: 提交的条目
+    clock: opts.clock ?? Math.floor(Date.now() / 1000), // 设备自己的 RTC
+    secret: opts.secret ?? null, // 配对密钥，null = 未配对
+    pairingUntil: 0,             // 配对窗口截止时间 (ms)
+  };
+
+  // 本次连接的认证会话，断线即失效
+  const session = { nonce: null, counter: 0, authed: false };
+  const resetSession = () => Object.assign(session, { nonce: null, counter: 0, authed: false });
+
+  let connected = false;
+  let notifying = false;
+  let unavailableUntil = 0;
+  let lastMinute = Math.floor(state.clock / 60);
+
+  // Device Information 服务的内容，序列号由名称派生，便于区分多台模拟设备
+  const info = {
+    manufacturer: 'InsulCtrl',
+    model: 'IC-100',
+    hardware: 'B',
+    firmware: `${PROTOCOL_VERSION}.0.0-emu`,
+    serial: `EMU${[...opts.name].reduce((h, c) => (h * 31 + c.charCodeAt(0)) >>> 0, 7).toString(16).toUpperCase().padStart(8, '0')}`,
+  };
+
+  const device = Object.assign(new EventTarget(), {
+    id: `emulator-${opts.name}`,
+    name: opts.name,
+    emulated: true,
+    faults: opts.faults,
+    state,
+  });
+
+  const characteristic = Object.assign(new EventTarget(), {
+    uuid: CHAR_UUID_CMD,
+    value: null,
+  });
+
+  // ------------------------------------------
+  // 上行通知
+  // ------------------------------------------
+  const notifyBytes = (bytes) => {
+    if (!connected || !notifying) return;
+    characteristic.value = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    characteristic.dispatchEvent(new Event('characteristicvaluechanged'));
+  };
+
+  const emit = (str) => {
+    if (chance(device.faults.drop)) return;
+    notifyBytes(toBytes(str));
+  };
+
+  const emitStatus = () => {
+    if (chance(device.faults.malformed)) {
+      const frame = MALFORMED_FRAMES[Math.floor(Math.random() * MALFORMED_FRAMES.length)];
+      notifyBytes(frame());
+      return;
+    }
+    emit(encodeStatus({ ...state, schedCount: state.schedule.length, auth: authState() }));
+  };
+
+  const authState = () => {
+    if (!state.secret) return 'OPEN';
+    if (session.authed) return 'AUTHED';
+    return Date.now() < state.pairingUntil ? 'PAIRING' : 'LOCKED';
+  };
+
+  // ------------------------------------------
+  // 固件逻辑
+  // ------------------------------------------
+  const setRelay = (on) => {
+    if (on !== state.relay) state.onSecs = 0;
+    state.relay = on;
+  };
+
+  const clearTimer = () => {
+    state.timerStart = 0;
+    state.timerEnd = 0;
+  };
+
+  // 计划表非空时时/分字段上报下一次启动时间 (与固件 v2 行为一致)
+  const updateNextAlarm = () => {
+    if (!state.schedule.length) return;
+    const now = new Date(state.clock * 1000);
+    const nowMin = now.getHours() * 60 + now.getMinutes();
+    let best = null;
+    for (let offset = 0; offset <= 7 && best === null; offset++) {
+      const day = (now.getDay() + offset) % 7;
+      state.schedule
+        .filter(e => e.days & (1 << day))
+        .filter(e => offset > 0 || e.start > nowMin)
+        .forEach(e => { if (best === null || e.start < best) best = e.start; });
+    }
+    if (best !== null) {
+      state.alarmH = Math.floor(best / 60);
+      state.alarmM = best % 60;
+    }
+  };
+
+  // 每跨过一个整分钟检查一次计划
+  const onMinute = (date) => {
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const today = state.schedule.filter(e => e.days & (1 << date.getDay()));
+    const starts = state.schedule.length
+      ? today.some(e => e.start === minutes)
+      : date.getHours() === state.alarmH && date.getMinutes() === state.alarmM;
+    if (state.mode === 'ARMED' && starts) {
+      state.mode = 'ON';
+      setRelay(true);
+      updateNextAlarm();
+    } else if (state.mode === 'ON' && state.schedule.some(e => e.end === minutes)) {
+      state.mode = 'ARMED';
+      setRelay(false);
+    }
+  };
+
+  const tick = () => {
+    state.clock += 1;
+    if (state.relay) state.onSecs += 1;
+    const minute = Math.floor(state.clock / 60);
+    if (minute !== lastMinute) {
+      lastMinute = minute;
+      onMinute(new Date(state.clock * 1000));
+    }
+    // 一次性定时按自身计时倒数，不受时钟校准影响
+    if (state.timerStart > 0 && --state.timerStart === 0) setRelay(true);
+    if (state.timerEnd > 0 && --state.timerEnd === 0) {
+      setRelay(false);
+      if (state.mode === 'ON') state.mode = 'ARMED';
+    }
+    // 运行时长到达后自动断开 (定时设了断开时间时以定时为准)
+    if (state.relay && state.timerEnd === 0 && state.runMinutes > 0 && state.onSecs >= state.runMinutes * 60) {
+      setRelay(false);
+      if (state.mode === 'ON') state.mode = 'ARMED';
+    }
+    if (state.clock % 60 === 0 && state.battery > 5) {
+      state.battery -= 1;
+      batteryChar.notify();
+    }
+    // 连接中也持续广播，供 watchAdvertisements() 读取 RSSI
+    if (state.clock % 3 === 0 && device.watchingAdvertisements) {
+      device.dispatchEvent(Object.assign(new Event('advertisementreceived'), {
+        rssi: -55 - Math.floor(Math.random() * 20),
+      }));
+    }
+    emitStatus();
+  };
+
+  const handleCommand = (cmd) => {
+    switch (cmd.type) {
+      case PACKET.TIME:
+        state.clock = cmd.ts;
+        lastMinute = Math.floor(state.clock / 60);
+        updateNextAlarm();
+        break;
+      case PACKET.ALARM:
+        state.alarmH = cmd.h;
+        state.alarmM = cmd.m;
+        break;
+      case PACKET.RELAY:
+        setRelay(cmd.on);
+        // 运行中手动停止：回到 ARMED 等待下一次计划，同时取消定时
+        if (!cmd.on) {
+          clearTimer();
+          if (state.mode === 'ON') state.mode = 'ARMED';
+        }
+        break;
+      case PACKET.MODE:
+        state.mode = cmd.armed ? 'ARMED' : 'IDLE';
+        setRelay(false);
+        clearTimer();
+        break;
+      case PACKET.TIMER:
+        if (cmd.cancel) {
+          // 已开始运行的定时取消时一并断开
+          if (state.timerStart === 0 && state.timerEnd > 0) setRelay(false);
+          clearTimer();
+          break;
+        }
+        state.timerStart = cmd.delay * 60;
+        state.timerEnd = cmd.run ? (cmd.delay + cmd.run) * 60 : 0;
+        if (cmd.delay === 0) setRelay(true);
+        break;
+      case PACKET.DURATION:
+        state.runMinutes = cmd.minutes;
+        break;
+      case PACKET.SCHED_WRITE: {
+        const { days, start, end } = cmd;
+        state.staging[cmd.index] = { days, start, end };
+        break;
+      }
+      case PACKET.SCHED_COUNT:
+        state.schedule = state.staging.slice(0, cmd.count).filter(Boolean);
+        updateNextAlarm();
+        break;
+      case PACKET.SCHED_QUERY:
+        emit(encodeScheduleLength(state.schedule.length));
+        state.schedule.forEach((e, i) => emit(encodeScheduleReply(i, e)));
+        return;
+      case PACKET.PAIR:
+        state.secret = cmd.secret;
+        state.pairingUntil = 0;
+        resetSession();
+        break;
+      default:
+        // 设备不认识的上行类型 (如 S:/E:) 直接忽略
+        return;
+    }
+    emitStatus();
+  };
+
+  let processing = Promise.resolve();
+
+  // 认证检查 (与固件 v5 一致)，通过后交给 handleCommand
+  const handleFrame = async (bytes) => {
+    const { cmd: raw, counter, mac } = splitSigned(bytes);
+    const cmd = decodePacket(raw);
+    const key = state.secret && await importSecret(state.secret);
+
+    if (cmd.type === PACKET.HELLO) {
+      if (!key) return; // 未配对设备不需要认证
+      resetSession();
+      session.nonce = createNonce();
+      emit(encodeChallenge(session.nonce));
+      return;
+    }
+    if (cmd.type === PACKET.VERIFY) {
+      if (!key || !session.nonce) return;
+      if (cmd.mac !== await challengeResponse(key, session.nonce)) throw new Error('Bad challenge response');
+      session.authed = true;
+      emitStatus();
+      return;
+    }
+    // 配对窗口内 (或尚未配对) 允许明文 P: 写入新密钥
+    const pairingOpen = cmd.type === PACKET.PAIR && (!key || Date.now() < state.pairingUntil);
+    if (key && !pairingOpen) {
+      if (!session.authed) throw new Error(`Not authenticated: ${raw}`);
+      if (counter === null || counter <= session.counter) throw new Error(`Replayed or unsigned: ${raw}`);
+      if (mac !== await commandMac(key, session.nonce, counter, raw)) throw new Error(`Bad MAC: ${raw}`);
+      session.counter = counter;
+    }
+    handleCommand(cmd);
+  };
+
+  // ------------------------------------------
+  // GATT 形状的接口
+  // ------------------------------------------
+  characteristic.writeValue = async (bytes) => {
+    if (!connected) throw domError('NetworkError', 'GATT Server is disconnected.');
+    if (chance(device.faults.drop)) return; // 写入"成功"但设备没收到
+    // 拷贝一份，调用方可能复用缓冲区
+    const copy = ArrayBuffer.isView(bytes)
+      ? new Uint8Array(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength))
+      : new Uint8Array(bytes.slice(0));
+    setTimeout(() => {
+      // HMAC 校验是异步的，按到达顺序串行处理
+      processing = processing.then(() => handleFrame(copy)).catch(error => {
+        device.dispatchEvent(new CustomEvent('commandrejected', { detail: { message: error.message } }));
+      });
+    }, device.faults.delay);
+  };
+
+  // ------------------------------------------
+  // 固件升级 (DFU，见 dfu.js)
+  // ------------------------------------------
+  // 已接收的数据在"外部 flash"中，断线后保留；同一镜像 (长度与 CRC 相同) 再次 START 时续传
+  let dfu = null; // { length, crc, version, prn, buffer, received, sinceReport, nacked }
+  let dfuNotifying = false;
+
+  const dfuChar = Object.assign(new EventTarget(), {
+    uuid: CHAR_UUID_DFU,
+    value: null,
+    properties: { writeWithoutResponse: true, notify: true },
+  });
+
+  const dfuNotify = (bytes) => {
+    if (!connected || !dfuNotifying || chance(device.faults.drop)) return;
+    dfuChar.value = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    dfuChar.dispatchEvent(new Event('characteristicvaluechanged'));
+  };
+
+  const reportProgress = () => {
+    dfu.sinceReport = 0;
+    dfuNotify(encodeProgress(dfu.received));
+  };
+
+  // 校验通过后写入新固件并重启 (链路断开，rebootTime 后可重新连接)
+  const reboot = (version) => {
+    info.firmware = version;
+    setRelay(false);
+    clearTimer();
+    if (state.mode === 'ON') state.mode = 'ARMED';
+    device.simulateDisconnect(opts.rebootTime);
+  };
+
+  const handleDfu = (bytes) => {
+    const msg = decodeDfuMessage(bytes);
+    switch (msg.op) {
+      case DFU_OPS.START: {
+        const status = state.secret && !session.authed ? DFU_STATUS.UNAUTHORIZED
+          : state.relay ? DFU_STATUS.BUSY
+          : !msg.length || msg.length > opts.flashSize ? DFU_STATUS.INVALID
+          : DFU_STATUS.OK;
+        if (status !== DFU_STATUS.OK) {
+          dfuNotify(encodeStartAck(status, 0, opts.mtu));
+          return;
+        }
+        if (!dfu || dfu.length !== msg.length || dfu.crc !== msg.crc) {
+          dfu = { length: msg.length, crc: msg.crc, buffer: new Uint8Array(msg.length), received: 0 };
+        }
+        Object.assign(dfu, { version: msg.version, prn: Math.max(1, msg.prn), sinceReport: 0, nacked: false });
+        dfuNotify(encodeStartAck(DFU_STATUS.OK, dfu.received, opts.mtu));
+        return;
+      }
+      case DFU_OPS.DATA: {
+        if (!dfu) return;
+        if (msg.offset !== dfu.received || msg.offset + msg.chunk.length > dfu.length) {
+          // 中间有块丢失：只回报一次，之后的乱序块直接丢弃，等 App 回退
+          if (!dfu.nacked) {
+            dfu.nacked = true;
+            reportProgress();
+          }
+          return;
+        }
+        dfu.buffer.set(msg.chunk, msg.offset);
+        dfu.received += msg.chunk.length;
+        dfu.nacked = false;
+        if (++dfu.sinceReport >= dfu.prn || dfu.received === dfu.length) reportProgress();
+        return;
+      }
+      case DFU_OPS.FINISH: {
+        if (!dfu || dfu.received !== dfu.length || crc32(dfu.buffer) !== dfu.crc) {
+          dfu = null;
+          dfuNotify(encodeFinishAck(DFU_STATUS.CRC));
+          return;
+        }
+        const { version } = dfu;
+        dfu = null;
+        dfuNotify(encodeFinishAck(DFU_STATUS.OK));
+        setTimeout(() => reboot(version), 200);
+        return;
+      }
+      case DFU_OPS.ABORT:
+        dfu = null;
+        return;
+      default:
+        return;
+    }
+  };
+
+  dfuChar.writeValueWithoutResponse = async (bytes) => {
+    if (!connected) throw domError('NetworkError', 'GATT Server is disconnected.');
+    if (chance(device.faults.drop)) return;
+    const copy = new Uint8Array(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+    setTimeout(() => handleDfu(copy), device.faults.delay);
+  };
+
+  dfuChar.startNotifications = async () => {
+    dfuNotifying = true;
+    return dfuChar;
+  };
+
+  dfuChar.stopNotifications = async () => {
+    dfuNotifying = false;
+    return dfuChar;
+  };
+
+  characteristic.startNotifications = async () => {
+    notifying = true;
+    return characteristic;
+  };
+
+  characteristic.stopNotifications = async () => {
+    notifying = false;
+    return characteristic;
+  };
+
+  // 只读 (可选通知) 的标准特征值，read() 返回当前字节
+  const createReadCharacteristic = (uuid, read, { notify = false } = {}) => {
+    const char = Object.assign(new EventTarget(), {
+      uuid,
+      value: null,
+      properties: { read: true, notify },
+    });
+    let subscribed = false;
+    const refresh = () => {
+      const bytes = read();
+      char.value = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+      return char.value;
+    };
+    char.readValue = async () => {
+      if (!connected) throw domError('NetworkError', 'GATT Server is disconnected.');
+      return refresh();
+    };
+    char.startNotifications = async () => {
+      subscribed = true;
+      return char;
+    };
+    char.notify = () => {
+      if (!connected || !subscribed) return;
+      refresh();
+      char.dispatchEvent(new Event('characteristicvaluechanged'));
+    };
+    return char;
+  };
+
+  const batteryChar = createReadCharacteristic('battery_level', () => Uint8Array.of(state.battery), { notify: true });
+
+  const createService = (uuid, characteristics) => ({
+    uuid,
+    getCharacteristic: async (charUuid) => {
+      if (!characteristics[charUuid]) throw domError('NotFoundError', `No characteristic ${charUuid}`);
+      return characteristics[charUuid];
+    },
+  });
+
+  const services = {
+    [SERVICE_UUID]: createService(SERVICE_UUID, { [CHAR_UUID_CMD]: characteristic, [CHAR_UUID_DFU]: dfuChar }),
+    [INFO_SERVICE]: createService(INFO_SERVICE, Object.fromEntries(
+      Object.entries(INFO_CHARACTERISTICS).map(([key, uuid]) => [
+        uuid, createReadCharacteristic(uuid, () => toBytes(info[key])),
+      ]),
+    )),
+    [BATTERY_SERVICE]: createService(BATTERY_SERVICE, { battery_level: batteryChar }),
+  };
+
+  const server = {
+    device,
+    get connected() { return connected; },
+    connect: async () => {
+      if (Date.now() < unavailableUntil) {
+        throw domError('NetworkError', 'Connection attempt failed (device out of range).');
+      }
+      await new Promise(resolve => setTimeout(resolve, 150));
+      connected = true;
+      return server;
+    },
+    disconnect: () => {
+      if (!connected) return;
+      connected = false;
+      notifying = false;
+      dfuNotifying = false;
+      resetSession();
+      device.dispatchEvent(new Event('gattserverdisconnected'));
+    },
+    getPrimaryService: async (uuid) => {
+      if (!connected) throw domError('NetworkError', 'GATT Server is disconnected.');
+      if (!services[uuid]) throw domError('NotFoundError', `No service ${uuid}`);
+      return services[uuid];
+    },
+  };
+  device.gatt = server;
+
+  device.watchingAdvertisements = false;
+  device.watchAdvertisements = async () => {
+    device.watchingAdvertisements = true;
+  };
+  device.unwatchAdvertisements = () => {
+    device.watchingAdvertisements = false;
+  };
+
+  // ------------------------------------------
+  // 测试钩子
+  // ------------------------------------------
+  // 模拟掉线 (超出信号范围)，outage 期间 connect() 会失败
+  device.simulateDisconnect = (outage = device.faults.outage) => {
+    unavailableUntil = Date.now() + outage;
+    server.disconnect();
+  };
+
+  // 模拟长按设备上的配对键：窗口期内接受明文 P: 重新配对
+  device.simulatePairButton = (duration = opts.pairingWindow) => {
+    state.pairingUntil = Date.now() + duration;
+    emitStatus();
+  };
+
+  // 直接注入一帧原始数据 (字符串或字节)
+  device.injectFrame = (frame) => {
+    notifyBytes(typeof frame === 'string' ? toBytes(frame) : frame);
+  };
+
+  // 与固件一致：每秒推进时钟并上报一次状态
+  const timer = setInterval(tick, 1000);
+  // 设备"断电"：停止心跳
+  device.destroy = () => {
+    clearInterval(timer);
+    server.disconnect();
+  };
+
+  return device;
+};
@@ -0,0 +1,66 @@
+// ==========================================
+// 已配对设备列表 (localStorage 持久化)
+// ==========================================
+// 每项: { id, name(设备广播名 / 串口名), alias(用户命名), kind(ble|serial|gateway), emulated, addedAt,
+//        ratedWatts(负载额定功率，用于估算用电，未设置为 null), url(网关地址，仅 gateway) }
+// 列表只保存元数据；transport 需通过 getDevices() / getPorts() 找回或重新扫描获得，经网关的设备按 url 重新连接。
+
+const FLEET_KEY = 'insulctrl.fleet';
+// 单设备版本只记住上次连接的设备，首次读取时迁移过来
+const LEGACY_KEY = 'insulctrl.lastDevice';
+
+const readJSON = (key) => {
+  try {
+    return JSON.parse(localStorage.getItem(key));
+  } catch {
+    return null;
+  }
+};
+
+export const loadFleet = () => {
+  const fleet = readJSON(FLEET_KEY);
+  if (Array.isArray(fleet)) return fleet;
+  const legacy = readJSON(LEGACY_KEY);
+  if (!legacy?.id) return [];
+  return [{ id: legacy.id, name: legacy.name ?? null, alias: '', kind: 'ble', emulated: false, addedAt: Date.now() }];
+};
+
+export const saveFleet = (fleet) => {
+  try {
+    localStorage.setItem(FLEET_KEY, JSON.stringify(fleet));
+    localStorage.removeItem(LEGACY_KEY);
+  } catch {
+    // 隐私模式下 localStorage 可能不可用，忽略
+  }
+};
+
+// 以下函数均返回新数组，不修改传入的列表
+export const upsertDevice = (fleet, transport) => {
+  const existing = fleet.find(e => e.id === transport.id);
+  if (existing) {
+    return fleet.map(e => (e.id === transport.id ? { ...e, name: transport.name ?? e.name, url: transport.url ?? e.url ?? null } : e));
+  }
+  return [...fleet, {
+    id: transport.id,
+    name: transport.name ?? null,
+    alias: '',
+    kind: transport.kind,
+    emulated: !!transport.emulated,
+    addedAt: Date.now(),
+    ratedWatts: null,
+    url: transport.url ?? null,
+  }];
+};
+
+export const renameDevice = (fleet, id, alias) => (
+  fleet.map(e => (e.id === id ? { ...e, alias: alias.trim() } : e))
+);
+
+export const setRatedPower = (fleet, id, watts) => (
+  fleet.map(e => (e.id === id ? { ...e, ratedWatts: watts > 0 ? watts : null } : e))
+);
+
+export const removeDevice = (fleet, id) => fleet.filter(e => e.id !== id);
+
+// fallback 由界面按当前语言传入 (如 "未命名设备")
+export const displayName = (entry, fallback = '') => entry?.alias || entry?.name || fallback;
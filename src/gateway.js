@@ -0,0 +1,168 @@
+// ==========================================
+// 本地网关的 WebSocket 传输 (网关见 gateway/index.js)
+// ==========================================
+// 网关持有设备链路与认证会话，PWA 经 WebSocket 收发原始帧，控制器逻辑与直连时相同。
+// 消息均为 JSON 文本:
+//   网关 -> 客户端
+//     { type: 'hello', version, devices: [device] }  连接后立即发送；device = { id, name, connection, info }
+//     { type: 'device', device }                     设备连接状态或信息变化
+//     { type: 'frame', id, data }                    设备上行的一帧 (协议文本，不含换行)
+//     { type: 'state', id, device }                  解析后的设备状态 (变化时发送，供自动化脚本使用)
+//     { type: 'ack', id, ref }                       指令已写入设备链路 (是否生效仍以状态包为准)
+//     { type: 'error', id, ref, message, reason }    指令被拒绝 (设备离线、安全联锁，或客户端发送了认证指令)；
+//                                                    reason 为联锁拒绝原因 (见 safety.js INTERLOCK_REASONS)，其余为 null
+//   客户端 -> 网关
+//     { type: 'write', id, ref, data, confirmed }    经网关发送一条指令 (网关已认证时自动签名)。ref 为客户端编号，
+//                                                    回复的 ack / error 带回同一 ref；confirmed 表示用户已在客户端
+//                                                    确认手动吸合，网关的 --activation 联锁据此放行
+// 配对与认证只在网关上进行，客户端不能发送 H:/V:/P:。
+// 网关设置了 --ws-token 时 URL 需带 ?token=...；PWA 所在的来源须用 --ws-origin 加入网关的允许列表。
+
+import { PACKET, toBytes } from './protocol.js';
+import { TRANSPORT_KINDS, dispatchFrame, dispatchDisconnect, dispatchInfo, dispatchError } from './transport.js';
+
+export const GATEWAY_API_VERSION = 2;
+
+export const GATEWAY_DEFAULTS = {
+  url: 'ws://localhost:8787',
+  timeout: 5000, // 等待 hello 或写入回复的时间 (ms)
+};
+
+// 网关拒绝写入；reason 为联锁拒绝原因 (INTERLOCK_REASONS)，其他原因为 null
+export class GatewayError extends Error {
+  constructor(message, reason = null) {
+    super(message);
+    this.name = 'GatewayError';
+    this.code = 'REJECTED';
+    this.reason = reason;
+  }
+}
+
+// 经网关转发时拒绝的指令类型
+export const GATEWAY_BLOCKED = new Set([PACKET.HELLO, PACKET.VERIFY, PACKET.PAIR]);
+
+// 区分直连与经网关的同一台设备 (密钥、离线队列等按 id 保存)
+export const GATEWAY_ID_PREFIX = 'gw:';
+
+// 打开连接并等待 hello，返回 { socket, devices }
+const openGateway = (url, { timeout = GATEWAY_DEFAULTS.timeout } = {}) => new Promise((resolve, reject) => {
+  const socket = new WebSocket(url);
+  const timer = setTimeout(() => {
+    socket.close();
+    reject(new Error('Gateway did not respond'));
+  }, timeout);
+  const fail = () => {
+    clearTimeout(timer);
+    reject(new Error(`Cannot connect to gateway ${url}`));
+  };
+  socket.addEventListener('error', fail);
+  socket.addEventListener('message', function onHello(event) {
+    const message = JSON.parse(event.data);
+    if (message.type !== 'hello') return;
+    clearTimeout(timer);
+    socket.removeEventListener('error', fail);
+    socket.removeEventListener('message', onHello);
+    if (message.version !== GATEWAY_API_VERSION) {
+      socket.close();
+      reject(new Error(`Unsupported gateway API version ${message.version}`));
+      return;
+    }
+    resolve({ socket, devices: message.devices });
+  });
+});
+
+// 网关上的设备列表 [{ id, name, connection, info }]
+export const listGatewayDevices = async (url, options) => {
+  const { socket, devices } = await openGateway(url, options);
+  socket.close();
+  return devices;
+};
+
+// device 为网关设备列表中的一项 (至少含 id)
+export const createGatewayTransport = (url, device) => {
+  let socket = null;
+  let info = device.info ?? null;
+  let nextRef = 0;
+  const replies = new Map(); // ref -> { resolve, reject, timer }
+
+  const settleReply = (ref, action, value) => {
+    const reply = replies.get(ref);
+    if (!reply) return false;
+    replies.delete(ref);
+    clearTimeout(reply.timer);
+    reply[action](value);
+    return true;
+  };
+
+  const transport = Object.assign(new EventTarget(), {
+    kind: TRANSPORT_KINDS.GATEWAY,
+    id: `${GATEWAY_ID_PREFIX}${device.id}`,
+    name: device.name ?? device.id,
+    emulated: false,
+    url,
+  });
+
+  const handleMessage = (event) => {
+    const message = JSON.parse(event.data);
+    if (message.type === 'frame' && message.id === device.id) {
+      dispatchFrame(transport, toBytes(message.data));
+    } else if (message.type === 'device' && message.device.id === device.id) {
+      info = message.device.info;
+      if (info) dispatchInfo(transport, info);
+      // 网关到设备的链路断开，按断线处理 (控制器负责重连)
+      if (message.device.connection !== 'connected') socket?.close();
+    } else if (message.type === 'ack' && message.id === device.id) {
+      settleReply(message.ref, 'resolve');
+    } else if (message.type === 'error' && message.id === device.id) {
+      const error = new GatewayError(`Gateway rejected command: ${message.message}`, message.reason ?? null);
+      // 写入的拒绝交给等待中的 write()，使指令事务立即失败而不是重试到超时
+      if (!settleReply(message.ref, 'reject', error)) dispatchError(transport, error);
+    }
+  };
+
+  transport.connect = async () => {
+    const opened = await openGateway(url);
+    const current = opened.devices.find(d => d.id === device.id);
+    if (current?.connection !== 'connected') {
+      opened.socket.close();
+      throw new Error(current ? 'Device is offline at the gateway' : 'Device not found at the gateway');
+    }
+    info = current.info;
+    socket = opened.socket;
+    socket.addEventListener('message', handleMessage);
+    socket.addEventListener('close', () => {
+      socket = null;
+      [...replies.keys()].forEach(ref => settleReply(ref, 'reject', new Error('Disconnected')));
+      dispatchDisconnect(transport);
+    }, { once: true });
+  };
+
+  // 等到网关回复 ack 才 resolve；拒绝时以 GatewayError reject
+  transport.write = (str, { confirmed = false } = {}) => new Promise((resolve, reject) => {
+    if (socket?.readyState !== WebSocket.OPEN) {
+      reject(new Error("Not connected"));
+      return;
+    }
+    nextRef += 1;
+    const ref = nextRef;
+    const timer = setTimeout(() => settleReply(ref, 'reject', new Error('Gateway did not respond')), GATEWAY_DEFAULTS.timeout);
+    replies.set(ref, { resolve, reject, timer });
+    socket.send(JSON.stringify({ type: 'write', id: device.id, ref, data: str, confirmed }));
+  });
+
+  transport.disconnect = () => socket?.close();
+
+  transport.readInfo = async () => ({
+    manufacturer: null,
+    model: null,
+    hardware: null,
+    firmware: null,
+    serial: null,
+    battery: null,
+    rssi: null,
+    ...info,
+    gateway: url,
+  });
+
+  return transport;
+};
@@ -0,0 +1,146 @@
+// ==========================================
+// 事件历史 (IndexedDB 持久化)
+// ==========================================
+// 每条事件: { id, ts(毫秒), type, device, msg, data }
+// 旧记录在打开数据库时按保留期限清理。
+
+const DB_NAME = 'insulctrl';
+const DB_VERSION = 1;
+const STORE = 'events';
+
+export const EVENT_TYPES = Object.freeze({
+  CONN: 'conn',   // 连接 / 断开 / 重连
+  TX: 'tx',       // 发出的指令
+  RX: 'rx',       // 设备状态变化
+  RELAY: 'relay', // 继电器吸合/断开
+  ERROR: 'error', // 解析失败、发送失败等
+  INFO: 'info',
+});
+
+export const RETENTION_DAYS = 90;
+
+let dbPromise = null;
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDb = () => {
+  if (dbPromise) return dbPromise;
+  if (typeof indexedDB === 'undefined') return Promise.reject(new Error('IndexedDB not available'));
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const store = req.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+      store.createIndex('ts', 'ts');
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  }).then(async db => {
+    await pruneEvents(db);
+    return db;
+  });
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+};
+
+const tx = async (mode) => {
+  const db = await openDb();
+  return db.transaction(STORE, mode).objectStore(STORE);
+};
+
+// 删除超过保留期限的记录 (主键是自增 id，需按 ts 索引游标逐条删除)
+const pruneEvents = (db) => new Promise(resolve => {
+  const cutoff = Date.now() - RETENTION_DAYS * 86400000;
+  const req = db.transaction(STORE, 'readwrite').objectStore(STORE)
+    .index('ts').openCursor(IDBKeyRange.upperBound(cutoff, true));
+  req.onsuccess = () => {
+    const cursor = req.result;
+    if (!cursor) return resolve();
+    cursor.delete();
+    cursor.continue();
+  };
+  req.onerror = () => resolve();
+});
+
+// 写入一条事件；失败不抛出，返回的记录没有 id 而带有 error，由调用方决定如何提示
+export const appendEvent = async (event) => {
+  const record = { ts: Date.now(), device: null, data: null, ...event };
+  try {
+    const store = await tx('readwrite');
+    record.id = await promisify(store.add(record));
+  } catch (error) {
+    record.error = error;
+  }
+  return record;
+};
+
+// 按时间倒序查询；types 为空表示不过滤
+export const queryEvents = async ({ types = [], from = 0, to = Infinity, search = '', limit = 500 } = {}) => {
+  const store = await tx('readonly');
+  const range = IDBKeyRange.bound(from, Number.isFinite(to) ? to : Number.MAX_SAFE_INTEGER);
+  const keyword = search.trim().toLowerCase();
+  return new Promise((resolve, reject) => {
+    const result = [];
+    const req = store.index('ts').openCursor(range, 'prev');
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor || result.length >= limit) return resolve(result);
+      const ev = cursor.value;
+      const typeOk = types.length === 0 || types.includes(ev.type);
+      const textOk = !keyword || `${ev.msg} ${ev.device ?? ''}`.toLowerCase().includes(keyword);
+      if (typeOk && textOk) result.push(ev);
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  });
+};
+
+export const clearEvents = async () => {
+  const store = await tx('readwrite');
+  await promisify(store.clear());
+};
+
+// ==========================================
+// 导出
+// ==========================================
+// 以 = + - @ 制表符或回车开头的文本会被电子表格当作公式执行 (设备名、日志内容都可能来自外部)，
+// 前面加 ' 作为纯文本；数字原样输出
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (val) => {
+  let str = val === null || val === undefined ? '' : String(val);
+  if (typeof val === 'string' && FORMULA_PREFIX.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+export const toCSV = (header, rows) => (
+  [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n')
+);
+
+export const eventsToCSV = (events) => toCSV(
+  ['time', 'device', 'type', 'message', 'data'],
+  events.map(ev => [
+    new Date(ev.ts).toISOString(),
+    ev.device,
+    ev.type,
+    ev.msg,
+    ev.data === null ? '' : JSON.stringify(ev.data),
+  ]),
+);
+
+export const eventsToJSON = (events) => JSON.stringify(
+  events.map(ev => ({ ...ev, time: new Date(ev.ts).toISOString() })),
+  null,
+  2,
+);
+
+export const downloadFile = (filename, content, mime) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mime }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
@@ -0,0 +1,24 @@
+import { describe, it, expect } from 'vitest';
+import { toCSV, eventsToCSV } from './history.js';
+
+describe('CSV export', () => {
+  it('quotes separators, quotes and line breaks', () => {
+    expect(toCSV(['a', 'b'], [['x,y', 'say "hi"'], ['line\nbreak', 'cr\rhere']]))
+      .toBe('a,b\n"x,y","say ""hi"""\n"line\nbreak","cr\rhere"');
+  });
+
+  it('neutralises text that spreadsheets would run as a formula', () => {
+    const rows = [['=HYPERLINK("http://x")', '+1', '-2+3', '@SUM(A1)', '\tcmd', '\rcmd']];
+    expect(toCSV(['a', 'b', 'c', 'd', 'e', 'f'], rows).split('\n')[1])
+      .toBe(`"'=HYPERLINK(""http://x"")",'+1,'-2+3,'@SUM(A1),'\tcmd,"'\rcmd"`);
+  });
+
+  it('leaves numbers and empty cells alone', () => {
+    expect(toCSV(['n', 'empty'], [[-5, null]])).toBe('n,empty\n-5,');
+  });
+
+  it('protects device names in event exports', () => {
+    const csv = eventsToCSV([{ ts: 0, device: '=cmd|calc', type: 'info', msg: 'ok', data: null }]);
+    expect(csv.split('\n')[1]).toBe("1970-01-01T00:00:00.000Z,'=cmd|calc,info,ok,");
+  });
+});
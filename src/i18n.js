@@ -0,0 +1,80 @@
+// ==========================================
+// 界面多语言 (简体中文 / English)
+// ==========================================
+// 文案按界面模块分组在 locales/*.js。组件通过 useI18n() (见 useI18n.js) 取得:
+//   t('scan.title', { name })  按点号路径取文案，{name} 占位符替换为参数
+//   formatTime / formatDate / formatWeekdayTime  按当前语言格式化时间
+// 参数含对象 (如 React 元素) 时由 compose(片段) 拼接，界面中返回 Fragment，便于在句子中嵌入加粗等样式。
+// 当前语言缺失的条目回退到简体中文，仍缺失时返回 key 本身。
+// 本模块不依赖 React，网关 (Node) 直接使用 translate()。
+
+import zhCN from './locales/zh-CN.js';
+import en from './locales/en.js';
+
+export const LOCALES = {
+  'zh-CN': { label: '中文', messages: zhCN },
+  en: { label: 'EN', messages: en },
+};
+
+export const DEFAULT_LOCALE = 'zh-CN';
+
+const LOCALE_KEY = 'insulctrl.locale';
+
+// 浏览器首选中文时用简体中文，其余语言一律用英文
+export const detectLocale = (languages = navigator.languages ?? [navigator.language]) => {
+  const first = languages.find(Boolean)?.toLowerCase() ?? '';
+  return first.startsWith('zh') ? 'zh-CN' : 'en';
+};
+
+// 手动选择的语言；null 表示跟随浏览器
+export const loadLocalePreference = () => {
+  try {
+    const saved = localStorage.getItem(LOCALE_KEY);
+    return saved in LOCALES ? saved : null;
+  } catch {
+    return null;
+  }
+};
+
+export const saveLocalePreference = (locale) => {
+  try {
+    if (locale) localStorage.setItem(LOCALE_KEY, locale);
+    else localStorage.removeItem(LOCALE_KEY);
+  } catch {
+    // 隐私模式下 localStorage 可能不可用，忽略
+  }
+};
+
+const lookup = (messages, key) => key.split('.').reduce((node, part) => node?.[part], messages);
+
+const joinParts = (values) => values.join('');
+
+const interpolate = (template, params, compose) => {
+  const parts = template.split(/\{(\w+)\}/);
+  // split 后奇数位是占位符名
+  const values = parts.map((part, i) => (i % 2 ? params[part] ?? `{${part}}` : part));
+  if (values.every(v => typeof v !== 'object')) return values.join('');
+  return compose(values);
+};
+
+export const translate = (locale, key, params = {}, compose = joinParts) => {
+  const value = lookup(LOCALES[locale]?.messages, key) ?? lookup(LOCALES[DEFAULT_LOCALE].messages, key);
+  if (value === undefined) return key;
+  return typeof value === 'string' ? interpolate(value, params, compose) : value;
+};
+
+// 绑定到某个语言的翻译函数与时间格式化函数
+export const createI18n = (locale, compose = joinParts) => {
+  const timeFormat = new Intl.DateTimeFormat(locale, { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+  const shortTimeFormat = new Intl.DateTimeFormat(locale, { hour: '2-digit', minute: '2-digit' });
+  const dateFormat = new Intl.DateTimeFormat(locale, { year: 'numeric', month: '2-digit', day: '2-digit' });
+  const weekdayFormat = new Intl.DateTimeFormat(locale, { weekday: 'short' });
+  return {
+    locale,
+    t: (key, params) => translate(locale, key, params, compose),
+    formatTime: (date) => timeFormat.format(date),
+    formatDate: (date) => dateFormat.format(date),
+    formatDateTime: (date) => `${dateFormat.format(date)} ${timeFormat.format(date)}`,
+    formatWeekdayTime: (date) => `${weekdayFormat.format(date)} ${shortTimeFormat.format(date)}`,
+  };
+};
@@ -0,0 +1,543 @@
+// English
+export default {
+  locale: {
+    label: 'Language',
+    auto: 'Auto',
+  },
+
+  theme: {
+    label: 'Theme: {theme} (tap to switch)',
+    system: 'follow system',
+    light: 'light',
+    dark: 'dark',
+  },
+
+  header: {
+    history: 'History',
+    usage: 'Usage',
+    online: '{n}/{total} Online',
+    reconnecting: 'Reconnecting',
+    offline: 'Offline',
+  },
+
+  support: {
+    title: 'This browser does not support Bluetooth',
+    ios: 'iOS: please use the {app} browser app.',
+    android: 'Android: please use {app}.',
+    log: 'Web Bluetooth API is not supported in this browser',
+    serialHint: 'On desktop Chrome / Edge you can also connect over a USB cable.',
+  },
+
+  scan: {
+    title: 'Get connected',
+    subtitle: 'Control your InsulCtrl insulation units',
+    button: 'Scan for Bluetooth devices',
+    emulator: 'Connect emulated device',
+    serial: 'Connect over USB serial',
+    gateway: 'Connect via local gateway',
+    showAll: 'Show all Bluetooth devices (if yours is not listed)',
+    failed: 'Connection failed:\n{message}',
+  },
+
+  transport: {
+    emulator: 'Emulator',
+  },
+
+  fleet: {
+    title: 'Devices',
+    onlineCount: '{n}/{total} online',
+    states: {
+      connecting: 'Connecting',
+      connected: 'Online',
+      reconnecting: 'Reconnecting',
+      offline: 'Offline',
+    },
+    unnamed: 'Unnamed device',
+    namePlaceholder: 'Device name',
+    rename: 'Rename',
+    connect: 'Connect',
+    forget: 'Forget this device',
+    forgetConfirm: 'Remove {name} from the list?',
+    scan: 'Scan to add device',
+    addEmulator: 'Add emulated device',
+    serial: 'USB serial',
+    gateway: 'Gateway',
+    alreadyConnected: '{name} is already connected',
+    pending: '{n} pending',
+    needsRescan: 'The browser no longer has permission for this device. Please scan again.',
+  },
+
+  gateway: {
+    urlPrompt: 'Gateway address (started with npm run gateway):',
+    empty: 'The gateway has no devices',
+  },
+
+  bulk: {
+    armAll: 'Arm all',
+    disarmAll: 'Disarm all',
+    syncAll: 'Sync time on all',
+    result: '{label}: {ok}/{total} confirmed',
+    log: 'Bulk action {label}: {ok}/{total} confirmed',
+  },
+
+  log: {
+    scanning: 'Scanning for Bluetooth devices...',
+    serialRequest: 'Selecting USB serial port...',
+    gatewayRequest: 'Connecting to gateway {url}...',
+    connectFailed: 'Connection failed: {message}',
+    found: 'Found device: {name}',
+    notifyOn: 'Notifications enabled',
+    connected: 'Connected',
+    disconnected: 'Device disconnected',
+    linkLost: 'Connection lost, reconnecting automatically',
+    reconnected: 'Reconnected',
+    reconnectFailed: 'Automatic reconnect failed',
+    manualDisconnect: 'Disconnected by user',
+    parseFailed: 'RX parse error [{code}]: {message}',
+    txFailed: 'TX failed [{code}]: {message}',
+    txRetry: 'No confirmation for {cmd}, resending ({n}/{max})',
+    reconnectAttemptFailed: 'Reconnect attempt {n} failed: {message}',
+    transportError: 'Link error: {message}',
+    historyFailed: 'Event history could not be saved: {message}',
+    usageFailed: 'Usage record could not be saved: {message}',
+    notifyFailed: 'System notification could not be shown: {message}',
+    emulatorRejected: 'Emulator {name} rejected a command: {message}',
+    dfuImageInvalid: 'Firmware image rejected: {message}',
+    relayOn: 'Relay energised',
+    relayOff: 'Relay released',
+    autoSync: 'Device clock off by {drift}, syncing automatically',
+    watchdog: 'Manual run exceeded {n} min, turning off',
+    interlockLocked: 'Refused {cmd}: controls are PIN-locked',
+    interlockConfirm: 'Refused {cmd}: switching on needs confirmation on this device',
+    scheduleReadFailed: 'Schedule read-back failed: {message}',
+    infoFailed: 'Failed to read device information: {message}',
+    paired: 'New pairing key written',
+    authOk: 'Authenticated; commands are now signed',
+    authFailed: 'Authentication failed: {message}',
+    presetApply: 'Applying preset: {name}',
+    offlineQueued: 'Device offline, change queued: {cmd}',
+    offlineReplay: 'Replaying {n} offline change(s)',
+    offlineConflict: 'Offline change conflicts with the device, not sent: {cmd}',
+    presetAlarmSkipped: 'Device has a weekly schedule; skipping alarm (A:)',
+    dfuStart: 'Firmware update started: {version} ({file})',
+    dfuSent: 'Firmware transferred, waiting for device to reboot',
+    dfuUnconfirmed: 'Firmware sent but not acknowledged; will check version after reboot',
+    dfuInterrupted: 'Firmware transfer interrupted, resuming after reconnect: {message}',
+    dfuDone: 'Firmware update succeeded, now running {version}',
+    dfuFailed: 'Firmware update failed: {message}',
+    viewHistory: 'View full history',
+  },
+
+  toast: {
+    emulatorConnected: 'Emulated device connected',
+    bleConnected: 'Bluetooth connected',
+    serialConnected: 'USB serial connected',
+    gatewayConnected: 'Connected via gateway',
+    connectFailed: 'Connection failed',
+    linkLost: 'Connection lost, reconnecting...',
+    reconnected: 'Reconnected',
+    reconnectFailed: 'Reconnect failed, please connect again',
+    disconnected: 'Device disconnected',
+    notConfirmed: 'Not confirmed by device, command may not have taken effect',
+    gatewayConfirm: 'The gateway refused to switch on without confirmation, set this device to confirm or hold activation',
+    gatewayLocked: 'Controls are locked at the gateway',
+    gatewayRejected: 'Command not sent. {message}',
+    timeSynced: 'Time synced',
+    autoSynced: 'Device clock corrected automatically ({drift})',
+    scheduleUploaded: 'Schedule uploaded ({n} slots)',
+    scheduleMismatch: 'Schedule read-back mismatch, please retry',
+    relayOn: 'Relay on',
+    relayOff: 'Relay off',
+    armed: 'Armed',
+    disarmed: 'Disarmed (IDLE)',
+    stopped: 'Run stopped',
+    paired: 'Paired',
+    authFailed: 'Authentication failed',
+    presetApplied: 'Preset {name} applied',
+    presetQueued: 'Device offline: preset {name} queued until reconnect',
+    queued: 'Device offline: change saved and will be sent on reconnect',
+    offlineReplayed: '{n} offline change(s) applied',
+    offlineFailed: '{n} offline change(s) not confirmed, will retry on next connection',
+    offlineConflicts: '{n} offline change(s) conflict with the device state, please review',
+    presetFailed: 'Preset {name} stopped: step {step}/{total} not confirmed',
+    dfuDone: 'Firmware updated to {version}',
+    dfuFailed: 'Firmware update did not take effect',
+    runMinutes: 'Run duration set to {n} min',
+    alarmSet: 'Alarm set to {time}',
+    runUnlimited: 'Run duration set to unlimited',
+    timerSet: 'Turning on in {n} min',
+    timerStarted: 'Turned on for {n} min',
+    timerExtended: 'Timer extended by {n} min',
+    timerCancelled: 'Timer cancelled',
+    watchdog: 'Manual run exceeded {n} min and was turned off',
+    watchdogFailed: 'Manual run exceeded {n} min; turn-off not confirmed, check the device',
+    pinSet: 'PIN set',
+    pinRemoved: 'PIN removed',
+  },
+
+  info: {
+    name: 'Device name (saved on this phone)',
+    unavailable: 'Not provided by the device or blocked by the browser',
+    fields: {
+      model: 'Model',
+      manufacturer: 'Manufacturer',
+      hardware: 'Hardware rev',
+      firmware: 'Firmware rev',
+      serial: 'Serial number',
+      protocol: 'Protocol',
+      battery: 'Battery',
+      rssi: 'Signal',
+      link: 'Connection',
+      id: 'Device ID',
+    },
+    rssiLevels: {
+      good: 'good',
+      fair: 'fair',
+      weak: 'weak',
+    },
+  },
+
+  auth: {
+    states: {
+      OPEN: 'Not paired',
+      LOCKED: 'Locked',
+      AUTHED: 'Authenticated',
+      PAIRING: 'Pairing',
+    },
+    openWarning: 'This device is not paired. Any phone in range can control the relay.',
+    pair: 'Pair',
+    repair: 'Re-pair',
+    pairingOpen: 'Pairing window is open. Tap Pair to set a new key.',
+    locked: 'This device is paired. A pairing key is required to control it.',
+    rejected: 'Authentication failed: the key does not match this device',
+    authenticating: 'Authenticating...',
+    pairHint: 'No key? Hold the pairing button on the device, then pair again.',
+    keyPlaceholder: 'Paste the 32-digit pairing key',
+    useKey: 'Use',
+    invalidKey: 'Invalid key (32 hex digits expected)',
+    retry: 'Retry',
+    title: 'Security',
+    key: 'Pairing key (share with other crew phones)',
+    noKey: 'No key stored on this phone',
+    showKey: 'Show key',
+    hideKey: 'Hide key',
+    copyKey: 'Copy key',
+    copied: 'Key copied',
+    forgetKey: 'Delete key from this phone',
+    forgetConfirm: 'This phone will need the key again (or a new pairing) to control this device. Continue?',
+    rekeyConfirm: 'A new key will stop the old key working on other phones. Continue?',
+    unsupported: 'This firmware does not support authentication. Please update the firmware.',
+  },
+
+  // Over-the-air firmware update (see dfu.js)
+  dfu: {
+    title: 'Firmware update',
+    empty: 'Choose a firmware file (.icfw) from the manufacturer. The device reboots during the update.',
+    chooseFile: 'Choose firmware file',
+    testImage: 'Generate test firmware (emulator)',
+    remove: 'Remove firmware file',
+    bleOnly: 'Firmware updates are only available over Bluetooth',
+    wrongModel: 'Firmware is for {image}, this device is {device}',
+    sameVersion: 'Same as the version on the device',
+    relayOn: 'Relay is on. Stop the run before updating.',
+    confirm: 'The device will reboot and the relay will switch off. Schedule and settings are kept. Continue?',
+    start: 'Start update',
+    resume: 'Resume',
+    pause: 'Pause',
+    phases: {
+      transferring: 'Transferring firmware...',
+      paused: 'Paused. Resume any time (the device keeps what it received)',
+      interrupted: 'Connection lost. Resumes after reconnect',
+      rebooting: 'Transfer complete, waiting for reboot...',
+      verifying: 'Checking the new version...',
+      done: 'Update complete, now running {version}',
+    },
+    status: {
+      INVALID: 'Device refused: firmware size out of range',
+      CRC: 'Device checksum failed and discarded the data. Transfer again.',
+      BUSY: 'Device is running and refused the update',
+      UNAUTHORIZED: 'Device is not authenticated',
+    },
+    errors: {
+      IMAGE_MAGIC: 'Not an InsulCtrl firmware file',
+      IMAGE_FORMAT: 'Unsupported firmware file format. Update the app.',
+      IMAGE_SIZE: 'Firmware file is incomplete. Download it again.',
+      IMAGE_CRC: 'Firmware file checksum failed. Download it again.',
+      TIMEOUT: 'Device is not responding. Tap Resume to retry.',
+      UNSUPPORTED: 'Device firmware does not support OTA updates. Flash it over cable once.',
+      VERIFY: 'Device reports {version} after reboot; the update did not take effect',
+    },
+  },
+
+  presets: {
+    title: 'Presets',
+    empty: 'No presets yet. Create one or import a shared file.',
+    add: 'New preset',
+    edit: 'Edit',
+    remove: 'Delete',
+    removeConfirm: 'Delete preset {name}?',
+    namePlaceholder: 'Preset name',
+    alarm: 'Alarm time',
+    runMinutes: 'Run duration (min)',
+    keep: 'Unchanged',
+    cancel: 'Cancel',
+    save: 'Save',
+    apply: 'Apply preset {name}',
+    import: 'Import JSON',
+    export: 'Export JSON',
+    imported: 'Imported {n} presets ({file})',
+    importFailed: 'Preset import failed: {message}',
+    errors: {
+      JSON: 'The file is not valid JSON',
+      FORMAT: 'Not an InsulCtrl presets file',
+      INVALID: 'The file contains an invalid preset; nothing was imported',
+    },
+  },
+
+  notify: {
+    title: 'Background notifications',
+    enable: 'Send system notifications while in background (all devices)',
+    remindBefore: 'Remind before scheduled start',
+    reminderOff: 'Off',
+    denied: 'Notification permission was denied. Please allow it in the browser settings.',
+    unsupported: 'This browser does not support system notifications',
+    alarm: 'Scheduled start, relay energised',
+    relayOn: 'Relay energised',
+    linkLost: 'Connection lost, trying to reconnect',
+    reconnectFailed: 'Reconnect failed, device is offline',
+    reminder: 'Automatic start in {n} min ({at})',
+  },
+
+  panel: {
+    connecting: 'Connecting...',
+    expand: 'Show configuration',
+    collapse: 'Hide configuration',
+    disconnect: 'Disconnect device',
+    reconnecting: 'Connection lost, reconnecting',
+    attempt: 'Attempt {n}/{max}',
+    offline: 'Device offline',
+    offlineHint: 'Changes are queued and sent in order on reconnect',
+    reconnect: 'Reconnect',
+    staleSince: 'Showing last known state from {time}',
+    queued: 'Queued',
+    giveUp: 'Give up',
+    pending: 'Awaiting confirmation',
+    relay: 'Relay',
+    relayOn: 'ON',
+    relayOff: 'OFF',
+    mode: 'Mode',
+    modes: {
+      IDLE: 'IDLE',
+      ARMED: 'ARMED',
+      ON: 'ON',
+    },
+  },
+
+  countdown: {
+    title: 'Countdown',
+    idle: 'Timer not started',
+    noSlots: 'No active slots in the weekly schedule',
+    untilEnd: 'Until scheduled stop · {at}',
+    untilStart: 'Until next automatic start · {at}',
+    active: 'Active',
+    hint: 'Tap {mode} above to start the timer',
+    days: '{d}d {hms}',
+  },
+
+  timer: {
+    title: 'One-shot timer',
+    delay: 'Delay',
+    run: 'Run for',
+    quick: '{n}m',
+    start: 'Turn on in {n} min',
+    startNow: 'Turn on now',
+    untilStart: 'Until turn-on · {at}',
+    runFor: 'runs {n} min',
+    runDefault: 'runs per duration setting',
+    defaultSuffix: ' (default)',
+    badge: 'Waiting',
+    extend: 'Extend by {n} min',
+    cancel: 'Cancel',
+  },
+
+  safety: {
+    title: 'Safety interlocks',
+    hint: 'Guards heating loads against accidental activation; applies to this phone only',
+    activation: 'Manual turn-on',
+    modes: { tap: 'Tap', confirm: 'Tap + confirm', hold: 'Hold' },
+    confirmOn: 'Turn the relay on? The load will be energised immediately.',
+    holdLabel: 'Hold to turn on',
+    holdHint: 'Press and hold the relay card to turn on',
+    maxOn: 'Maximum manual on-time',
+    maxOnHint: 'While connected, a manually energised relay is turned off with a warning after this time (scheduled and timer runs are not limited)',
+    noMax: ' (no limit)',
+    off: 'Off',
+    pin: 'Control panel PIN lock',
+    pinSet: 'Set; relocks after {n} min without interaction',
+    pinPlaceholder: '4-8 digits',
+    setPin: 'Set',
+    changePin: 'Change',
+    removePin: 'Remove PIN',
+    cancel: 'Cancel',
+    lockNow: 'Lock',
+    locked: 'Control panel locked',
+    unlock: 'Unlock',
+    wrongPin: 'Wrong PIN',
+    stopLocked: 'Stop (no PIN needed)',
+  },
+
+  config: {
+    title: 'Configuration',
+    runDuration: 'Run duration (auto-off when reached)',
+    minutes: 'min',
+    unlimitedSuffix: ' (unlimited)',
+    waiting: 'Awaiting device confirmation',
+    save: 'Save and send',
+    presetUnlimited: 'None',
+    presetMinutes: '{n}m',
+    clock: 'Device clock',
+    noClock: 'Firmware does not report its clock; showing phone time',
+    drift: 'Off from phone by {drift}',
+    syncPhone: 'Sync phone time',
+    autoSync: 'Auto-sync when drift exceeds threshold (all devices)',
+    seconds: 's',
+    driftThreshold: 'Auto-sync threshold (seconds)',
+  },
+
+  units: {
+    seconds: '{n}s',
+    minutes: '{n} min',
+    hours: '{n} h',
+    days: '{n} d',
+  },
+
+  running: {
+    title: 'Load running',
+    limit: 'Run duration limit {n} min',
+    noLimit: 'No run duration set',
+    badge: 'ON',
+    elapsed: 'Elapsed',
+    remaining: 'Remaining',
+    unlimited: 'Unlimited',
+    stop: 'Stop now',
+    timer: 'One-shot timer, turns off automatically',
+  },
+
+  alarm: {
+    title: 'Daily start time',
+    current: 'Device setting: {time}',
+    hour: 'Hour',
+    minute: 'Minute',
+    hint: 'This firmware has no weekly schedule and starts every day at this time. Update the firmware for weekly schedules.',
+  },
+
+  schedule: {
+    days: ['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa'],
+    dayNames: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+    daysLabel: 'Repeat on',
+    title: 'Weekly schedule',
+    stored: '{n} slots on device',
+    dirty: '· not uploaded',
+    reload: 'Read back from device',
+    empty: 'No slots yet, add one below',
+    weekdays: 'Weekdays',
+    weekend: 'Weekend',
+    everyday: 'Every day',
+    start: 'Start',
+    end: 'Stop (optional)',
+    remove: 'Remove slot',
+    noDay: 'Select at least one day',
+    add: 'Add slot',
+    upload: 'Upload to device',
+  },
+
+  offline: {
+    title: 'Pending changes',
+    hint: 'Sent in order when the device reconnects',
+    replaying: 'Sending...',
+    conflicts: 'Conflicts',
+    conflict: 'Changed to {mine} while offline, device now reports {current} (was {base})',
+    applyMine: 'Apply mine',
+    keepDevice: 'Keep device value',
+    discard: 'Discard',
+    slots: '{n} slot(s)',
+    kinds: {
+      alarm: 'Alarm',
+      mode: 'Mode',
+      duration: 'Run duration',
+      schedule: 'Weekly schedule',
+    },
+  },
+  diag: {
+    target: 'Target device',
+    deviceFilter: 'Filter by device',
+    title: 'Diagnostics',
+    clear: 'Clear',
+    all: 'All',
+    rx: 'RX',
+    tx: 'TX',
+    rate: '{n} pkt/s',
+    lastRx: '{s}s ago',
+    never: 'no packets yet',
+    noDevice: 'No devices connected',
+    send: 'Send',
+    sendPlaceholder: 'Raw command, e.g. Q:',
+    record: 'Record',
+    stopRecording: 'Stop & export ({n} frames)',
+    replay: 'Replay recording',
+    replaying: 'Replaying {n}/{total}, tap to stop',
+    speed: 'Replay speed',
+    instant: 'Instant',
+    empty: 'No traffic yet',
+    errors: {
+      JSON: 'File is not valid JSON: {message}',
+      FORMAT: 'Not a recording file or corrupted: {message}',
+    },
+  },
+  history: {
+    fromDate: 'Start date',
+    toDate: 'End date',
+    back: 'Back',
+    title: 'History',
+    clear: 'Clear history',
+    clearConfirm: 'Clear all history? This cannot be undone.',
+    to: 'to',
+    search: 'Search message or device',
+    exportCsv: 'Export CSV',
+    exportJson: 'Export JSON',
+    loadFailed: 'Failed to read history: {message}',
+    empty: 'No matching records',
+    types: {
+      conn: 'Connection',
+      tx: 'Sent',
+      rx: 'Status',
+      relay: 'Relay',
+      error: 'Error',
+      info: 'Other',
+    },
+  },
+
+  // Relay runtime accounting (see usage.js)
+  usage: {
+    device: 'Device',
+    title: 'Usage',
+    clear: 'Clear usage data',
+    clearConfirm: 'Clear all usage data? Billing records cannot be recovered. Export first.',
+    allDevices: 'All devices',
+    metrics: {
+      hours: 'Hours',
+      kwh: 'kWh',
+    },
+    hours: '{n} h',
+    kwh: '{n} kWh',
+    today: 'Today',
+    thisWeek: 'This week',
+    daily: 'Last {n} days',
+    weekly: 'Last {n} weeks',
+    note: 'Based on status received while the app was connected. Time offline counts up to the last confirmed status. Energy = hours × rated power, estimate only.',
+    loadFailed: 'Failed to load usage: {message}',
+    ratedPower: 'Rated load power (for energy estimate)',
+    exportDaily: 'Export daily CSV',
+    exportRuns: 'Export runs CSV',
+  },
+};
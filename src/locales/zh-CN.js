@@ -0,0 +1,549 @@
+// 简体中文 (默认语言，其他语言缺失的条目回退到这里)
+export default {
+  locale: {
+    label: '界面语言',
+    auto: '自动',
+  },
+
+  theme: {
+    label: '主题：{theme} (点击切换)',
+    system: '跟随系统',
+    light: '浅色',
+    dark: '深色',
+  },
+
+  header: {
+    history: '历史记录',
+    usage: '用量统计',
+    online: '{n}/{total} 在线',
+    reconnecting: '重连中',
+    offline: '离线',
+  },
+
+  support: {
+    title: '当前浏览器不支持蓝牙',
+    ios: 'iOS 用户：请使用 {app} 浏览器 APP。',
+    android: 'Android 用户：请使用 {app} 浏览器。',
+    log: '当前浏览器不支持 Web Bluetooth API',
+    serialHint: '桌面版 Chrome / Edge 也可通过 USB 数据线连接。',
+  },
+
+  scan: {
+    title: '开始连接',
+    subtitle: '控制您的 InsulCtrl 绝缘件设备',
+    button: '扫描蓝牙设备',
+    emulator: '连接模拟设备 (Emulator)',
+    serial: 'USB 串口连接',
+    gateway: '经本地网关连接',
+    showAll: '显示所有蓝牙设备 (找不到设备时使用)',
+    failed: '连接失败:\n{message}',
+  },
+
+  transport: {
+    emulator: '模拟器',
+  },
+
+  fleet: {
+    title: '设备列表',
+    onlineCount: '{n}/{total} 在线',
+    states: {
+      connecting: '连接中',
+      connected: '在线',
+      reconnecting: '重连中',
+      offline: '离线',
+    },
+    unnamed: '未命名设备',
+    namePlaceholder: '设备名称',
+    rename: '重命名',
+    connect: '连接',
+    forget: '忘记此设备',
+    forgetConfirm: '确定从列表中移除 {name}？',
+    scan: '扫描添加设备',
+    addEmulator: '添加模拟设备',
+    serial: 'USB 串口',
+    gateway: '网关',
+    alreadyConnected: '{name} 已连接',
+    pending: '{n} 项待同步',
+    needsRescan: '浏览器未保留该设备的授权，请重新扫描',
+  },
+
+  gateway: {
+    urlPrompt: '网关地址 (npm run gateway 启动):',
+    empty: '网关上没有设备',
+  },
+
+  bulk: {
+    armAll: '全部武装',
+    disarmAll: '全部取消',
+    syncAll: '全部同步时间',
+    result: '{label}: {ok}/{total} 台已确认',
+    log: '批量操作 {label}: {ok}/{total} 台已确认',
+  },
+
+  // 写入日志与历史记录的事件文案
+  log: {
+    scanning: '正在扫描蓝牙设备...',
+    serialRequest: '正在选择 USB 串口...',
+    gatewayRequest: '正在连接网关 {url}...',
+    connectFailed: '连接失败: {message}',
+    found: '找到设备: {name}',
+    notifyOn: '数据监听已开启',
+    connected: '连接成功',
+    disconnected: '设备已断开',
+    linkLost: '连接中断，尝试自动重连',
+    reconnected: '自动重连成功',
+    reconnectFailed: '自动重连失败',
+    manualDisconnect: '主动断开连接',
+    parseFailed: 'RX 解析失败 [{code}]: {message}',
+    txFailed: 'TX 失败 [{code}]: {message}',
+    txRetry: '{cmd} 未确认，重发 ({n}/{max})',
+    reconnectAttemptFailed: '第 {n} 次重连失败: {message}',
+    transportError: '链路错误: {message}',
+    historyFailed: '事件历史写入失败: {message}',
+    usageFailed: '用量记录写入失败: {message}',
+    notifyFailed: '系统通知发送失败: {message}',
+    emulatorRejected: '模拟器 {name} 拒绝了指令: {message}',
+    dfuImageInvalid: '固件镜像无效: {message}',
+    relayOn: '继电器吸合',
+    relayOff: '继电器断开',
+    autoSync: '设备时钟偏差 {drift}，自动同步',
+    watchdog: '手动开启超过 {n} 分钟，自动断开',
+    interlockLocked: '已拒绝 {cmd}：控制面板已用 PIN 上锁',
+    interlockConfirm: '已拒绝 {cmd}：此设备手动开启需要确认',
+    scheduleReadFailed: '周计划回读失败: {message}',
+    infoFailed: '读取设备信息失败: {message}',
+    paired: '已写入新的配对密钥',
+    authOk: '认证成功，后续指令已签名',
+    authFailed: '认证失败: {message}',
+    presetApply: '应用预设: {name}',
+    offlineQueued: '设备离线，修改已排队: {cmd}',
+    offlineReplay: '重放 {n} 项离线修改',
+    offlineConflict: '离线修改与设备当前值冲突，未发送: {cmd}',
+    presetAlarmSkipped: '设备已有周计划，跳过闹钟设定 (A:)',
+    dfuStart: '开始固件升级: {version} ({file})',
+    dfuSent: '固件传输完成，等待设备重启',
+    dfuUnconfirmed: '固件已发送但未收到设备确认，等待重启后校验版本',
+    dfuInterrupted: '固件传输中断，重连后续传: {message}',
+    dfuDone: '固件升级成功，当前版本 {version}',
+    dfuFailed: '固件升级失败: {message}',
+    viewHistory: '查看完整历史',
+  },
+
+  toast: {
+    emulatorConnected: '模拟设备已连接',
+    bleConnected: '蓝牙连接成功',
+    serialConnected: 'USB 串口连接成功',
+    gatewayConnected: '已通过网关连接',
+    connectFailed: '连接失败',
+    linkLost: '连接中断，正在重连...',
+    reconnected: '已重新连接',
+    reconnectFailed: '重连失败，请重新连接',
+    disconnected: '设备已断开连接',
+    notConfirmed: '设备未确认，指令可能未生效',
+    gatewayConfirm: '网关拒绝未经确认的吸合，请将本设备的吸合方式设为确认或按住',
+    gatewayLocked: '网关上的控制已上锁',
+    gatewayRejected: '指令未发送。{message}',
+    timeSynced: '时间同步成功',
+    autoSynced: '设备时钟已自动校准 ({drift})',
+    scheduleUploaded: '周计划已上传 ({n} 条)',
+    scheduleMismatch: '周计划回读不一致，请重试',
+    relayOn: '继电器吸合',
+    relayOff: '继电器断开',
+    armed: '已武装 (ARMED)',
+    disarmed: '已取消 (IDLE)',
+    stopped: '已停止运行',
+    paired: '配对成功',
+    authFailed: '认证失败',
+    presetApplied: '预设 {name} 已应用',
+    presetQueued: '设备离线，预设 {name} 已排队，重连后发送',
+    queued: '设备离线，修改已保存，重连后发送',
+    offlineReplayed: '已同步 {n} 项离线修改',
+    offlineFailed: '{n} 项离线修改未确认，下次连接时重试',
+    offlineConflicts: '{n} 项离线修改与设备状态冲突，请确认',
+    presetFailed: '预设 {name} 第 {step}/{total} 步未确认，已中止',
+    dfuDone: '固件已升级到 {version}',
+    dfuFailed: '固件升级未生效',
+    runMinutes: '运行时长设为 {n} 分钟',
+    alarmSet: '闹钟设为 {time}',
+    runUnlimited: '运行时长设为不限时',
+    timerSet: '已设定 {n} 分钟后开启',
+    timerStarted: '已开启，{n} 分钟后断开',
+    timerExtended: '定时已延长 {n} 分钟',
+    timerCancelled: '定时已取消',
+    watchdog: '手动开启已超过 {n} 分钟，已自动断开',
+    watchdogFailed: '手动开启已超过 {n} 分钟，自动断开未确认，请检查设备',
+    pinSet: 'PIN 已设置',
+    pinRemoved: 'PIN 已移除',
+  },
+
+  // 设备信息 (标准 GATT 服务)
+  info: {
+    name: '设备名称 (保存在本机)',
+    unavailable: '设备未提供或浏览器不允许读取',
+    fields: {
+      model: '型号',
+      manufacturer: '厂商',
+      hardware: '硬件版本',
+      firmware: '固件版本',
+      serial: '序列号',
+      protocol: '协议版本',
+      battery: '电量',
+      rssi: '信号强度',
+      link: '连接方式',
+      id: '设备 ID',
+    },
+    rssiLevels: {
+      good: '良好',
+      fair: '一般',
+      weak: '较弱',
+    },
+  },
+
+  // 配对与认证 (v5 固件)
+  auth: {
+    states: {
+      OPEN: '未配对',
+      LOCKED: '未认证',
+      AUTHED: '已认证',
+      PAIRING: '待配对',
+    },
+    openWarning: '设备未配对，范围内任何手机都能控制继电器',
+    pair: '配对',
+    repair: '重新配对',
+    pairingOpen: '设备配对窗口已打开，点击配对写入新密钥',
+    locked: '此设备已配对，需要配对密钥才能控制',
+    rejected: '认证失败，密钥与设备不匹配',
+    authenticating: '正在认证...',
+    pairHint: '没有密钥？长按设备上的配对键后重新配对',
+    keyPlaceholder: '粘贴 32 位配对密钥',
+    useKey: '使用',
+    invalidKey: '密钥格式不正确 (32 位十六进制)',
+    retry: '重试',
+    title: '安全',
+    key: '配对密钥 (可分享给班组其他手机)',
+    noKey: '本机未保存密钥',
+    showKey: '显示密钥',
+    hideKey: '隐藏密钥',
+    copyKey: '复制密钥',
+    copied: '密钥已复制',
+    forgetKey: '删除本机密钥',
+    forgetConfirm: '删除后本机需重新输入密钥或重新配对才能控制此设备。继续？',
+    rekeyConfirm: '生成新密钥后，其他手机上的旧密钥将失效。继续？',
+    unsupported: '当前设备固件不支持认证，请升级固件。',
+  },
+
+  // 固件空中升级 (见 dfu.js)
+  dfu: {
+    title: '固件升级',
+    empty: '选择厂家提供的固件文件 (.icfw)，升级期间设备会重启',
+    chooseFile: '选择固件文件',
+    testImage: '生成测试固件 (模拟设备)',
+    remove: '移除固件文件',
+    bleOnly: '固件升级仅支持蓝牙连接',
+    wrongModel: '固件适用于 {image}，此设备为 {device}',
+    sameVersion: '与设备当前版本相同',
+    relayOn: '继电器吸合中，停止运行后才能升级',
+    confirm: '升级期间设备会重启，继电器将断开，计划与设置保留。继续？',
+    start: '开始升级',
+    resume: '继续',
+    pause: '暂停',
+    phases: {
+      transferring: '正在传输固件...',
+      paused: '已暂停，可随时继续 (设备保留已接收部分)',
+      interrupted: '连接中断，重连后自动续传',
+      rebooting: '传输完成，等待设备重启...',
+      verifying: '正在确认新版本...',
+      done: '升级成功，当前版本 {version}',
+    },
+    status: {
+      INVALID: '设备拒绝：固件大小超出范围',
+      CRC: '设备校验失败，已丢弃接收的数据，请重新传输',
+      BUSY: '设备正在运行，拒绝升级',
+      UNAUTHORIZED: '设备未认证，不能升级',
+    },
+    errors: {
+      IMAGE_MAGIC: '不是 InsulCtrl 固件文件',
+      IMAGE_FORMAT: '固件文件格式版本不支持，请更新 App',
+      IMAGE_SIZE: '固件文件不完整，请重新下载',
+      IMAGE_CRC: '固件文件校验失败，请重新下载',
+      TIMEOUT: '设备无响应，可点击继续重试',
+      UNSUPPORTED: '设备固件不支持空中升级，需先线刷一次',
+      VERIFY: '重启后版本为 {version}，升级未生效',
+    },
+  },
+
+  presets: {
+    title: '预设',
+    empty: '暂无预设，可新建或导入班组共享的文件',
+    add: '新建预设',
+    edit: '编辑',
+    remove: '删除',
+    removeConfirm: '确定删除预设 {name}？',
+    namePlaceholder: '预设名称',
+    alarm: '闹钟时间',
+    runMinutes: '运行时长 (分钟)',
+    keep: '不修改',
+    cancel: '取消',
+    save: '保存',
+    apply: '应用预设 {name}',
+    import: '导入 JSON',
+    export: '导出 JSON',
+    imported: '已导入 {n} 个预设 ({file})',
+    importFailed: '预设导入失败: {message}',
+    errors: {
+      JSON: '文件不是有效的 JSON',
+      FORMAT: '不是 InsulCtrl 预设文件',
+      INVALID: '文件中有无效的预设，未导入',
+    },
+  },
+
+  // 系统通知 (页面在后台时)
+  notify: {
+    title: '后台通知',
+    enable: '页面在后台时发送系统通知 (所有设备)',
+    remindBefore: '计划启动前提醒',
+    reminderOff: '不提醒',
+    denied: '通知权限已被拒绝，请在浏览器设置中允许',
+    unsupported: '当前浏览器不支持系统通知',
+    alarm: '定时启动，继电器已吸合',
+    relayOn: '继电器已吸合',
+    linkLost: '连接中断，正在尝试重连',
+    reconnectFailed: '重连失败，设备已离线',
+    reminder: '{n} 分钟后自动启动 ({at})',
+  },
+
+  panel: {
+    connecting: '正在连接...',
+    expand: '展开配置',
+    collapse: '收起配置',
+    disconnect: '断开设备连接',
+    reconnecting: '连接中断，正在自动重连',
+    attempt: '第 {n}/{max} 次尝试',
+    offline: '设备离线',
+    offlineHint: '修改会排队保存，重连后按顺序发送',
+    reconnect: '重新连接',
+    staleSince: '显示的是 {time} 的最后状态',
+    queued: '待同步',
+    giveUp: '放弃',
+    pending: '等待确认',
+    relay: '继电器',
+    relayOn: '吸合',
+    relayOff: '断开',
+    mode: '模式',
+    modes: {
+      IDLE: '待机',
+      ARMED: '已武装',
+      ON: '运行中',
+    },
+  },
+
+  countdown: {
+    title: '倒计时',
+    idle: '定时器未启动',
+    noSlots: '周计划中没有启用的时段',
+    untilEnd: '距离计划关闭 · {at}',
+    untilStart: '距离下一次自动启动 · {at}',
+    active: '运行中',
+    hint: '点击上方 {mode} 按钮以启动定时',
+    days: '{d}天 {hms}',
+  },
+
+  timer: {
+    title: '一次性定时',
+    delay: '延时',
+    run: '运行',
+    quick: '{n}分',
+    start: '{n} 分钟后开启',
+    startNow: '立即开启',
+    untilStart: '距离开启 · {at}',
+    runFor: '运行 {n} 分钟',
+    runDefault: '按常规运行时长',
+    defaultSuffix: ' (按常规设置)',
+    badge: '等待中',
+    extend: '延长 {n} 分钟',
+    cancel: '取消',
+  },
+
+  safety: {
+    title: '安全联锁',
+    hint: '防止误触开启加热负载，仅对本机生效',
+    activation: '手动开启方式',
+    modes: { tap: '单击', confirm: '单击后确认', hold: '长按' },
+    confirmOn: '确定要开启继电器吗？负载将立即通电。',
+    holdLabel: '长按开启',
+    holdHint: '请长按继电器卡片以开启',
+    maxOn: '手动开启最长时间',
+    maxOnHint: '连接期间手动开启超过该时间，自动断开并提醒 (计划与定时触发的运行不受限)',
+    noMax: ' (不限制)',
+    off: '关闭',
+    pin: '控制面板 PIN 锁',
+    pinSet: '已设置，解锁后 {n} 分钟无操作自动上锁',
+    pinPlaceholder: '4-8 位数字',
+    setPin: '设置',
+    changePin: '修改',
+    removePin: '移除 PIN',
+    cancel: '取消',
+    lockNow: '上锁',
+    locked: '控制面板已上锁',
+    unlock: '解锁',
+    wrongPin: 'PIN 不正确',
+    stopLocked: '停止 (无需 PIN)',
+  },
+
+  config: {
+    title: '参数配置',
+    runDuration: '运行时长 (到时自动断开)',
+    minutes: '分钟',
+    unlimitedSuffix: ' (不限时)',
+    waiting: '等待设备确认',
+    save: '保存并发送',
+    presetUnlimited: '不限',
+    presetMinutes: '{n}分',
+    clock: '设备时钟',
+    noClock: '固件未上报设备时间，显示为手机时间',
+    drift: '与手机偏差 {drift}',
+    syncPhone: '同步手机时间',
+    autoSync: '偏差超过阈值自动同步 (所有设备)',
+    seconds: '秒',
+    driftThreshold: '自动同步阈值 (秒)',
+  },
+
+  // 时钟偏差
+  units: {
+    seconds: '{n}秒',
+    minutes: '{n}分钟',
+    hours: '{n}小时',
+    days: '{n}天',
+  },
+
+  running: {
+    title: '负载运行中',
+    limit: '运行时长上限 {n} 分钟',
+    noLimit: '未设置运行时长',
+    badge: 'ON',
+    elapsed: '已运行',
+    remaining: '剩余',
+    unlimited: '不限时',
+    stop: '立即停止',
+    timer: '一次性定时，到点自动断开',
+  },
+
+  alarm: {
+    title: '每日定时',
+    current: '当前设备设定: {time}',
+    hour: '时',
+    minute: '分',
+    hint: '此固件不支持周计划，每天在该时间启动。升级固件后可使用周计划。',
+  },
+
+  schedule: {
+    // 周日为第 0 天，与协议的星期位图一致
+    days: ['日', '一', '二', '三', '四', '五', '六'],
+    dayNames: ['星期日', '星期一', '星期二', '星期三', '星期四', '星期五', '星期六'],
+    daysLabel: '重复',
+    title: '周计划',
+    stored: '设备已存 {n} 条',
+    dirty: '· 未上传',
+    reload: '从设备回读',
+    empty: '暂无时段，点击下方添加',
+    weekdays: '工作日',
+    weekend: '周末',
+    everyday: '每天',
+    start: '启动',
+    end: '关闭 (可选)',
+    remove: '删除时段',
+    noDay: '请至少选择一天',
+    add: '添加时段',
+    upload: '上传到设备',
+  },
+
+  offline: {
+    title: '待同步的修改',
+    hint: '重新连接后按顺序发送',
+    replaying: '正在发送...',
+    conflicts: '冲突',
+    conflict: '离线时改为 {mine}，设备现为 {current} (修改前 {base})',
+    applyMine: '以我的修改为准',
+    keepDevice: '保留设备当前值',
+    discard: '撤销',
+    slots: '{n} 个时段',
+    kinds: {
+      alarm: '闹钟',
+      mode: '模式',
+      duration: '运行时长',
+      schedule: '周计划',
+    },
+  },
+  diag: {
+    target: '目标设备',
+    deviceFilter: '按设备筛选',
+    title: '诊断控制台',
+    clear: '清空',
+    all: '全部',
+    rx: '收',
+    tx: '发',
+    rate: '{n} 包/秒',
+    lastRx: '{s} 秒前',
+    never: '尚未收包',
+    noDevice: '没有连接中的设备',
+    send: '发送',
+    sendPlaceholder: '原样发送指令，如 Q:',
+    record: '录制',
+    stopRecording: '停止并导出 ({n} 帧)',
+    replay: '回放录制文件',
+    replaying: '回放中 {n}/{total}，点击停止',
+    speed: '回放速度',
+    instant: '立即',
+    empty: '暂无收发数据',
+    errors: {
+      JSON: '文件不是合法的 JSON: {message}',
+      FORMAT: '不是录制文件或内容损坏: {message}',
+    },
+  },
+  history: {
+    fromDate: '开始日期',
+    toDate: '结束日期',
+    back: '返回',
+    title: '历史记录',
+    clear: '清空历史',
+    clearConfirm: '确定清空全部历史记录？此操作不可恢复。',
+    to: '至',
+    search: '搜索内容或设备名',
+    exportCsv: '导出 CSV',
+    exportJson: '导出 JSON',
+    loadFailed: '读取历史失败: {message}',
+    empty: '没有符合条件的记录',
+    types: {
+      conn: '连接',
+      tx: '发送',
+      rx: '状态',
+      relay: '继电器',
+      error: '错误',
+      info: '其他',
+    },
+  },
+
+  // 继电器运行时长统计 (见 usage.js)
+  usage: {
+    device: '设备',
+    title: '用量统计',
+    clear: '清空用量数据',
+    clearConfirm: '确定清空全部用量数据？计费记录将无法恢复，建议先导出。',
+    allDevices: '全部设备',
+    metrics: {
+      hours: '小时',
+      kwh: 'kWh',
+    },
+    hours: '{n} h',
+    kwh: '{n} kWh',
+    today: '今天',
+    thisWeek: '本周',
+    daily: '最近 {n} 天',
+    weekly: '最近 {n} 周',
+    note: '按 App 连接期间收到的状态统计；断线期间按最后确认时间计算。用电量 = 时长 × 额定功率，仅供估算。',
+    loadFailed: '读取用量失败: {message}',
+    ratedPower: '负载额定功率 (用于估算用电)',
+    exportDaily: '导出每日汇总 CSV',
+    exportRuns: '导出运行明细 CSV',
+  },
+};
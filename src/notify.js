@@ -0,0 +1,42 @@
+// ==========================================
+// 系统通知 (Notification API，经 vite-plugin-pwa 注册的 Service Worker 发出)
+// ==========================================
+// Toast 只在页面可见时有意义；页面在后台 (锁屏、切到其他 APP) 时改用系统通知。
+// 页面可见时不重复弹出系统通知。
+// 注意：提醒依赖页面仍在后台运行 (BLE 状态包驱动)，页面被系统回收后无法触发。
+
+const ICON = `${import.meta.env.BASE_URL}vite.svg`;
+
+export const isNotificationSupported = () => typeof Notification !== 'undefined';
+
+// granted | denied | default | unsupported
+export const notificationPermission = () => (
+  isNotificationSupported() ? Notification.permission : 'unsupported'
+);
+
+// 需在用户点击中调用；返回最终的权限状态
+export const requestNotificationPermission = async () => {
+  if (!isNotificationSupported()) return 'unsupported';
+  if (Notification.permission !== 'default') return Notification.permission;
+  try {
+    return await Notification.requestPermission();
+  } catch {
+    return Notification.permission;
+  }
+};
+
+// 同一 tag 的通知会替换上一条 (如同一台设备的多次断线)，renotify 让替换时仍然提醒。
+// 返回是否已显示；发送失败时 reject，由调用方记录日志
+export const showNotification = async (title, { body, tag } = {}) => {
+  if (notificationPermission() !== 'granted') return false;
+  if (document.visibilityState === 'visible') return false;
+  const options = { body, tag, renotify: !!tag, icon: ICON, badge: ICON };
+  // Android Chrome 不允许 new Notification()，必须经 Service Worker
+  const registration = await navigator.serviceWorker?.getRegistration();
+  if (registration) {
+    await registration.showNotification(title, options);
+  } else {
+    new Notification(title, options);
+  }
+  return true;
+};
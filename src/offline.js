@@ -0,0 +1,137 @@
+// ==========================================
+// 离线修改队列与最后已知状态 (localStorage 持久化)
+// ==========================================
+// 按设备 id 保存: { snapshot: { device, schedule }, queue: [change], conflicts: [change] }
+//   snapshot   最后一次收到的设备状态与周计划，断线或刷新页面后仍可显示 (标记为过期)
+//   queue      离线期间的修改，重连后按顺序重放
+//   conflicts  重连时设备值已被改动 (其他客户端、计划触发) 的修改，等待用户决定
+// 修改形如 { id, kind, value, base, at }：base 为修改前的设备值，重连时据此判断冲突。
+// 周计划整份排队 (value 为条目数组)，重放时经控制器的 uploadSchedule 写入并回读校验。
+// 同一类修改只保留最后一次 (移到队尾)，base 保持第一次修改前的值。
+// 继电器开关不排队：离线时的即时操作到重连时可能已不合时宜。
+
+import { encodeAlarm, encodeMode, encodeRunDuration, encodeScheduleCount } from './protocol.js';
+import { sameSchedule } from './schedule.js';
+
+const OFFLINE_KEY = 'insulctrl.offline';
+
+// 每类修改: field(快照) 从 { device, schedule } 取可比较的值，encode(value) 生成指令，
+// same(a, b) 比较两个值 (省略时为 ===)
+export const CHANGE_KINDS = Object.freeze({
+  alarm: {
+    field: ({ device }) => device.alarmH * 60 + device.alarmM,
+    encode: (minutes) => encodeAlarm(Math.floor(minutes / 60), minutes % 60),
+  },
+  mode: {
+    // 运行中 ON 也视为已武装
+    field: ({ device }) => device.mode !== 'IDLE',
+    encode: (armed) => encodeMode(armed),
+  },
+  duration: {
+    field: ({ device }) => device.runMinutes,
+    encode: (minutes) => encodeRunDuration(minutes),
+  },
+  schedule: {
+    field: ({ schedule }) => schedule,
+    // 上传由多条 W: 加 N: 组成，日志与联锁检查以提交用的 N: 代表整份计划
+    encode: (entries) => encodeScheduleCount(entries.length),
+    same: sameSchedule,
+  },
+});
+
+const sameValue = (kind, a, b) => (CHANGE_KINDS[kind].same ? CHANGE_KINDS[kind].same(a, b) : a === b);
+
+const EMPTY = { snapshot: null, queue: [], conflicts: [] };
+
+const loadAll = () => {
+  try {
+    return JSON.parse(localStorage.getItem(OFFLINE_KEY)) ?? {};
+  } catch {
+    return {};
+  }
+};
+
+const saveAll = (all) => {
+  try {
+    localStorage.setItem(OFFLINE_KEY, JSON.stringify(all));
+  } catch {
+    // 隐私模式下 localStorage 可能不可用，忽略
+  }
+  updatePendingCounts(all);
+};
+
+export const loadOfflineState = (id) => ({ ...EMPTY, ...loadAll()[id] });
+
+// patch 只覆盖给出的字段
+export const saveOfflineState = (id, patch) => {
+  const all = loadAll();
+  saveAll({ ...all, [id]: { ...EMPTY, ...all[id], ...patch } });
+};
+
+export const forgetOfflineState = (id) => {
+  const { [id]: _removed, ...rest } = loadAll();
+  saveAll(rest);
+};
+
+// ==========================================
+// 待处理数订阅 (设备列表)
+// ==========================================
+// 快照为 { [设备 id]: 排队 + 冲突 }，只在数量变化时换新对象并通知订阅者，
+// 可直接用于 useSyncExternalStore(subscribePendingCounts, getPendingCounts)。
+// 每个状态包都会保存快照，数量不变时不触发重新渲染。
+const pendingListeners = new Set();
+let pendingCounts = null;
+
+const countPending = (all) => Object.fromEntries(
+  Object.entries(all).map(([id, entry]) => [id, (entry.queue?.length ?? 0) + (entry.conflicts?.length ?? 0)]),
+);
+
+const sameCounts = (a, b) => (
+  Object.keys(a).length === Object.keys(b).length && Object.keys(a).every(id => a[id] === b[id])
+);
+
+const updatePendingCounts = (all) => {
+  const next = countPending(all);
+  if (pendingCounts && sameCounts(next, pendingCounts)) return;
+  pendingCounts = next;
+  pendingListeners.forEach(listener => listener());
+};
+
+export const getPendingCounts = () => {
+  if (!pendingCounts) pendingCounts = countPending(loadAll());
+  return pendingCounts;
+};
+
+export const subscribePendingCounts = (listener) => {
+  pendingListeners.add(listener);
+  return () => pendingListeners.delete(listener);
+};
+
+const newChangeId = () => `chg-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+// 返回新队列：同类修改合并，改回原值时直接移除。snapshot 为 { device, schedule }
+export const queueChange = (queue, snapshot, kind, value, now = Date.now()) => {
+  const previous = queue.find(c => c.kind === kind);
+  const base = previous ? previous.base : CHANGE_KINDS[kind].field(snapshot);
+  const rest = queue.filter(c => c.kind !== kind);
+  if (sameValue(kind, value, base)) return rest;
+  return [...rest, { id: newChangeId(), kind, value, base, at: now }];
+};
+
+// 队列中某类修改的目标值，没有时为 undefined
+export const queuedValue = (queue, kind) => queue.find(c => c.kind === kind)?.value;
+
+// 按重连后的设备状态 (snapshot 为 { device, schedule }) 分拣队列：
+//   applied    设备已是目标值 (如其他客户端做了同样的修改)，直接移除
+//   conflicts  设备值既不是目标值也不是修改前的值，附上 current
+//   replay     其余按原顺序重放
+export const reconcileChanges = (queue, snapshot) => {
+  const result = { replay: [], conflicts: [], applied: [] };
+  queue.forEach(change => {
+    const current = CHANGE_KINDS[change.kind].field(snapshot);
+    if (sameValue(change.kind, current, change.value)) result.applied.push(change);
+    else if (!sameValue(change.kind, current, change.base)) result.conflicts.push({ ...change, current });
+    else result.replay.push(change);
+  });
+  return result;
+};
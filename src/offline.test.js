@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { queueChange, queuedValue, reconcileChanges } from './offline.js';
+
+const DEVICE = { mode: 'IDLE', relay: false, alarmH: 7, alarmM: 30, runMinutes: 60 };
+const SCHEDULE = [{ days: 0x3e, start: 7 * 60, end: 8 * 60 }];
+const SNAPSHOT = { device: DEVICE, schedule: SCHEDULE };
+
+// 离线时依次修改，得到队列
+const queueOf = (...changes) => changes.reduce(
+  (queue, [kind, value]) => queueChange(queue, SNAPSHOT, kind, value, 0),
+  [],
+);
+
+// ==========================================
+// 排队
+// ==========================================
+describe('queueChange', () => {
+  it('keeps one change per kind with the first base, moved to the end', () => {
+    const queue = queueOf(['alarm', 8 * 60], ['mode', true], ['alarm', 9 * 60]);
+    expect(queue.map(c => [c.kind, c.value, c.base])).toEqual([
+      ['mode', true, false],
+      ['alarm', 9 * 60, 7 * 60 + 30],
+    ]);
+    expect(queuedValue(queue, 'alarm')).toBe(9 * 60);
+    expect(queuedValue(queue, 'duration')).toBeUndefined();
+  });
+
+  it('drops the change when it is set back to the device value', () => {
+    expect(queueOf(['duration', 90], ['duration', 60])).toEqual([]);
+    expect(queueOf(['schedule', []], ['schedule', SCHEDULE.map(e => ({ ...e }))])).toEqual([]);
+  });
+});
+
+// ==========================================
+// 重连后的核对
+// ==========================================
+describe('reconcileChanges', () => {
+  it('replays changes when the device still has the old values, in order', () => {
+    const queue = queueOf(['alarm', 8 * 60], ['duration', 90], ['mode', true]);
+    const { replay, conflicts, applied } = reconcileChanges(queue, SNAPSHOT);
+    expect(replay.map(c => c.kind)).toEqual(['alarm', 'duration', 'mode']);
+    expect(conflicts).toEqual([]);
+    expect(applied).toEqual([]);
+  });
+
+  it('drops changes the device already has', () => {
+    const queue = queueOf(['alarm', 8 * 60], ['mode', true]);
+    // 运行中 (ON) 也算已武装
+    const { replay, applied } = reconcileChanges(queue, { ...SNAPSHOT, device: { ...DEVICE, mode: 'ON', alarmH: 8, alarmM: 0 } });
+    expect(replay).toEqual([]);
+    expect(applied.map(c => c.kind)).toEqual(['alarm', 'mode']);
+  });
+
+  it('reports changes the device moved away from as conflicts with the current value', () => {
+    const queue = queueOf(['duration', 90], ['alarm', 8 * 60]);
+    const { replay, conflicts } = reconcileChanges(queue, { ...SNAPSHOT, device: { ...DEVICE, runMinutes: 30 } });
+    expect(conflicts).toEqual([expect.objectContaining({ kind: 'duration', value: 90, base: 60, current: 30 })]);
+    expect(replay.map(c => c.kind)).toEqual(['alarm']);
+  });
+
+  it('compares queued schedules slot by slot', () => {
+    const mine = [{ days: 0x3e, start: 6 * 60, end: 7 * 60 }];
+    const queue = queueOf(['schedule', mine]);
+    expect(reconcileChanges(queue, SNAPSHOT).replay).toHaveLength(1);
+    expect(reconcileChanges(queue, { ...SNAPSHOT, schedule: mine.map(e => ({ ...e })) }).applied).toHaveLength(1);
+    expect(reconcileChanges(queue, { ...SNAPSHOT, schedule: [] }).conflicts).toEqual([
+      expect.objectContaining({ kind: 'schedule', current: [] }),
+    ]);
+  });
+});
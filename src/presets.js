@@ -0,0 +1,120 @@
+// ==========================================
+// 预设 (命名的常用配置，localStorage 持久化，可导入/导出 JSON)
+// ==========================================
+// 预设形如 { id, name, alarmH, alarmM, armed, runMinutes }
+//   alarmH/alarmM  每日闹钟 (A:)，设备已有周计划时不下发
+//   armed          应用后的模式 (M:)
+//   runMinutes     运行时长 (D:)，null = 不修改
+// 应用顺序见 controller.js applyPreset：T: 同步时间 -> A: -> D: -> M:，每一步等待设备确认。
+
+import { MAX_RUN_MINUTES } from './protocol.js';
+
+const PRESETS_KEY = 'insulctrl.presets';
+
+// 导出文件格式版本，导入时据此判断能否识别
+export const PRESETS_FILE_VERSION = 1;
+
+export const PRESET_ERROR_CODES = Object.freeze({
+  JSON: 'JSON',       // 文件不是合法 JSON
+  FORMAT: 'FORMAT',   // 不是预设导出文件 (或版本不认识)
+  INVALID: 'INVALID', // 某条预设字段缺失或越界
+});
+
+export class PresetError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'PresetError';
+    this.code = code;
+  }
+}
+
+export const newPresetId = () => `preset-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+const isInt = (v, min, max) => Number.isInteger(v) && v >= min && v <= max;
+
+// 校验并规范化一条预设，非法时抛出 PresetError(INVALID)
+export const normalizePreset = (raw) => {
+  const name = typeof raw?.name === 'string' ? raw.name.trim() : '';
+  const runMinutes = raw?.runMinutes ?? null;
+  if (!name
+    || !isInt(raw.alarmH, 0, 23)
+    || !isInt(raw.alarmM, 0, 59)
+    || typeof raw.armed !== 'boolean'
+    || (runMinutes !== null && !isInt(runMinutes, 0, MAX_RUN_MINUTES))) {
+    throw new PresetError(PRESET_ERROR_CODES.INVALID, `Invalid preset: ${JSON.stringify(raw)}`);
+  }
+  return {
+    id: typeof raw.id === 'string' && raw.id ? raw.id : newPresetId(),
+    name,
+    alarmH: raw.alarmH,
+    alarmM: raw.alarmM,
+    armed: raw.armed,
+    runMinutes,
+  };
+};
+
+export const loadPresets = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PRESETS_KEY));
+    if (!Array.isArray(stored)) return [];
+    // 损坏的条目丢弃，不影响其余预设
+    return stored.flatMap(p => {
+      try {
+        return [normalizePreset(p)];
+      } catch {
+        return [];
+      }
+    });
+  } catch {
+    return [];
+  }
+};
+
+export const savePresets = (presets) => {
+  try {
+    localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+  } catch {
+    // 隐私模式下 localStorage 可能不可用，忽略
+  }
+};
+
+// 新增或按 id 替换
+export const upsertPreset = (presets, preset) => (
+  presets.some(p => p.id === preset.id)
+    ? presets.map(p => (p.id === preset.id ? preset : p))
+    : [...presets, preset]
+);
+
+export const removePreset = (presets, id) => presets.filter(p => p.id !== id);
+
+// ==========================================
+// 导入 / 导出
+// ==========================================
+export const presetsToJSON = (presets) => JSON.stringify({
+  app: 'insulctrl',
+  type: 'presets',
+  version: PRESETS_FILE_VERSION,
+  exportedAt: new Date().toISOString(),
+  // id 只在本机有意义，不导出
+  presets: presets.map(({ name, alarmH, alarmM, armed, runMinutes }) => ({ name, alarmH, alarmM, armed, runMinutes })),
+}, null, 2);
+
+// 解析导出文件，返回规范化后的预设 (分配新 id)。任一条非法则整体拒绝，避免导入一半
+export const parsePresetsJSON = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new PresetError(PRESET_ERROR_CODES.JSON, error.message);
+  }
+  if (data?.type !== 'presets' || data.version !== PRESETS_FILE_VERSION || !Array.isArray(data.presets)) {
+    throw new PresetError(PRESET_ERROR_CODES.FORMAT, 'Not a presets export file');
+  }
+  return data.presets.map(p => normalizePreset({ ...p, id: undefined }));
+};
+
+// 导入结果并入现有列表：同名预设被覆盖 (保留原 id)，其余追加
+export const mergePresets = (presets, imported) => imported.reduce((acc, preset) => {
+  const existing = acc.find(p => p.name === preset.name);
+  return upsertPreset(acc, existing ? { ...preset, id: existing.id } : preset);
+}, presets);
@@ -0,0 +1,467 @@
+// ==========================================
+// InsulCtrl 短协议编解码 (Codec)
+// ==========================================
+// 上行 (设备 -> App):
+//   S:模式Code,继电器(0/1),时,分[,扩展字段...]
+//   模式Code: 0=IDLE, 1=ARMED, 2=ON
+// 下行 (App -> 设备):
+//   T:Unix秒   同步时间
+//   A:HH:MM    设定闹钟
+//   R:0|1      继电器断开/吸合
+//   M:0|1      取消/武装
+//   W:序号,星期掩码,HHMM,HHMM|-   写入一条周计划 (结束时间可省略为 -)
+//   N:条数     设定周计划有效条数 (多余条目被丢弃)
+//   D:分钟     继电器单次运行时长，到时自动断开 (0 = 不限时)
+//   Q:         请求回读周计划，设备依次回复:
+//                L:条数
+//                E:序号,星期掩码,HHMM,HHMM|-   (每条一个包)
+//   P:密钥     配对，写入 16 字节共享密钥 (32 位 hex)。仅在未配对、配对窗口打开
+//              (设备上长按配对键) 或已认证时接受；写入后需重新认证
+//   H:         请求认证挑战，设备回复 C:挑战 (8 字节随机数，16 位 hex)
+//   V:应答     挑战应答 = HMAC-SHA256(密钥, "V:" + 挑战) 前 8 字节 hex
+//   O:延时分钟,运行分钟   一次性相对定时 (v6)：延时后吸合，运行分钟后断开 (0 = 不自动断开)。
+//              延时 0 表示立即吸合；再次发送即替换当前定时。按设备自身计时，与设备时钟无关
+//   O:-        取消定时；定时已开始运行时同时断开继电器
+//
+// 签名指令 (v5，设备已配对时除 H:/V: 外必须签名):
+//   原指令|计数|MAC   如 R:1|3|9f2a1c0b7e4d5a68
+//   计数为本次连接内严格递增的十进制整数，MAC = HMAC-SHA256(密钥, "挑战|计数|原指令") 前 8 字节 hex。
+//   设备丢弃 MAC 不符或计数不递增的指令；挑战每次连接重新生成，录下的包无法重放。
+//   签名指令超过 20 字节，依赖连接时协商的较大 MTU (Chrome 会自动请求)。
+//
+// 星期掩码: bit0=周日 ... bit6=周六，与 Date.getDay() 一致。
+// v2 起 S: 包追加周计划条数；时/分字段表示下一次计划启动时间，老客户端仍可显示。
+// v3 起 S: 包追加运行时长设定(分钟)与本次已吸合秒数；运行结束后模式由 ON 回到 ARMED。
+// v4 起 S: 包追加设备 RTC 时间 (Unix 秒)，用于显示设备真实时钟与偏差。
+// v5 起 S: 包追加认证状态 (见 AUTH_STATES)，配对后未认证的连接只能执行 H:/V:。
+// v6 起 S: 包追加一次性定时的剩余秒数: 距离吸合 (0 = 未在等待)、距离断开 (0 = 无定时断开)。
+//
+// 所有解析失败都会抛出 ProtocolError，调用方按 code 区分处理，
+// 不会再把 NaN 写进界面状态。
+
+// 当前客户端理解的协议版本。新固件追加的状态字段标记为更高的 since，
+// 老客户端会忽略不认识的尾部字段，不会因此解析失败。
+export const PROTOCOL_VERSION = 6;
+
+export const PACKET = Object.freeze({
+  STATUS: 'S',
+  TIME: 'T',
+  ALARM: 'A',
+  RELAY: 'R',
+  MODE: 'M',
+  DURATION: 'D',
+  SCHED_WRITE: 'W',
+  SCHED_COUNT: 'N',
+  SCHED_QUERY: 'Q',
+  SCHED_LENGTH: 'L',
+  SCHED_ENTRY: 'E',
+  PAIR: 'P',
+  HELLO: 'H',
+  CHALLENGE: 'C',
+  VERIFY: 'V',
+  TIMER: 'O',
+});
+
+export const MAX_SCHEDULE_ENTRIES = 8;
+export const ALL_DAYS = 0x7f;
+export const MAX_RUN_MINUTES = 24 * 60;
+export const MAX_TIMER_MINUTES = 24 * 60;
+
+export const MODE_CODES = Object.freeze(['IDLE', 'ARMED', 'ON']);
+
+// 认证状态码: 0=未配对 (接受明文指令) 1=已配对未认证 2=本次连接已认证 3=配对窗口打开
+export const AUTH_STATES = Object.freeze(['OPEN', 'LOCKED', 'AUTHED', 'PAIRING']);
+
+// 密钥 / 挑战 / MAC 的字节数 (传输时为两倍长度的 hex)
+export const SECRET_BYTES = 16;
+export const NONCE_BYTES = 8;
+export const MAC_BYTES = 8;
+
+// 签名指令的字段分隔符
+export const SIGN_SEPARATOR = '|';
+
+export const ERROR_CODES = Object.freeze({
+  DECODE: 'DECODE',             // 字节流不是合法 UTF-8
+  EMPTY: 'EMPTY',               // 空包
+  UNKNOWN_TYPE: 'UNKNOWN_TYPE', // 未知的包类型前缀
+  TRUNCATED: 'TRUNCATED',       // 字段数量不足
+  MALFORMED: 'MALFORMED',       // 字段不是合法整数
+  RANGE: 'RANGE',               // 数值超出范围
+  UNKNOWN_MODE: 'UNKNOWN_MODE', // 未知模式码
+});
+
+export class ProtocolError extends Error {
+  constructor(code, message, raw) {
+    super(message);
+    this.name = 'ProtocolError';
+    this.code = code;
+    this.raw = raw;
+  }
+}
+
+// ==========================================
+// 字节 <-> 字符串
+// ==========================================
+const encoder = new TextEncoder();
+const decoder = new TextDecoder('utf-8', { fatal: true });
+
+export const toBytes = (str) => encoder.encode(str);
+
+// 接受 DataView / ArrayBuffer / TypedArray / string，去掉固件可能附带的换行与 \0 填充
+export const bytesToString = (input) => {
+  if (typeof input === 'string') return input.replace(/[\r\n\0]+$/, '');
+  let str;
+  try {
+    str = decoder.decode(input);
+  } catch (error) {
+    throw new ProtocolError(ERROR_CODES.DECODE, `UTF-8 decode failed: ${error.message}`);
+  }
+  return str.replace(/[\r\n\0]+$/, '');
+};
+
+// ==========================================
+// 字段校验
+// ==========================================
+const parseIntField = (str, name, min, max, raw) => {
+  if (str === undefined || str === '') {
+    throw new ProtocolError(ERROR_CODES.TRUNCATED, `Missing field "${name}"`, raw);
+  }
+  if (!/^\d+$/.test(str)) {
+    throw new ProtocolError(ERROR_CODES.MALFORMED, `Field "${name}" is not an integer: "${str}"`, raw);
+  }
+  const val = Number(str);
+  if (val < min || val > max) {
+    throw new ProtocolError(ERROR_CODES.RANGE, `Field "${name}" out of range ${min}-${max}: ${val}`, raw);
+  }
+  return val;
+};
+
+const checkRange = (val, name, min, max) => {
+  if (!Number.isInteger(val) || val < min || val > max) {
+    throw new ProtocolError(ERROR_CODES.RANGE, `Field "${name}" out of range ${min}-${max}: ${val}`);
+  }
+  return val;
+};
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+// 固定长度的小写 hex 字段 (密钥、挑战、MAC)
+const parseHexField = (str, name, bytes, raw) => {
+  if (str === undefined || str === '') {
+    throw new ProtocolError(ERROR_CODES.TRUNCATED, `Missing field "${name}"`, raw);
+  }
+  if (!new RegExp(`^[0-9a-f]{${bytes * 2}}$`).test(str)) {
+    throw new ProtocolError(ERROR_CODES.MALFORMED, `Field "${name}" is not ${bytes * 2} hex digits: "${str}"`, raw);
+  }
+  return str;
+};
+
+const checkHex = (str, name, bytes) => {
+  if (typeof str !== 'string' || !new RegExp(`^[0-9a-f]{${bytes * 2}}$`).test(str)) {
+    throw new ProtocolError(ERROR_CODES.MALFORMED, `Field "${name}" is not ${bytes * 2} hex digits: "${str}"`);
+  }
+  return str;
+};
+
+const MAX_EPOCH = 0xffffffff;
+
+// ==========================================
+// 状态包字段表
+// ==========================================
+// 每个字段: key, since(引入的协议版本), decode(字符串 -> 值), encode(值 -> 字符串)
+// 新固件字段只需在末尾追加一项，并提升 PROTOCOL_VERSION。
+export const STATUS_FIELDS = [
+  {
+    key: 'mode',
+    since: 1,
+    decode: (s, raw) => {
+      const code = parseIntField(s, 'mode', 0, Number.MAX_SAFE_INTEGER, raw);
+      if (code >= MODE_CODES.length) {
+        throw new ProtocolError(ERROR_CODES.UNKNOWN_MODE, `Unknown mode code: ${code}`, raw);
+      }
+      return MODE_CODES[code];
+    },
+    encode: (mode) => {
+      const code = MODE_CODES.indexOf(mode);
+      if (code < 0) throw new ProtocolError(ERROR_CODES.UNKNOWN_MODE, `Unknown mode: ${mode}`);
+      return String(code);
+    },
+  },
+  {
+    key: 'relay',
+    since: 1,
+    decode: (s, raw) => parseIntField(s, 'relay', 0, 1, raw) === 1,
+    encode: (relay) => (relay ? '1' : '0'),
+  },
+  {
+    key: 'alarmH',
+    since: 1,
+    decode: (s, raw) => parseIntField(s, 'alarmH', 0, 23, raw),
+    encode: (h) => String(checkRange(h, 'alarmH', 0, 23)),
+  },
+  {
+    key: 'alarmM',
+    since: 1,
+    decode: (s, raw) => parseIntField(s, 'alarmM', 0, 59, raw),
+    encode: (m) => String(checkRange(m, 'alarmM', 0, 59)),
+  },
+  {
+    key: 'schedCount',
+    since: 2,
+    decode: (s, raw) => parseIntField(s, 'schedCount', 0, MAX_SCHEDULE_ENTRIES, raw),
+    encode: (n) => String(checkRange(n ?? 0, 'schedCount', 0, MAX_SCHEDULE_ENTRIES)),
+  },
+  {
+    key: 'runMinutes',
+    since: 3,
+    decode: (s, raw) => parseIntField(s, 'runMinutes', 0, MAX_RUN_MINUTES, raw),
+    encode: (n) => String(checkRange(n ?? 0, 'runMinutes', 0, MAX_RUN_MINUTES)),
+  },
+  {
+    key: 'onSecs',
+    since: 3,
+    decode: (s, raw) => parseIntField(s, 'onSecs', 0, MAX_EPOCH, raw),
+    encode: (n) => String(checkRange(n ?? 0, 'onSecs', 0, MAX_EPOCH)),
+  },
+  {
+    key: 'clock',
+    since: 4,
+    decode: (s, raw) => parseIntField(s, 'clock', 0, MAX_EPOCH, raw),
+    encode: (ts) => String(checkRange(ts, 'clock', 0, MAX_EPOCH)),
+  },
+  {
+    key: 'auth',
+    since: 5,
+    decode: (s, raw) => {
+      const code = parseIntField(s, 'auth', 0, Number.MAX_SAFE_INTEGER, raw);
+      if (code >= AUTH_STATES.length) {
+        throw new ProtocolError(ERROR_CODES.RANGE, `Unknown auth state: ${code}`, raw);
+      }
+      return AUTH_STATES[code];
+    },
+    encode: (state) => {
+      const code = AUTH_STATES.indexOf(state ?? 'OPEN');
+      if (code < 0) throw new ProtocolError(ERROR_CODES.RANGE, `Unknown auth state: ${state}`);
+      return String(code);
+    },
+  },
+  {
+    key: 'timerStart',
+    since: 6,
+    decode: (s, raw) => parseIntField(s, 'timerStart', 0, MAX_EPOCH, raw),
+    encode: (n) => String(checkRange(n ?? 0, 'timerStart', 0, MAX_EPOCH)),
+  },
+  {
+    key: 'timerEnd',
+    since: 6,
+    decode: (s, raw) => parseIntField(s, 'timerEnd', 0, MAX_EPOCH, raw),
+    encode: (n) => String(checkRange(n ?? 0, 'timerEnd', 0, MAX_EPOCH)),
+  },
+];
+
+// 一天内的分钟数 <-> HHMM
+const parseClockField = (str, name, raw) => {
+  if (str === undefined || str === '') {
+    throw new ProtocolError(ERROR_CODES.TRUNCATED, `Missing field "${name}"`, raw);
+  }
+  if (!/^\d{4}$/.test(str)) {
+    throw new ProtocolError(ERROR_CODES.MALFORMED, `Field "${name}" is not HHMM: "${str}"`, raw);
+  }
+  const h = parseIntField(str.substring(0, 2), `${name}.h`, 0, 23, raw);
+  const m = parseIntField(str.substring(2), `${name}.m`, 0, 59, raw);
+  return h * 60 + m;
+};
+
+const encodeClock = (minutes, name) => {
+  checkRange(minutes, name, 0, 24 * 60 - 1);
+  return `${pad2(Math.floor(minutes / 60))}${pad2(minutes % 60)}`;
+};
+
+const fieldsForVersion = (version) => STATUS_FIELDS.filter(f => f.since <= version);
+
+// ==========================================
+// 各类型包的编解码
+// ==========================================
+const decodeStatusBody = (body, raw) => {
+  const parts = body.split(',');
+  const required = fieldsForVersion(1);
+  if (parts.length < required.length) {
+    throw new ProtocolError(ERROR_CODES.TRUNCATED, `Status packet has ${parts.length} fields, expected ${required.length}`, raw);
+  }
+  const known = fieldsForVersion(PROTOCOL_VERSION);
+  const status = { type: PACKET.STATUS, version: 1 };
+  known.forEach((field, i) => {
+    if (i >= parts.length) return; // 旧固件没有该扩展字段
+    status[field.key] = field.decode(parts[i], raw);
+    status.version = Math.max(status.version, field.since);
+  });
+  return status;
+};
+
+// 周计划条目: { index, days, start, end }，start/end 为一天内的分钟数，end 可为 null
+const decodeScheduleBody = (type) => (body, raw) => {
+  const [index, days, start, end] = body.split(',');
+  return {
+    type,
+    index: parseIntField(index, 'index', 0, MAX_SCHEDULE_ENTRIES - 1, raw),
+    days: parseIntField(days, 'days', 0, ALL_DAYS, raw),
+    start: parseClockField(start, 'start', raw),
+    end: end === '-' ? null : parseClockField(end, 'end', raw),
+  };
+};
+
+const encodeScheduleBody = (index, { days, start, end }) => [
+  checkRange(index, 'index', 0, MAX_SCHEDULE_ENTRIES - 1),
+  checkRange(days, 'days', 0, ALL_DAYS),
+  encodeClock(start, 'start'),
+  end === null || end === undefined ? '-' : encodeClock(end, 'end'),
+].join(',');
+
+const DECODERS = {
+  [PACKET.STATUS]: decodeStatusBody,
+  [PACKET.TIME]: (body, raw) => ({
+    type: PACKET.TIME,
+    ts: parseIntField(body, 'ts', 0, MAX_EPOCH, raw),
+  }),
+  [PACKET.ALARM]: (body, raw) => {
+    const [h, m] = body.split(':');
+    return {
+      type: PACKET.ALARM,
+      h: parseIntField(h, 'h', 0, 23, raw),
+      m: parseIntField(m, 'm', 0, 59, raw),
+    };
+  },
+  [PACKET.RELAY]: (body, raw) => ({
+    type: PACKET.RELAY,
+    on: parseIntField(body, 'relay', 0, 1, raw) === 1,
+  }),
+  [PACKET.MODE]: (body, raw) => ({
+    type: PACKET.MODE,
+    armed: parseIntField(body, 'mode', 0, 1, raw) === 1,
+  }),
+  [PACKET.DURATION]: (body, raw) => ({
+    type: PACKET.DURATION,
+    minutes: parseIntField(body, 'minutes', 0, MAX_RUN_MINUTES, raw),
+  }),
+  [PACKET.SCHED_WRITE]: decodeScheduleBody(PACKET.SCHED_WRITE),
+  [PACKET.SCHED_ENTRY]: decodeScheduleBody(PACKET.SCHED_ENTRY),
+  [PACKET.SCHED_COUNT]: (body, raw) => ({
+    type: PACKET.SCHED_COUNT,
+    count: parseIntField(body, 'count', 0, MAX_SCHEDULE_ENTRIES, raw),
+  }),
+  [PACKET.SCHED_LENGTH]: (body, raw) => ({
+    type: PACKET.SCHED_LENGTH,
+    count: parseIntField(body, 'count', 0, MAX_SCHEDULE_ENTRIES, raw),
+  }),
+  [PACKET.SCHED_QUERY]: () => ({ type: PACKET.SCHED_QUERY }),
+  [PACKET.PAIR]: (body, raw) => ({
+    type: PACKET.PAIR,
+    secret: parseHexField(body, 'secret', SECRET_BYTES, raw),
+  }),
+  [PACKET.HELLO]: () => ({ type: PACKET.HELLO }),
+  [PACKET.CHALLENGE]: (body, raw) => ({
+    type: PACKET.CHALLENGE,
+    nonce: parseHexField(body, 'nonce', NONCE_BYTES, raw),
+  }),
+  [PACKET.VERIFY]: (body, raw) => ({
+    type: PACKET.VERIFY,
+    mac: parseHexField(body, 'mac', MAC_BYTES, raw),
+  }),
+  // 取消为 { cancel: true }，否则 { delay, run } (分钟)
+  [PACKET.TIMER]: (body, raw) => {
+    if (body === '-') return { type: PACKET.TIMER, cancel: true };
+    const [delay, run] = body.split(',');
+    return {
+      type: PACKET.TIMER,
+      cancel: false,
+      delay: parseIntField(delay, 'delay', 0, MAX_TIMER_MINUTES, raw),
+      run: parseIntField(run, 'run', 0, MAX_RUN_MINUTES, raw),
+    };
+  },
+};
+
+// 解析任意一个包 (DataView / 字节 / 字符串)，返回 { type, ...字段 }
+export const decodePacket = (input) => {
+  const raw = bytesToString(input);
+  if (!raw) throw new ProtocolError(ERROR_CODES.EMPTY, 'Empty packet', raw);
+  const sep = raw.indexOf(':');
+  if (sep < 0) {
+    throw new ProtocolError(ERROR_CODES.TRUNCATED, `Missing ":" in packet "${raw}"`, raw);
+  }
+  const decode = DECODERS[raw.substring(0, sep)];
+  if (!decode) {
+    throw new ProtocolError(ERROR_CODES.UNKNOWN_TYPE, `Unknown packet type in "${raw}"`, raw);
+  }
+  return decode(raw.substring(sep + 1), raw);
+};
+
+// 拆分签名指令，返回 { cmd, counter, mac }；未签名的指令 counter/mac 为 null
+export const splitSigned = (input) => {
+  const raw = bytesToString(input);
+  const parts = raw.split(SIGN_SEPARATOR);
+  if (parts.length === 1) return { cmd: raw, counter: null, mac: null };
+  if (parts.length !== 3) {
+    throw new ProtocolError(ERROR_CODES.MALFORMED, `Signed command needs 3 fields: "${raw}"`, raw);
+  }
+  return {
+    cmd: parts[0],
+    counter: parseIntField(parts[1], 'counter', 1, Number.MAX_SAFE_INTEGER, raw),
+    mac: parseHexField(parts[2], 'mac', MAC_BYTES, raw),
+  };
+};
+
+export const encodeSigned = (cmd, counter, mac) => [
+  cmd,
+  checkRange(counter, 'counter', 1, Number.MAX_SAFE_INTEGER),
+  checkHex(mac, 'mac', MAC_BYTES),
+].join(SIGN_SEPARATOR);
+
+// 设备状态 -> S: 包 (供模拟设备及工具使用)
+export const encodeStatus = (status, version = PROTOCOL_VERSION) => {
+  const body = fieldsForVersion(version).map(f => f.encode(status[f.key])).join(',');
+  return `${PACKET.STATUS}:${body}`;
+};
+
+export const encodeSyncTime = (ts) => `${PACKET.TIME}:${checkRange(ts, 'ts', 0, MAX_EPOCH)}`;
+
+export const encodeAlarm = (h, m) => (
+  `${PACKET.ALARM}:${pad2(checkRange(h, 'h', 0, 23))}:${pad2(checkRange(m, 'm', 0, 59))}`
+);
+
+export const encodeRelay = (on) => `${PACKET.RELAY}:${on ? 1 : 0}`;
+
+export const encodeMode = (armed) => `${PACKET.MODE}:${armed ? 1 : 0}`;
+
+export const encodeRunDuration = (minutes) => (
+  `${PACKET.DURATION}:${checkRange(minutes, 'minutes', 0, MAX_RUN_MINUTES)}`
+);
+
+export const encodeTimer = (delay, run) => (
+  `${PACKET.TIMER}:${checkRange(delay, 'delay', 0, MAX_TIMER_MINUTES)},${checkRange(run, 'run', 0, MAX_RUN_MINUTES)}`
+);
+
+export const encodeTimerCancel = () => `${PACKET.TIMER}:-`;
+
+export const encodeScheduleEntry = (index, entry) => `${PACKET.SCHED_WRITE}:${encodeScheduleBody(index, entry)}`;
+
+export const encodeScheduleCount = (count) => (
+  `${PACKET.SCHED_COUNT}:${checkRange(count, 'count', 0, MAX_SCHEDULE_ENTRIES)}`
+);
+
+export const encodeScheduleQuery = () => `${PACKET.SCHED_QUERY}:`;
+
+// 以下两种为设备回读包，供模拟设备及工具使用
+export const encodeScheduleLength = (count) => (
+  `${PACKET.SCHED_LENGTH}:${checkRange(count, 'count', 0, MAX_SCHEDULE_ENTRIES)}`
+);
+
+export const encodeScheduleReply = (index, entry) => `${PACKET.SCHED_ENTRY}:${encodeScheduleBody(index, entry)}`;
+
+export const encodePair = (secret) => `${PACKET.PAIR}:${checkHex(secret, 'secret', SECRET_BYTES)}`;
+
+export const encodeHello = () => `${PACKET.HELLO}:`;
+
+export const encodeVerify = (mac) => `${PACKET.VERIFY}:${checkHex(mac, 'mac', MAC_BYTES)}`;
+
+// 设备回复的认证挑战，供模拟设备及工具使用
+export const encodeChallenge = (nonce) => `${PACKET.CHALLENGE}:${checkHex(nonce, 'nonce', NONCE_BYTES)}`;
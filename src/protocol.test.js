@@ -0,0 +1,138 @@
+import { describe, it, expect } from 'vitest';
+import {
+  PACKET, PROTOCOL_VERSION, ERROR_CODES, ProtocolError,
+  decodePacket, encodeStatus, toBytes, splitSigned, encodeSigned,
+  encodeSyncTime, encodeAlarm, encodeRelay, encodeMode, encodeRunDuration,
+  encodeScheduleEntry, encodeScheduleCount, encodeTimer, encodeTimerCancel, encodePair,
+} from './protocol.js';
+
+const STATUS = {
+  mode: 'ARMED',
+  relay: false,
+  alarmH: 7,
+  alarmM: 30,
+  schedCount: 2,
+  runMinutes: 45,
+  onSecs: 0,
+  clock: 1760000000,
+  auth: 'AUTHED',
+  timerStart: 120,
+  timerEnd: 3720,
+};
+
+// 断言抛出带指定 code 的 ProtocolError
+const expectCode = (fn, code) => {
+  let error = null;
+  try {
+    fn();
+  } catch (e) {
+    error = e;
+  }
+  expect(error).toBeInstanceOf(ProtocolError);
+  expect(error.code).toBe(code);
+};
+
+// ==========================================
+// 往返
+// ==========================================
+describe('status round trip', () => {
+  it('decodes what encodeStatus produces', () => {
+    expect(decodePacket(encodeStatus(STATUS))).toEqual({ type: PACKET.STATUS, version: PROTOCOL_VERSION, ...STATUS });
+  });
+
+  it('accepts bytes with trailing newline and NUL padding', () => {
+    const bytes = toBytes(`${encodeStatus(STATUS)}\r\n\0\0`);
+    expect(decodePacket(bytes)).toEqual(decodePacket(encodeStatus(STATUS)));
+    expect(decodePacket(new DataView(bytes.buffer))).toEqual(decodePacket(encodeStatus(STATUS)));
+  });
+
+  it('keeps only the fields of older protocol versions', () => {
+    const v1 = decodePacket(encodeStatus(STATUS, 1));
+    expect(v1).toEqual({ type: PACKET.STATUS, version: 1, mode: 'ARMED', relay: false, alarmH: 7, alarmM: 30 });
+    expect(decodePacket(encodeStatus(STATUS, 3)).version).toBe(3);
+  });
+
+  it('round-trips every mode', () => {
+    ['IDLE', 'ARMED', 'ON'].forEach(mode => {
+      expect(decodePacket(encodeStatus({ ...STATUS, mode })).mode).toBe(mode);
+    });
+  });
+});
+
+describe('command round trip', () => {
+  it.each([
+    [encodeSyncTime(1760000000), { type: PACKET.TIME, ts: 1760000000 }],
+    [encodeAlarm(6, 5), { type: PACKET.ALARM, h: 6, m: 5 }],
+    [encodeRelay(true), { type: PACKET.RELAY, on: true }],
+    [encodeRelay(false), { type: PACKET.RELAY, on: false }],
+    [encodeMode(true), { type: PACKET.MODE, armed: true }],
+    [encodeRunDuration(90), { type: PACKET.DURATION, minutes: 90 }],
+    [encodeScheduleCount(3), { type: PACKET.SCHED_COUNT, count: 3 }],
+    [encodeTimer(0, 30), { type: PACKET.TIMER, cancel: false, delay: 0, run: 30 }],
+    [encodeTimerCancel(), { type: PACKET.TIMER, cancel: true }],
+  ])('%s', (cmd, expected) => {
+    expect(decodePacket(cmd)).toEqual(expected);
+  });
+
+  it('round-trips schedule entries with and without an end time', () => {
+    expect(decodePacket(encodeScheduleEntry(1, { days: 0x3e, start: 7 * 60 + 30, end: 9 * 60 })))
+      .toEqual({ type: PACKET.SCHED_WRITE, index: 1, days: 0x3e, start: 450, end: 540 });
+    expect(decodePacket(encodeScheduleEntry(0, { days: 0x7f, start: 0, end: null })).end).toBeNull();
+  });
+
+  it('round-trips pairing keys and signed commands', () => {
+    const secret = '00112233445566778899aabbccddeeff';
+    expect(decodePacket(encodePair(secret))).toEqual({ type: PACKET.PAIR, secret });
+    const signed = encodeSigned('R:1', 3, '9f2a1c0b7e4d5a68');
+    expect(splitSigned(signed)).toEqual({ cmd: 'R:1', counter: 3, mac: '9f2a1c0b7e4d5a68' });
+    expect(splitSigned('R:1')).toEqual({ cmd: 'R:1', counter: null, mac: null });
+  });
+});
+
+// ==========================================
+// 错误
+// ==========================================
+describe('decode errors', () => {
+  it('TRUNCATED: missing fields or separator', () => {
+    expectCode(() => decodePacket('S:1,0,7'), ERROR_CODES.TRUNCATED);
+    expectCode(() => decodePacket('S'), ERROR_CODES.TRUNCATED);
+    expectCode(() => decodePacket('A:07'), ERROR_CODES.TRUNCATED);
+    expectCode(() => decodePacket('W:0,127'), ERROR_CODES.TRUNCATED);
+  });
+
+  it('RANGE: values outside their field limits', () => {
+    expectCode(() => decodePacket('S:1,0,24,0'), ERROR_CODES.RANGE);
+    expectCode(() => decodePacket('S:1,2,7,30'), ERROR_CODES.RANGE);
+    expectCode(() => decodePacket('A:07:60'), ERROR_CODES.RANGE);
+    expectCode(() => decodePacket('S:1,0,7,30,9'), ERROR_CODES.RANGE);
+  });
+
+  it('UNKNOWN_MODE: mode codes beyond IDLE/ARMED/ON', () => {
+    expectCode(() => decodePacket('S:3,0,7,30'), ERROR_CODES.UNKNOWN_MODE);
+    expectCode(() => encodeStatus({ ...STATUS, mode: 'BOOST' }), ERROR_CODES.UNKNOWN_MODE);
+  });
+
+  it('DECODE: bytes that are not valid UTF-8', () => {
+    expectCode(() => decodePacket(new Uint8Array([0x53, 0x3a, 0xff, 0xfe])), ERROR_CODES.DECODE);
+  });
+
+  it('EMPTY, UNKNOWN_TYPE and MALFORMED', () => {
+    expectCode(() => decodePacket('\r\n'), ERROR_CODES.EMPTY);
+    expectCode(() => decodePacket('Z:1'), ERROR_CODES.UNKNOWN_TYPE);
+    expectCode(() => decodePacket('S:1,x,7,30'), ERROR_CODES.MALFORMED);
+    expectCode(() => splitSigned('R:1|3'), ERROR_CODES.MALFORMED);
+  });
+});
+
+describe('encode errors', () => {
+  it('rejects out-of-range command arguments', () => {
+    expectCode(() => encodeAlarm(24, 0), ERROR_CODES.RANGE);
+    expectCode(() => encodeRunDuration(-1), ERROR_CODES.RANGE);
+    expectCode(() => encodeTimer(0, 1.5), ERROR_CODES.RANGE);
+    expectCode(() => encodeScheduleEntry(8, { days: 1, start: 0, end: null }), ERROR_CODES.RANGE);
+  });
+
+  it('rejects malformed keys', () => {
+    expectCode(() => encodePair('not-hex'), ERROR_CODES.MALFORMED);
+  });
+});
@@ -0,0 +1,107 @@
+// ==========================================
+// 手动控制安全联锁 (按设备 id 保存在 localStorage)
+// ==========================================
+// 每台设备: { activation, maxOnMinutes, pinHash }
+//   activation    手动吸合的方式 (见 ACTIVATION_MODES)，断开始终单击即可
+//   maxOnMinutes  手动吸合的最长时间，连接中超过后由控制器发送 R:0 并提醒 (见 controller.js)，0 = 不限制
+//   pinHash       控制面板 PIN 锁，null = 未设置；只保存按设备 id 加盐的 SHA-256
+// PIN 只防误触和随手操作，不是访问控制：设备本身的保护见 auth.js 配对密钥。
+// 联锁由控制器执行 (controller.js 的 activation / locked 选项，见 interlockReason)，
+// 面板、批量操作、诊断控制台与网关发出的指令都要经过同一道检查。
+
+import { toHex } from './auth.js';
+import { PACKET, decodePacket } from './protocol.js';
+
+const SAFETY_KEY = 'insulctrl.safety';
+
+export const ACTIVATION_MODES = Object.freeze({
+  TAP: 'tap',         // 单击 (旧行为)
+  CONFIRM: 'confirm', // 单击后确认
+  HOLD: 'hold',       // 按住 HOLD_TO_ACTIVATE_MS
+});
+
+export const HOLD_TO_ACTIVATE_MS = 1500;
+
+// PIN 解锁后无操作多久重新上锁
+export const PIN_RELOCK_MS = 5 * 60 * 1000;
+
+export const PIN_PATTERN = /^\d{4,8}$/;
+
+// 指令被联锁拒绝的原因
+export const INTERLOCK_REASONS = Object.freeze({
+  LOCKED: 'locked',   // PIN 上锁
+  CONFIRM: 'confirm', // 手动吸合未经确认
+});
+
+const parseCommand = (cmd) => {
+  try {
+    return decodePacket(cmd);
+  } catch {
+    return null; // 无法解析的指令不算安全操作
+  }
+};
+
+// 上锁时仍允许让负载停下来的操作：断开、取消定时、对时
+const stopsLoad = (packet) => (
+  (packet?.type === PACKET.RELAY && !packet.on)
+  || (packet?.type === PACKET.TIMER && packet.cancel)
+  || packet?.type === PACKET.TIME
+);
+
+// 立即吸合：R:1 与延时为 0 的定时
+const energises = (packet) => (
+  (packet?.type === PACKET.RELAY && packet.on)
+  || (packet?.type === PACKET.TIMER && !packet.cancel && packet.delay === 0)
+);
+
+// 返回拒绝原因，允许发送时为 null。confirmed 表示调用方已按 activation 完成确认或按住
+export const interlockReason = ({ activation, locked }, cmd, confirmed = false) => {
+  const packet = parseCommand(cmd);
+  if (locked && !stopsLoad(packet)) return INTERLOCK_REASONS.LOCKED;
+  if (!confirmed && activation !== ACTIVATION_MODES.TAP && energises(packet)) return INTERLOCK_REASONS.CONFIRM;
+  return null;
+};
+
+export const DEFAULT_SAFETY = Object.freeze({
+  activation: ACTIVATION_MODES.CONFIRM,
+  maxOnMinutes: 0,
+  pinHash: null,
+});
+
+const loadAll = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SAFETY_KEY)) ?? {};
+  } catch {
+    return {};
+  }
+};
+
+const saveAll = (all) => {
+  try {
+    localStorage.setItem(SAFETY_KEY, JSON.stringify(all));
+  } catch {
+    // 隐私模式下 localStorage 可能不可用，忽略
+  }
+};
+
+export const loadSafety = (id) => ({ ...DEFAULT_SAFETY, ...loadAll()[id] });
+
+// patch 只覆盖给出的字段，返回保存后的设置
+export const saveSafety = (id, patch) => {
+  const all = loadAll();
+  const next = { ...DEFAULT_SAFETY, ...all[id], ...patch };
+  saveAll({ ...all, [id]: next });
+  return next;
+};
+
+export const forgetSafety = (id) => {
+  const { [id]: _removed, ...rest } = loadAll();
+  saveAll(rest);
+};
+
+export const hashPin = async (id, pin) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${id}:${pin}`));
+  return toHex(new Uint8Array(digest));
+};
+
+export const checkPin = async (id, safety, pin) => !!safety.pinHash && await hashPin(id, pin) === safety.pinHash;
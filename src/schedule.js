@@ -0,0 +1,129 @@
+// ==========================================
+// 周计划 (多时段定时)
+// ==========================================
+// 条目格式: { days, start, end }
+//   days  星期掩码 bit0=周日 ... bit6=周六 (同 Date.getDay())
+//   start 启动时间，一天内的分钟数
+//   end   关闭时间，一天内的分钟数；null 表示只启动不自动关闭；
+//         小于 start 时视为跨夜，在次日关闭
+
+import { PACKET, encodeScheduleQuery } from './protocol.js';
+import { CommandError, COMMAND_ERROR_CODES } from './commands.js';
+
+export const WEEKDAYS = 0b0111110;
+export const WEEKEND = 0b1000001;
+
+export const hasDay = (days, day) => (days & (1 << day)) !== 0;
+export const toggleDay = (days, day) => days ^ (1 << day);
+
+export const formatMinutes = (minutes) => (
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`
+);
+
+// 秒数 -> "HH:MM:SS" (倒计时、已运行时长)，负数按 0 显示
+export const formatDuration = (secs) => {
+  const total = Math.max(0, Math.floor(secs));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
+};
+
+// <input type="time"> 的 "HH:MM" -> 分钟数，空字符串返回 null
+export const parseMinutes = (str) => {
+  if (!str) return null;
+  const [h, m] = str.split(':').map(Number);
+  return h * 60 + m;
+};
+
+const atMinutes = (base, dayOffset, minutes) => {
+  const d = new Date(base);
+  d.setDate(d.getDate() + dayOffset);
+  d.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+  return d;
+};
+
+// 从 now 起查找一周内 (含今天的已过时段回绕到下周) 最近的启动/关闭事件
+// 返回 { kind: 'start' | 'end', at: Date, entry } 或 null
+export const nextScheduleEvent = (entries, now) => {
+  let best = null;
+  const consider = (kind, at, entry) => {
+    if (at > now && (!best || at < best.at)) best = { kind, at, entry };
+  };
+  // 从昨天开始，覆盖跨夜时段在今天的关闭事件；到 +7 天覆盖下周同一天
+  for (let offset = -1; offset <= 7; offset++) {
+    const day = (now.getDay() + offset + 7) % 7;
+    entries.forEach(entry => {
+      if (!hasDay(entry.days, day)) return;
+      consider('start', atMinutes(now, offset, entry.start), entry);
+      if (entry.end !== null) {
+        const endOffset = entry.end <= entry.start ? offset + 1 : offset;
+        consider('end', atMinutes(now, endOffset, entry.end), entry);
+      }
+    });
+  }
+  return best;
+};
+
+// ==========================================
+// 周计划回读 (Q: -> L: + E: ...)
+// ==========================================
+export const createScheduleReader = ({ timeout = 3000 } = {}) => {
+  let job = null;
+
+  // 超时后写入才失败等情况下可能重复结算，已结束的请求忽略
+  const settle = (fn, value) => {
+    if (!job) return;
+    clearTimeout(job.timer);
+    const current = job;
+    job = null;
+    current[fn](value);
+  };
+
+  // write(cmdStr) 负责实际发送；返回按序号排列的条目数组
+  const request = (write) => {
+    if (job) return job.promise;
+    let resolve, reject;
+    const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+    job = { promise, resolve, reject, count: null, entries: [] };
+    job.timer = setTimeout(() => settle('reject', new Error('Schedule readback timed out')), timeout);
+    Promise.resolve(write(encodeScheduleQuery())).catch(error => settle('reject', error));
+    return promise;
+  };
+
+  const finishIfComplete = () => {
+    if (job.count !== null && job.entries.filter(Boolean).length >= job.count) {
+      settle('resolve', job.entries.slice(0, job.count).map(({ days, start, end }) => ({ days, start, end })));
+    }
+  };
+
+  // 所有解析成功的包都交给这里，返回 true 表示已消费
+  const handlePacket = (packet) => {
+    if (!job) return false;
+    if (packet.type === PACKET.SCHED_LENGTH) {
+      job.count = packet.count;
+      finishIfComplete();
+      return true;
+    }
+    if (packet.type === PACKET.SCHED_ENTRY) {
+      job.entries[packet.index] = packet;
+      finishIfComplete();
+      return true;
+    }
+    return false;
+  };
+
+  // 断线时结束进行中的回读，重连后的 request() 重新查询
+  const cancel = (reason = 'Cancelled') => (
+    settle('reject', new CommandError(COMMAND_ERROR_CODES.CANCELLED, reason, encodeScheduleQuery()))
+  );
+
+  return { request, handlePacket, cancel };
+};
+
+// 两份计划是否一致 (上传后与回读结果比对)
+export const sameSchedule = (a, b) => (
+  a.length === b.length && a.every((e, i) => (
+    e.days === b[i].days && e.start === b[i].start && (e.end ?? null) === (b[i].end ?? null)
+  ))
+);
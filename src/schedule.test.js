@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { WEEKDAYS, nextScheduleEvent, sameSchedule } from './schedule.js';
+
+const MONDAY = 1 << 1;
+const SUNDAY = 1 << 0;
+
+// 2026-10-19 是周一 (本地时间)
+const at = (day, h, m = 0) => new Date(2026, 9, day, h, m);
+
+const MORNING = { days: WEEKDAYS, start: 7 * 60 + 30, end: 9 * 60 };
+
+// ==========================================
+// 下一次事件
+// ==========================================
+describe('nextScheduleEvent', () => {
+  it('returns the next start later today', () => {
+    expect(nextScheduleEvent([MORNING], at(19, 6))).toEqual({ kind: 'start', at: at(19, 7, 30), entry: MORNING });
+  });
+
+  it('returns the end while a slot is running', () => {
+    expect(nextScheduleEvent([MORNING], at(19, 8))).toMatchObject({ kind: 'end', at: at(19, 9) });
+  });
+
+  it('skips days the slot does not run on', () => {
+    // 周五上午之后的下一次是下周一
+    expect(nextScheduleEvent([MORNING], at(23, 10))).toMatchObject({ kind: 'start', at: at(26, 7, 30) });
+  });
+
+  it('wraps a slot already past today to the same day next week', () => {
+    const monday = { days: MONDAY, start: 7 * 60, end: null };
+    expect(nextScheduleEvent([monday], at(19, 10))).toMatchObject({ kind: 'start', at: at(26, 7) });
+  });
+
+  it('ends an overnight slot on the following morning', () => {
+    const overnight = { days: SUNDAY, start: 22 * 60, end: 6 * 60 };
+    // 周日 22:00 开始，周一 01:00 时下一次事件是周一 06:00 的关闭
+    expect(nextScheduleEvent([overnight], at(19, 1))).toMatchObject({ kind: 'end', at: at(19, 6) });
+  });
+
+  it('has no end event for slots without an end time', () => {
+    const startOnly = { days: WEEKDAYS, start: 7 * 60, end: null };
+    expect(nextScheduleEvent([startOnly], at(19, 7, 30))).toMatchObject({ kind: 'start', at: at(20, 7) });
+  });
+
+  it('picks the earliest event across slots', () => {
+    const evening = { days: WEEKDAYS, start: 18 * 60, end: 20 * 60 };
+    expect(nextScheduleEvent([evening, MORNING], at(19, 12)).entry).toBe(evening);
+  });
+
+  it('returns null for an empty schedule', () => {
+    expect(nextScheduleEvent([], at(19, 12))).toBeNull();
+  });
+});
+
+// ==========================================
+// 比较
+// ==========================================
+describe('sameSchedule', () => {
+  it('compares slots in order', () => {
+    const evening = { days: WEEKDAYS, start: 18 * 60, end: 20 * 60 };
+    expect(sameSchedule([MORNING, evening], [{ ...MORNING }, { ...evening }])).toBe(true);
+    expect(sameSchedule([MORNING, evening], [evening, MORNING])).toBe(false);
+    expect(sameSchedule([MORNING], [MORNING, evening])).toBe(false);
+    expect(sameSchedule([], [])).toBe(true);
+  });
+
+  it('treats a missing end time as no end', () => {
+    const { end: _end, ...withoutEnd } = { ...MORNING, end: null };
+    expect(sameSchedule([{ ...MORNING, end: null }], [withoutEnd])).toBe(true);
+    expect(sameSchedule([MORNING], [withoutEnd])).toBe(false);
+  });
+
+  it('notices changed days or times', () => {
+    expect(sameSchedule([MORNING], [{ ...MORNING, days: MONDAY }])).toBe(false);
+    expect(sameSchedule([MORNING], [{ ...MORNING, start: MORNING.start + 1 }])).toBe(false);
+  });
+});
@@ -0,0 +1,155 @@
+// ==========================================
+// Web Serial 传输 (USB-UART，换行分帧)
+// ==========================================
+// 与 BLE 相同的文本协议，每个包以 '\n' 结尾 (设备可能带 '\r'，由 decodePacket 去除)。
+// 下行指令由 write() 自动追加 '\n'。
+
+import { TRANSPORT_KINDS, dispatchFrame, dispatchDisconnect, dispatchError } from './transport.js';
+
+export const SERIAL_DEFAULTS = {
+  baudRate: 115200,
+  maxLine: 256, // 超过此长度仍未遇到换行视为噪声，整行丢弃
+};
+
+export const isSerialSupported = () => typeof navigator !== 'undefined' && !!navigator.serial;
+
+// 按换行切分字节流；push(chunk) 可多次调用，跨 chunk 的半行会被缓存
+export const createLineFramer = (onFrame, { maxLine = SERIAL_DEFAULTS.maxLine } = {}) => {
+  let line = [];
+  let overflow = false;
+  return (chunk) => {
+    for (const byte of chunk) {
+      if (byte === 0x0a) {
+        if (line.length && !overflow) onFrame(Uint8Array.from(line));
+        line = [];
+        overflow = false;
+      } else if (line.length < maxLine) {
+        line.push(byte);
+      } else {
+        overflow = true;
+      }
+    }
+  };
+};
+
+const hex4 = (n) => (n ?? 0).toString(16).padStart(4, '0');
+
+// SerialPort 没有稳定 id：用 USB VID/PID 加上同型号端口中的序号区分
+export const serialPortId = (port, ports = [port]) => {
+  const { usbVendorId, usbProductId } = port.getInfo();
+  const same = ports.filter(p => {
+    const info = p.getInfo();
+    return info.usbVendorId === usbVendorId && info.usbProductId === usbProductId;
+  });
+  return `serial-${hex4(usbVendorId)}-${hex4(usbProductId)}-${Math.max(0, same.indexOf(port))}`;
+};
+
+const serialPortName = (port) => {
+  const { usbVendorId, usbProductId } = port.getInfo();
+  return usbVendorId === undefined ? 'USB Serial' : `USB ${hex4(usbVendorId)}:${hex4(usbProductId)}`;
+};
+
+export const createSerialTransport = (port, { id = serialPortId(port), ...options } = {}) => {
+  const opts = { ...SERIAL_DEFAULTS, ...options };
+  const encoder = new TextEncoder();
+  let reader = null;
+  let readLoop = null;
+  let closing = false;
+
+  const transport = Object.assign(new EventTarget(), {
+    kind: TRANSPORT_KINDS.SERIAL,
+    id,
+    name: serialPortName(port),
+    emulated: false,
+    port,
+  });
+
+  const framer = createLineFramer((bytes) => dispatchFrame(transport, bytes), opts);
+
+  // 拔线后 port.readable 变为 null，循环结束即视为断开；
+  // 单次读取错误 (如帧错误) 不致命，重新获取 reader 继续读
+  const runReadLoop = async () => {
+    while (port.readable && !closing) {
+      reader = port.readable.getReader();
+      try {
+        for (;;) {
+          const { value, done } = await reader.read();
+          if (done) break;
+          framer(value);
+        }
+      } catch (error) {
+        dispatchError(transport, error);
+      } finally {
+        reader.releaseLock();
+        reader = null;
+      }
+    }
+    try {
+      await port.close();
+    } catch {
+      // 设备已拔出时 close 会失败，忽略
+    }
+    dispatchDisconnect(transport);
+  };
+
+  transport.connect = async () => {
+    closing = false;
+    await port.open({ baudRate: opts.baudRate });
+    readLoop = runReadLoop();
+  };
+
+  transport.write = async (str) => {
+    if (!port.writable) throw new Error("Not connected");
+    const writer = port.writable.getWriter();
+    try {
+      await writer.write(encoder.encode(`${str}\n`));
+    } finally {
+      writer.releaseLock();
+    }
+  };
+
+  transport.disconnect = () => {
+    if (!readLoop) return;
+    closing = true;
+    readLoop = null;
+    reader?.cancel();
+  };
+
+  // 串口没有 GATT 信息服务，只能给出 USB 标识
+  transport.readInfo = async () => {
+    const { usbVendorId, usbProductId } = port.getInfo();
+    return {
+      manufacturer: null,
+      model: null,
+      hardware: null,
+      firmware: null,
+      serial: null,
+      battery: null,
+      rssi: null,
+      usb: usbVendorId === undefined ? null : `${hex4(usbVendorId)}:${hex4(usbProductId)}`,
+    };
+  };
+
+  return transport;
+};
+
+// ==========================================
+// 已授权端口
+// ==========================================
+// 通过 getPorts() 找回此前授权过的串口，返回 { id: SerialPort }
+export const getAuthorizedPorts = async () => {
+  if (!isSerialSupported()) return {};
+  try {
+    const ports = await navigator.serial.getPorts();
+    return Object.fromEntries(ports.map(p => [serialPortId(p, ports), p]));
+  } catch {
+    return {};
+  }
+};
+
+// 弹出浏览器的端口选择框，返回 { id, port }
+export const requestSerialPort = async () => {
+  const port = await navigator.serial.requestPort();
+  const ports = await navigator.serial.getPorts();
+  return { id: serialPortId(port, ports), port };
+};
@@ -0,0 +1,31 @@
+// ==========================================
+// 应用设置 (localStorage 持久化)
+// ==========================================
+
+const SETTINGS_KEY = 'insulctrl.settings';
+
+export const DEFAULT_SETTINGS = {
+  autoSyncClock: true, // 时钟偏差超过阈值时自动发送 T: 同步
+  driftThreshold: 30,  // 允许的设备时钟偏差 (秒)
+  notifications: false, // 页面在后台时发系统通知 (需用户授权，见 notify.js)
+  reminderMinutes: 0,   // 计划启动前提前提醒 (分钟)，0 = 不提醒
+  scanAllDevices: false, // 扫描时列出所有蓝牙设备 (不按服务 UUID / 名称前缀过滤)
+  gatewayUrl: '',        // 上次使用的本地网关地址 (见 gateway.js)，空 = 默认
+  theme: 'system',       // system | light | dark (见 theme.js)
+};
+
+export const loadSettings = () => {
+  try {
+    return { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) };
+  } catch {
+    return { ...DEFAULT_SETTINGS };
+  }
+};
+
+export const saveSettings = (settings) => {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch {
+    // 隐私模式下 localStorage 可能不可用，忽略
+  }
+};
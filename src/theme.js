@@ -0,0 +1,35 @@
+// ==========================================
+// 浅色 / 深色主题
+// ==========================================
+// 偏好保存在 settings.theme：system 跟随 prefers-color-scheme，light / dark 为手动指定。
+// 生效方式是给 <html> 加上 dark 类 (Tailwind darkMode: 'class')，同时设置 color-scheme
+// 让原生控件 (select、日期选择、滚动条) 一起变色。index.html 在首帧前做同样的判断，避免闪白。
+
+export const THEMES = Object.freeze({
+  SYSTEM: 'system',
+  LIGHT: 'light',
+  DARK: 'dark',
+});
+
+// 主题按钮依次切换
+export const THEME_ORDER = [THEMES.SYSTEM, THEMES.LIGHT, THEMES.DARK];
+
+const darkQuery = () => window.matchMedia?.('(prefers-color-scheme: dark)');
+
+export const resolveTheme = (preference) => (
+  preference === THEMES.SYSTEM ? (darkQuery()?.matches ? THEMES.DARK : THEMES.LIGHT) : preference
+);
+
+export const applyTheme = (preference) => {
+  const theme = resolveTheme(preference);
+  document.documentElement.classList.toggle('dark', theme === THEMES.DARK);
+  document.documentElement.style.colorScheme = theme;
+};
+
+// 跟随系统时监听系统主题变化，返回取消监听的函数
+export const watchSystemTheme = (onChange) => {
+  const query = darkQuery();
+  if (!query) return () => {};
+  query.addEventListener('change', onChange);
+  return () => query.removeEventListener('change', onChange);
+};
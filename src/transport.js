@@ -0,0 +1,85 @@
+// ==========================================
+// 传输层接口 (界面只与 transport 交互，不直接接触 GATT / 串口)
+// ==========================================
+// 每个 transport 是一个 EventTarget，形如:
+//   { kind, id, name, emulated,
+//     connect(): Promise     建立链路并开始接收
+//     write(str, meta): Promise  发送一条指令 (不含帧分隔符)；meta.confirmed 表示手动吸合已经确认，
+//                            只有网关传输用到 (见 gateway.js)
+//     disconnect(): void     主动断开
+//     readInfo(): Promise    连接后读取设备信息 { manufacturer, model, firmware, serial, battery, ... }，
+//                            无法获取的字段为 null
+//     openDfu(onMessage): Promise  仅 BLE：打开固件升级通道 { write(bytes), close() }，见 dfu.js }
+// 事件:
+//   'frame'       detail 为一帧原始数据 (DataView / Uint8Array)，交给 decodePacket()
+//   'disconnect'  链路断开 (主动断开也会触发)
+//   'info'        detail 为设备信息的部分更新，如 { battery } / { rssi }
+//   'error'       detail 为不致命的链路错误 (Error)，如串口读取错误、网关拒绝指令；由控制器记录日志
+// 实现: ble.js (GATT 特征值，一次通知一帧)、serial.js (USB 串口，换行分帧)、
+//       gateway.js (经本地网关的 WebSocket，一条消息一帧)
+
+export const TRANSPORT_KINDS = Object.freeze({
+  BLE: 'ble',
+  SERIAL: 'serial',
+  GATEWAY: 'gateway',
+});
+
+export const dispatchFrame = (transport, bytes) => {
+  transport.dispatchEvent(new CustomEvent('frame', { detail: bytes }));
+};
+
+export const dispatchDisconnect = (transport) => {
+  transport.dispatchEvent(new Event('disconnect'));
+};
+
+export const dispatchInfo = (transport, patch) => {
+  transport.dispatchEvent(new CustomEvent('info', { detail: patch }));
+};
+
+export const dispatchError = (transport, error) => {
+  transport.dispatchEvent(new CustomEvent('error', { detail: error }));
+};
+
+// ==========================================
+// 指数退避重连
+// ==========================================
+export const RECONNECT_DEFAULTS = {
+  maxAttempts: 8,
+  baseDelay: 1000,
+  maxDelay: 30000,
+};
+
+// 第 attempt 次 (从 0 开始) 重连前的等待时间，带少量随机抖动避免与设备广播周期同步
+export const backoffDelay = (attempt, { baseDelay, maxDelay } = RECONNECT_DEFAULTS) => {
+  const delay = Math.min(maxDelay, baseDelay * 2 ** attempt);
+  return delay + Math.floor(Math.random() * baseDelay * 0.3);
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// 反复尝试 transport.connect()，直到成功、次数用尽或 isCancelled() 返回 true。
+// 成功返回 true，失败/取消返回 false。每次失败以 onError(n, error) 回调。
+export const reconnectWithBackoff = async (transport, {
+  onAttempt = () => {},
+  onError = () => {},
+  isCancelled = () => false,
+  ...options
+} = {}) => {
+  const opts = { ...RECONNECT_DEFAULTS, ...options };
+  for (let attempt = 0; attempt < opts.maxAttempts; attempt++) {
+    await sleep(backoffDelay(attempt, opts));
+    if (isCancelled()) return false;
+    onAttempt(attempt + 1, opts.maxAttempts);
+    try {
+      await transport.connect();
+      if (isCancelled()) {
+        transport.disconnect();
+        return false;
+      }
+      return true;
+    } catch (error) {
+      onError(attempt + 1, error);
+    }
+  }
+  return false;
+};
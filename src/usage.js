@@ -0,0 +1,257 @@
+// ==========================================
+// 继电器运行时长统计 (IndexedDB 持久化)
+// ==========================================
+// 每条记录是一段吸合区间: { id, device(设备 id), start, end (毫秒) }
+// end 为最后一次确认仍在吸合的时间：断线期间的状态未知，按最后确认时间计。
+// 设备上报 onSecs (v3+) 时起始时间按设备计时回推，重连或刷新页面后可接上同一段区间。
+// 计费数据单独成库，保留期限比事件历史长。
+
+import { toCSV } from './history.js';
+
+const DB_NAME = 'insulctrl-usage';
+const DB_VERSION = 1;
+const STORE = 'intervals';
+
+export const USAGE_RETENTION_DAYS = 730;
+
+// 两次回推的起始时间相差在此范围内视为同一段区间 (链路延迟、秒级取整)
+const SAME_RUN_TOLERANCE = 10000;
+// 吸合期间多久写一次库 (结束时总会写)
+const SAVE_INTERVAL = 60000;
+
+const DAY_MS = 86400000;
+
+let dbPromise = null;
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDb = () => {
+  if (dbPromise) return dbPromise;
+  if (typeof indexedDB === 'undefined') return Promise.reject(new Error('IndexedDB not available'));
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const store = req.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+      store.createIndex('device', 'device');
+      store.createIndex('start', 'start');
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  }).then(async db => {
+    await pruneIntervals(db);
+    return db;
+  });
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+};
+
+const tx = async (mode) => {
+  const db = await openDb();
+  return db.transaction(STORE, mode).objectStore(STORE);
+};
+
+const pruneIntervals = (db) => new Promise(resolve => {
+  const cutoff = Date.now() - USAGE_RETENTION_DAYS * DAY_MS;
+  const req = db.transaction(STORE, 'readwrite').objectStore(STORE)
+    .index('start').openCursor(IDBKeyRange.upperBound(cutoff, true));
+  req.onsuccess = () => {
+    const cursor = req.result;
+    if (!cursor) return resolve();
+    if (cursor.value.end < cutoff) cursor.delete();
+    cursor.continue();
+  };
+  req.onerror = () => resolve();
+});
+
+const saveInterval = async (record) => {
+  const store = await tx('readwrite');
+  record.id = await promisify(store.put(record));
+};
+
+// 该设备最近一条记录 (自增主键最大)
+const lastInterval = async (device) => {
+  const store = await tx('readonly');
+  const cursor = await promisify(store.index('device').openCursor(IDBKeyRange.only(device), 'prev'));
+  return cursor?.value ?? null;
+};
+
+// 与 [from, to) 有重叠的区间，按开始时间排序；device 为空表示全部设备
+export const queryIntervals = async ({ from = 0, to = Infinity, device = null } = {}) => {
+  const store = await tx('readonly');
+  const range = Number.isFinite(to) ? IDBKeyRange.upperBound(to, true) : null;
+  const all = await promisify(store.index('start').getAll(range));
+  return all.filter(r => r.end > from && (!device || r.device === device));
+};
+
+export const clearIntervals = async () => {
+  const store = await tx('readwrite');
+  await promisify(store.clear());
+};
+
+// ==========================================
+// 单台设备的记录器
+// ==========================================
+// 每个状态包调用 handleStatus()；断线或面板关闭时调用 flush()。
+// 写库失败不影响面板：记录器是 EventTarget，第一次失败时派发 'error' (detail 为 Error)，由面板记录日志。
+export const createUsageRecorder = (device) => {
+  const recorder = new EventTarget();
+  let failed = false;
+  let current = null;
+  let lastSaved = 0;
+  let queue = Promise.resolve();
+
+  const step = async (relay, onSecs, now) => {
+    if (!relay) {
+      if (!current) return;
+      current.end = now;
+      const done = current;
+      current = null;
+      await saveInterval(done);
+      return;
+    }
+    // 老固件没有 onSecs，只能从第一次看到吸合算起
+    const start = onSecs === undefined || onSecs === null ? null : now - onSecs * 1000;
+    if (current && (start === null || Math.abs(start - current.start) < SAME_RUN_TOLERANCE)) {
+      current.end = now;
+      if (now - lastSaved >= SAVE_INTERVAL) {
+        lastSaved = now;
+        await saveInterval(current);
+      }
+      return;
+    }
+    // 两个状态包之间断开又吸合 (onSecs 归零)：先结束上一段
+    if (current) await saveInterval(current);
+    // 页面刷新或重连：回推的起始时间与最后一条记录吻合则接上
+    const last = start === null ? null : await lastInterval(device).catch(() => null);
+    current = last && Math.abs(last.start - start) < SAME_RUN_TOLERANCE
+      ? { ...last, end: now }
+      : { device, start: start ?? now, end: now };
+    lastSaved = now;
+    await saveInterval(current);
+  };
+
+  const enqueue = (fn) => {
+    queue = queue.then(fn).catch(error => {
+      // 数据库不可用时每次写入都会失败，只报告一次
+      if (failed) return;
+      failed = true;
+      recorder.dispatchEvent(new CustomEvent('error', { detail: error }));
+    });
+    return queue;
+  };
+
+  const handleStatus = ({ relay, onSecs }, now = Date.now()) => enqueue(() => step(relay, onSecs, now));
+
+  // 写入进行中的区间并停止跟踪，重连后由 handleStatus 决定是否接上
+  const flush = () => enqueue(async () => {
+    if (!current) return;
+    const pending = current;
+    current = null;
+    await saveInterval(pending);
+  });
+
+  return Object.assign(recorder, { handleStatus, flush });
+};
+
+// ==========================================
+// 汇总
+// ==========================================
+const startOfDay = (ts) => {
+  const date = new Date(ts);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+};
+
+const addDays = (ts, n) => {
+  const date = new Date(ts);
+  date.setDate(date.getDate() + n);
+  return date.getTime();
+};
+
+// 截至 now 所在日 (含) 的最近 count 天，每项 { start, end } (本地时区，夏令时日不足 24 小时)
+export const dayBuckets = (now, count) => {
+  const today = startOfDay(now);
+  return Array.from({ length: count }, (_, i) => {
+    const start = addDays(today, i - count + 1);
+    return { start, end: addDays(start, 1) };
+  });
+};
+
+// 截至 now 所在周 (周一开始) 的最近 count 周
+export const weekBuckets = (now, count) => {
+  const today = startOfDay(now);
+  const monday = addDays(today, -((new Date(today).getDay() + 6) % 7));
+  return Array.from({ length: count }, (_, i) => {
+    const start = addDays(monday, (i - count + 1) * 7);
+    return { start, end: addDays(start, 7) };
+  });
+};
+
+// 把区间按时间段切分累加，返回 [{ start, end, hours, byDevice: { id: hours } }]
+export const bucketHours = (intervals, buckets) => buckets.map(({ start, end }) => {
+  const byDevice = {};
+  let ms = 0;
+  intervals.forEach(r => {
+    const overlap = Math.min(r.end, end) - Math.max(r.start, start);
+    if (overlap <= 0) return;
+    ms += overlap;
+    byDevice[r.device] = (byDevice[r.device] ?? 0) + overlap / 3600000;
+  });
+  return { start, end, hours: ms / 3600000, byDevice };
+});
+
+// 估算用电 (kWh)；未设置额定功率的设备不计入，返回 null 表示全部未设置
+export const estimateKWh = (byDevice, wattsOf) => {
+  let total = null;
+  Object.entries(byDevice).forEach(([device, hours]) => {
+    const watts = wattsOf(device);
+    if (!watts) return;
+    total = (total ?? 0) + (hours * watts) / 1000;
+  });
+  return total;
+};
+
+// ==========================================
+// 导出
+// ==========================================
+const round = (n, digits = 3) => (n === null ? null : Number(n.toFixed(digits)));
+
+export const intervalsToCSV = (intervals, { nameOf, wattsOf }) => toCSV(
+  ['device', 'device_id', 'start', 'end', 'hours', 'kwh'],
+  intervals.map(r => {
+    const hours = (r.end - r.start) / 3600000;
+    const watts = wattsOf(r.device);
+    return [
+      nameOf(r.device),
+      r.device,
+      new Date(r.start).toISOString(),
+      new Date(r.end).toISOString(),
+      round(hours),
+      watts ? round((hours * watts) / 1000) : null,
+    ];
+  }),
+);
+
+// 本地日期 YYYY-MM-DD (表格软件可直接识别)
+const localDate = (ts) => {
+  const date = new Date(ts);
+  return [date.getFullYear(), date.getMonth() + 1, date.getDate()].map(n => String(n).padStart(2, '0')).join('-');
+};
+
+// 每天每台设备一行
+export const dailyUsageToCSV = (days, { nameOf, wattsOf }) => toCSV(
+  ['date', 'device', 'device_id', 'hours', 'kwh'],
+  days.flatMap(day => Object.entries(day.byDevice).map(([device, hours]) => {
+    const watts = wattsOf(device);
+    return [
+      localDate(day.start),
+      nameOf(device),
+      device,
+      round(hours),
+      watts ? round((hours * watts) / 1000) : null,
+    ];
+  })),
+);
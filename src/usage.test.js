@@ -0,0 +1,88 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { dayBuckets, weekBuckets, bucketHours, estimateKWh } from './usage.js';
+
+const HOUR = 3600000;
+
+// 分桶按本地时区计算：固定一个有夏令时的时区 (2026-03-29 与 2026-10-25 切换)
+beforeAll(() => {
+  vi.stubEnv('TZ', 'Europe/Berlin');
+});
+
+afterAll(() => {
+  vi.unstubAllEnvs();
+});
+
+const local = (month, day, h = 0, m = 0) => new Date(2026, month - 1, day, h, m).getTime();
+
+const lengths = (buckets) => buckets.map(({ start, end }) => (end - start) / HOUR);
+
+// ==========================================
+// 分桶
+// ==========================================
+describe('dayBuckets', () => {
+  it('covers the last count days up to and including today, from local midnight', () => {
+    const buckets = dayBuckets(local(10, 21, 15, 30), 3);
+    expect(buckets.map(b => b.start)).toEqual([local(10, 19), local(10, 20), local(10, 21)]);
+    expect(buckets[2].end).toBe(local(10, 22));
+  });
+
+  it('gives DST change days their real length', () => {
+    expect(lengths(dayBuckets(local(3, 30, 12), 3))).toEqual([24, 23, 24]);
+    expect(lengths(dayBuckets(local(10, 26, 12), 3))).toEqual([24, 25, 24]);
+  });
+});
+
+describe('weekBuckets', () => {
+  it('starts weeks on Monday', () => {
+    // 2026-10-25 是周日，仍属于 10-19 (周一) 开始的一周
+    expect(weekBuckets(local(10, 25, 23), 1)[0].start).toBe(local(10, 19));
+    expect(weekBuckets(local(10, 26, 0), 1)[0].start).toBe(local(10, 26));
+    expect(weekBuckets(local(10, 21, 12), 2).map(b => b.start)).toEqual([local(10, 12), local(10, 19)]);
+  });
+
+  it('gives weeks containing a DST change their real length', () => {
+    expect(lengths(weekBuckets(local(10, 28), 2))).toEqual([169, 168]);
+    expect(lengths(weekBuckets(local(3, 29), 1))).toEqual([167]);
+  });
+});
+
+// ==========================================
+// 累加与估算
+// ==========================================
+describe('bucketHours', () => {
+  it('splits intervals across bucket boundaries and sums per device', () => {
+    const buckets = dayBuckets(local(10, 21, 12), 2);
+    const intervals = [
+      { device: 'a', start: local(10, 20, 22), end: local(10, 21, 1) }, // 跨午夜
+      { device: 'b', start: local(10, 21, 6), end: local(10, 21, 7, 30) },
+      { device: 'a', start: local(10, 18, 6), end: local(10, 18, 8) },  // 范围之外
+    ];
+    expect(bucketHours(intervals, buckets)).toEqual([
+      { ...buckets[0], hours: 2, byDevice: { a: 2 } },
+      { ...buckets[1], hours: 2.5, byDevice: { a: 1, b: 1.5 } },
+    ]);
+  });
+
+  it('counts a run across the DST change by elapsed time', () => {
+    const [bucket] = dayBuckets(local(3, 29, 12), 1);
+    const run = { device: 'a', start: local(3, 29, 1), end: local(3, 29, 4) };
+    expect(bucketHours([run], [bucket])[0].hours).toBe(2);
+  });
+});
+
+describe('estimateKWh', () => {
+  const watts = { a: 2000, b: 500 };
+
+  it('multiplies hours by each device rated power', () => {
+    expect(estimateKWh({ a: 1.5, b: 2 }, id => watts[id])).toBe(4);
+  });
+
+  it('leaves out devices without a rated power', () => {
+    expect(estimateKWh({ a: 1, c: 10 }, id => watts[id])).toBe(2);
+  });
+
+  it('returns null when no device has a rated power', () => {
+    expect(estimateKWh({ c: 3 }, id => watts[id])).toBeNull();
+    expect(estimateKWh({}, id => watts[id])).toBeNull();
+  });
+});
@@ -0,0 +1,26 @@
+// ==========================================
+// 设备控制器的 React 绑定 (见 controller.js)
+// ==========================================
+//   const state = useDeviceController(controller);         // 快照变化时重新渲染
+//   useControllerEvent(controller, 'connection', handler);  // 订阅事件，handler 可每次渲染都不同
+
+import { useSyncExternalStore, useEffect, useRef } from 'react';
+
+export const useDeviceController = (controller) => useSyncExternalStore(
+  (onChange) => {
+    controller.addEventListener('change', onChange);
+    return () => controller.removeEventListener('change', onChange);
+  },
+  controller.getState,
+);
+
+// 监听只注册一次，始终调用最新一次渲染传入的 handler
+export const useControllerEvent = (controller, type, handler) => {
+  const handlerRef = useRef(handler);
+  useEffect(() => { handlerRef.current = handler; });
+  useEffect(() => {
+    const listener = (event) => handlerRef.current(event.detail);
+    controller.addEventListener(type, listener);
+    return () => controller.removeEventListener(type, listener);
+  }, [controller, type]);
+};
@@ -0,0 +1,21 @@
+// ==========================================
+// 多语言的 React 绑定 (文案与 translate 见 i18n.js)
+// ==========================================
+//   const { t, formatTime } = useI18n();
+// t() 的参数含 React 元素时返回 Fragment。
+
+import { createContext, useContext, createElement, Fragment } from 'react';
+import { DEFAULT_LOCALE, createI18n } from './i18n.js';
+
+const composeElements = (values) => createElement(Fragment, null, ...values);
+
+export const createReactI18n = (locale) => createI18n(locale, composeElements);
+
+// Provider (见 components/I18nProvider.jsx) 提供 { ...createReactI18n(locale), preference, setPreference }
+export const I18nContext = createContext({
+  ...createReactI18n(DEFAULT_LOCALE),
+  preference: null,
+  setPreference: () => {},
+});
+
+export const useI18n = () => useContext(I18nContext);
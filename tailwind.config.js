@@ -4,8 +4,15 @@ export default {
     "./index.html",
     "./src/**/*.{js,ts,jsx,tsx}",
   ],
+  // 深色主题由 <html class="dark"> 控制 (跟随系统或手动选择，见 src/theme.js)
+  darkMode: 'class',
   theme: {
-    extend: {},
+    extend: {
+      // 最小字号，用 rem 以跟随用户的字体缩放
+      fontSize: {
+        '2xs': ['0.625rem', { lineHeight: '0.875rem' }],
+      },
+    },
   },
   plugins: [],
 }
@@ -10,6 +10,10 @@ export default defineConfig({
     VitePWA({
       registerType: 'autoUpdate',
       includeAssets: ['vite.svg'],
+      workbox: {
+        // 系统通知的点击处理 (public/notification-sw.js)
+        importScripts: ['notification-sw.js']
+      },
       manifest: {
         name: 'InsulCtrl',
         short_name: 'InsulCtrl',